@@ -0,0 +1,61 @@
+/**
+ * API client
+ * Wraps fetch with the session token and sends the user to the login page
+ * when the session is missing or has expired.
+ */
+
+import { API_URL } from './config';
+
+const TOKEN_KEY = 'session-token';
+const USER_KEY = 'session-user';
+
+export function getToken() {
+  return localStorage.getItem(TOKEN_KEY);
+}
+
+export function getCurrentUser() {
+  const user = localStorage.getItem(USER_KEY);
+  return user ? JSON.parse(user) : null;
+}
+
+export function setSession({ token, user }) {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(USER_KEY, JSON.stringify(user));
+}
+
+export function clearSession() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(USER_KEY);
+}
+
+/**
+ * Fetch an API path with the Authorization header
+ * @param {string} path - Path below API_URL, e.g. '/articles'
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>} - fetch response
+ */
+export async function apiFetch(path, options = {}) {
+  const headers = { ...options.headers };
+  const token = getToken();
+  if (token) {
+    headers.Authorization = `Bearer ${token}`;
+  }
+
+  const response = await fetch(`${API_URL}${path}`, { ...options, headers });
+
+  if (response.status === 401) {
+    clearSession();
+    window.location.assign('/login');
+  }
+
+  return response;
+}
+
+export async function logout() {
+  try {
+    await apiFetch('/auth/logout', { method: 'POST' });
+  } finally {
+    clearSession();
+    window.location.assign('/login');
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Implicit feedback
+ * Reports how long an article was read (and how far the reader view was
+ * scrolled) so the server can record read_complete or quick_bounce signals.
+ */
+
+import { apiFetch } from './api';
+
+/**
+ * Send dwell time and scroll depth for an article
+ * Uses keepalive so reports sent while leaving the page still arrive.
+ * @param {number|string} articleId - Article ID
+ * @param {Object} engagement - { dwellMs, scrollDepth, source }
+ */
+export async function reportEngagement(articleId, engagement) {
+  try {
+    await apiFetch(`/articles/${articleId}/engagement`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(engagement),
+      keepalive: true
+    });
+  } catch (error) {
+    console.error('Error reporting engagement:', error);
+  }
+}
+
+// Article opened from a card in a new tab, waiting for the user to come back
+let pendingOutbound = null;
+
+/**
+ * Measure the time spent on an article's original page after clicking a card
+ * The time away starts when this tab is hidden and ends when it is visible again.
+ * @param {number|string} articleId - Article ID
+ */
+export function trackOutboundRead(articleId) {
+  pendingOutbound = { articleId, hiddenAt: null };
+}
+
+document.addEventListener('visibilitychange', () => {
+  if (!pendingOutbound) return;
+
+  if (document.visibilityState === 'hidden') {
+    pendingOutbound.hiddenAt = pendingOutbound.hiddenAt || Date.now();
+  } else if (pendingOutbound.hiddenAt) {
+    const { articleId, hiddenAt } = pendingOutbound;
+    pendingOutbound = null;
+    reportEngagement(articleId, { dwellMs: Date.now() - hiddenAt, source: 'click' });
+  }
+});
@@ -2,6 +2,9 @@ import { createApp } from 'vue';
 import { createRouter, createWebHistory } from 'vue-router';
 import App from './App.vue';
 import Admin from './Admin.vue';
+import Login from './Login.vue';
+import ArticleReader from './ArticleReader.vue';
+import { getToken } from './api';
 import './index.css';
 
 // Define routes
@@ -13,6 +16,15 @@ const routes = [
     { 
         path: '/admin', 
         component: Admin
+    },
+    {
+        path: '/article/:id',
+        component: ArticleReader
+    },
+    {
+        path: '/login',
+        component: Login,
+        meta: { public: true }
     }
 ];
 
@@ -21,6 +33,13 @@ const router = createRouter({
     routes
 });
 
+// Send visitors without a session to the login page
+router.beforeEach((to) => {
+    if (!to.meta.public && !getToken()) {
+        return '/login';
+    }
+});
+
 // Create app with router
 const app = createApp({
     template: '<router-view></router-view>'
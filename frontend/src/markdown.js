@@ -0,0 +1,45 @@
+/**
+ * Markdown rendering
+ * Extracted article content comes from third-party pages, so the rendered
+ * HTML is sanitized before it is inserted with v-html.
+ */
+
+import { marked } from 'marked';
+import DOMPurify from 'dompurify';
+
+// Links inside article content open in a new tab without access to this page
+DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+  if (node.tagName === 'A' && node.getAttribute('href')) {
+    node.setAttribute('target', '_blank');
+    node.setAttribute('rel', 'noopener noreferrer');
+  }
+});
+
+/**
+ * Render Markdown to sanitized HTML
+ * @param {string} markdown - Markdown source
+ * @returns {string} - Safe HTML
+ */
+export function renderMarkdown(markdown) {
+  if (!markdown) return '';
+  try {
+    return DOMPurify.sanitize(marked.parse(markdown), {
+      FORBID_TAGS: ['style', 'form', 'input', 'button', 'iframe'],
+      FORBID_ATTR: ['style']
+    });
+  } catch (error) {
+    console.error('Error rendering markdown:', error);
+    return '';
+  }
+}
+
+/**
+ * Estimate the reading time of a text
+ * @param {string} text - Article text
+ * @param {number} wordsPerMinute - Reading speed
+ * @returns {number} - Minutes, at least 1
+ */
+export function readingTimeMinutes(text, wordsPerMinute = 230) {
+  const words = (text || '').split(/\s+/).filter(Boolean).length;
+  return Math.max(1, Math.round(words / wordsPerMinute));
+}
@@ -1,14 +1,33 @@
 /**
  * Article Extractor Module
- * 
+ *
  * This module is responsible for extracting the main content from HTML pages.
- * It uses the @extractus/article-extractor package to identify and extract
- * the article content, removing ads, navigation, and other non-content elements.
- * It also converts the extracted HTML content to Markdown format.
+ * It tries a chain of strategies, from the @extractus/article-extractor
+ * package (Readability) to the feed item's own content, JSON-LD articleBody,
+ * the OpenGraph description and site-specific CSS selector rules. Each
+ * result gets a quality score; the first good enough one wins, otherwise the
+ * best one. The extracted HTML content is converted to Markdown format.
  */
 
-import { extract } from '@extractus/article-extractor';
+import { extractFromHtml } from '@extractus/article-extractor';
+import { parseHTML } from 'linkedom';
 import TurndownService from 'turndown';
+import dotenv from 'dotenv';
+import { getExtractionRuleForUrl } from './database.js';
+
+// Load environment variables
+dotenv.config();
+
+// Score from 0 to 1 at which a strategy's result is accepted without trying the next ones
+const EXTRACTION_MIN_QUALITY = parseFloat(process.env.EXTRACTION_MIN_QUALITY || 0.5);
+// Words for an article to count as complete in the quality score
+const FULL_ARTICLE_WORDS = 300;
+
+// Endings of teasers that only lead to the full article
+const TRUNCATED_PATTERN = /(\.\.\.|…|\[…\]|\[\.\.\.\]|read more|continue reading|read the full (story|article))\W*$/i;
+const PAYWALL_PATTERN = /\b(subscribe to (continue|read)|subscribers only|already a subscriber|sign in to (continue|read)|create a free account to continue)\b/i;
+// Elements that never belong in stored content
+const UNWANTED_ELEMENTS = 'script, style, noscript, iframe, form, button, svg, template';
 
 // Initialize turndown for HTML to Markdown conversion
 const turndownService = new TurndownService({
@@ -27,7 +46,7 @@ function convertToMarkdown(htmlContent) {
   if (!htmlContent || typeof htmlContent !== 'string') {
     return '';
   }
-  
+
   try {
     return turndownService.turndown(htmlContent);
   } catch (error) {
@@ -36,51 +55,262 @@ function convertToMarkdown(htmlContent) {
   }
 }
 
+/**
+ * Parse an HTML fragment
+ * @param {string} html - HTML fragment
+ * @returns {Object} - The body element holding the fragment
+ */
+function parseFragment(html) {
+  return parseHTML(`<!DOCTYPE html><html><body>${html}</body></html>`).document.body;
+}
+
+/**
+ * Collapse whitespace in a text
+ * @param {string} text - Text
+ * @returns {string} - Trimmed text with single spaces
+ */
+function normalizeText(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Turn plain text into HTML paragraphs, one per blank-line separated block
+ * @param {string} text - Plain text
+ * @returns {string} - HTML
+ */
+function textToHtml(text) {
+  const escape = value => value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return String(text)
+    .split(/\n\s*\n/)
+    .map(normalizeText)
+    .filter(Boolean)
+    .map(paragraph => `<p>${escape(paragraph)}</p>`)
+    .join('\n');
+}
+
+/**
+ * Remove scripts, embeds and other non-content elements from HTML
+ * @param {string} html - HTML fragment
+ * @returns {string} - Cleaned HTML
+ */
+function cleanHtml(html) {
+  const body = parseFragment(html);
+  body.querySelectorAll(UNWANTED_ELEMENTS).forEach(element => element.remove());
+  return body.innerHTML.trim();
+}
+
+/**
+ * Score how likely extracted content is the complete article
+ * Length counts most, then paragraph structure and a low share of link text.
+ * Teasers ending in "…" or "Read more" and paywall notices score lower.
+ * @param {string} html - Extracted HTML content
+ * @returns {number} - Score from 0 to 1
+ */
+function scoreContent(html) {
+  const body = parseFragment(html);
+  const text = normalizeText(body.textContent);
+  if (!text) return 0;
+
+  const words = text.split(' ').length;
+  const paragraphs = body.querySelectorAll('p').length || 1;
+  const linkChars = body.querySelectorAll('a')
+    .reduce((sum, link) => sum + normalizeText(link.textContent).length, 0);
+  const linkDensity = Math.min(1, linkChars / text.length);
+
+  let score = 0.6 * Math.min(1, words / FULL_ARTICLE_WORDS)
+    + 0.25 * Math.min(1, paragraphs / 4)
+    + 0.15 * (1 - linkDensity);
+  if (TRUNCATED_PATTERN.test(text.slice(-40))) score *= 0.6;
+  if (PAYWALL_PATTERN.test(text)) score *= 0.5;
+
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Whether a CSS selector can be used in an extraction rule
+ * @param {string} selector - CSS selector
+ * @returns {boolean} - True if it parses
+ */
+function isValidSelector(selector) {
+  try {
+    parseFragment('').querySelectorAll(selector);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Parsed document of the fetched page, parsed once and shared by the strategies
+ * @param {Object} context - Extraction context
+ * @returns {Object|null} - Document, or null if no page was fetched
+ */
+function pageDocument(context) {
+  if (!context.html) return null;
+  if (!context.document) {
+    context.document = parseHTML(context.html).document;
+  }
+  return context.document;
+}
+
+/**
+ * Find the longest articleBody in JSON-LD data, which may nest it in @graph or arrays
+ * @param {*} node - Parsed JSON-LD value
+ * @returns {string|null} - Article body text
+ */
+function findArticleBody(node) {
+  if (!node || typeof node !== 'object') return null;
+  const values = Array.isArray(node) ? node : Object.values(node);
+  let best = typeof node.articleBody === 'string' ? node.articleBody : null;
+  values.forEach(value => {
+    const found = findArticleBody(value);
+    if (found && (!best || found.length > best.length)) best = found;
+  });
+  return best;
+}
+
+// Extraction strategies in the order they are tried; each returns { content } with HTML, or null
+const STRATEGIES = [
+  {
+    name: 'readability',
+    async extract(context) {
+      if (!context.html) return null;
+      const extracted = await extractFromHtml(context.html, context.url);
+      if (!extracted) return null;
+      // Title, image, author etc. describe the page whichever strategy wins
+      const { content, ...metadata } = extracted;
+      context.metadata = metadata;
+      return { content };
+    }
+  },
+  {
+    // The feed item's content:encoded (or description), often the full article
+    name: 'feed',
+    async extract(context) {
+      const content = context.article.feedContent;
+      if (!content || typeof content !== 'string') return null;
+      return { content: /<[a-z][^>]*>/i.test(content) ? content : textToHtml(content) };
+    }
+  },
+  {
+    name: 'json-ld',
+    async extract(context) {
+      const document = pageDocument(context);
+      if (!document) return null;
+      let body = null;
+      document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        try {
+          const found = findArticleBody(JSON.parse(script.textContent));
+          if (found && (!body || found.length > body.length)) body = found;
+        } catch (e) {
+          // Sites publish invalid JSON-LD often enough to skip it quietly
+        }
+      });
+      return body ? { content: textToHtml(body) } : null;
+    }
+  },
+  {
+    name: 'opengraph',
+    async extract(context) {
+      const document = pageDocument(context);
+      if (!document) return null;
+      const meta = document.querySelector('meta[property="og:description"]')
+        || document.querySelector('meta[name="twitter:description"]')
+        || document.querySelector('meta[name="description"]');
+      const description = meta?.getAttribute('content');
+      return description ? { content: textToHtml(description) } : null;
+    }
+  },
+  {
+    // CSS selectors configured per domain in the extraction_rules table
+    name: 'site-rule',
+    async extract(context) {
+      const document = pageDocument(context);
+      if (!document) return null;
+      const rule = getExtractionRuleForUrl(context.url);
+      if (!rule) return null;
+
+      const elements = document.querySelectorAll(rule.content_selector);
+      if (rule.remove_selector) {
+        elements.forEach(element => element.querySelectorAll(rule.remove_selector).forEach(unwanted => unwanted.remove()));
+      }
+      const content = elements.map(element => element.outerHTML).join('\n');
+      return content ? { content } : null;
+    }
+  }
+];
+
 /**
  * Extract the main article content from HTML
- * @param {Object} article - Article object with content.html
- * @returns {Promise<Object>} - Article with extracted content added
+ * @param {Object} article - Article object with content.html (the fetched page, may be missing)
+ *                           and feedContent (content of the feed item, if any)
+ * @returns {Promise<Object>} - Article with extracted content added, including the winning
+ *                              strategy and its quality score
  */
 async function extractArticleContent(article) {
+  const context = {
+    article,
+    url: article.content?.url || article.link,
+    html: article.content?.html || null,
+    document: null,
+    metadata: {}
+  };
+
   try {
-    // Skip if there's no HTML content
-    if (!article.content || !article.content.html) {
-      console.warn(`No HTML content to extract for article: ${article.title}`);
+    const candidates = [];
+    for (const strategy of STRATEGIES) {
+      let result;
+      try {
+        result = await strategy.extract(context);
+      } catch (error) {
+        console.warn(`Extraction strategy ${strategy.name} failed for article ${article.title}:`, error.message);
+        continue;
+      }
+      if (!result?.content) continue;
+
+      const content = cleanHtml(result.content);
+      const quality = scoreContent(content);
+      if (quality === 0) continue;
+      candidates.push({ strategy: strategy.name, content, quality });
+      if (quality >= EXTRACTION_MIN_QUALITY) break;
+    }
+
+    if (candidates.length === 0) {
+      const error = context.html ? 'No content found by any extraction strategy' : 'No HTML content available';
+      console.warn(`${error} for article: ${article.title}`);
       return {
         ...article,
         extracted: {
-          error: 'No HTML content available',
+          error,
           extractedAt: new Date().toISOString()
         }
       };
     }
 
-    console.log(`Extracting content from article: ${article.title}`);
-    
-    // Extract the article content
-    const extracted = await extract(article.content.url, {
-      html: article.content.html
-    });
-    
-    // Convert HTML content to Markdown
-    const markdownContent = convertToMarkdown(extracted.content);
-    
-    // Add extraction timestamp and include both HTML and Markdown content
-    const extractedWithMeta = {
-      ...extracted,
-      content: extracted.content, // Original HTML content
-      markdown: markdownContent,  // New Markdown content
-      extractedAt: new Date().toISOString()
-    };
-    
-    // Return the article with extracted content
+    const best = candidates.reduce((winner, candidate) => (candidate.quality > winner.quality ? candidate : winner));
+    console.log(`Extracted content from article: ${article.title} (${best.strategy}, quality ${best.quality})`);
+
+    // Fall back to the page's OpenGraph image when Readability didn't run
+    const image = context.metadata.image
+      || pageDocument(context)?.querySelector('meta[property="og:image"]')?.getAttribute('content')
+      || null;
+
+    // Return the article with extracted content, as HTML and as Markdown
     return {
       ...article,
-      extracted: extractedWithMeta
+      extracted: {
+        ...context.metadata,
+        image,
+        content: best.content,
+        markdown: convertToMarkdown(best.content),
+        strategy: best.strategy,
+        quality: best.quality,
+        extractedAt: new Date().toISOString()
+      }
     };
   } catch (error) {
     console.error(`Error extracting content for article ${article.title}:`, error.message);
-    
+
     // Return the article with error information
     return {
       ...article,
@@ -93,6 +323,8 @@ async function extractArticleContent(article) {
 }
 
 export {
+  EXTRACTION_MIN_QUALITY,
   extractArticleContent,
-  convertToMarkdown
+  convertToMarkdown,
+  isValidSelector
 };
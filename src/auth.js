@@ -0,0 +1,160 @@
+/**
+ * Authentication Module
+ *
+ * Local username/password accounts with bearer session tokens and API keys.
+ * Passwords are hashed with scrypt; session tokens and API keys are random
+ * and only their SHA-256 hash is stored.
+ */
+
+import crypto from 'crypto';
+import 'dotenv/config';
+import {
+    countUsers,
+    getSessionUser,
+    getApiKeyUser
+} from './database.js';
+
+const SESSION_TTL_DAYS = parseFloat(process.env.SESSION_TTL_DAYS || 30);
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION === 'true';
+const API_KEY_PREFIX = 'nfs_';
+const SCRYPT_KEY_LENGTH = 64;
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain-text password
+ * @returns {string} - Hash in the form scrypt$<salt>$<hash>
+ */
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain-text password
+ * @param {string} stored - Hash produced by hashPassword
+ * @returns {boolean} - True if the password matches
+ */
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Hash a session token or API key for lookup
+ * @param {string} token - Token as sent by the client
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Generate a new session token
+ * @returns {Object} - { token, tokenHash, expiresAt }
+ */
+function generateSessionToken() {
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    return { token, tokenHash: hashToken(token), expiresAt };
+}
+
+/**
+ * Generate a new API key
+ * @returns {Object} - { key, keyHash, keyPrefix }
+ */
+function generateApiKey() {
+    const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    return { key, keyHash: hashToken(key), keyPrefix: key.slice(0, API_KEY_PREFIX.length + 6) };
+}
+
+/**
+ * Whether new accounts may be created
+ * The first account can always be registered so a fresh install is usable.
+ * @returns {boolean} - True if registration is open
+ */
+function registrationOpen() {
+    return ALLOW_REGISTRATION || countUsers() === 0;
+}
+
+/**
+ * Whether a string looks like an email address
+ * @param {string} email - Address
+ * @returns {boolean} - True if it has a local part and a domain
+ */
+function isValidEmail(email) {
+    return typeof email === 'string' && email.length <= 254 && /^[^\s@]+@[^\s@]+$/.test(email);
+}
+
+/**
+ * Read the credential from a request
+ * Uses the Authorization: Bearer header; API keys may also be passed as
+ * ?api_key= so feed readers and scripts can use plain URLs.
+ * @param {Object} req - Express request
+ * @returns {string|null} - Token or API key
+ */
+function getRequestToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+
+    const apiKey = req.query.api_key;
+    if (typeof apiKey === 'string' && apiKey.startsWith(API_KEY_PREFIX)) return apiKey;
+
+    return null;
+}
+
+/**
+ * Express middleware that requires a valid session token or API key
+ * Sets req.user and req.authToken on success, responds 401 otherwise.
+ */
+function authenticate(req, res, next) {
+    try {
+        const token = getRequestToken(req);
+        if (!token) {
+            return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        const tokenHash = hashToken(token);
+        const user = token.startsWith(API_KEY_PREFIX) ? getApiKeyUser(tokenHash) : getSessionUser(tokenHash);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired credentials' });
+        }
+
+        req.user = user;
+        req.authToken = token;
+        next();
+    } catch (error) {
+        console.error('Error authenticating request:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+/**
+ * Express middleware that requires an admin account, used after authenticate
+ * Responds 403 for other users.
+ */
+function requireAdmin(req, res, next) {
+    if (!req.user?.is_admin) {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
+export {
+    hashPassword,
+    verifyPassword,
+    hashToken,
+    generateSessionToken,
+    generateApiKey,
+    registrationOpen,
+    isValidEmail,
+    authenticate,
+    requireAdmin,
+    API_KEY_PREFIX
+};
@@ -0,0 +1,391 @@
+/**
+ * Collector Module
+ *
+ * Runs a collection: the due feeds are claimed for the run, fetched, and
+ * every new article they list flows through fetch, extract and store. The
+ * CLI (src/index.js) and the scheduler both run collections through
+ * runCollection, which reports progress as structured events:
+ *
+ *   run_started     { feedCount, pendingCount, trigger, force, resumed, seededFeedCount }
+ *   feed_fetched    { feed, category, url, status, httpStatus, durationMs, queued, known, error }
+ *   article_done    { title, url, status, stage, error, extractError }
+ *   run_cancelling  { }
+ *   run_finished    { status, stats, refreshedUsers, durationMs, error }
+ *
+ * Every event also has type, runId and at (ISO timestamp).
+ */
+
+import { parseOpmlDirectory } from './opmlParser.js';
+import { fetchFeedResult } from './rssFetcher.js';
+import { fetchContent } from './contentFetcher.js';
+import { extractArticleContent } from './articleExtractor.js';
+import { storeArticle } from './storage.js';
+import {
+  listFeeds,
+  importFeeds,
+  getSetting,
+  setSetting,
+  claimFeedsForCollection,
+  renewFeedLocks,
+  releaseFeedLocks,
+  refreshAllRecommendationScores,
+  checkUrlExists,
+  startCollectorRun,
+  claimStaleCollectorRun,
+  addCollectorJobs,
+  getPendingCollectorJobs,
+  finishCollectorJob,
+  saveCollectorRun,
+  saveCollectorFeedResult
+} from './database.js';
+import { createLimiter, createHostLimiter } from './concurrency.js';
+import path from 'path';
+import 'dotenv/config';
+
+// Configuration
+const OPML_DIR = path.join(process.cwd(), 'opml');
+const CONCURRENCY = {
+  FEEDS: parseInt(process.env.COLLECTOR_FEED_CONCURRENCY || 3),      // Feeds fetched at once
+  FETCH: parseInt(process.env.COLLECTOR_FETCH_CONCURRENCY || 8),     // Article pages downloaded at once
+  EXTRACT: parseInt(process.env.COLLECTOR_EXTRACT_CONCURRENCY || 2), // Articles extracted at once
+  STORE: 1 // Stores run one at a time so duplicate checks can't race
+};
+// Requests to the same host (feeds and article pages) in flight at once; their
+// rate is limited by the polite fetch layer
+const PER_HOST_CONCURRENCY = parseInt(process.env.COLLECTOR_PER_HOST_CONCURRENCY || 2);
+// A running run without progress for this long is considered crashed and resumed;
+// its feed locks expire after the same time
+const STALE_RUN_MINUTES = parseFloat(process.env.COLLECTOR_STALE_RUN_MINUTES || 10);
+// How often a run saves its progress, renews its feed locks and checks for a cancel request
+const HEARTBEAT_INTERVAL_MS = 5000;
+
+/**
+ * Import the OPML files as managed feeds, once
+ * Skipped when feeds were added before the first run; either way the feed
+ * list is never seeded again, even after all feeds are deleted.
+ * @returns {Promise<number>} - Number of feeds imported
+ */
+async function seedFeedsFromOpml() {
+  if (getSetting('feeds_seeded_at')) return 0;
+
+  let added = 0;
+  if (listFeeds().length === 0) {
+    const result = importFeeds(await parseOpmlDirectory(OPML_DIR));
+    if (!result.success) return 0;
+    added = result.added;
+  }
+  setSetting('feeds_seeded_at', new Date().toISOString());
+  return added;
+}
+
+/**
+ * Run the collection pipeline for a run
+ * Feeds are fetched as a first stage; every new article they list becomes a
+ * persisted job that flows through fetch, extract and store, each stage with
+ * its own concurrency limit, while the remaining feeds are still being
+ * fetched. Jobs left pending by an interrupted run are processed first.
+ * Once the run is cancelled no new stage starts; jobs that have not been
+ * stored stay pending.
+ * @param {Object} run - Collector run
+ * @param {Array} pending - Jobs left pending by an interrupted run
+ * @param {Array} feeds - Feeds claimed for the run
+ * @param {Object} control - emit(type, data), isCancelled() and saveProgress()
+ * @returns {Promise<void>}
+ */
+async function runPipeline(run, pending, feeds, control) {
+  // Progress accumulates on the run so it survives a failing stage
+  const { stats, errors } = run;
+  const { emit, isCancelled, saveProgress } = control;
+  const limits = {
+    feeds: createLimiter(CONCURRENCY.FEEDS),
+    fetch: createLimiter(CONCURRENCY.FETCH),
+    extract: createLimiter(CONCURRENCY.EXTRACT),
+    store: createLimiter(CONCURRENCY.STORE),
+    host: createHostLimiter(PER_HOST_CONCURRENCY)
+  };
+
+  const recordError = (stage, url, message) => {
+    errors.push({ stage, url, error: message, at: new Date().toISOString() });
+  };
+
+  // Adds the time spent in a stage to its duration counter
+  const timed = async (key, task) => {
+    const startedAt = Date.now();
+    try {
+      return await task();
+    } finally {
+      stats[key] += Date.now() - startedAt;
+    }
+  };
+
+  const processJob = async job => {
+    const { article } = job;
+    let stage = 'fetch';
+    // httpStatus, extractError and articleId, recorded with the job's outcome
+    const details = {};
+    const finish = (status, error = null) => {
+      finishCollectorJob(job.id, status, status === 'failed' ? stage : null, error, details);
+      if (error) recordError(stage, article.link, error);
+      if (details.extractError) recordError('extract', article.link, details.extractError);
+      emit('article_done', {
+        title: article.title,
+        url: article.link,
+        status,
+        stage: status === 'failed' ? stage : null,
+        error,
+        extractError: details.extractError || null
+      });
+    };
+
+    try {
+      if (isCancelled()) return;
+      // The host slot comes first: requests queued behind a busy or rate-limited
+      // host must not hold global fetch slots that other hosts could use
+      const content = await limits.host(article.link, () => limits.fetch(() => {
+        if (isCancelled()) return null;
+        return timed('fetchMs', () => fetchContent(article.link));
+      }));
+      if (!content) return;
+      details.httpStatus = content.statusCode;
+
+      // Stored in the meantime, or a copy of a stored article behind a redirect
+      if (content.skipped) {
+        finish('skipped');
+        return;
+      }
+
+      // Without the page (e.g. blocked by robots.txt) the feed's own content may still do
+      const pageMissing = !content.html || content.error;
+      if (pageMissing && !article.content) {
+        finish('failed', content.error || 'No content');
+        return;
+      }
+
+      stage = 'extract';
+      if (isCancelled()) return;
+      const extractedArticle = await limits.extract(() => timed('extractMs', () => extractArticleContent({
+        ...article,
+        feedContent: article.content,
+        content: pageMissing ? { url: article.link, html: null } : content
+      })));
+      if (pageMissing && extractedArticle.extracted?.error) {
+        finish('failed', content.error || 'No content');
+        return;
+      }
+      // The article is still stored with its feed description
+      details.extractError = extractedArticle.extracted?.error;
+
+      // Remove raw HTML before storage to save space
+      if (extractedArticle.content && extractedArticle.content.html) {
+        delete extractedArticle.content.html;
+      }
+
+      stage = 'store';
+      if (isCancelled()) return;
+      const result = await limits.store(() => timed('storeMs', () => storeArticle(extractedArticle)));
+
+      if (result.success) {
+        details.articleId = result.id;
+        finish('stored');
+      } else if (result.duplicate) {
+        finish('duplicate');
+      } else {
+        finish('failed', result.error);
+      }
+    } catch (error) {
+      finish('failed', error.message);
+    }
+  };
+
+  const jobs = pending.map(processJob);
+
+  await Promise.all(feeds.map(feed => limits.host(feed.xmlUrl, () => limits.feeds(async () => {
+    if (isCancelled()) return;
+
+    const fetchStartedAt = Date.now();
+    const result = await timed('feedsMs', () => fetchFeedResult(feed));
+    const durationMs = Date.now() - fetchStartedAt;
+    stats.feedCount++;
+    if (result.status === 'error') {
+      stats.feedErrorCount++;
+      recordError('feeds', feed.xmlUrl, result.error);
+    }
+
+    // Only articles that aren't stored yet become jobs
+    const fresh = [];
+    let known = 0;
+    for (const article of result.articles) {
+      if (article.link && !(await checkUrlExists(article.link))) {
+        fresh.push(article);
+      } else {
+        known++;
+      }
+    }
+    stats.knownCount += known;
+    const added = addCollectorJobs(run.id, fresh, feed.id);
+    saveCollectorFeedResult(run.id, feed.id, {
+      status: result.status,
+      httpStatus: result.httpStatus,
+      durationMs,
+      itemCount: result.articles.length,
+      queuedCount: added.length,
+      knownCount: known,
+      error: result.error
+    });
+    emit('feed_fetched', {
+      feed: feed.title,
+      category: feed.category,
+      url: feed.xmlUrl,
+      status: result.status,
+      httpStatus: result.httpStatus,
+      durationMs,
+      queued: added.length,
+      known,
+      error: result.error || null
+    });
+    jobs.push(...added.map(processJob));
+    // The jobs are persisted already; keep the feed counters current too
+    saveProgress();
+  }))));
+
+  // Jobs are added while feeds are fetched, so wait for them only after the feed stage
+  await Promise.all(jobs);
+}
+
+/**
+ * Run a collection
+ * Without a run to execute, a run that stopped making progress is resumed,
+ * otherwise a new run is started. The run claims the feeds that are due
+ * and not locked by another run, and releases them when it ends.
+ * @param {Object} [options] - Options
+ * @param {Object} [options.run] - Run to execute, e.g. a queued run claimed by the scheduler
+ * @param {string} [options.trigger] - What starts a new run: 'cli' (default), 'scheduled' or 'manual'
+ * @param {boolean} [options.force] - Fetch every enabled feed of a new run, due or not
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @param {Function} [options.onEvent] - Receives each progress event
+ * @returns {Promise<Object>} - The finished run
+ */
+async function runCollection(options = {}) {
+  const startedAt = Date.now();
+  const seeded = await seedFeedsFromOpml();
+
+  const run = options.run || claimStaleCollectorRun(STALE_RUN_MINUTES) || startCollectorRun({
+    trigger: options.trigger,
+    force: options.force
+  });
+
+  const emit = (type, data = {}) => {
+    if (!options.onEvent) return;
+    try {
+      options.onEvent({ type, runId: run.id, at: new Date().toISOString(), ...data });
+    } catch (error) {
+      console.error(`Error handling collector event ${type}:`, error);
+    }
+  };
+
+  let cancelled = false;
+  const cancel = () => {
+    if (cancelled) return;
+    cancelled = true;
+    emit('run_cancelling');
+  };
+  if (options.signal) {
+    if (options.signal.aborted) cancel();
+    options.signal.addEventListener('abort', cancel, { once: true });
+  }
+
+  const saveProgress = () => {
+    const saved = saveCollectorRun(run.id, run.stats, run.errors);
+    renewFeedLocks(run.id, STALE_RUN_MINUTES);
+    if (saved.cancelRequested) cancel();
+  };
+  const heartbeat = setInterval(() => {
+    try {
+      saveProgress();
+    } catch (error) {
+      console.error(`Error saving progress of collector run ${run.id}:`, error);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+
+  let status = 'completed';
+  let failure = null;
+  try {
+    const pending = getPendingCollectorJobs(run.id);
+    const feeds = claimFeedsForCollection(run.id, { force: run.force, leaseMinutes: STALE_RUN_MINUTES });
+    emit('run_started', {
+      trigger: run.trigger,
+      force: run.force,
+      resumed: run.resumedCount > 0,
+      seededFeedCount: seeded,
+      feedCount: feeds.length,
+      pendingCount: pending.length
+    });
+
+    await runPipeline(run, pending, feeds, { emit, isCancelled: () => cancelled, saveProgress });
+    if (cancelled) status = 'cancelled';
+  } catch (error) {
+    status = 'failed';
+    failure = error;
+    run.errors.push({ stage: 'run', error: error.message, at: new Date().toISOString() });
+  } finally {
+    clearInterval(heartbeat);
+    if (options.signal) options.signal.removeEventListener('abort', cancel);
+  }
+
+  const finished = saveCollectorRun(run.id, run.stats, run.errors, status);
+  releaseFeedLocks(run.id);
+
+  // Rescore recommendations so new articles show up in "For You"
+  const refreshedUsers = finished.stats.storedCount > 0 ? refreshAllRecommendationScores() : 0;
+
+  emit('run_finished', {
+    status,
+    stats: finished.stats,
+    refreshedUsers,
+    durationMs: Date.now() - startedAt,
+    error: failure ? failure.message : null
+  });
+  return finished;
+}
+
+/**
+ * Describe a progress event as a log line
+ * @param {Object} event - Event from runCollection
+ * @returns {string} - Human-readable description
+ */
+function formatCollectorEvent(event) {
+  switch (event.type) {
+    case 'run_started':
+      return `${event.resumed ? 'Resuming' : 'Started'} collector run ${event.runId}: ${event.feedCount} feeds to fetch` +
+        (event.pendingCount > 0 ? `, ${event.pendingCount} articles left pending` : '') +
+        (event.seededFeedCount > 0 ? ` (imported ${event.seededFeedCount} feeds from OPML files)` : '');
+    case 'feed_fetched':
+      if (event.status === 'error') return `Error fetching ${event.feed} [${event.category}]: ${event.error}`;
+      return `Fetched ${event.feed} [${event.category}]: ${event.queued} new, ${event.known} known`;
+    case 'article_done':
+      if (event.status === 'failed') return `Error in ${event.stage} stage for ${event.url}: ${event.error}`;
+      if (event.status === 'stored' && event.extractError) return `Stored article without extracted content (${event.extractError}): ${event.title}`;
+      if (event.status === 'stored') return `Stored article: ${event.title}`;
+      return `Skipping duplicate article: ${event.title}`;
+    case 'run_cancelling':
+      return `Cancelling collector run ${event.runId}, waiting for running stages to finish`;
+    case 'run_finished': {
+      const { stats } = event;
+      return `Collector run ${event.runId} ${event.status} in ${(event.durationMs / 1000).toFixed(1)}s: ` +
+        `fetched ${stats.feedCount} feeds (${stats.feedErrorCount} failed), queued ${stats.articleCount} new articles, ` +
+        `stored ${stats.storedCount}, skipped ${stats.duplicateCount} duplicates and ${stats.knownCount} known articles` +
+        (stats.errorCount > 0 ? `, failed to process ${stats.errorCount}` : '') +
+        (event.refreshedUsers > 0 ? `; refreshed recommendations for ${event.refreshedUsers} users` : '') +
+        (event.error ? ` (${event.error})` : '');
+    }
+    default:
+      return `Collector event ${event.type}`;
+  }
+}
+
+export {
+  STALE_RUN_MINUTES,
+  seedFeedsFromOpml,
+  runCollection,
+  formatCollectorEvent
+};
@@ -0,0 +1,142 @@
+/**
+ * Concurrency Module
+ *
+ * Small helpers for bounding how much work runs at once: a limiter that runs
+ * at most N tasks concurrently, a per-host limiter built on it, and a token
+ * bucket that bounds the rate at which requests start.
+ */
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at once
+ * @param {number} concurrency - Maximum number of running tasks
+ * @returns {Function} - limit(task): runs the async task when a slot is free and resolves with its result
+ */
+function createLimiter(concurrency) {
+  const max = Math.max(1, concurrency);
+  const queue = [];
+  let active = 0;
+
+  const next = () => {
+    if (active >= max || queue.length === 0) return;
+    active++;
+    const { task, resolve, reject } = queue.shift();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return task => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * Host name of a URL, used to group requests
+ * @param {string} url - URL
+ * @returns {string} - Lowercase host, or the URL itself if it can't be parsed
+ */
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return String(url);
+  }
+}
+
+/**
+ * Create a limiter that bounds concurrent requests per host
+ * @param {number} concurrency - Maximum concurrent requests to one host
+ * @returns {Function} - limit(url, task): runs the async task within the URL host's limit
+ */
+function createHostLimiter(concurrency) {
+  const hosts = new Map();
+
+  return (url, task) => {
+    const host = hostOf(url);
+    if (!hosts.has(host)) {
+      hosts.set(host, createLimiter(concurrency));
+    }
+    return hosts.get(host)(task);
+  };
+}
+
+/**
+ * Create a token bucket: requests start at a sustained rate, with short bursts
+ * @param {number} ratePerSecond - Tokens added per second
+ * @param {number} capacity - Most tokens the bucket holds, i.e. the longest burst
+ * @returns {Object} - take() resolves when a token is available (callers are served in order),
+ *                     pauseUntil(time) holds every request until a timestamp,
+ *                     setRate(ratePerSecond) changes the sustained rate
+ */
+function createTokenBucket(ratePerSecond, capacity) {
+  const burst = Math.max(1, capacity);
+  let rate = ratePerSecond;
+  let tokens = burst;
+  let updatedAt = Date.now();
+  let pausedUntil = 0;
+  let queue = Promise.resolve();
+
+  const refill = () => {
+    const now = Date.now();
+    if (now <= updatedAt) return;
+    tokens = Math.min(burst, tokens + ((now - updatedAt) / 1000) * rate);
+    updatedAt = now;
+  };
+
+  const take = () => {
+    const turn = queue.then(async () => {
+      for (;;) {
+        if (pausedUntil > Date.now()) {
+          await sleep(pausedUntil - Date.now());
+          continue;
+        }
+        refill();
+        if (tokens >= 1) {
+          tokens -= 1;
+          return;
+        }
+        await sleep(Math.ceil(((1 - tokens) / rate) * 1000));
+      }
+    });
+    queue = turn.catch(() => {});
+    return turn;
+  };
+
+  return {
+    take,
+    pauseUntil(time) {
+      refill();
+      pausedUntil = Math.max(pausedUntil, time);
+      // Tokens keep accruing during the pause, but at most one request starts when it ends
+      const resumeAt = Math.max(updatedAt, pausedUntil);
+      tokens = Math.min(1, tokens + ((resumeAt - updatedAt) / 1000) * rate);
+      updatedAt = resumeAt;
+    },
+    setRate(ratePerSecond) {
+      refill();
+      rate = ratePerSecond;
+    }
+  };
+}
+
+export {
+  sleep,
+  hostOf,
+  createLimiter,
+  createHostLimiter,
+  createTokenBucket
+};
@@ -2,31 +2,29 @@
  * Content Fetcher Module
  * 
  * This module is responsible for fetching HTML content from article URLs.
- * It handles HTTP requests, error handling, and rate limiting to avoid
- * overwhelming target servers.
+ * Requests go through the polite fetch layer, which checks robots.txt,
+ * rate limits per host and retries transient failures.
  */
 
-import axios from 'axios';
 import { checkUrlExists } from './database.js';
+import { resolveCanonicalUrl } from './urlCanonicalizer.js';
+import { politeGet } from './politeFetcher.js';
 
-// Configure axios defaults
-const httpClient = axios.create({
+const REQUEST_CONFIG = {
   timeout: 15000, // 15 seconds timeout
   headers: {
-    'User-Agent': 'NewsCollector/1.0.0 (https://github.com/yourusername/news-collector)',
     'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
     'Accept-Language': 'en-US,en;q=0.5'
-  },
-  maxRedirects: 5
-});
+  }
+};
 
 /**
  * Fetch HTML content from a URL
  * @param {string} url - The URL to fetch content from
- * @param {number} retries - Number of retry attempts (default: 1)
- * @returns {Promise<Object>} - Object containing HTML content and metadata
+ * @returns {Promise<Object>} - Object containing HTML content and metadata, including the
+ *   final URL after redirects and the canonical URL used for deduplication
  */
-async function fetchContent(url, retries = 0) {
+async function fetchContent(url) {
   try {
     // Check if the URL already exists in the database
     const exists = await checkUrlExists(url);
@@ -44,22 +42,44 @@ async function fetchContent(url, retries = 0) {
     console.log(`Fetching content from: ${url}`);
     
     // Make the HTTP request
-    const response = await httpClient.get(url);
+    const response = await politeGet(url, REQUEST_CONFIG);
+    const finalUrl = response.request.res.responseUrl || url; // Final URL after redirects
+    
+    // The page's declared canonical URL wins over redirect targets such as AMP pages, if it is plausible
+    const canonicalUrl = resolveCanonicalUrl(response.data, finalUrl);
+    
+    // Feed proxies and shorteners only reveal the article URL after the redirect
+    if (canonicalUrl && await checkUrlExists(canonicalUrl)) {
+      console.log(`Canonical URL already exists in database, skipping: ${canonicalUrl} (from ${url})`);
+      return {
+        url: finalUrl,
+        canonicalUrl,
+        html: null,
+        statusCode: 304, // Not Modified
+        skipped: true,
+        fetchedAt: new Date().toISOString()
+      };
+    }
     
     return {
-      url: response.request.res.responseUrl || url, // Final URL after redirects
+      url: finalUrl,
+      canonicalUrl,
       html: response.data,
       statusCode: response.status,
       headers: response.headers,
       fetchedAt: new Date().toISOString()
     };
   } catch (error) {
-    // Handle retries
-    if (retries > 0) {
-      console.warn(`Retry attempt for ${url}, ${retries} attempts remaining`);
-      // Wait before retrying (exponential backoff)
-      await new Promise(resolve => setTimeout(resolve, 1000 * (3 - retries)));
-      return fetchContent(url, retries - 1);
+    if (error.code === 'ROBOTS_DISALLOWED') {
+      console.warn(error.message);
+      return {
+        url: url,
+        html: null,
+        statusCode: 0,
+        robotsBlocked: true,
+        error: error.message,
+        fetchedAt: new Date().toISOString()
+      };
     }
     
     console.error(`Error fetching content from ${url}:`, error.message);
@@ -7,8 +7,21 @@
 
 import Database from 'better-sqlite3';
 import path from 'path';
-import { promises as fs } from 'fs';
-import { extractArticleKeywords } from './keywordExtractor.js';
+import { mkdirSync } from 'fs';
+import crypto from 'crypto';
+import { runMigrations, getSchemaVersion } from './migrator.js';
+import { getEmbeddingModelId, vectorToBuffer, bufferToVector, normalizeVector, dotProduct } from './embeddings.js';
+import {
+    computeMinHash,
+    titleWords,
+    compareStories,
+    signatureBands,
+    signatureToBuffer,
+    bufferToSignature,
+    MIN_SHARED_TITLE_WORDS
+} from './storyClustering.js';
+import { canonicalizeUrl } from './urlCanonicalizer.js';
+import { rerankRecommendations } from './recommendationReranker.js';
 import 'dotenv/config';
 
 // Read scoring weights from environment variables or use defaults
@@ -19,17 +32,67 @@ const RECENCY_WEIGHT = parseFloat(process.env.RECENCY_WEIGHT || 0.2);
 const INTERACTION_DECAY_DAYS = parseFloat(process.env.INTERACTION_DECAY_DAYS || 30);
 const KEYWORD_PROFILE_MIN_WEIGHT = parseFloat(process.env.KEYWORD_PROFILE_MIN_WEIGHT || 0.2);
 const VIEW_FATIGUE_FACTOR = parseFloat(process.env.VIEW_FATIGUE_FACTOR || 0.2);
+const SEMANTIC_WEIGHT = parseFloat(process.env.SEMANTIC_WEIGHT || 2.0);
 
 // Read interaction weights from environment variables or use defaults
 const THUMBS_UP_WEIGHT = parseFloat(process.env.THUMBS_UP_WEIGHT || 5.0);
 const THUMBS_DOWN_WEIGHT = parseFloat(process.env.THUMBS_DOWN_WEIGHT || -3.0);
 const CLICK_WEIGHT = parseFloat(process.env.CLICK_WEIGHT || 1.0);
+const READ_WEIGHT = parseFloat(process.env.READ_WEIGHT || 2.0);
+const READ_COMPLETE_WEIGHT = parseFloat(process.env.READ_COMPLETE_WEIGHT || 3.0);
+const QUICK_BOUNCE_WEIGHT = parseFloat(process.env.QUICK_BOUNCE_WEIGHT || -1.0);
+
+// Base weight of each interaction type, before time decay
+const INTERACTION_TYPE_WEIGHTS = {
+    thumbs_up: THUMBS_UP_WEIGHT,
+    thumbs_down: THUMBS_DOWN_WEIGHT,
+    click: CLICK_WEIGHT,
+    read: READ_WEIGHT,
+    read_complete: READ_COMPLETE_WEIGHT,
+    quick_bounce: QUICK_BOUNCE_WEIGHT
+};
+const INTERACTION_TYPES = Object.keys(INTERACTION_TYPE_WEIGHTS);
+
+// Dwell time and scroll depth thresholds for implicit feedback
+const QUICK_BOUNCE_MAX_SECONDS = parseFloat(process.env.QUICK_BOUNCE_MAX_SECONDS || 10);
+const READ_COMPLETE_MIN_SCROLL_DEPTH = parseFloat(process.env.READ_COMPLETE_MIN_SCROLL_DEPTH || 0.9);
+const READ_COMPLETE_MIN_TIME_FRACTION = parseFloat(process.env.READ_COMPLETE_MIN_TIME_FRACTION || 0.5);
+const READING_WORDS_PER_MINUTE = 230;
 
 // Read "Just in" BOOST parameters from environment variables or use defaults
 const JUST_IN_BOOST_WEIGHT = parseFloat(process.env.JUST_IN_BOOST_WEIGHT || 5.0);
 const JUST_IN_MIN_KEYWORD_MATCHES = parseInt(process.env.JUST_IN_MIN_KEYWORD_MATCHES || 2);
 const JUST_IN_MAX_VIEWS = parseInt(process.env.JUST_IN_MAX_VIEWS || 5);
 
+// Recommendation candidates and snapshot lifetime
+const RECOMMENDATION_WINDOW_DAYS = parseFloat(process.env.RECOMMENDATION_WINDOW_DAYS || 14);
+const RECOMMENDATION_SNAPSHOT_TTL_MINUTES = parseFloat(process.env.RECOMMENDATION_SNAPSHOT_TTL_MINUTES || 120);
+const RECOMMENDATION_FALLBACK_LIMIT = 500;
+
+// How far back semantic search for similar articles looks
+const SIMILAR_ARTICLES_WINDOW_DAYS = parseFloat(process.env.SIMILAR_ARTICLES_WINDOW_DAYS || 90);
+
+// Weights used by scoreArticle, keyed by their environment variable; the
+// evaluation harness overrides them to try other configurations
+const SCORING_WEIGHTS = {
+    KEYWORD_MATCH_WEIGHT,
+    CATEGORY_WEIGHT,
+    SOURCE_WEIGHT,
+    RECENCY_WEIGHT,
+    VIEW_FATIGUE_FACTOR,
+    SEMANTIC_WEIGHT,
+    JUST_IN_BOOST_WEIGHT,
+    JUST_IN_MIN_KEYWORD_MATCHES,
+    JUST_IN_MAX_VIEWS
+};
+
+// New articles are only clustered with articles stored within this window
+const CLUSTER_WINDOW_DAYS = parseFloat(process.env.CLUSTER_WINDOW_DAYS || 3);
+
+// What user rules can target and what they do
+const USER_RULE_KINDS = ['keyword', 'source', 'category'];
+const USER_RULE_ACTIONS = ['mute', 'boost'];
+
 const DB_FILE = path.join(process.cwd(), 'storage', 'news.db');
 
 let db;
@@ -50,59 +113,34 @@ function normalizeDate(dateStr) {
 }
 
 /**
- * Initialize the database connection and create tables if they don't exist
+ * Initialize the database connection and apply pending schema migrations
+ * @returns {Database} - The open database connection
  */
-async function initializeDatabase() {
+function initializeDatabase() {
+    if (db) return db;
+
     // Ensure storage directory exists
     const dbDir = path.dirname(DB_FILE);
-    await fs.mkdir(dbDir, { recursive: true });
+    mkdirSync(dbDir, { recursive: true });
     
     db = new Database(DB_FILE);
     
     // Enable foreign keys
     db.pragma('foreign_keys = ON');
 
-    // Create articles table with normalized datetime fields
-    db.exec(`
-        CREATE TABLE IF NOT EXISTS articles (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            guid TEXT UNIQUE,
-            title TEXT NOT NULL,
-            link TEXT,
-            description TEXT,
-            content TEXT,
-            extracted_content TEXT,
-            image_url TEXT,
-            feed_title TEXT NOT NULL,
-            feed_url TEXT,
-            feed_category TEXT NOT NULL,
-            published_at TEXT,  -- Store in ISO 8601 format
-            author TEXT,
-            stored_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),  -- Store in ISO 8601 format
-            metadata JSON,
-            keywords JSON
-        );
-
-        CREATE TABLE IF NOT EXISTS article_interactions (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            article_id INTEGER NOT NULL,
-            interaction_type TEXT NOT NULL, -- 'click', 'thumbs_up', 'thumbs_down'
-            created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
-            FOREIGN KEY(article_id) REFERENCES articles(id)
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_articles_feed ON articles(feed_title, published_at);
-        CREATE INDEX IF NOT EXISTS idx_articles_category ON articles(feed_category, published_at);
-        CREATE INDEX IF NOT EXISTS idx_articles_stored ON articles(stored_at);
-        CREATE INDEX IF NOT EXISTS idx_article_interactions ON article_interactions(article_id, interaction_type);
-        CREATE INDEX IF NOT EXISTS idx_articles_keywords ON articles(keywords);
-    `);
+    // Bring the schema up to date (see src/migrations/)
+    const applied = runMigrations(db);
+    if (applied.length > 0) {
+        console.log(`Applied ${applied.length} migration(s), schema is now at version ${getSchemaVersion(db)}`);
+    }
 
     return db;
 }
 
 /**
  * Store an article in the database
+ * Keywords are not extracted here: the article is stored with keywords_status
+ * 'pending' and a job is queued for the keyword worker (src/keywordWorker.js).
  * @param {Object} article - Article object to store
  * @returns {Promise<Object>} - Result with status and article id
  */
@@ -112,46 +150,81 @@ async function storeArticle(article) {
 
         const stmt = db.prepare(`
             INSERT INTO articles (
-                guid, title, link, description, content, extracted_content,
+                guid, title, link, canonical_url, description, content, extracted_content,
                 image_url, feed_title, feed_url, feed_category, published_at, 
-                author, metadata, keywords
+                author, metadata, extraction_strategy, extraction_quality, keywords, keywords_status
             ) VALUES (
-                ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?
+                ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, '[]', 'pending'
             )
         `);
 
+        // Prefer the URL the fetched page declared or redirected to over the feed link
+        const canonicalUrl = article.content?.canonicalUrl || canonicalizeUrl(article.link) || canonicalizeUrl(article.guid);
+
         // Get image URL from extracted data if available
         const imageUrl = article.extracted?.image || null;
 
         // Normalize the published date to ISO 8601
         const publishedAt = normalizeDate(article.pubDate);
 
-        // Extract keywords from article content (now async)
-        const keywords = await extractArticleKeywords(article);
-
-        const result = stmt.run(
-            article.guid || null,
-            article.title,
-            article.link || null,
-            article.description || null,
-            article.content?.text || null,
-            article.extracted?.markdown || article.extracted?.content || null, // Store markdown if available, fallback to HTML
-            imageUrl,
-            article.feedTitle,
-            article.feedUrl || null,
-            article.feedCategory,
-            publishedAt,
-            article.author || null,
-            JSON.stringify(article._storage || {}),
-            JSON.stringify(keywords)
-        );
+        const result = db.transaction(() => {
+            const existing = canonicalUrl && db.prepare('SELECT id FROM articles WHERE canonical_url = ?').get(canonicalUrl);
+            if (existing) return { duplicateOf: existing.id };
+
+            const inserted = stmt.run(
+                article.guid || null,
+                article.title,
+                article.link || null,
+                canonicalUrl,
+                article.description || null,
+                article.content?.text || null,
+                article.extracted?.markdown || article.extracted?.content || null, // Store markdown if available, fallback to HTML
+                imageUrl,
+                article.feedTitle,
+                article.feedUrl || null,
+                article.feedCategory,
+                publishedAt,
+                article.author || null,
+                JSON.stringify(article._storage || {}),
+                article.extracted?.strategy || null,
+                article.extracted?.quality ?? null
+            );
+
+            // Queue keyword extraction for the background worker
+            db.prepare(`
+                INSERT INTO keyword_jobs (article_id, next_attempt_at, created_at)
+                VALUES (?, ?, ?)
+            `).run(inserted.lastInsertRowid, new Date().toISOString(), new Date().toISOString());
+
+            // Group the article with earlier coverage of the same story
+            const clusterId = assignStoryCluster(
+                inserted.lastInsertRowid,
+                article.title,
+                article.extracted?.markdown || article.extracted?.content || article.description
+            );
+
+            return { id: inserted.lastInsertRowid, clusterId };
+        })();
+
+        if (result.duplicateOf) {
+            console.log(`Article "${article.title}" is already stored as article ${result.duplicateOf} (${canonicalUrl})`);
+            return {
+                success: false,
+                duplicate: true,
+                id: result.duplicateOf,
+                error: 'Article already stored',
+                article
+            };
+        }
 
         return {
             success: true,
-            id: result.lastInsertRowid,
+            id: result.id,
             article: {
                 ...article,
-                keywords
+                keywords: [],
+                keywordsStatus: 'pending',
+                clusterId: result.clusterId
             }
         };
     } catch (error) {
@@ -164,19 +237,173 @@ async function storeArticle(article) {
     }
 }
 
+/**
+ * Compute an article's MinHash signature and add it to the cluster of the
+ * most similar earlier article covering the same story, if any
+ * Only earlier articles that share an LSH band of the signature or enough
+ * title words are compared (see storyClustering.js).
+ * @param {number} articleId - ID of the stored article
+ * @param {string} title - Article title
+ * @param {string} text - Article content
+ * @param {Date} [storedAt=new Date()] - When the article was stored; earlier articles within CLUSTER_WINDOW_DAYS are compared
+ * @returns {number|null} - Cluster ID, or null if the story is new
+ */
+function assignStoryCluster(articleId, title, text, storedAt = new Date()) {
+    const signature = computeMinHash(`${title || ''}\n${text || ''}`);
+    const story = { signature, titleWords: titleWords(title) };
+    const candidateIds = new Set();
+
+    // Articles are stored in ID order, so the window is an ID range
+    const since = new Date(storedAt.getTime() - CLUSTER_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const firstId = db.prepare('SELECT MIN(id) as id FROM articles WHERE stored_at >= ?').get(since).id ?? articleId;
+
+    if (signature) {
+        db.prepare('INSERT OR REPLACE INTO article_signatures (article_id, minhash) VALUES (?, ?)')
+            .run(articleId, signatureToBuffer(signature));
+
+        const findBand = db.prepare('SELECT article_id FROM article_signature_bands WHERE band = ? AND hash = ? AND article_id >= ? AND article_id < ?');
+        const insertBand = db.prepare('INSERT OR IGNORE INTO article_signature_bands (band, hash, article_id) VALUES (?, ?, ?)');
+        signatureBands(signature).forEach((hash, band) => {
+            findBand.all(band, hash, firstId, articleId).forEach(row => candidateIds.add(row.article_id));
+            insertBand.run(band, hash, articleId);
+        });
+    }
+
+    const words = [...story.titleWords];
+    if (words.length >= MIN_SHARED_TITLE_WORDS) {
+        db.prepare(`
+            SELECT article_id
+            FROM article_title_words
+            WHERE word IN (${words.map(() => '?').join(', ')}) AND article_id >= ? AND article_id < ?
+            GROUP BY article_id
+            HAVING COUNT(*) >= ?
+        `).all(...words, firstId, articleId, MIN_SHARED_TITLE_WORDS).forEach(row => candidateIds.add(row.article_id));
+    }
+    const insertWord = db.prepare('INSERT OR IGNORE INTO article_title_words (word, article_id) VALUES (?, ?)');
+    words.forEach(word => insertWord.run(word, articleId));
+
+    if (candidateIds.size === 0) return null;
+
+    const ids = [...candidateIds];
+    const candidates = db.prepare(`
+        SELECT a.id, a.title, a.cluster_id, s.minhash
+        FROM articles a
+        LEFT JOIN article_signatures s ON s.article_id = a.id
+        WHERE a.id IN (${ids.map(() => '?').join(', ')}) AND a.stored_at >= ?
+    `).all(...ids, since);
+
+    let best = null;
+    candidates.forEach(candidate => {
+        const result = compareStories(story, {
+            signature: bufferToSignature(candidate.minhash),
+            titleWords: titleWords(candidate.title)
+        });
+        if (result.duplicate && (!best || result.similarity > best.similarity)) {
+            best = { ...candidate, similarity: result.similarity };
+        }
+    });
+
+    if (!best) return null;
+
+    let clusterId = best.cluster_id;
+    if (!clusterId) {
+        clusterId = db.prepare('INSERT INTO story_clusters (lead_article_id) VALUES (?)').run(best.id).lastInsertRowid;
+        db.prepare('UPDATE articles SET cluster_id = ? WHERE id = ?').run(clusterId, best.id);
+    }
+
+    db.prepare('UPDATE articles SET cluster_id = ? WHERE id = ?').run(clusterId, articleId);
+    db.prepare(`
+        UPDATE story_clusters
+        SET article_count = article_count + 1, updated_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now')
+        WHERE id = ?
+    `).run(clusterId);
+
+    console.log(`Article ${articleId} "${title}" joins story cluster ${clusterId} (similarity ${best.similarity.toFixed(2)} with article ${best.id})`);
+    return clusterId;
+}
+
+/**
+ * Recluster every article from scratch, in the order they were stored
+ * Backfills clusters for articles stored before clustering existed, and
+ * applies changed clustering thresholds.
+ * @returns {Object} - Numbers of articles processed and clusters found
+ */
+function rebuildStoryClusters() {
+    if (!db) initializeDatabase();
+
+    const articles = db.prepare(`
+        SELECT id, title, COALESCE(extracted_content, description) as text, stored_at
+        FROM articles
+        ORDER BY id
+    `).all();
+
+    db.transaction(() => {
+        db.prepare('UPDATE articles SET cluster_id = NULL WHERE cluster_id IS NOT NULL').run();
+        db.prepare('DELETE FROM story_clusters').run();
+        db.prepare('DELETE FROM article_signatures').run();
+        db.prepare('DELETE FROM article_signature_bands').run();
+        db.prepare('DELETE FROM article_title_words').run();
+
+        // Each article is only compared with articles stored before it, as at store time
+        articles.forEach(article => {
+            assignStoryCluster(article.id, article.title, article.text, new Date(article.stored_at));
+        });
+    })();
+
+    const { clusters } = db.prepare('SELECT COUNT(*) as clusters FROM story_clusters').get();
+    return { processed: articles.length, clusters };
+}
+
+/**
+ * Attach the other articles of each article's story cluster
+ * @param {Array} articles - Articles with cluster_id
+ * @returns {Array} - Articles with cluster_size and also_covered_by ({ id, title, link, feed_title, published_at })
+ */
+function attachClusterMembers(articles) {
+    const clusterIds = [...new Set(articles.map(article => article.cluster_id).filter(Boolean))];
+    if (clusterIds.length === 0) return articles;
+
+    const placeholders = clusterIds.map(() => '?').join(', ');
+    const members = db.prepare(`
+        SELECT id, title, link, feed_title, published_at, cluster_id
+        FROM articles
+        WHERE cluster_id IN (${placeholders})
+        ORDER BY published_at
+    `).all(...clusterIds);
+
+    const membersByCluster = new Map();
+    members.forEach(member => {
+        if (!membersByCluster.has(member.cluster_id)) membersByCluster.set(member.cluster_id, []);
+        membersByCluster.get(member.cluster_id).push(member);
+    });
+
+    return articles.map(article => {
+        if (!article.cluster_id) return article;
+        const clusterMembers = membersByCluster.get(article.cluster_id) || [];
+        return {
+            ...article,
+            cluster_size: clusterMembers.length,
+            also_covered_by: clusterMembers
+                .filter(member => member.id !== article.id)
+                .map(({ cluster_id, ...member }) => member)
+        };
+    });
+}
+
 /**
  * Create a summary of articles stored in a specific time period
  * @param {string} category - Category name
- * @param {string} dateStr - Date string (YYYY-MM-DD)
+ * @param {string} dateStr - Start of the period (YYYY-MM-DD or a full timestamp)
+ * @param {number} [days=1] - Length of the period in days
  * @returns {Object} - Metadata about stored articles
  */
-function createMetadata(category, dateStr) {
+function createMetadata(category, dateStr, days = 1) {
     try {
         if (!db) initializeDatabase();
 
         const startDate = new Date(dateStr);
         const endDate = new Date(dateStr);
-        endDate.setDate(endDate.getDate() + 1);
+        endDate.setDate(endDate.getDate() + days);
 
         const results = db.prepare(`
             SELECT 
@@ -194,6 +421,7 @@ function createMetadata(category, dateStr) {
             metadata: {
                 category,
                 date: dateStr,
+                days,
                 createdAt: new Date().toISOString(),
                 totalArticles: results.totalArticles,
                 sourceCount: results.sourceCount,
@@ -210,21 +438,53 @@ function createMetadata(category, dateStr) {
 }
 
 /**
- * Build a user preference profile based on interactions with time decay
- * @returns {Object} - User preference profile with weighted keywords, categories, and sources
+ * Base profile weight of an interaction type
+ * @param {string} type - Interaction type
+ * @returns {number} - Weight before time decay
  */
-function buildKeywordProfile() {
-    console.log('Building user preference profile based on interactions...');
-    
-    if (!db) initializeDatabase();
-    
+function interactionTypeWeight(type) {
+    return INTERACTION_TYPE_WEIGHTS[type] ?? 0;
+}
+
+/**
+ * SQL expression for the base weight of an interaction type
+ * @param {string} column - Column holding the interaction type
+ * @returns {string} - CASE expression
+ */
+function interactionTypeWeightSql(column) {
+    const cases = Object.entries(INTERACTION_TYPE_WEIGHTS)
+        .map(([type, weight]) => `WHEN ${column} = '${type}' THEN ${weight}`)
+        .join(' ');
+    return `(CASE ${cases} ELSE 0 END)`;
+}
+
+/**
+ * Time-decayed profile weight of one interaction
+ * @param {string} type - Interaction type
+ * @param {string} createdAt - When the interaction happened
+ * @param {Date} now - Reference time for the decay
+ * @returns {number} - Decayed weight
+ */
+function decayedInteractionWeight(type, createdAt, now) {
+    const daysSinceInteraction = (now - new Date(createdAt)) / (1000 * 60 * 60 * 24);
+    return interactionTypeWeight(type) * Math.exp(-daysSinceInteraction / INTERACTION_DECAY_DAYS);
+}
+
+/**
+ * Compute profile weights from scratch by replaying a user's interactions
+ * @param {number|null} userId - User whose interactions to use
+ * @param {Date} now - Reference time for the decay
+ * @param {Object} [options] - until (only replay interactions before this time) and quiet (no logging)
+ * @returns {Object} - Maps of keyword, source and category weights plus the interaction count
+ */
+function computeProfileWeights(userId, now, options = {}) {
     const profile = {
         keywords: new Map(),  // keyword -> weight
         sources: new Map(),   // source -> weight
         categories: new Map() // category -> weight
     };
     
-    // Get all interactions with time decay, prioritizing more recent interactions
+    // Replay interactions in order, the keyword clamp below depends on it
     const interactions = db.prepare(`
         SELECT 
             a.id, 
@@ -237,27 +497,21 @@ function buildKeywordProfile() {
             article_interactions ai
         JOIN 
             articles a ON ai.article_id = a.id
-    `).all();
+        WHERE
+            ai.user_id IS ? AND (? IS NULL OR ai.created_at < ?)
+        ORDER BY
+            ai.created_at, ai.id
+    `).all(userId, options.until ?? null, options.until ?? null);
     
-    console.log(`Processing ${interactions.length} interactions for user profile...`);
+    if (!options.quiet) {
+        console.log(`Processing ${interactions.length} interactions for user profile...`);
+    }
     
     // Process each interaction
     interactions.forEach(interaction => {
         try {
             // Apply time decay - more recent interactions count more
-            const interactionDate = new Date(interaction.created_at);
-            const daysSinceInteraction = (Date.now() - interactionDate) / (1000 * 60 * 60 * 24);
-            const decayFactor = Math.exp(-daysSinceInteraction / INTERACTION_DECAY_DAYS); // 30-day half-life
-            
-            // Set base weight based on interaction type
-            let baseWeight = 0;
-            switch (interaction.interaction_type) {
-                case 'thumbs_up': baseWeight = THUMBS_UP_WEIGHT; break;
-                case 'thumbs_down': baseWeight = THUMBS_DOWN_WEIGHT; break;
-                case 'click': baseWeight = CLICK_WEIGHT; break;
-            }
-            
-            const weight = baseWeight * decayFactor;
+            const weight = decayedInteractionWeight(interaction.interaction_type, interaction.created_at, now);
             
             // Add source weight
             const sourceWeight = profile.sources.get(interaction.feed_title) || 0;
@@ -289,24 +543,178 @@ function buildKeywordProfile() {
         }
     });
     
-    // Convert Maps to sorted arrays for easier handling and debugging
-    const sortMapByWeight = map => 
-        [...map.entries()]
-            .sort((a, b) => b[1] - a[1])
-            .map(([name, weight]) => ({ name, weight }))
-            .filter(item => item.weight >= KEYWORD_PROFILE_MIN_WEIGHT);
-    
-    const result = {
-        keywords: sortMapByWeight(profile.keywords),
-        sources: sortMapByWeight(profile.sources),
-        categories: sortMapByWeight(profile.categories)
-    };
+    return { profile, interactionCount: interactions.length };
+}
+
+/**
+ * Rebuild a user's cached profile from all of their interactions
+ * @param {number} userId - User ID
+ */
+function rebuildUserProfile(userId) {
+    const now = new Date();
+    const nowIso = now.toISOString();
+    const { profile, interactionCount } = computeProfileWeights(userId, now);
+    
+    const insertWeight = db.prepare(`
+        INSERT INTO user_profile_weights (user_id, kind, name, weight, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+    `);
+    
+    db.transaction(() => {
+        db.prepare('DELETE FROM user_profile_weights WHERE user_id = ?').run(userId);
+        
+        for (const [kind, weights] of [['keyword', profile.keywords], ['source', profile.sources], ['category', profile.categories]]) {
+            for (const [name, weight] of weights) {
+                if (name === null || name === undefined) continue;
+                insertWeight.run(userId, kind, name, weight, nowIso);
+            }
+        }
+        
+        db.prepare(`
+            INSERT INTO user_profiles (user_id, stale, interaction_count, built_at, updated_at)
+            VALUES (?, 0, ?, ?, ?)
+            ON CONFLICT(user_id) DO UPDATE SET
+                stale = 0,
+                interaction_count = excluded.interaction_count,
+                built_at = excluded.built_at,
+                updated_at = excluded.updated_at
+        `).run(userId, interactionCount, nowIso, nowIso);
+    })();
+}
+
+/**
+ * Add a new interaction to a user's cached profile
+ * Stored weights are decayed up to now before the interaction's weight is
+ * added, which gives the same result as a full rebuild. Profiles that don't
+ * exist yet or are stale are left alone; they are rebuilt on the next read.
+ * Must run inside the transaction that records the interaction.
+ * @param {number} userId - User ID
+ * @param {Object} article - Article with keywords, feed_title and feed_category
+ * @param {string} type - Interaction type
+ */
+function applyInteractionToProfile(userId, article, type) {
+    const state = db.prepare('SELECT stale FROM user_profiles WHERE user_id = ?').get(userId);
+    if (!state || state.stale) return;
+    
+    const weight = interactionTypeWeight(type);
+    const nowIso = new Date().toISOString();
+    
+    const upsertWeight = db.prepare(`
+        INSERT INTO user_profile_weights (user_id, kind, name, weight, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(user_id, kind, name) DO UPDATE SET
+            weight = weight * EXP(-(julianday(excluded.updated_at) - julianday(updated_at)) / ${INTERACTION_DECAY_DAYS}.0) + excluded.weight,
+            updated_at = excluded.updated_at
+    `);
+    
+    if (article.feed_title != null) upsertWeight.run(userId, 'source', article.feed_title, weight, nowIso);
+    if (article.feed_category != null) upsertWeight.run(userId, 'category', article.feed_category, weight, nowIso);
+    
+    let keywords = [];
+    try {
+        keywords = JSON.parse(article.keywords || '[]');
+    } catch (e) {
+        console.error(`Error parsing keywords for article ${article.id}:`, e);
+    }
+    
+    // Same clamp as a full rebuild: keywords at or below zero are dropped
+    const dropKeyword = db.prepare(`
+        DELETE FROM user_profile_weights
+        WHERE user_id = ? AND kind = 'keyword' AND name = ? AND weight <= 0
+    `);
+    keywords.forEach(keyword => {
+        upsertWeight.run(userId, 'keyword', keyword, weight, nowIso);
+        dropKeyword.run(userId, keyword);
+    });
+    
+    db.prepare(`
+        UPDATE user_profiles
+        SET interaction_count = interaction_count + 1, updated_at = ?
+        WHERE user_id = ?
+    `).run(nowIso, userId);
+}
+
+/**
+ * Mark cached profiles as stale so they are rebuilt on their next read
+ * Needed whenever the keywords of already interacted-with articles change.
+ * @param {Array<number>} [userIds] - Users to invalidate; all users when omitted
+ * @returns {number} - Number of profiles invalidated
+ */
+function invalidateUserProfiles(userIds) {
+    if (!db) initializeDatabase();
+    
+    if (userIds === undefined) {
+        return db.prepare('UPDATE user_profiles SET stale = 1').run().changes;
+    }
+    if (userIds.length === 0) return 0;
+    
+    const placeholders = userIds.map(() => '?').join(', ');
+    return db.prepare(`UPDATE user_profiles SET stale = 1 WHERE user_id IN (${placeholders})`).run(...userIds).changes;
+}
+
+/**
+ * Get a user preference profile with time decay
+ * Profiles of signed-in users are read from the cache and decayed to the
+ * current time; the cache is rebuilt from the interactions when it is
+ * missing or stale. With asOf, the profile the user had at that time is
+ * replayed from the interactions before it, bypassing the cache.
+ * @param {number|null} userId - User whose interactions to use
+ * @param {Object} [options] - asOf (Date to build the profile for) and quiet (no logging)
+ * @returns {Object} - User preference profile with weighted keywords, categories, sources and active rules
+ */
+function buildKeywordProfile(userId = null, options = {}) {
+    if (!db) initializeDatabase();
+    
+    let result;
+    if (userId === null || options.asOf) {
+        // Interactions recorded before user accounts existed aren't cached
+        const { profile } = computeProfileWeights(userId, options.asOf || new Date(), {
+            until: options.asOf ? options.asOf.toISOString() : null,
+            quiet: options.quiet
+        });
+        
+        // Convert Maps to sorted arrays for easier handling and debugging
+        const sortMapByWeight = map => 
+            [...map.entries()]
+                .sort((a, b) => b[1] - a[1])
+                .map(([name, weight]) => ({ name, weight }))
+                .filter(item => item.weight >= KEYWORD_PROFILE_MIN_WEIGHT);
+        
+        result = {
+            keywords: sortMapByWeight(profile.keywords),
+            sources: sortMapByWeight(profile.sources),
+            categories: sortMapByWeight(profile.categories)
+        };
+    } else {
+        const state = db.prepare('SELECT stale FROM user_profiles WHERE user_id = ?').get(userId);
+        if (!state || state.stale) {
+            console.log(`Rebuilding cached preference profile for user ${userId}...`);
+            rebuildUserProfile(userId);
+        }
+        
+        const weights = db.prepare(`
+            SELECT kind, name, weight
+            FROM (
+                SELECT kind, name, weight * EXP(-(julianday('now') - julianday(updated_at)) / ${INTERACTION_DECAY_DAYS}.0) as weight
+                FROM user_profile_weights
+                WHERE user_id = ?
+            )
+            WHERE weight >= ?
+            ORDER BY weight DESC
+        `).all(userId, KEYWORD_PROFILE_MIN_WEIGHT);
+        
+        result = { keywords: [], sources: [], categories: [] };
+        const lists = { keyword: result.keywords, source: result.sources, category: result.categories };
+        weights.forEach(({ kind, name, weight }) => lists[kind].push({ name, weight }));
+    }
+    
+    // Explicit rules override what was learned from interactions
+    result.rules = userId === null ? [] : getActiveUserRules(userId, options.asOf);
+    
+    if (options.quiet) return result;
     
     // Log profile summary
-    console.log('User profile built successfully:');
-    console.log(`- ${result.keywords.length} keywords`);
-    console.log(`- ${result.sources.length} sources`);
-    console.log(`- ${result.categories.length} categories`);
+    console.log(`User ${userId} profile: ${result.keywords.length} keywords, ${result.sources.length} sources, ${result.categories.length} categories`);
     
     if (result.keywords.length > 0) {
         console.log('Top keywords:');
@@ -314,12 +722,6 @@ function buildKeywordProfile() {
             console.log(`  "${k.name}" (${k.weight.toFixed(2)})`));
     }
     
-    if (result.categories.length > 0) {
-        console.log('Category preferences:');
-        result.categories.forEach(c => 
-            console.log(`  "${c.name}" (${c.weight.toFixed(2)})`));
-    }
-    
     return result;
 }
 
@@ -327,11 +729,15 @@ function buildKeywordProfile() {
  * Calculate similarity score between an article and user profile
  * @param {Object} article - The article to score
  * @param {Object} profile - User preference profile
+ * @param {Object} [options] - weights (overrides for SCORING_WEIGHTS), now (reference time for recency) and quiet (no debug logging)
  * @returns {Object} - Various component scores and total score
  */
-function scoreArticle(article, profile) {
+function scoreArticle(article, profile, options = {}) {
     if (!article || !profile) return { totalScore: 0 };
     
+    const weights = options.weights ? { ...SCORING_WEIGHTS, ...options.weights } : SCORING_WEIGHTS;
+    const now = options.now || new Date();
+    
     // Create maps from arrays for faster lookups
     const keywordMap = new Map(profile.keywords.map(k => [k.name, k.weight]));
     const sourceMap = new Map(profile.sources.map(s => [s.name, s.weight]));
@@ -354,28 +760,28 @@ function scoreArticle(article, profile) {
         }
         
         // Apply KEYWORD_MATCH_WEIGHT to get the weighted score for display
-        keywordScore = keywordScore * KEYWORD_MATCH_WEIGHT;
+        keywordScore = keywordScore * weights.KEYWORD_MATCH_WEIGHT;
     } catch (e) {
         console.error(`Error parsing keywords for article ${article.id}:`, e);
     }
     
     // 2. Source score with weight applied for display
-    const sourceScore = (sourceMap.get(article.feed_title) || 0) * SOURCE_WEIGHT;
+    const sourceScore = (sourceMap.get(article.feed_title) || 0) * weights.SOURCE_WEIGHT;
     
     // 3. Category score with weight applied for display
-    const categoryScore = (categoryMap.get(article.feed_category) || 0) * CATEGORY_WEIGHT;
+    const categoryScore = (categoryMap.get(article.feed_category) || 0) * weights.CATEGORY_WEIGHT;
     
     // 4. Recency score 
     let recencyScore = 0;
     try {
         const publishDate = new Date(article.published_at);
-        const daysSincePublished = (Date.now() - publishDate) / (1000 * 60 * 60 * 24);
+        const daysSincePublished = (now - publishDate) / (1000 * 60 * 60 * 24);
         
         // Calculate base recency score using 7-day half-life
         const baseRecencyScore = Math.exp(-daysSincePublished / 7);
         
         // Apply weight to raw recency score for better visibility in logs/debugging
-        recencyScore = baseRecencyScore * RECENCY_WEIGHT;
+        recencyScore = baseRecencyScore * weights.RECENCY_WEIGHT;
     } catch (e) {
         console.error(`Error calculating recency for article ${article.id}:`, e);
     }
@@ -398,30 +804,31 @@ function scoreArticle(article, profile) {
         
         // Apply the boost if the article has been viewed less than the max views
         // and has at least the minimum number of keyword matches
-        if (viewCount < JUST_IN_MAX_VIEWS && keywordMatchCount >= JUST_IN_MIN_KEYWORD_MATCHES) {
+        if (viewCount < weights.JUST_IN_MAX_VIEWS && keywordMatchCount >= weights.JUST_IN_MIN_KEYWORD_MATCHES) {
             // Linear decay based on view count
-            const viewDecayFactor = 1 - (viewCount / JUST_IN_MAX_VIEWS);
-            justInBoost = JUST_IN_BOOST_WEIGHT * viewDecayFactor;
+            const viewDecayFactor = 1 - (viewCount / weights.JUST_IN_MAX_VIEWS);
+            justInBoost = weights.JUST_IN_BOOST_WEIGHT * viewDecayFactor;
             
             // Log when an article gets boosted for debugging
-            if (justInBoost > 0) {
-                console.log(`Article ${article.id} "${article.title}" received "Just in" BOOST of ${justInBoost.toFixed(2)} (${keywordMatchCount} keyword matches, ${viewCount}/${JUST_IN_MAX_VIEWS} views)`);
+            if (justInBoost > 0 && !options.quiet) {
+                console.log(`Article ${article.id} "${article.title}" received "Just in" BOOST of ${justInBoost.toFixed(2)} (${keywordMatchCount} keyword matches, ${viewCount}/${weights.JUST_IN_MAX_VIEWS} views)`);
             }
         }
     } catch (e) {
         console.error(`Error calculating "Just in" BOOST for article ${article.id}:`, e);
     }
     
-    // 7. View fatigue score - applies a penalty for articles that have been viewed multiple times
+    // 7. View fatigue score - applies a penalty for articles that have been viewed multiple times,
+    // including views of other articles covering the same story
     let viewFatigueScore = 0;
     try {
-        const viewCount = article.view_count || 0;
+        const viewCount = (article.view_count || 0) + (article.cluster_fatigue_count || 0);
         if (viewCount > 0) {
             // Apply increasing penalty based on view count
-            viewFatigueScore = -Math.pow(viewCount, 1.5) * VIEW_FATIGUE_FACTOR;
+            viewFatigueScore = -Math.pow(viewCount, 1.5) * weights.VIEW_FATIGUE_FACTOR;
             
             // Log significant fatigue penalties for debugging
-            if (viewFatigueScore < -1) {
+            if (viewFatigueScore < -1 && !options.quiet) {
                 console.log(`Article ${article.id} "${article.title}" received view fatigue penalty of ${viewFatigueScore.toFixed(2)} (${viewCount} views)`);
             }
         }
@@ -429,8 +836,26 @@ function scoreArticle(article, profile) {
         console.error(`Error calculating view fatigue for article ${article.id}:`, e);
     }
     
+    // 8. Semantic score - cosine similarity between the article and the profile embedding
+    let semanticScore = 0;
+    if (article.embedding && profile.embedding) {
+        semanticScore = dotProduct(article.embedding, profile.embedding) * weights.SEMANTIC_WEIGHT;
+    }
+    
+    // 9. User rules - muted articles are flagged for the caller to drop, boosts add their amount
+    let ruleBoost = 0;
+    let muted = false;
+    (profile.rules || []).forEach(rule => {
+        if (!articleMatchesRule(article, rule)) return;
+        if (rule.action === 'mute') {
+            muted = true;
+        } else {
+            ruleBoost += rule.amount;
+        }
+    });
+    
     // Calculate total score - now add the components directly since weights are already applied
-    const totalScore = keywordScore + sourceScore + categoryScore + recencyScore + interactionScore + justInBoost + viewFatigueScore;
+    const totalScore = keywordScore + sourceScore + categoryScore + recencyScore + interactionScore + justInBoost + viewFatigueScore + semanticScore + ruleBoost;
     
     return {
         keywordScore,
@@ -440,14 +865,132 @@ function scoreArticle(article, profile) {
         interactionScore,
         justInBoost,
         viewFatigueScore,
+        semanticScore,
+        ruleBoost,
+        muted,
         keywordMatchCount,
         totalScore
     };
 }
 
+/**
+ * Whether a user rule applies to an article
+ * @param {Object} article - Article with keywords, feed_title and feed_category
+ * @param {Object} rule - Rule with kind and value
+ * @returns {boolean} - True if the rule's keyword, source or category matches
+ */
+function articleMatchesRule(article, rule) {
+    if (rule.kind === 'source') return article.feed_title === rule.value;
+    if (rule.kind === 'category') return article.feed_category === rule.value;
+    try {
+        return JSON.parse(article.keywords || '[]').includes(rule.value);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * SQL expression for the time-decayed weight of one interaction row, aliased `ai`
+ * @param {Date} [asOf] - Reference time for the decay; now when omitted
+ * @returns {string} - Expression over interaction_type and created_at
+ */
+function decayedInteractionWeightSql(asOf) {
+    const reference = asOf ? `'${asOf.toISOString()}'` : `'now'`;
+    return `${interactionTypeWeightSql('ai.interaction_type')} * EXP(-(julianday(${reference}) - julianday(ai.created_at))/${INTERACTION_DECAY_DAYS}.0)`;
+}
+
+/**
+ * SQL expression for a user's time-decayed direct interaction score with article `a`
+ * Binds one parameter: the user ID.
+ * @returns {string} - Correlated subquery
+ */
+function directInteractionScoreSql() {
+    return `(
+                    SELECT COALESCE(SUM(${decayedInteractionWeightSql()}), 0)
+                    FROM article_interactions ai
+                    WHERE ai.article_id = a.id AND ai.user_id IS ?
+                )`;
+}
+
+/**
+ * SQL expression for how often a user has seen article `a`
+ * Aliased as view_count after a.*, so it replaces the global articles.view_count.
+ * Binds one parameter: the user ID.
+ * @returns {string} - Correlated subquery
+ */
+function userViewCountSql() {
+    return `COALESCE((SELECT av.view_count FROM article_views av WHERE av.article_id = a.id AND av.user_id = ?), 0)`;
+}
+
+/**
+ * SQL condition excluding articles muted by one of a user's active rules
+ * Binds two parameters: the user ID and the current time.
+ * @param {string} [alias='a'] - Alias of the articles table to filter
+ * @returns {string} - NOT EXISTS condition
+ */
+function mutedArticleSql(alias = 'a') {
+    return `NOT EXISTS (
+                SELECT 1 FROM user_rules r
+                WHERE r.user_id = ? AND r.action = 'mute' AND r.expires_at > ?
+                AND (
+                    (r.kind = 'source' AND r.value = ${alias}.feed_title)
+                    OR (r.kind = 'category' AND r.value = ${alias}.feed_category)
+                    OR (r.kind = 'keyword' AND EXISTS (
+                        SELECT 1 FROM json_each(CASE WHEN json_valid(${alias}.keywords) THEN ${alias}.keywords ELSE '[]' END)
+                        WHERE json_each.value = r.value
+                    ))
+                )
+            )`;
+}
+
+/**
+ * Build SQL conditions for the article filters shared by listing and search
+ * @param {Object} options - Filter options (category, feedTitle, keyword, dateFrom, dateTo)
+ * @param {string} [alias='a'] - Alias of the articles table to filter
+ * @returns {Object} - WHERE clause fragment (prefixed with AND) and its parameters
+ */
+function buildArticleFilters(options = {}, alias = 'a') {
+    let whereClause = '';
+    const params = [];
+    
+    if (options.category) {
+        whereClause += ` AND ${alias}.feed_category = ?`;
+        params.push(options.category);
+    }
+
+    if (options.feedTitle) {
+        whereClause += ` AND ${alias}.feed_title = ?`;
+        params.push(options.feedTitle);
+    }
+
+    if (options.keyword) {
+        // Stored keywords are lowercase (see migration 005)
+        whereClause += ` AND EXISTS (
+            SELECT 1 FROM json_each(CASE WHEN json_valid(${alias}.keywords) THEN ${alias}.keywords ELSE '[]' END)
+            WHERE json_each.value = ?
+        )`;
+        params.push(String(options.keyword).toLowerCase());
+    }
+
+    if (options.dateFrom) {
+        whereClause += ` AND ${alias}.stored_at >= ?`;
+        params.push(new Date(options.dateFrom).toISOString());
+    }
+
+    if (options.dateTo) {
+        whereClause += ` AND ${alias}.stored_at < ?`;
+        params.push(new Date(options.dateTo).toISOString());
+    }
+
+    return { whereClause, params };
+}
+
 /**
  * Get articles with optional filtering
- * @param {Object} options - Filter options (category, feedTitle, dateFrom, dateTo, limit, offset, sort)
+ * Articles covering the same story are collapsed to the first one stored,
+ * unless a single feed is requested or collapseClusters is false. Articles
+ * muted by the user's rules are left out.
+ * @param {Object} options - Filter options (category, feedTitle, keyword, dateFrom, dateTo, limit, offset, sort, userId, collapseClusters)
  * @returns {Array} - Array of articles
  */
 async function getArticles(options = {}) {
@@ -463,48 +1006,34 @@ async function getArticles(options = {}) {
         const limit = options.limit ? parseInt(options.limit) : 50;
         const offset = options.offset ? parseInt(options.offset) : 0;
         
-        // Basic query to get articles with direct interaction scores
+        // Basic query to get articles with the user's direct interaction scores and view counts
         const query = `
             SELECT 
                 a.*,
-                (
-                    SELECT COALESCE(SUM(
-                        CASE 
-                            WHEN interaction_type = 'thumbs_up' THEN ${THUMBS_UP_WEIGHT} * EXP(-(julianday('now') - julianday(created_at))/${INTERACTION_DECAY_DAYS}.0)
-                            WHEN interaction_type = 'thumbs_down' THEN ${THUMBS_DOWN_WEIGHT} * EXP(-(julianday('now') - julianday(created_at))/${INTERACTION_DECAY_DAYS}.0)
-                            WHEN interaction_type = 'click' THEN ${CLICK_WEIGHT} * EXP(-(julianday('now') - julianday(created_at))/${INTERACTION_DECAY_DAYS}.0)
-                            ELSE 0 
-                        END
-                    ), 0)
-                    FROM article_interactions ai
-                    WHERE ai.article_id = a.id
-                ) as direct_interaction_score
+                ${directInteractionScoreSql()} as direct_interaction_score,
+                ${userViewCountSql()} as view_count
             FROM articles a
             WHERE 1=1
         `;
+        const userId = options.userId ?? null;
 
         // Add WHERE clause conditions
-        let whereClause = '';
-        const params = [];
-        
-        if (options.category) {
-            whereClause += ' AND a.feed_category = ?';
-            params.push(options.category);
-        }
+        let { whereClause, params } = buildArticleFilters(options);
 
-        if (options.feedTitle) {
-            whereClause += ' AND a.feed_title = ?';
-            params.push(options.feedTitle);
+        // Hide later coverage of a story when its first article also matches the filters
+        if (!options.feedTitle && options.collapseClusters !== false) {
+            const member = buildArticleFilters(options, 'm');
+            whereClause += `
+                AND NOT EXISTS (
+                    SELECT 1 FROM articles m
+                    WHERE a.cluster_id IS NOT NULL AND m.cluster_id = a.cluster_id AND m.id < a.id${member.whereClause}
+                )`;
+            params = [...params, ...member.params];
         }
-
-        if (options.dateFrom) {
-            whereClause += ' AND a.stored_at >= ?';
-            params.push(new Date(options.dateFrom).toISOString());
-        }
-
-        if (options.dateTo) {
-            whereClause += ' AND a.stored_at < ?';
-            params.push(new Date(options.dateTo).toISOString());
+        
+        if (userId !== null) {
+            whereClause += ` AND ${mutedArticleSql()}`;
+            params.push(userId, new Date().toISOString());
         }
         
         // Finalize the query with sorting and pagination
@@ -516,7 +1045,7 @@ async function getArticles(options = {}) {
         
         // Execute the query
         const stmt = db.prepare(finalQuery);
-        const results = stmt.all(...params);
+        const results = attachClusterMembers(stmt.all(userId, userId, ...params));
         
         console.log(`Retrieved ${results.length} articles`);
         
@@ -526,7 +1055,7 @@ async function getArticles(options = {}) {
         }
         
         // For recommendations, apply the keyword profile scoring
-        const profile = buildKeywordProfile();
+        const profile = buildKeywordProfile(userId);
         
         // Score each article based on user profile
         const scoredArticles = results.map(article => {
@@ -537,6 +1066,7 @@ async function getArticles(options = {}) {
                 source_score: scores.sourceScore,
                 category_score: scores.categoryScore,
                 recency_score: scores.recencyScore,
+                rule_boost: scores.ruleBoost,
                 final_score: scores.totalScore
             };
         });
@@ -560,17 +1090,122 @@ async function getArticles(options = {}) {
     }
 }
 
+/**
+ * Get a single article with the user's view count, latest rating and the
+ * other coverage of its story
+ * @param {number} articleId - Article ID
+ * @param {number|null} userId - User ID
+ * @returns {Object|null} - Article with view_count, user_rating (thumbs_up, thumbs_down or null) and also_covered_by, or null if not found
+ */
+function getArticle(articleId, userId = null) {
+    if (!db) initializeDatabase();
+
+    const article = db.prepare(`
+        SELECT 
+            a.*,
+            ${userViewCountSql()} as view_count,
+            (
+                SELECT ai.interaction_type FROM article_interactions ai
+                WHERE ai.article_id = a.id AND ai.user_id IS ? AND ai.interaction_type IN ('thumbs_up', 'thumbs_down')
+                ORDER BY ai.created_at DESC, ai.id DESC
+                LIMIT 1
+            ) as user_rating
+        FROM articles a
+        WHERE a.id = ?
+    `).get(userId, userId, articleId);
+
+    return article ? attachClusterMembers([article])[0] : null;
+}
+
+/**
+ * Turn free-form user input into a safe FTS5 query
+ * Each word is quoted so FTS5 operators and punctuation can't cause syntax
+ * errors; the last word is treated as a prefix to support search-as-you-type.
+ * @param {string} input - Raw search input
+ * @returns {string|null} - FTS5 MATCH expression or null if nothing to search
+ */
+function buildFtsQuery(input) {
+    const terms = String(input || '')
+        .split(/\s+/)
+        .map(term => term.replace(/"/g, '').trim())
+        .filter(Boolean);
+
+    if (terms.length === 0) return null;
+
+    return terms
+        .map((term, index) => index === terms.length - 1 ? `"${term}"*` : `"${term}"`)
+        .join(' ');
+}
+
+/**
+ * Full-text search over stored articles, ranked by BM25
+ * Articles muted by the user's rules are left out.
+ * @param {Object} options - Search options (q, category, feedTitle, dateFrom, dateTo, limit, offset, userId)
+ * @returns {Array} - Matching articles with search_snippet, search_title and search_rank
+ */
+function searchArticles(options = {}) {
+    try {
+        console.log('Searching articles with options:', JSON.stringify(options));
+        
+        if (!db) initializeDatabase();
+
+        const matchQuery = buildFtsQuery(options.q);
+        if (!matchQuery) return [];
+
+        const limit = options.limit ? parseInt(options.limit) : 50;
+        const offset = options.offset ? parseInt(options.offset) : 0;
+        let { whereClause, params } = buildArticleFilters(options);
+
+        const userId = options.userId ?? null;
+        if (userId !== null) {
+            whereClause += ` AND ${mutedArticleSql()}`;
+            params.push(userId, new Date().toISOString());
+        }
+
+        // Highlights are marked with control characters rather than HTML so
+        // the caller can escape article text before inserting <mark> tags.
+        // BM25 column weights: title, description, extracted_content, keywords
+        const results = db.prepare(`
+            SELECT 
+                a.*,
+                highlight(articles_fts, 0, char(2), char(3)) as search_title,
+                snippet(articles_fts, 2, char(2), char(3), '…', 32) as search_snippet,
+                bm25(articles_fts, 10.0, 4.0, 1.0, 6.0) as search_rank
+            FROM articles_fts
+            JOIN articles a ON a.id = articles_fts.rowid
+            WHERE articles_fts MATCH ?
+            ${whereClause}
+            ORDER BY search_rank
+            LIMIT ? OFFSET ?
+        `).all(matchQuery, ...params, limit, offset);
+
+        console.log(`Found ${results.length} articles matching "${options.q}"`);
+        
+        return results;
+    } catch (error) {
+        console.error('Error searching articles:', error);
+        return [];
+    }
+}
+
 /**
  * Track user interaction with an article
  * @param {number} articleId - ID of the article
- * @param {string} type - Type of interaction ('click', 'thumbs_up', 'thumbs_down')
+ * @param {string} type - Type of interaction (one of INTERACTION_TYPES)
+ * @param {number|null} userId - User who interacted
+ * @param {Object} [details={}] - Extra data stored in the interaction metadata
  */
-function trackInteraction(articleId, type) {
+function trackInteraction(articleId, type, userId = null, details = {}) {
     try {
         if (!db) initializeDatabase();
         
-        // Get the article's current view count to check if it's still in "Just in" BOOST phase
-        const article = db.prepare('SELECT view_count FROM articles WHERE id = ?').get(articleId);
+        // Get how often this user has seen the article to check if it's still in "Just in" BOOST phase
+        const article = db.prepare(`
+            SELECT a.id, a.keywords, a.feed_title, a.feed_category, COALESCE(av.view_count, 0) as view_count
+            FROM articles a
+            LEFT JOIN article_views av ON av.article_id = a.id AND av.user_id = ?
+            WHERE a.id = ?
+        `).get(userId, articleId);
         
         // Determine if the article is currently boosted (view count less than max views)
         const isBoosted = article && article.view_count < JUST_IN_MAX_VIEWS;
@@ -585,18 +1220,26 @@ function trackInteraction(articleId, type) {
         
         // Store the interaction with type and bonus info in metadata
         const stmt = db.prepare(`
-            INSERT INTO article_interactions (article_id, interaction_type, metadata)
-            VALUES (?, ?, ?)
+            INSERT INTO article_interactions (article_id, interaction_type, metadata, user_id)
+            VALUES (?, ?, ?, ?)
         `);
         
         // Store metadata about the interaction
         const metadata = JSON.stringify({
+            ...details,
             boosted: isBoosted,
             multiplier: interactionMultiplier,
             viewCount: article ? article.view_count : null
         });
         
-        stmt.run(articleId, type, metadata);
+        db.transaction(() => {
+            stmt.run(articleId, type, metadata, userId);
+            
+            // Keep the cached profile current instead of rebuilding it on the next read
+            if (article && userId !== null) {
+                applyInteractionToProfile(userId, article, type);
+            }
+        })();
         return { success: true };
     } catch (error) {
         console.error('Error tracking interaction:', error);
@@ -605,104 +1248,683 @@ function trackInteraction(articleId, type) {
 }
 
 /**
- * Get personalized article recommendations
- * @param {Object} options - Filter options (limit, offset)
- * @returns {Array} - Array of recommended articles
+ * Build a user's profile embedding
+ * Weighted mean of the embeddings of articles the user interacted with, using
+ * the same time-decayed interaction weights as the keyword profile, so thumbs
+ * down pushes the profile away from an article.
+ * @param {number} userId - User ID
+ * @param {string} model - Embedding model ID
+ * @param {Date} [asOf] - Build the embedding from the interactions before this time instead
+ * @returns {Float32Array|null} - Unit vector, or null without embedded interactions
  */
-function getRecommendedArticles(options = {}) {
-    try {
-        console.log('Getting recommended articles with options:', JSON.stringify(options));
-        
-        if (!db) {
-            console.log('Initializing database for recommendations...');
-            initializeDatabase();
-        }
-
-        const limit = options.limit ? parseInt(options.limit) : 30;
-        const offset = options.offset ? parseInt(options.offset) : 0;
+function buildProfileEmbedding(userId, model, asOf) {
+    if (!db) initializeDatabase();
+    
+    const until = asOf ? asOf.toISOString() : null;
+    const rows = db.prepare(`
+        SELECT e.vector, SUM(${decayedInteractionWeightSql(asOf)}) as weight
+        FROM article_interactions ai
+        JOIN article_embeddings e ON e.article_id = ai.article_id AND e.model = ?
+        WHERE ai.user_id IS ? AND (? IS NULL OR ai.created_at < ?)
+        GROUP BY ai.article_id
+    `).all(model, userId, until, until);
+    
+    let profileVector = null;
+    rows.forEach(row => {
+        if (!row.weight) return;
+        const vector = bufferToVector(row.vector);
+        if (!profileVector) profileVector = new Float32Array(vector.length);
+        if (vector.length !== profileVector.length) return;
+        for (let i = 0; i < vector.length; i++) profileVector[i] += vector[i] * row.weight;
+    });
+    
+    return profileVector ? normalizeVector(profileVector) : null;
+}
+
+/**
+ * Load the embeddings of articles published since a given time
+ * @param {string} model - Embedding model ID
+ * @param {Date} since - Earliest publication date
+ * @returns {Map<number, Float32Array>} - Article ID to unit vector
+ */
+function getArticleEmbeddings(model, since) {
+    if (!db) initializeDatabase();
+    
+    const embeddings = new Map();
+    db.prepare(`
+        SELECT e.article_id, e.vector
+        FROM article_embeddings e
+        JOIN articles a ON a.id = e.article_id
+        WHERE e.model = ? AND a.published_at > ?
+    `).all(model, since.toISOString())
+        .forEach(row => embeddings.set(row.article_id, bufferToVector(row.vector)));
+    return embeddings;
+}
+
+/**
+ * Recompute and store a user's recommendation scores
+ * Scores every article from the last RECOMMENDATION_WINDOW_DAYS days against
+ * the user's profile. Runs in the background after fetch runs, keyword
+ * batches and interaction batches rather than per request, and right away
+ * when the user's rules change. Articles muted by a rule are not stored.
+ * @param {number} userId - User ID
+ * @returns {Object} - Result with the number of scored articles
+ */
+function refreshRecommendationScores(userId) {
+    try {
+        if (!db) initializeDatabase();
         
-        // Build user profile from interactions
-        const profile = buildKeywordProfile();
-        if (!profile || profile.keywords.length === 0) {
-            console.log('No user profile or empty profile, falling back to recency-based recommendations');
-            // If no profile, return recent articles
-            const stmt = db.prepare(`
-                SELECT * FROM articles 
-                ORDER BY published_at DESC 
-                LIMIT ? OFFSET ?
-            `);
-            return stmt.all(limit, offset);
-        }
+        const startedAt = Date.now();
+        const profile = buildKeywordProfile(userId);
         
-        console.log('Getting articles for recommendation scoring...');
+        const since = new Date();
+        since.setDate(since.getDate() - RECOMMENDATION_WINDOW_DAYS);
         
-        // Get articles from the last 14 days for scoring
-        const twoWeeksAgo = new Date();
-        twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
+        // Semantic scoring needs both a profile embedding and article embeddings
+        const model = getEmbeddingModelId();
+        let articleEmbeddings = new Map();
+        if (model) {
+            profile.embedding = buildProfileEmbedding(userId, model);
+            if (profile.embedding) {
+                articleEmbeddings = getArticleEmbeddings(model, since);
+            }
+        }
         
         const articles = db.prepare(`
             SELECT 
-                a.*,
-                (
-                    SELECT COALESCE(SUM(
-                        CASE 
-                            WHEN interaction_type = 'thumbs_up' THEN ${THUMBS_UP_WEIGHT} * EXP(-(julianday('now') - julianday(created_at))/${INTERACTION_DECAY_DAYS}.0)
-                            WHEN interaction_type = 'thumbs_down' THEN ${THUMBS_DOWN_WEIGHT} * EXP(-(julianday('now') - julianday(created_at))/${INTERACTION_DECAY_DAYS}.0)
-                            WHEN interaction_type = 'click' THEN ${CLICK_WEIGHT} * EXP(-(julianday('now') - julianday(created_at))/${INTERACTION_DECAY_DAYS}.0)
-                            ELSE 0 
-                        END
-                    ), 0)
-                    FROM article_interactions ai
-                    WHERE ai.article_id = a.id
-                ) as direct_interaction_score
+                a.id, a.title, a.keywords, a.feed_title, a.feed_category, a.published_at, a.cluster_id,
+                ${directInteractionScoreSql()} as direct_interaction_score,
+                ${userViewCountSql()} as view_count
             FROM articles a
             WHERE a.published_at > ?
-            ORDER BY a.published_at DESC
-        `).all(twoWeeksAgo.toISOString());
+        `).all(userId, userId, since.toISOString());
         
-        console.log(`Retrieved ${articles.length} articles for scoring`);
+        // Seeing or acting on one version of a story counts towards fatigue for the others
+        const clusterActivity = new Map();
+        const articleActivity = new Map();
+        db.prepare(`
+            SELECT m.id, m.cluster_id, SUM(x.n) as activity
+            FROM (
+                SELECT article_id, view_count as n FROM article_views WHERE user_id = ?
+                UNION ALL
+                SELECT article_id, 1 as n FROM article_interactions WHERE user_id = ?
+            ) x
+            JOIN articles m ON m.id = x.article_id
+            WHERE m.cluster_id IS NOT NULL
+            GROUP BY m.id
+        `).all(userId, userId).forEach(row => {
+            articleActivity.set(row.id, row.activity);
+            clusterActivity.set(row.cluster_id, (clusterActivity.get(row.cluster_id) || 0) + row.activity);
+        });
         
-        // Score each article using the user profile
-        const scoredArticles = articles.map(article => {
-            const scores = scoreArticle(article, profile);
+        const computedAt = new Date().toISOString();
+        let scoredCount = 0;
+        const insertScore = db.prepare(`
+            INSERT INTO recommendation_scores (user_id, article_id, final_score, scores, computed_at)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+        
+        db.transaction(() => {
+            db.prepare('DELETE FROM recommendation_scores WHERE user_id = ?').run(userId);
+            
+            articles.forEach(article => {
+                article.embedding = articleEmbeddings.get(article.id);
+                if (article.cluster_id) {
+                    article.cluster_fatigue_count = (clusterActivity.get(article.cluster_id) || 0) - (articleActivity.get(article.id) || 0);
+                }
+                const scores = scoreArticle(article, profile);
+                if (scores.muted) return;
+                scoredCount++;
+                insertScore.run(userId, article.id, scores.totalScore, JSON.stringify({
+                    keyword_score: scores.keywordScore,
+                    source_score: scores.sourceScore,
+                    category_score: scores.categoryScore,
+                    recency_score: scores.recencyScore,
+                    interaction_score: scores.interactionScore,
+                    justInBoost: scores.justInBoost,
+                    viewFatigueScore: scores.viewFatigueScore,
+                    semantic_score: scores.semanticScore,
+                    rule_boost: scores.ruleBoost,
+                    keywordMatchCount: scores.keywordMatchCount
+                }), computedAt);
+            });
+            
+            db.prepare(`
+                INSERT INTO recommendation_state (user_id, computed_at, article_count)
+                VALUES (?, ?, ?)
+                ON CONFLICT(user_id) DO UPDATE SET
+                    computed_at = excluded.computed_at,
+                    article_count = excluded.article_count
+            `).run(userId, computedAt, scoredCount);
+        })();
+        
+        console.log(`Scored ${scoredCount} articles for user ${userId} (${articles.length - scoredCount} muted) in ${Date.now() - startedAt}ms`);
+        return { success: true, count: scoredCount };
+    } catch (error) {
+        console.error(`Error refreshing recommendation scores for user ${userId}:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Recompute recommendation scores for every user
+ * @returns {number} - Number of users refreshed
+ */
+function refreshAllRecommendationScores() {
+    if (!db) initializeDatabase();
+    
+    const users = db.prepare('SELECT id FROM users').all();
+    users.forEach(user => refreshRecommendationScores(user.id));
+    return users.length;
+}
+
+/**
+ * How much of each category a user has seen and engaged with
+ * @param {number} userId - User ID
+ * @returns {Map} - Category -> { views, positives }
+ */
+function getCategoryExposure(userId) {
+    const exposure = new Map();
+    db.prepare(`
+        SELECT a.feed_category as category, SUM(x.views) as views, SUM(x.positives) as positives
+        FROM (
+            SELECT article_id, view_count as views, 0 as positives FROM article_views WHERE user_id = ?
+            UNION ALL
+            SELECT article_id, 0 as views, CASE WHEN ${interactionTypeWeightSql('interaction_type')} > 0 THEN 1 ELSE 0 END as positives
+            FROM article_interactions WHERE user_id = ?
+        ) x
+        JOIN articles a ON a.id = x.article_id
+        WHERE a.feed_category IS NOT NULL
+        GROUP BY a.feed_category
+    `).all(userId, userId).forEach(row => {
+        exposure.set(row.category, { views: row.views, positives: row.positives });
+    });
+    return exposure;
+}
+
+/**
+ * Make sure a user's stored recommendation scores can be used
+ * Scores synchronously the first time; afterwards the background refresh keeps
+ * them current, except for rules that expire in between.
+ * @param {number} userId - User ID
+ * @returns {string|null} - When the stored scores were computed
+ */
+function ensureRecommendationScores(userId) {
+    const now = new Date().toISOString();
+    const state = db.prepare('SELECT computed_at FROM recommendation_state WHERE user_id = ?').get(userId);
+    // Stored scores still reflect rules that have expired since they were computed
+    const expiredRule = state && db.prepare(`
+        SELECT 1 FROM user_rules WHERE user_id = ? AND expires_at > ? AND expires_at <= ?
+    `).get(userId, state.computed_at, now);
+    if (state && !expiredRule) return state.computed_at;
+    
+    refreshRecommendationScores(userId);
+    return db.prepare('SELECT computed_at FROM recommendation_state WHERE user_id = ?').get(userId)?.computed_at ?? null;
+}
+
+/**
+ * Snapshot a user's current ranking for a new "For You" session
+ * The ranking goes through the re-ranking stage (see recommendationReranker.js)
+ * once, when the snapshot is taken, so every page of the session comes from
+ * the same diversified order.
+ * @param {number} userId - User ID
+ * @returns {string} - Snapshot ID
+ */
+function createRecommendationSnapshot(userId) {
+    const now = new Date().toISOString();
+    ensureRecommendationScores(userId);
+    
+    const snapshotId = crypto.randomBytes(12).toString('base64url');
+    const expiresAt = new Date(Date.now() + RECOMMENDATION_SNAPSHOT_TTL_MINUTES * 60 * 1000).toISOString();
+    
+    db.transaction(() => {
+        // Items go with their snapshot through ON DELETE CASCADE
+        db.prepare('DELETE FROM recommendation_snapshots WHERE expires_at < ?').run(new Date().toISOString());
+        
+        db.prepare('INSERT INTO recommendation_snapshots (id, user_id, expires_at) VALUES (?, ?, ?)').run(snapshotId, userId, expiresAt);
+        
+        const ranked = db.prepare(`
+            SELECT article_id, final_score, scores, keywords, feed_title, feed_category
+            FROM (
+                -- Only the best-scored article of each story cluster is recommended
+                SELECT rs.article_id, rs.final_score, rs.scores, a.keywords, a.feed_title, a.feed_category,
+                    ROW_NUMBER() OVER (
+                        PARTITION BY COALESCE(a.cluster_id, -rs.article_id)
+                        ORDER BY rs.final_score DESC, rs.article_id DESC
+                    ) as cluster_rank
+                FROM recommendation_scores rs
+                JOIN articles a ON a.id = rs.article_id
+                WHERE rs.user_id = ?
+            )
+            WHERE cluster_rank = 1
+            ORDER BY final_score DESC, article_id DESC
+        `).all(userId);
+        
+        // Spread the pages over keywords, sources and categories
+        const insertItem = db.prepare(`
+            INSERT INTO recommendation_snapshot_items (snapshot_id, position, article_id, final_score, scores, exploration)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+        rerankRecommendations(ranked, { exposure: getCategoryExposure(userId) }).forEach((item, position) => {
+            insertItem.run(snapshotId, position, item.article_id, item.final_score, item.scores, item.exploration ? 1 : 0);
+        });
+        
+        // Nothing recent to score, fall back to the latest articles
+        if (ranked.length === 0) {
+            console.log('No scored articles, falling back to recency-based recommendations');
+            db.prepare(`
+                INSERT INTO recommendation_snapshot_items (snapshot_id, position, article_id)
+                SELECT ?, ROW_NUMBER() OVER (ORDER BY published_at DESC, id DESC) - 1, id
+                FROM (
+                    SELECT a.id, a.published_at,
+                        ROW_NUMBER() OVER (PARTITION BY COALESCE(a.cluster_id, -a.id) ORDER BY a.published_at DESC, a.id DESC) as cluster_rank
+                    FROM articles a
+                    WHERE ${mutedArticleSql()}
+                )
+                WHERE cluster_rank = 1
+                ORDER BY published_at DESC, id DESC
+                LIMIT ?
+            `).run(snapshotId, userId, now, RECOMMENDATION_FALLBACK_LIMIT);
+        }
+    })();
+    
+    return snapshotId;
+}
+
+/**
+ * Get personalized article recommendations
+ * The first page snapshots the user's precomputed ranking; later pages pass
+ * the returned cursor and read from the same snapshot, so pagination stays
+ * stable while scores change.
+ * @param {Object} options - Options (userId, limit, cursor)
+ * @returns {Object} - { articles, nextCursor }, or { expired: true } for an unknown or expired cursor
+ */
+function getRecommendedArticles(options = {}) {
+    try {
+        console.log('Getting recommended articles with options:', JSON.stringify(options));
+        
+        if (!db) {
+            console.log('Initializing database for recommendations...');
+            initializeDatabase();
+        }
+
+        const limit = options.limit ? parseInt(options.limit) : 30;
+        const userId = options.userId ?? null;
+        
+        // Cursors are "<snapshot id>.<next position>"
+        let snapshotId;
+        let position = 0;
+        if (options.cursor) {
+            const match = String(options.cursor).match(/^([\w-]+)\.(\d+)$/);
+            const snapshot = match && db.prepare(`
+                SELECT id FROM recommendation_snapshots
+                WHERE id = ? AND user_id IS ? AND expires_at > ?
+            `).get(match[1], userId, new Date().toISOString());
+            
+            if (!snapshot) {
+                return { articles: [], nextCursor: null, expired: true };
+            }
+            snapshotId = snapshot.id;
+            position = parseInt(match[2]);
+        } else {
+            snapshotId = createRecommendationSnapshot(userId);
+        }
+        
+        const rows = db.prepare(`
+            SELECT 
+                a.*,
+                ${userViewCountSql()} as view_count,
+                si.position as snapshot_position,
+                si.final_score as snapshot_final_score,
+                si.scores as snapshot_scores,
+                si.exploration as snapshot_exploration
+            FROM recommendation_snapshot_items si
+            JOIN articles a ON a.id = si.article_id
+            WHERE si.snapshot_id = ? AND si.position >= ?
+            ORDER BY si.position
+            LIMIT ?
+        `).all(userId, snapshotId, position, limit);
+        
+        const articles = attachClusterMembers(rows.map(({ snapshot_position, snapshot_final_score, snapshot_scores, snapshot_exploration, ...article }) => {
+            if (snapshot_final_score === null) return article;
             return {
                 ...article,
-                keyword_score: scores.keywordScore,
-                source_score: scores.sourceScore,
-                category_score: scores.categoryScore,
-                recency_score: scores.recencyScore,
-                interaction_score: scores.interactionScore,
-                justInBoost: scores.justInBoost,
-                viewFatigueScore: scores.viewFatigueScore,
-                keywordMatchCount: scores.keywordMatchCount,
-                final_score: scores.totalScore
+                ...JSON.parse(snapshot_scores || '{}'),
+                final_score: snapshot_final_score,
+                // Placed by the re-ranking stage to broaden the feed rather than for its score
+                exploration: snapshot_exploration === 1
             };
-        });
-        
-        // Sort by final score for recommendations
-        scoredArticles.sort((a, b) => b.final_score - a.final_score);
+        }));
         
-        // Apply pagination
-        const paginatedResults = scoredArticles.slice(offset, offset + limit);
+        const nextCursor = rows.length === limit
+            ? `${snapshotId}.${rows[rows.length - 1].snapshot_position + 1}`
+            : null;
         
         // Log some scoring details for debugging
-        if (paginatedResults.length > 0) {
+        if (articles.length > 0 && articles[0].final_score !== undefined) {
             console.log('Sample scores for first few recommended articles:');
-            paginatedResults.slice(0, 3).forEach(article => {
-                console.log(`Article ${article.id} "${article.title}": Final Score ${article.final_score.toFixed(2)} (Keyword: ${article.keyword_score.toFixed(2)}, Category: ${article.category_score.toFixed(2)}, Source: ${article.source_score.toFixed(2)}, Recency: ${article.recency_score.toFixed(2)}, Direct: ${article.direct_interaction_score || 0})`);
+            articles.slice(0, 3).forEach(article => {
+                console.log(`Article ${article.id} "${article.title}": Final Score ${article.final_score.toFixed(2)} (Keyword: ${article.keyword_score.toFixed(2)}, Category: ${article.category_score.toFixed(2)}, Source: ${article.source_score.toFixed(2)}, Recency: ${article.recency_score.toFixed(2)}, Direct: ${article.interaction_score || 0})`);
             });
         }
 
-        return paginatedResults;
+        return { articles, nextCursor };
     } catch (error) {
         console.error('Error getting recommended articles:', error);
-        return [];
+        return { articles: [], nextCursor: null };
+    }
+}
+
+/**
+ * Get a user's stored ranking, without a snapshot or the re-ranking stage
+ * Meant for feed readers polling the "For You" feed: the order only changes
+ * when the scores are recomputed, so computedAt can serve as its version.
+ * @param {number} userId - User ID
+ * @param {number} [limit=30] - Maximum number of articles
+ * @returns {Object} - { articles, computedAt }; when nothing is scored, the latest
+ *                     articles with a null computedAt
+ */
+function getStoredRecommendations(userId, limit = 30) {
+    if (!db) initializeDatabase();
+    
+    const computedAt = ensureRecommendationScores(userId);
+    const rows = db.prepare(`
+        SELECT *
+        FROM (
+            -- Only the best-scored article of each story cluster is recommended
+            SELECT a.*, rs.final_score as ranked_final_score, rs.scores as ranked_scores,
+                ROW_NUMBER() OVER (
+                    PARTITION BY COALESCE(a.cluster_id, -rs.article_id)
+                    ORDER BY rs.final_score DESC, rs.article_id DESC
+                ) as cluster_rank
+            FROM recommendation_scores rs
+            JOIN articles a ON a.id = rs.article_id
+            WHERE rs.user_id = ?
+        )
+        WHERE cluster_rank = 1
+        ORDER BY ranked_final_score DESC, id DESC
+        LIMIT ?
+    `).all(userId, limit);
+    
+    if (rows.length === 0) {
+        const latest = db.prepare(`
+            SELECT *
+            FROM (
+                SELECT a.*,
+                    ROW_NUMBER() OVER (PARTITION BY COALESCE(a.cluster_id, -a.id) ORDER BY a.published_at DESC, a.id DESC) as cluster_rank
+                FROM articles a
+                WHERE ${mutedArticleSql()}
+            )
+            WHERE cluster_rank = 1
+            ORDER BY published_at DESC, id DESC
+            LIMIT ?
+        `).all(userId, new Date().toISOString(), limit);
+        return { articles: attachClusterMembers(latest.map(({ cluster_rank, ...article }) => article)), computedAt: null };
+    }
+    
+    const articles = rows.map(({ cluster_rank, ranked_final_score, ranked_scores, ...article }) => ({
+        ...article,
+        ...JSON.parse(ranked_scores || '{}'),
+        final_score: ranked_final_score
+    }));
+    return { articles: attachClusterMembers(articles), computedAt };
+}
+
+/**
+ * Explain how an article scores for a user
+ * Rescores the article against the user's current profile and breaks the
+ * score down into its components, the profile keywords it matched and the
+ * past interactions that contributed most to them.
+ * @param {number} articleId - Article ID
+ * @param {number|null} userId - User ID
+ * @param {number} [interactionLimit=5] - Number of contributing interactions to return
+ * @returns {Object|null} - Score explanation, or null if the article doesn't exist
+ */
+function explainArticleScore(articleId, userId = null, interactionLimit = 5) {
+    if (!db) initializeDatabase();
+    
+    const article = db.prepare(`
+        SELECT 
+            a.id, a.title, a.keywords, a.feed_title, a.feed_category, a.published_at, a.cluster_id,
+            ${directInteractionScoreSql()} as direct_interaction_score,
+            ${userViewCountSql()} as view_count
+        FROM articles a
+        WHERE a.id = ?
+    `).get(userId, userId, articleId);
+    if (!article) return null;
+    
+    const profile = buildKeywordProfile(userId);
+    
+    const model = getEmbeddingModelId();
+    if (model) {
+        profile.embedding = buildProfileEmbedding(userId, model);
+        const embedding = db.prepare('SELECT vector FROM article_embeddings WHERE article_id = ? AND model = ?').get(articleId, model);
+        if (embedding) article.embedding = bufferToVector(embedding.vector);
+    }
+    
+    // Same fatigue as refreshRecommendationScores: views of and interactions with the story's other articles
+    if (article.cluster_id) {
+        article.cluster_fatigue_count = db.prepare(`
+            SELECT COALESCE(SUM(x.n), 0) as activity
+            FROM (
+                SELECT article_id, view_count as n FROM article_views WHERE user_id IS ?
+                UNION ALL
+                SELECT article_id, 1 as n FROM article_interactions WHERE user_id IS ?
+            ) x
+            JOIN articles m ON m.id = x.article_id
+            WHERE m.cluster_id = ? AND m.id != ?
+        `).get(userId, userId, article.cluster_id, articleId).activity;
+    }
+    
+    const scores = scoreArticle(article, profile);
+    const stored = db.prepare('SELECT final_score FROM recommendation_scores WHERE user_id IS ? AND article_id = ?').get(userId, articleId);
+    
+    let keywords = [];
+    try {
+        keywords = JSON.parse(article.keywords || '[]');
+    } catch (e) {
+        console.error(`Error parsing keywords for article ${articleId}:`, e);
+    }
+    const keywordNorm = keywords.length > 0 ? Math.sqrt(keywords.length) : 1;
+    const keywordWeights = new Map(profile.keywords.map(k => [k.name, k.weight]));
+    const matchedKeywords = keywords
+        .filter(keyword => keywordWeights.has(keyword))
+        .map(keyword => ({
+            keyword,
+            weight: keywordWeights.get(keyword),
+            contribution: keywordWeights.get(keyword) / keywordNorm * KEYWORD_MATCH_WEIGHT
+        }))
+        .sort((a, b) => b.contribution - a.contribution);
+    
+    const weightOf = (list, name) => list.find(item => item.name === name)?.weight ?? 0;
+    const sourceWeight = weightOf(profile.sources, article.feed_title);
+    const categoryWeight = weightOf(profile.categories, article.feed_category);
+    
+    // Each interaction added its decayed weight to the keywords, source and category of its
+    // article, so its share of this score follows from what the two articles have in common.
+    // Only profile entries that survived the minimum weight cutoff count.
+    const keywordSet = new Set(matchedKeywords.map(match => match.keyword));
+    const contributions = db.prepare(`
+        SELECT 
+            ai.article_id, ai.interaction_type, ai.created_at,
+            a.title, a.keywords, a.feed_title, a.feed_category,
+            ${decayedInteractionWeightSql()} as weight
+        FROM article_interactions ai
+        JOIN articles a ON a.id = ai.article_id
+        WHERE ai.user_id IS ?
+    `).all(userId).map(interaction => {
+        let sharedKeywords = [];
+        try {
+            sharedKeywords = JSON.parse(interaction.keywords || '[]').filter(keyword => keywordSet.has(keyword));
+        } catch {
+            // Unparseable keywords share nothing
+        }
+        const sameSource = interaction.feed_title === article.feed_title;
+        const sameCategory = interaction.feed_category === article.feed_category;
+        const sameArticle = interaction.article_id === article.id;
+        
+        const contribution = interaction.weight * (
+            sharedKeywords.length / keywordNorm * KEYWORD_MATCH_WEIGHT +
+            (sameSource && sourceWeight !== 0 ? SOURCE_WEIGHT : 0) +
+            (sameCategory && categoryWeight !== 0 ? CATEGORY_WEIGHT : 0) +
+            (sameArticle ? 1 : 0)
+        );
+        
+        return {
+            articleId: interaction.article_id,
+            title: interaction.title,
+            feedTitle: interaction.feed_title,
+            type: interaction.interaction_type,
+            createdAt: interaction.created_at,
+            weight: interaction.weight,
+            sharedKeywords,
+            sameSource,
+            sameCategory,
+            sameArticle,
+            contribution
+        };
+    }).filter(interaction => interaction.contribution !== 0);
+    
+    contributions.sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution));
+    
+    return {
+        articleId: article.id,
+        title: article.title,
+        publishedAt: article.published_at,
+        totalScore: scores.totalScore,
+        storedScore: stored ? stored.final_score : null,
+        muted: scores.muted,
+        components: {
+            keywordScore: scores.keywordScore,
+            sourceScore: scores.sourceScore,
+            categoryScore: scores.categoryScore,
+            recencyScore: scores.recencyScore,
+            interactionScore: scores.interactionScore,
+            justInBoost: scores.justInBoost,
+            viewFatigueScore: scores.viewFatigueScore,
+            semanticScore: scores.semanticScore,
+            ruleBoost: scores.ruleBoost
+        },
+        keywordCount: keywords.length,
+        matchedKeywords,
+        source: { name: article.feed_title, weight: sourceWeight },
+        category: { name: article.feed_category, weight: categoryWeight },
+        rules: profile.rules.filter(rule => articleMatchesRule(article, rule)),
+        viewCount: article.view_count,
+        storyViewCount: article.cluster_fatigue_count || 0,
+        topInteractions: contributions.slice(0, interactionLimit)
+    };
+}
+
+/**
+ * Load the interaction log and the articles it could have been ranked against
+ * Used by the offline evaluation harness to replay the feed.
+ * @param {Object} [options] - userId (only this user's interactions) and since (only load articles that could be ranked from this date on)
+ * @returns {Object} - { interactions, articles }, interactions in the order they happened
+ */
+function getReplayData(options = {}) {
+    if (!db) initializeDatabase();
+    
+    const interactions = db.prepare(`
+        SELECT user_id, article_id, interaction_type, created_at
+        FROM article_interactions
+        WHERE user_id IS NOT NULL AND (? IS NULL OR user_id = ?)
+        ORDER BY created_at, id
+    `).all(options.userId ?? null, options.userId ?? null);
+    
+    if (interactions.length === 0) {
+        return { interactions, articles: [] };
     }
+    
+    // Articles that were recent enough to be candidates at some point of the log
+    const windowStart = new Date(options.since || interactions[0].created_at);
+    windowStart.setDate(windowStart.getDate() - RECOMMENDATION_WINDOW_DAYS);
+    const articles = db.prepare(`
+        SELECT id, title, keywords, feed_title, feed_category, published_at, stored_at, cluster_id
+        FROM articles
+        WHERE published_at > ? AND stored_at <= ?
+    `).all(windowStart.toISOString(), interactions[interactions.length - 1].created_at);
+    
+    return { interactions, articles };
+}
+
+/**
+ * Collect the articles for a user's digest of a period, per category
+ * Each category gets the createMetadata summary of the articles stored in the
+ * period, the user's top recommended articles among them (one per story) and
+ * the articles liked most by all users during the period. Muted articles are
+ * left out.
+ * @param {number} userId - User ID
+ * @param {Object} options - start (Date), days (length of the period) and limit (articles per list, default 5)
+ * @returns {Array} - { category, metadata, topRecommended, mostLiked } for categories with articles to show
+ */
+function getDigestData(userId, options) {
+    if (!db) initializeDatabase();
+
+    const limit = options.limit || 5;
+    const start = options.start.toISOString();
+    const endDate = new Date(options.start);
+    endDate.setDate(endDate.getDate() + options.days);
+    const end = endDate.toISOString();
+    const now = new Date().toISOString();
+
+    // Rank with current scores, as a new "For You" session would
+    refreshRecommendationScores(userId);
+
+    const categories = db.prepare(`
+        SELECT DISTINCT a.feed_category as category
+        FROM articles a
+        WHERE a.feed_category IS NOT NULL AND a.stored_at >= ? AND a.stored_at < ?
+        UNION
+        SELECT DISTINCT a.feed_category
+        FROM article_interactions ai
+        JOIN articles a ON a.id = ai.article_id
+        WHERE a.feed_category IS NOT NULL AND ai.interaction_type = 'thumbs_up' AND ai.created_at >= ? AND ai.created_at < ?
+        ORDER BY category
+    `).all(start, end, start, end).map(row => row.category);
+
+    const topRecommended = db.prepare(`
+        SELECT id, title, link, description, feed_title, published_at, final_score
+        FROM (
+            SELECT a.id, a.title, a.link, a.description, a.feed_title, a.published_at, rs.final_score,
+                ROW_NUMBER() OVER (
+                    PARTITION BY COALESCE(a.cluster_id, -a.id)
+                    ORDER BY rs.final_score DESC, a.id DESC
+                ) as cluster_rank
+            FROM recommendation_scores rs
+            JOIN articles a ON a.id = rs.article_id
+            WHERE rs.user_id = ? AND a.feed_category = ? AND a.stored_at >= ? AND a.stored_at < ?
+        )
+        WHERE cluster_rank = 1
+        ORDER BY final_score DESC, id DESC
+        LIMIT ?
+    `);
+
+    const mostLiked = db.prepare(`
+        SELECT a.id, a.title, a.link, a.description, a.feed_title, a.published_at, COUNT(*) as likes
+        FROM article_interactions ai
+        JOIN articles a ON a.id = ai.article_id
+        WHERE ai.interaction_type = 'thumbs_up' AND ai.created_at >= ? AND ai.created_at < ?
+        AND a.feed_category = ? AND ${mutedArticleSql()}
+        GROUP BY a.id
+        ORDER BY likes DESC, a.published_at DESC
+        LIMIT ?
+    `);
+
+    return categories.map(category => {
+        const summary = createMetadata(category, start, options.days);
+        return {
+            category,
+            metadata: summary.success ? summary.metadata : null,
+            topRecommended: topRecommended.all(userId, category, start, end, limit),
+            mostLiked: mostLiked.all(start, end, category, userId, now, limit)
+        };
+    }).filter(entry => entry.topRecommended.length > 0 || entry.mostLiked.length > 0);
 }
 
 /**
  * Check if an article with the given URL already exists in the database
- * @param {string} url - URL to check (will match against guid or link fields)
+ * @param {string} url - URL to check (matched against guid, link and the canonical URL)
  * @returns {Promise<boolean>} - True if the URL exists, false otherwise
  */
 async function checkUrlExists(url) {
@@ -712,9 +1934,9 @@ async function checkUrlExists(url) {
             await initializeDatabase();
         }
         
-        // Check against both guid and link fields to ensure we catch all duplicates
-        const stmt = db.prepare('SELECT COUNT(*) as count FROM articles WHERE guid = ? OR link = ?');
-        const result = stmt.get(url, url);
+        // Check against the raw fields and the canonical form to catch tracking and AMP variants
+        const stmt = db.prepare('SELECT COUNT(*) as count FROM articles WHERE guid = ? OR link = ? OR canonical_url = ?');
+        const result = stmt.get(url, url, canonicalizeUrl(url));
         
         return result.count > 0;
     } catch (error) {
@@ -724,12 +1946,15 @@ async function checkUrlExists(url) {
 }
 
 /**
- * Find similar articles based on keyword overlap
+ * Find similar articles
+ * Uses cosine similarity of article embeddings across all categories when the
+ * article has been embedded, and keyword overlap within its category otherwise.
  * @param {number} articleId - ID of the source article
  * @param {number} limit - Maximum number of similar articles to return
+ * @param {number|null} userId - User whose interactions influence the ranking
  * @returns {Array} - Array of similar articles
  */
-function getSimilarArticles(articleId, limit = 5) {
+function getSimilarArticles(articleId, limit = 5, userId = null) {
     try {
         console.log(`Finding similar articles to article ${articleId}...`);
         
@@ -753,6 +1978,12 @@ function getSimilarArticles(articleId, limit = 5) {
             console.error(`Error parsing keywords for article ${articleId}:`, e);
         }
 
+        const model = getEmbeddingModelId();
+        const sourceEmbedding = model && db.prepare('SELECT vector FROM article_embeddings WHERE article_id = ? AND model = ?').get(articleId, model);
+        if (sourceEmbedding) {
+            return findSimilarByEmbedding(sourceArticle, sourceKeywords, bufferToVector(sourceEmbedding.vector), model, limit, userId);
+        }
+
         if (sourceKeywords.length === 0) {
             console.log(`No keywords found for article ${articleId}`);
             return [];
@@ -763,18 +1994,8 @@ function getSimilarArticles(articleId, limit = 5) {
         const articleCandidates = db.prepare(`
             SELECT 
                 a.*,
-                (
-                    SELECT COALESCE(SUM(
-                        CASE 
-                            WHEN interaction_type = 'thumbs_up' THEN ${THUMBS_UP_WEIGHT}
-                            WHEN interaction_type = 'click' THEN ${CLICK_WEIGHT}
-                            WHEN interaction_type = 'thumbs_down' THEN ${THUMBS_DOWN_WEIGHT}
-                            ELSE 0 
-                        END
-                    ), 0)
-                    FROM article_interactions ai
-                    WHERE ai.article_id = a.id
-                ) as interaction_score
+                ${similarInteractionScoreSql()} as interaction_score,
+                ${userViewCountSql()} as view_count
             FROM articles a
             WHERE 
                 a.id != ? AND
@@ -782,7 +2003,7 @@ function getSimilarArticles(articleId, limit = 5) {
                 a.published_at > datetime('now', '-14 day')
             ORDER BY published_at DESC
             LIMIT 100
-        `).all(articleId, sourceArticle.feed_category);
+        `).all(userId, userId, articleId, sourceArticle.feed_category);
 
         console.log(`Found ${articleCandidates.length} candidate articles for similarity comparison`);
 
@@ -828,6 +2049,1776 @@ function getSimilarArticles(articleId, limit = 5) {
     }
 }
 
+/**
+ * SQL expression for a user's undecayed interaction score with article `a`
+ * Binds one parameter: the user ID.
+ * @returns {string} - Correlated subquery
+ */
+function similarInteractionScoreSql() {
+    return `(
+                    SELECT COALESCE(SUM(${interactionTypeWeightSql('ai.interaction_type')}), 0)
+                    FROM article_interactions ai
+                    WHERE ai.article_id = a.id AND ai.user_id IS ?
+                )`;
+}
+
+/**
+ * Keywords a candidate article shares with the source article
+ * @param {Array<string>} sourceKeywords - Source article keywords
+ * @param {Object} article - Candidate article with a keywords JSON column
+ * @returns {Array<string>} - Shared keywords
+ */
+function matchKeywords(sourceKeywords, article) {
+    let targetKeywords = [];
+    try {
+        targetKeywords = JSON.parse(article.keywords || '[]');
+    } catch (e) {
+        console.error(`Error parsing keywords for article ${article.id}:`, e);
+    }
+    return sourceKeywords.filter(keyword => targetKeywords.includes(keyword));
+}
+
+/**
+ * Rank articles by cosine similarity to a source embedding
+ * @param {Object} sourceArticle - Source article (id, keywords, feed_category)
+ * @param {Array<string>} sourceKeywords - Source article keywords, for matching_keywords
+ * @param {Float32Array} sourceVector - Source article embedding
+ * @param {string} model - Embedding model ID
+ * @param {number} limit - Maximum number of similar articles to return
+ * @param {number|null} userId - User whose interactions influence the ranking
+ * @returns {Array} - Array of similar articles
+ */
+function findSimilarByEmbedding(sourceArticle, sourceKeywords, sourceVector, model, limit, userId) {
+    const since = new Date();
+    since.setDate(since.getDate() - SIMILAR_ARTICLES_WINDOW_DAYS);
+
+    const candidates = db.prepare(`
+        SELECT e.article_id, e.vector
+        FROM article_embeddings e
+        JOIN articles a ON a.id = e.article_id
+        WHERE e.model = ? AND e.article_id != ? AND a.published_at > ?
+    `).all(model, sourceArticle.id, since.toISOString());
+
+    console.log(`Comparing embeddings of ${candidates.length} candidate articles`);
+
+    // Keep a few extra so the interaction bonus can reorder the top results
+    const top = candidates
+        .map(row => ({ id: row.article_id, similarity: dotProduct(sourceVector, bufferToVector(row.vector)) }))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, limit * 3);
+
+    if (top.length === 0) return [];
+
+    const similarityById = new Map(top.map(item => [item.id, item.similarity]));
+    const placeholders = top.map(() => '?').join(', ');
+    const articles = db.prepare(`
+        SELECT 
+            a.*,
+            ${similarInteractionScoreSql()} as interaction_score,
+            ${userViewCountSql()} as view_count
+        FROM articles a
+        WHERE a.id IN (${placeholders})
+    `).all(userId, userId, ...top.map(item => item.id));
+
+    const results = articles
+        .map(article => {
+            const similarityScore = similarityById.get(article.id);
+            return {
+                ...article,
+                similarity_score: similarityScore,
+                matching_keywords: matchKeywords(sourceKeywords, article),
+                combined_score: similarityScore + (article.interaction_score * 0.1)
+            };
+        })
+        .sort((a, b) => b.combined_score - a.combined_score)
+        .slice(0, limit);
+
+    console.log(`Found ${results.length} semantically similar articles`);
+
+    return results;
+}
+
+/**
+ * Get the persisted fetch state for a feed
+ * @param {string} xmlUrl - Feed URL
+ * @returns {Object|null} - Feed row or null if the feed has never been fetched
+ */
+function getFeedState(xmlUrl) {
+    try {
+        if (!db) initializeDatabase();
+        return db.prepare('SELECT * FROM feeds WHERE xml_url = ?').get(xmlUrl) || null;
+    } catch (error) {
+        console.error(`Error reading feed state for ${xmlUrl}:`, error);
+        return null;
+    }
+}
+
+// Adaptive polling: a feed without a fixed interval is polled FEED_POLLS_PER_ITEM
+// times per average gap between its items, within these bounds
+const FEED_POLL_MIN_MINUTES = parseFloat(process.env.FEED_POLL_MIN_MINUTES || 15);
+const FEED_POLL_MAX_MINUTES = parseFloat(process.env.FEED_POLL_MAX_MINUTES || 1440);
+// Interval of feeds whose posting frequency is not known yet
+const FEED_POLL_DEFAULT_MINUTES = parseFloat(process.env.FEED_POLL_DEFAULT_MINUTES || 120);
+const FEED_POLLS_PER_ITEM = 2;
+// Failing feeds back off exponentially, up to 2^5 times their interval
+const FEED_MAX_BACKOFF_EXPONENT = 5;
+
+/**
+ * Minutes between two fetches of a feed
+ * @param {Object} feed - Feed row
+ * @returns {number} - The fixed interval if set, otherwise one adapted to the feed's posting frequency,
+ *                     backed off while the feed keeps failing
+ */
+function feedPollIntervalMinutes(feed) {
+    let interval = FEED_POLL_DEFAULT_MINUTES;
+    if (feed.fetch_interval_minutes) {
+        interval = feed.fetch_interval_minutes;
+    } else if (feed.avg_item_interval_minutes) {
+        interval = Math.min(FEED_POLL_MAX_MINUTES, Math.max(FEED_POLL_MIN_MINUTES, feed.avg_item_interval_minutes / FEED_POLLS_PER_ITEM));
+    }
+
+    if (feed.consecutive_failures > 0) {
+        const backedOff = interval * Math.pow(2, Math.min(feed.consecutive_failures, FEED_MAX_BACKOFF_EXPONENT));
+        interval = Math.min(Math.max(interval, FEED_POLL_MAX_MINUTES), backedOff);
+    }
+    return interval;
+}
+
+/**
+ * Set when a feed is next due, counting from its last fetch
+ * @param {string} xmlUrl - Feed URL
+ */
+function scheduleNextFetch(xmlUrl) {
+    const feed = db.prepare('SELECT * FROM feeds WHERE xml_url = ?').get(xmlUrl);
+    if (!feed) return;
+    const nextFetchAt = feed.last_fetched_at
+        ? new Date(new Date(feed.last_fetched_at).getTime() + feedPollIntervalMinutes(feed) * 60 * 1000).toISOString()
+        : null;
+    db.prepare('UPDATE feeds SET next_fetch_at = ? WHERE id = ?').run(nextFetchAt, feed.id);
+}
+
+/**
+ * Persist the outcome of a feed fetch
+ * @param {Object} feed - Feed object with xmlUrl, title, category, htmlUrl
+ * @param {Object} result - Fetch outcome
+ * @param {string} result.status - 'ok', 'not_modified' or 'error'
+ * @param {number} [result.httpStatus] - HTTP status code (0 on network error)
+ * @param {string} [result.etag] - ETag response header
+ * @param {string} [result.lastModified] - Last-Modified response header
+ * @param {number} [result.avgItemIntervalMinutes] - Average time between feed items
+ * @param {string} [result.error] - Error message when status is 'error'
+ */
+function saveFeedFetchResult(feed, result) {
+    try {
+        if (!db) initializeDatabase();
+
+        const now = new Date().toISOString();
+
+        // Make sure the feed row exists, refreshing descriptive fields from the source
+        db.prepare(`
+            INSERT INTO feeds (xml_url, title, category, html_url)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(xml_url) DO UPDATE SET
+                title = COALESCE(excluded.title, title),
+                category = COALESCE(excluded.category, category),
+                html_url = COALESCE(excluded.html_url, html_url)
+        `).run(feed.xmlUrl, feed.title || null, feed.category || null, feed.htmlUrl || null);
+
+        if (result.status === 'error') {
+            db.prepare(`
+                UPDATE feeds SET
+                    last_status = ?,
+                    last_fetched_at = ?,
+                    last_error = ?,
+                    last_error_at = ?,
+                    consecutive_failures = consecutive_failures + 1
+                WHERE xml_url = ?
+            `).run(result.httpStatus || 0, now, result.error || 'Unknown error', now, feed.xmlUrl);
+            scheduleNextFetch(feed.xmlUrl);
+            return;
+        }
+
+        // Successful fetch (200) or unchanged feed (304): keep validators from the
+        // response, falling back to the stored ones when the server omits them
+        db.prepare(`
+            UPDATE feeds SET
+                etag = COALESCE(?, etag),
+                last_modified = COALESCE(?, last_modified),
+                last_status = ?,
+                last_fetched_at = ?,
+                last_success_at = ?,
+                consecutive_failures = 0,
+                avg_item_interval_minutes = COALESCE(?, avg_item_interval_minutes)
+            WHERE xml_url = ?
+        `).run(
+            result.etag || null,
+            result.lastModified || null,
+            result.httpStatus || (result.status === 'not_modified' ? 304 : 200),
+            now,
+            now,
+            result.avgItemIntervalMinutes ?? null,
+            feed.xmlUrl
+        );
+        scheduleNextFetch(feed.xmlUrl);
+    } catch (error) {
+        console.error(`Error saving feed state for ${feed.xmlUrl}:`, error);
+    }
+}
+
+/**
+ * List managed feeds
+ * @param {Object} options - Filter options (category, enabled)
+ * @returns {Array} - Array of feed rows
+ */
+function listFeeds(options = {}) {
+    try {
+        if (!db) initializeDatabase();
+
+        let query = 'SELECT * FROM feeds WHERE 1=1';
+        const params = [];
+
+        if (options.category) {
+            query += ' AND category = ?';
+            params.push(options.category);
+        }
+
+        if (options.enabled !== undefined) {
+            query += ' AND enabled = ?';
+            params.push(options.enabled ? 1 : 0);
+        }
+
+        return db.prepare(query + ' ORDER BY category, title').all(...params);
+    } catch (error) {
+        console.error('Error listing feeds:', error);
+        return [];
+    }
+}
+
+/**
+ * Get a managed feed by ID
+ * @param {number} id - Feed ID
+ * @returns {Object|null} - Feed row or null if not found
+ */
+function getFeed(id) {
+    if (!db) initializeDatabase();
+    return db.prepare('SELECT * FROM feeds WHERE id = ?').get(id) || null;
+}
+
+/**
+ * SQL condition selecting enabled feeds a collector run may fetch
+ * A feed is available when it is due (or the run fetches every feed) and it
+ * is not locked by another run whose lease is still valid.
+ * @param {boolean} force - Ignore when feeds are due
+ * @returns {string} - Condition; its parameters are now (unless force), the run ID (or null) and now
+ */
+function availableFeedsCondition(force) {
+    return `
+        enabled = 1
+        AND (${force ? '1 = 1' : 'next_fetch_at IS NULL OR julianday(next_fetch_at) <= julianday(?)'})
+        AND (locked_by_run IS NULL OR locked_by_run = ? OR julianday(locked_until) <= julianday(?))
+    `;
+}
+
+/**
+ * Convert a feed row into the shape the collector expects
+ * @param {Object} feed - Feed row
+ * @returns {Object} - Feed with id, category, title, xmlUrl and htmlUrl
+ */
+function collectorFeedFromRow(feed) {
+    return {
+        id: feed.id,
+        category: feed.category || 'uncategorized',
+        title: feed.title || feed.xml_url,
+        xmlUrl: feed.xml_url,
+        htmlUrl: feed.html_url
+    };
+}
+
+/**
+ * Get enabled feeds that are due for fetching and not locked by a running collector
+ * @param {Object} [options] - force: include feeds that are not due yet
+ * @returns {Array} - Array of feed objects with category, title, xmlUrl, htmlUrl
+ */
+function getFeedsForCollection(options = {}) {
+    try {
+        if (!db) initializeDatabase();
+
+        const now = new Date().toISOString();
+        const params = options.force ? [null, now] : [now, null, now];
+        return db.prepare(`
+            SELECT * FROM feeds WHERE ${availableFeedsCondition(options.force)} ORDER BY category, title
+        `).all(...params).map(collectorFeedFromRow);
+    } catch (error) {
+        console.error('Error getting feeds for collection:', error);
+        return [];
+    }
+}
+
+/**
+ * Claim the feeds a collector run will fetch
+ * Claimed feeds are locked to the run until releaseFeedLocks, or until the
+ * lease runs out if the run dies, so two runs never fetch the same feed.
+ * @param {number} runId - Run ID
+ * @param {Object} [options] - force (claim feeds that are not due yet) and leaseMinutes
+ * @returns {Array} - The claimed feeds, in the shape of getFeedsForCollection
+ */
+function claimFeedsForCollection(runId, options = {}) {
+    if (!db) initializeDatabase();
+
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + (options.leaseMinutes || 10) * 60 * 1000).toISOString();
+    const params = options.force ? [runId, now.toISOString()] : [now.toISOString(), runId, now.toISOString()];
+    const lock = db.prepare('UPDATE feeds SET locked_by_run = ?, locked_until = ? WHERE id = ?');
+
+    // IMMEDIATE so concurrent collectors can't both read a feed as available
+    return db.transaction(() => {
+        const feeds = db.prepare(`
+            SELECT * FROM feeds WHERE ${availableFeedsCondition(options.force)} ORDER BY category, title
+        `).all(...params);
+        feeds.forEach(feed => lock.run(runId, lockedUntil, feed.id));
+        return feeds.map(collectorFeedFromRow);
+    }).immediate();
+}
+
+/**
+ * Extend the lease on the feeds locked by a collector run
+ * @param {number} runId - Run ID
+ * @param {number} leaseMinutes - New lease, counted from now
+ */
+function renewFeedLocks(runId, leaseMinutes) {
+    if (!db) initializeDatabase();
+    const lockedUntil = new Date(Date.now() + leaseMinutes * 60 * 1000).toISOString();
+    db.prepare('UPDATE feeds SET locked_until = ? WHERE locked_by_run = ?').run(lockedUntil, runId);
+}
+
+/**
+ * Unlock the feeds locked by a collector run
+ * @param {number} runId - Run ID
+ */
+function releaseFeedLocks(runId) {
+    if (!db) initializeDatabase();
+    db.prepare('UPDATE feeds SET locked_by_run = NULL, locked_until = NULL WHERE locked_by_run = ?').run(runId);
+}
+
+/**
+ * Add a new managed feed
+ * @param {Object} feed - Feed data (xmlUrl, title, category, htmlUrl, enabled, fetchIntervalMinutes)
+ * @returns {Object} - Result with status and the created feed
+ */
+function createFeed(feed) {
+    try {
+        if (!db) initializeDatabase();
+
+        if (db.prepare('SELECT id FROM feeds WHERE xml_url = ?').get(feed.xmlUrl)) {
+            return { success: false, error: 'A feed with this URL already exists', conflict: true };
+        }
+
+        const result = db.prepare(`
+            INSERT INTO feeds (xml_url, title, category, html_url, enabled, fetch_interval_minutes, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            feed.xmlUrl,
+            feed.title || null,
+            feed.category || 'uncategorized',
+            feed.htmlUrl || null,
+            feed.enabled === false ? 0 : 1,
+            feed.fetchIntervalMinutes || null,
+            new Date().toISOString()
+        );
+
+        return { success: true, feed: getFeed(result.lastInsertRowid) };
+    } catch (error) {
+        console.error(`Error creating feed ${feed.xmlUrl}:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Update a managed feed
+ * @param {number} id - Feed ID
+ * @param {Object} changes - Fields to change (title, category, htmlUrl, enabled, fetchIntervalMinutes)
+ * @returns {Object} - Result with status and the updated feed
+ */
+function updateFeed(id, changes) {
+    try {
+        if (!db) initializeDatabase();
+
+        const feed = getFeed(id);
+        if (!feed) {
+            return { success: false, error: 'Feed not found', notFound: true };
+        }
+
+        const columns = {
+            title: 'title',
+            category: 'category',
+            htmlUrl: 'html_url',
+            enabled: 'enabled',
+            fetchIntervalMinutes: 'fetch_interval_minutes'
+        };
+
+        const assignments = [];
+        const params = [];
+        for (const [key, column] of Object.entries(columns)) {
+            if (changes[key] === undefined) continue;
+            let value = changes[key];
+            if (key === 'enabled') value = value ? 1 : 0;
+            if (key === 'fetchIntervalMinutes') value = value || null;
+            assignments.push(`${column} = ?`);
+            params.push(value);
+        }
+
+        if (assignments.length > 0) {
+            assignments.push('updated_at = ?');
+            params.push(new Date().toISOString());
+            db.prepare(`UPDATE feeds SET ${assignments.join(', ')} WHERE id = ?`).run(...params, id);
+            if (changes.fetchIntervalMinutes !== undefined) {
+                scheduleNextFetch(feed.xml_url);
+            }
+        }
+
+        return { success: true, feed: getFeed(id) };
+    } catch (error) {
+        console.error(`Error updating feed ${id}:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Delete a managed feed
+ * Articles already collected from the feed are kept.
+ * @param {number} id - Feed ID
+ * @returns {Object} - Result with status
+ */
+function deleteFeed(id) {
+    try {
+        if (!db) initializeDatabase();
+
+        const result = db.prepare('DELETE FROM feeds WHERE id = ?').run(id);
+        if (result.changes === 0) {
+            return { success: false, error: 'Feed not found', notFound: true };
+        }
+
+        return { success: true };
+    } catch (error) {
+        console.error(`Error deleting feed ${id}:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Import feeds (e.g. parsed from OPML), skipping URLs that are already managed
+ * @param {Array} feeds - Array of feed objects with category, title, xmlUrl, htmlUrl
+ * @returns {Object} - Result with counts of added and skipped feeds
+ */
+function importFeeds(feeds) {
+    try {
+        if (!db) initializeDatabase();
+
+        const stmt = db.prepare(`
+            INSERT OR IGNORE INTO feeds (xml_url, title, category, html_url, updated_at)
+            VALUES (?, ?, ?, ?, ?)
+        `);
+
+        let added = 0;
+        db.transaction(() => {
+            const now = new Date().toISOString();
+            for (const feed of feeds) {
+                const result = stmt.run(feed.xmlUrl, feed.title || null, feed.category || 'uncategorized', feed.htmlUrl || null, now);
+                added += result.changes;
+            }
+        })();
+
+        return { success: true, added, skipped: feeds.length - added };
+    } catch (error) {
+        console.error('Error importing feeds:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Get an application setting
+ * @param {string} key - Setting key
+ * @returns {string|null} - Value, or null if it was never set
+ */
+function getSetting(key) {
+    if (!db) initializeDatabase();
+    return db.prepare('SELECT value FROM app_settings WHERE key = ?').get(key)?.value ?? null;
+}
+
+/**
+ * Set an application setting
+ * @param {string} key - Setting key
+ * @param {string} value - Value
+ */
+function setSetting(key, value) {
+    if (!db) initializeDatabase();
+    db.prepare(`
+        INSERT INTO app_settings (key, value) VALUES (?, ?)
+        ON CONFLICT(key) DO UPDATE SET
+            value = excluded.value,
+            updated_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now')
+    `).run(key, value);
+}
+
+/**
+ * List the site-specific extraction rules
+ * @returns {Array} - Rule rows, by domain
+ */
+function listExtractionRules() {
+    if (!db) initializeDatabase();
+    return db.prepare('SELECT * FROM extraction_rules ORDER BY domain').all();
+}
+
+/**
+ * Get an extraction rule by ID
+ * @param {number} id - Rule ID
+ * @returns {Object|null} - Rule row or null if not found
+ */
+function getExtractionRule(id) {
+    if (!db) initializeDatabase();
+    return db.prepare('SELECT * FROM extraction_rules WHERE id = ?').get(id) || null;
+}
+
+/**
+ * Get the enabled extraction rule for a URL
+ * A rule for a domain also covers its subdomains; the most specific rule wins.
+ * @param {string} url - Article URL
+ * @returns {Object|null} - Rule row or null if no rule applies
+ */
+function getExtractionRuleForUrl(url) {
+    let host;
+    try {
+        host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    } catch (e) {
+        return null;
+    }
+
+    if (!db) initializeDatabase();
+    return db.prepare(`
+        SELECT * FROM extraction_rules
+        WHERE enabled = 1 AND (domain = ? OR ? LIKE '%.' || domain)
+        ORDER BY length(domain) DESC
+        LIMIT 1
+    `).get(host, host) || null;
+}
+
+/**
+ * Add an extraction rule
+ * @param {Object} rule - Rule (domain, contentSelector, removeSelector, enabled)
+ * @returns {Object} - Result with status and the created rule
+ */
+function createExtractionRule(rule) {
+    try {
+        if (!db) initializeDatabase();
+
+        if (db.prepare('SELECT id FROM extraction_rules WHERE domain = ?').get(rule.domain)) {
+            return { success: false, error: 'A rule for this domain already exists', conflict: true };
+        }
+
+        const result = db.prepare(`
+            INSERT INTO extraction_rules (domain, content_selector, remove_selector, enabled, updated_at)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(
+            rule.domain,
+            rule.contentSelector,
+            rule.removeSelector || null,
+            rule.enabled === false ? 0 : 1,
+            new Date().toISOString()
+        );
+
+        return { success: true, rule: getExtractionRule(result.lastInsertRowid) };
+    } catch (error) {
+        console.error(`Error creating extraction rule for ${rule.domain}:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Update an extraction rule
+ * @param {number} id - Rule ID
+ * @param {Object} changes - Fields to change (contentSelector, removeSelector, enabled)
+ * @returns {Object} - Result with status and the updated rule
+ */
+function updateExtractionRule(id, changes) {
+    try {
+        if (!db) initializeDatabase();
+
+        if (!getExtractionRule(id)) {
+            return { success: false, error: 'Extraction rule not found', notFound: true };
+        }
+
+        const columns = {
+            contentSelector: 'content_selector',
+            removeSelector: 'remove_selector',
+            enabled: 'enabled'
+        };
+
+        const assignments = [];
+        const params = [];
+        for (const [key, column] of Object.entries(columns)) {
+            if (changes[key] === undefined) continue;
+            let value = changes[key];
+            if (key === 'enabled') value = value ? 1 : 0;
+            if (key === 'removeSelector') value = value || null;
+            assignments.push(`${column} = ?`);
+            params.push(value);
+        }
+
+        if (assignments.length > 0) {
+            assignments.push('updated_at = ?');
+            params.push(new Date().toISOString());
+            db.prepare(`UPDATE extraction_rules SET ${assignments.join(', ')} WHERE id = ?`).run(...params, id);
+        }
+
+        return { success: true, rule: getExtractionRule(id) };
+    } catch (error) {
+        console.error(`Error updating extraction rule ${id}:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Delete an extraction rule
+ * @param {number} id - Rule ID
+ * @returns {Object} - Result with status
+ */
+function deleteExtractionRule(id) {
+    try {
+        if (!db) initializeDatabase();
+
+        const result = db.prepare('DELETE FROM extraction_rules WHERE id = ?').run(id);
+        if (result.changes === 0) {
+            return { success: false, error: 'Extraction rule not found', notFound: true };
+        }
+
+        return { success: true };
+    } catch (error) {
+        console.error(`Error deleting extraction rule ${id}:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Count recently stored articles per winning extraction strategy
+ * @param {Object} [options] - days (default 7) and minQuality, below which an article counts as low quality
+ * @returns {Array} - { strategy, count, avgQuality, lowQualityCount } per strategy, most used first;
+ *                    strategy is null for articles stored without extracted content
+ */
+function getExtractionStats(options = {}) {
+    if (!db) initializeDatabase();
+
+    const since = new Date(Date.now() - (options.days || 7) * 24 * 60 * 60 * 1000).toISOString();
+    return db.prepare(`
+        SELECT
+            extraction_strategy as strategy,
+            COUNT(*) as count,
+            AVG(extraction_quality) as avgQuality,
+            SUM(CASE WHEN extraction_quality IS NULL OR extraction_quality < ? THEN 1 ELSE 0 END) as lowQualityCount
+        FROM articles
+        WHERE stored_at >= ?
+        GROUP BY extraction_strategy
+        ORDER BY count DESC
+    `).all(options.minQuality ?? 0, since);
+}
+
+/**
+ * Get recent article texts for building corpus statistics (e.g. document frequencies)
+ * @param {number} limit - Maximum number of articles to sample
+ * @returns {Array<string>} - Title, description and the start of the extracted content per article
+ */
+function getCorpusTexts(limit = 2000) {
+    if (!db) initializeDatabase();
+
+    return db.prepare(`
+        SELECT title || ' ' || COALESCE(description, '') || ' ' || COALESCE(substr(extracted_content, 1, 5000), '') as text
+        FROM articles
+        ORDER BY id DESC
+        LIMIT ?
+    `).all(limit).map(row => row.text);
+}
+
+/**
+ * Return jobs stuck in 'processing' (e.g. after a worker crash) to the queue
+ * @param {number} staleMinutes - How long a job may stay locked
+ * @returns {number} - Number of jobs released
+ */
+function releaseStaleKeywordJobs(staleMinutes = 10) {
+    if (!db) initializeDatabase();
+
+    const cutoff = new Date(Date.now() - staleMinutes * 60 * 1000).toISOString();
+    return db.prepare(`
+        UPDATE keyword_jobs SET status = 'pending', locked_at = NULL, updated_at = ?
+        WHERE status = 'processing' AND locked_at < ?
+    `).run(new Date().toISOString(), cutoff).changes;
+}
+
+/**
+ * Claim keyword jobs that are due, marking them as processing
+ * @param {number} limit - Maximum number of jobs to claim
+ * @returns {Array} - Claimed jobs joined with the article text to analyze
+ */
+function claimKeywordJobs(limit = 10) {
+    if (!db) initializeDatabase();
+
+    const now = new Date().toISOString();
+    return db.transaction(() => {
+        const jobs = db.prepare(`
+            SELECT 
+                kj.id, kj.article_id, kj.attempts,
+                a.title, a.description, a.extracted_content
+            FROM keyword_jobs kj
+            JOIN articles a ON a.id = kj.article_id
+            WHERE kj.status = 'pending' AND kj.next_attempt_at <= ?
+            ORDER BY kj.next_attempt_at
+            LIMIT ?
+        `).all(now, limit);
+
+        const lockStmt = db.prepare(`UPDATE keyword_jobs SET status = 'processing', locked_at = ?, updated_at = ? WHERE id = ?`);
+        jobs.forEach(job => lockStmt.run(now, now, job.id));
+
+        return jobs;
+    })();
+}
+
+/**
+ * Store extracted keywords and remove the finished job
+ * @param {Object} job - Claimed job
+ * @param {Array<string>} keywords - Extracted keywords
+ */
+function completeKeywordJob(job, keywords) {
+    if (!db) initializeDatabase();
+
+    db.transaction(() => {
+        db.prepare(`UPDATE articles SET keywords = ?, keywords_status = 'done' WHERE id = ?`)
+            .run(JSON.stringify(keywords), job.article_id);
+        db.prepare('DELETE FROM keyword_jobs WHERE id = ?').run(job.id);
+
+        // Profiles of users who interacted with the article before it had keywords are out of date
+        db.prepare(`
+            UPDATE user_profiles SET stale = 1
+            WHERE user_id IN (SELECT DISTINCT user_id FROM article_interactions WHERE article_id = ?)
+        `).run(job.article_id);
+    })();
+}
+
+/**
+ * Record a failed keyword job attempt
+ * @param {Object} job - Claimed job
+ * @param {string} error - Error message
+ * @param {string|null} nextAttemptAt - ISO date of the next attempt, or null to dead-letter the job
+ */
+function failKeywordJob(job, error, nextAttemptAt) {
+    if (!db) initializeDatabase();
+
+    const now = new Date().toISOString();
+    db.transaction(() => {
+        if (nextAttemptAt) {
+            db.prepare(`
+                UPDATE keyword_jobs 
+                SET status = 'pending', attempts = attempts + 1, next_attempt_at = ?, locked_at = NULL, last_error = ?, updated_at = ?
+                WHERE id = ?
+            `).run(nextAttemptAt, error, now, job.id);
+        } else {
+            db.prepare(`
+                UPDATE keyword_jobs 
+                SET status = 'dead', attempts = attempts + 1, locked_at = NULL, last_error = ?, updated_at = ?
+                WHERE id = ?
+            `).run(error, now, job.id);
+            db.prepare(`UPDATE articles SET keywords_status = 'failed' WHERE id = ?`).run(job.article_id);
+        }
+    })();
+}
+
+/**
+ * Summarize the keyword queue for the admin dashboard
+ * @param {number} deadLimit - Maximum number of dead jobs to list
+ * @returns {Object} - Counts per status, oldest pending job and recent dead jobs
+ */
+function getKeywordQueueStats(deadLimit = 20) {
+    if (!db) initializeDatabase();
+
+    const counts = { pending: 0, processing: 0, dead: 0 };
+    db.prepare('SELECT status, COUNT(*) as count FROM keyword_jobs GROUP BY status').all()
+        .forEach(row => { counts[row.status] = row.count; });
+
+    const oldestPending = db.prepare(`
+        SELECT MIN(created_at) as created_at FROM keyword_jobs WHERE status = 'pending'
+    `).get().created_at;
+
+    const deadJobs = db.prepare(`
+        SELECT kj.id, kj.article_id, kj.attempts, kj.last_error, kj.updated_at, a.title
+        FROM keyword_jobs kj
+        JOIN articles a ON a.id = kj.article_id
+        WHERE kj.status = 'dead'
+        ORDER BY kj.updated_at DESC
+        LIMIT ?
+    `).all(deadLimit);
+
+    return { counts, oldestPending, deadJobs };
+}
+
+/**
+ * Put dead-lettered keyword jobs back on the queue
+ * @param {Array<number>} [jobIds] - Jobs to re-queue (all dead jobs when omitted)
+ * @returns {Object} - Result with the number of re-queued jobs
+ */
+function requeueKeywordJobs(jobIds) {
+    try {
+        if (!db) initializeDatabase();
+
+        const now = new Date().toISOString();
+        const filter = Array.isArray(jobIds) && jobIds.length > 0
+            ? `AND id IN (${jobIds.map(() => '?').join(',')})`
+            : '';
+        const params = Array.isArray(jobIds) && jobIds.length > 0 ? jobIds : [];
+
+        const requeued = db.transaction(() => {
+            db.prepare(`
+                UPDATE articles SET keywords_status = 'pending'
+                WHERE id IN (SELECT article_id FROM keyword_jobs WHERE status = 'dead' ${filter})
+            `).run(...params);
+            return db.prepare(`
+                UPDATE keyword_jobs 
+                SET status = 'pending', attempts = 0, next_attempt_at = ?, last_error = NULL, updated_at = ?
+                WHERE status = 'dead' ${filter}
+            `).run(now, now, ...params).changes;
+        })();
+
+        return { success: true, requeued };
+    } catch (error) {
+        console.error('Error re-queuing keyword jobs:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+// collector_runs columns holding counters and stage durations, by stats key;
+// the article counters are derived from the run's jobs when it is saved
+const COLLECTOR_RUN_STATS = {
+    feedCount: 'feed_count',
+    feedErrorCount: 'feed_error_count',
+    articleCount: 'article_count',
+    knownCount: 'known_count',
+    storedCount: 'stored_count',
+    duplicateCount: 'duplicate_count',
+    errorCount: 'error_count',
+    feedsMs: 'feeds_ms',
+    fetchMs: 'fetch_ms',
+    extractMs: 'extract_ms',
+    storeMs: 'store_ms'
+};
+
+// Errors kept in a run's summary, newest last
+const COLLECTOR_RUN_MAX_ERRORS = 50;
+
+// Article problems found after a job left the pipeline, counted from the run's jobs when read
+const COLLECTOR_RUN_DERIVED_COLUMNS = `
+    (SELECT COUNT(*) FROM collector_jobs j
+     WHERE j.run_id = collector_runs.id
+     AND (j.extract_error IS NOT NULL OR (j.status = 'failed' AND j.stage = 'extract'))) AS extract_failure_count,
+    (SELECT COUNT(*) FROM collector_jobs j JOIN articles a ON a.id = j.article_id
+     WHERE j.run_id = collector_runs.id AND a.keywords_status = 'failed') AS keyword_failure_count
+`;
+
+/**
+ * Convert a collector_runs row into a run with stats and errors
+ * @param {Object} row - collector_runs row
+ * @returns {Object} - Run
+ */
+function collectorRunFromRow(row) {
+    const stats = {};
+    Object.entries(COLLECTOR_RUN_STATS).forEach(([key, column]) => {
+        stats[key] = row[column];
+    });
+    stats.extractFailureCount = row.extract_failure_count || 0;
+    stats.keywordFailureCount = row.keyword_failure_count || 0;
+    return {
+        id: row.id,
+        status: row.status,
+        trigger: row.triggered_by,
+        force: row.force_all === 1,
+        cancelRequested: row.cancel_requested === 1,
+        startedAt: row.started_at,
+        finishedAt: row.finished_at,
+        heartbeatAt: row.heartbeat_at,
+        resumedCount: row.resumed_count,
+        stats,
+        errors: row.errors ? JSON.parse(row.errors) : []
+    };
+}
+
+/**
+ * Get a collector run
+ * @param {number} runId - Run ID
+ * @returns {Object|null} - Run, or null if not found
+ */
+function getCollectorRun(runId) {
+    if (!db) initializeDatabase();
+    const row = db.prepare(`SELECT *, ${COLLECTOR_RUN_DERIVED_COLUMNS} FROM collector_runs WHERE id = ?`).get(runId);
+    return row ? collectorRunFromRow(row) : null;
+}
+
+/**
+ * List collector runs, newest first
+ * @param {Object} [options] - limit (default 20)
+ * @returns {Array} - Runs
+ */
+function listCollectorRuns(options = {}) {
+    if (!db) initializeDatabase();
+    return db.prepare(`SELECT *, ${COLLECTOR_RUN_DERIVED_COLUMNS} FROM collector_runs ORDER BY id DESC LIMIT ?`)
+        .all(options.limit || 20)
+        .map(collectorRunFromRow);
+}
+
+/**
+ * Start a new collector run
+ * @param {Object} [options] - trigger ('cli', 'scheduled' or 'manual', default 'cli') and force
+ * @returns {Object} - Run
+ */
+function startCollectorRun(options = {}) {
+    if (!db) initializeDatabase();
+    const now = new Date().toISOString();
+    const { lastInsertRowid } = db.prepare(`
+        INSERT INTO collector_runs (status, triggered_by, force_all, started_at, heartbeat_at, errors)
+        VALUES ('running', ?, ?, ?, ?, '[]')
+    `).run(options.trigger || 'cli', options.force ? 1 : 0, now, now);
+    return getCollectorRun(lastInsertRowid);
+}
+
+/**
+ * Take over a running collector run that stopped making progress
+ * Only one collector can take over a run: the claim succeeds only if the
+ * heartbeat is still the one that was read.
+ * @param {number} staleMinutes - Minutes without progress after which a run counts as crashed
+ * @returns {Object|null} - The claimed run, or null if no run is stale
+ */
+function claimStaleCollectorRun(staleMinutes) {
+    if (!db) initializeDatabase();
+    const row = db.prepare(`
+        SELECT * FROM collector_runs
+        WHERE status = 'running' AND julianday('now') - julianday(heartbeat_at) >= ? / 1440.0
+        ORDER BY id DESC LIMIT 1
+    `).get(staleMinutes);
+    if (!row) return null;
+
+    const { changes } = db.prepare(`
+        UPDATE collector_runs SET resumed_count = resumed_count + 1, heartbeat_at = ?
+        WHERE id = ? AND status = 'running' AND heartbeat_at = ?
+    `).run(new Date().toISOString(), row.id, row.heartbeat_at);
+    return changes > 0 ? getCollectorRun(row.id) : null;
+}
+
+/**
+ * Queue a collector run for the scheduler to pick up
+ * @param {Object} [options] - force: fetch every enabled feed, due or not
+ * @returns {Object} - The queued run; a run that is already queued is returned instead of adding another
+ */
+function requestCollectorRun(options = {}) {
+    if (!db) initializeDatabase();
+    const queued = db.prepare(`SELECT id FROM collector_runs WHERE status = 'queued' ORDER BY id LIMIT 1`).get();
+    if (queued) {
+        if (options.force) {
+            db.prepare('UPDATE collector_runs SET force_all = 1 WHERE id = ?').run(queued.id);
+        }
+        return getCollectorRun(queued.id);
+    }
+
+    // started_at holds the request time until the run is picked up
+    const { lastInsertRowid } = db.prepare(`
+        INSERT INTO collector_runs (status, triggered_by, force_all, started_at, errors)
+        VALUES ('queued', 'manual', ?, ?, '[]')
+    `).run(options.force ? 1 : 0, new Date().toISOString());
+    return getCollectorRun(lastInsertRowid);
+}
+
+/**
+ * Pick up the oldest queued collector run
+ * @returns {Object|null} - The run, now running, or null if none is queued
+ */
+function claimQueuedCollectorRun() {
+    if (!db) initializeDatabase();
+    const row = db.prepare(`SELECT id FROM collector_runs WHERE status = 'queued' ORDER BY id LIMIT 1`).get();
+    if (!row) return null;
+
+    const now = new Date().toISOString();
+    const { changes } = db.prepare(`
+        UPDATE collector_runs SET status = 'running', started_at = ?, heartbeat_at = ? WHERE id = ? AND status = 'queued'
+    `).run(now, now, row.id);
+    return changes > 0 ? getCollectorRun(row.id) : null;
+}
+
+/**
+ * Cancel a collector run
+ * A queued run is cancelled right away; a running run is flagged, and the
+ * collector running it stops at its next heartbeat.
+ * @param {number} runId - Run ID
+ * @returns {Object} - Result with status and the run
+ */
+function cancelCollectorRun(runId) {
+    try {
+        if (!db) initializeDatabase();
+
+        const run = getCollectorRun(runId);
+        if (!run) {
+            return { success: false, error: 'Collector run not found', notFound: true };
+        }
+        if (run.status !== 'queued' && run.status !== 'running') {
+            return { success: false, error: `Collector run is already ${run.status}`, conflict: true };
+        }
+
+        const now = new Date().toISOString();
+        db.prepare(`
+            UPDATE collector_runs SET
+                cancel_requested = 1,
+                status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+                finished_at = CASE WHEN status = 'queued' THEN ? ELSE finished_at END
+            WHERE id = ?
+        `).run(now, runId);
+
+        return { success: true, run: getCollectorRun(runId) };
+    } catch (error) {
+        console.error(`Error cancelling collector run ${runId}:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Queue feed items as jobs of a collector run
+ * @param {number} runId - Run ID
+ * @param {Array} articles - Feed items from the RSS fetcher
+ * @param {number} [feedId] - Feed the items come from
+ * @returns {Array} - The added jobs with id, link and article; items already queued in this run are left out
+ */
+function addCollectorJobs(runId, articles, feedId = null) {
+    if (!db) initializeDatabase();
+    const now = new Date().toISOString();
+    const insert = db.prepare(`
+        INSERT OR IGNORE INTO collector_jobs (run_id, feed_id, link, article, updated_at) VALUES (?, ?, ?, ?, ?)
+    `);
+    return db.transaction(() => articles.flatMap(article => {
+        const result = insert.run(runId, feedId, article.link, JSON.stringify(article), now);
+        return result.changes > 0 ? [{ id: Number(result.lastInsertRowid), link: article.link, article }] : [];
+    }))();
+}
+
+/**
+ * Record the outcome of fetching a feed in a collector run
+ * @param {number} runId - Run ID
+ * @param {number} feedId - Feed ID
+ * @param {Object} result - status, httpStatus, durationMs, itemCount, queuedCount, knownCount and error
+ */
+function saveCollectorFeedResult(runId, feedId, result) {
+    if (!db) initializeDatabase();
+    db.prepare(`
+        INSERT INTO collector_feed_results (
+            run_id, feed_id, status, http_status, duration_ms, item_count, queued_count, known_count, error, fetched_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(run_id, feed_id) DO UPDATE SET
+            status = excluded.status,
+            http_status = excluded.http_status,
+            duration_ms = excluded.duration_ms,
+            item_count = excluded.item_count,
+            queued_count = excluded.queued_count,
+            known_count = excluded.known_count,
+            error = excluded.error,
+            fetched_at = excluded.fetched_at
+    `).run(
+        runId,
+        feedId,
+        result.status,
+        result.httpStatus ?? null,
+        Math.round(result.durationMs || 0),
+        result.itemCount || 0,
+        result.queuedCount || 0,
+        result.knownCount || 0,
+        result.error || null,
+        new Date().toISOString()
+    );
+}
+
+/**
+ * Get the jobs of a collector run that have not left the pipeline
+ * @param {number} runId - Run ID
+ * @returns {Array} - Jobs with id, feed_id, link and article
+ */
+function getPendingCollectorJobs(runId) {
+    if (!db) initializeDatabase();
+    return db.prepare(`
+        SELECT id, feed_id, link, article FROM collector_jobs WHERE run_id = ? AND status = 'pending' ORDER BY id
+    `).all(runId).map(job => ({ ...job, article: JSON.parse(job.article) }));
+}
+
+/**
+ * Record how a collector job left the pipeline
+ * @param {number} jobId - Job ID
+ * @param {string} status - 'stored', 'duplicate', 'skipped' or 'failed'
+ * @param {string} [stage] - Stage that failed
+ * @param {string} [error] - Error message
+ * @param {Object} [details] - httpStatus of the article page, articleId of the stored article and
+ *                             extractError when it was stored without extracted content
+ */
+function finishCollectorJob(jobId, status, stage = null, error = null, details = {}) {
+    if (!db) initializeDatabase();
+    db.prepare(`
+        UPDATE collector_jobs SET
+            status = ?, stage = ?, error = ?, http_status = ?, article_id = ?, extract_error = ?, updated_at = ?
+        WHERE id = ?
+    `).run(
+        status,
+        stage,
+        error,
+        details.httpStatus ?? null,
+        details.articleId ?? null,
+        details.extractError || null,
+        new Date().toISOString(),
+        jobId
+    );
+}
+
+/**
+ * Save a collector run's progress
+ * Job counters (queued, stored, duplicate, failed) are counted from the
+ * run's jobs, so they stay exact across interruptions.
+ * @param {number} runId - Run ID
+ * @param {Object} stats - Feed counters, known articles and stage durations (see COLLECTOR_RUN_STATS)
+ * @param {Array} errors - Errors so far; only the latest are kept
+ * @param {string} [status] - New status, 'completed', 'cancelled' or 'failed' to finish the run
+ * @returns {Object} - The saved run
+ */
+function saveCollectorRun(runId, stats, errors, status = 'running') {
+    if (!db) initializeDatabase();
+    const now = new Date().toISOString();
+    const jobCounters = ['articleCount', 'storedCount', 'duplicateCount', 'errorCount'];
+    const columns = Object.entries(COLLECTOR_RUN_STATS).filter(([key]) => !jobCounters.includes(key) && stats[key] !== undefined);
+    db.prepare(`
+        UPDATE collector_runs SET
+            ${columns.map(([, column]) => `${column} = ?`).join(', ')},
+            article_count = (SELECT COUNT(*) FROM collector_jobs WHERE run_id = collector_runs.id),
+            stored_count = (SELECT COUNT(*) FROM collector_jobs WHERE run_id = collector_runs.id AND status = 'stored'),
+            duplicate_count = (SELECT COUNT(*) FROM collector_jobs WHERE run_id = collector_runs.id AND status IN ('duplicate', 'skipped')),
+            error_count = (SELECT COUNT(*) FROM collector_jobs WHERE run_id = collector_runs.id AND status = 'failed'),
+            errors = ?, status = ?, heartbeat_at = ?, finished_at = ?
+        WHERE id = ?
+    `).run(
+        ...columns.map(([key]) => Math.round(stats[key])),
+        JSON.stringify(errors.slice(-COLLECTOR_RUN_MAX_ERRORS)),
+        status,
+        now,
+        status === 'running' ? null : now,
+        runId
+    );
+    return getCollectorRun(runId);
+}
+
+// Feed health thresholds for the admin dashboard
+const FEED_HEALTH_MAX_FAILURES = parseInt(process.env.FEED_HEALTH_MAX_FAILURES || 3);
+const FEED_HEALTH_DEAD_DAYS = parseFloat(process.env.FEED_HEALTH_DEAD_DAYS || 30);
+const FEED_HEALTH_SLOW_MS = parseInt(process.env.FEED_HEALTH_SLOW_MS || 5000);
+const FEED_HEALTH_MAX_FAILURE_RATE = parseFloat(process.env.FEED_HEALTH_MAX_FAILURE_RATE || 0.5);
+// Fewer article jobs than this are too few to judge a feed's failure rates
+const FEED_HEALTH_MIN_JOBS = 3;
+
+/**
+ * Get per-feed fetch results with their article outcomes
+ * @param {string} where - Condition on collector_feed_results (alias r)
+ * @param {Array} params - Parameters of the condition
+ * @returns {Array} - Results, oldest run first, with job counts per outcome
+ */
+function queryCollectorFeedResults(where, params) {
+    return db.prepare(`
+        SELECT
+            r.*,
+            f.title AS feed_title,
+            f.xml_url,
+            COALESCE(j.stored_count, 0) AS stored_count,
+            COALESCE(j.duplicate_count, 0) AS duplicate_count,
+            COALESCE(j.pending_count, 0) AS pending_count,
+            COALESCE(j.fetch_failure_count, 0) AS fetch_failure_count,
+            COALESCE(j.extract_failure_count, 0) AS extract_failure_count,
+            COALESCE(j.store_failure_count, 0) AS store_failure_count,
+            COALESCE(j.keyword_failure_count, 0) AS keyword_failure_count
+        FROM collector_feed_results r
+        JOIN feeds f ON f.id = r.feed_id
+        LEFT JOIN (
+            SELECT
+                cj.run_id,
+                cj.feed_id,
+                SUM(cj.status = 'stored') AS stored_count,
+                SUM(cj.status IN ('duplicate', 'skipped')) AS duplicate_count,
+                SUM(cj.status = 'pending') AS pending_count,
+                SUM(cj.status = 'failed' AND cj.stage = 'fetch') AS fetch_failure_count,
+                SUM(cj.extract_error IS NOT NULL OR (cj.status = 'failed' AND cj.stage = 'extract')) AS extract_failure_count,
+                SUM(cj.status = 'failed' AND cj.stage = 'store') AS store_failure_count,
+                SUM(COALESCE(a.keywords_status = 'failed', 0)) AS keyword_failure_count
+            FROM collector_jobs cj
+            LEFT JOIN articles a ON a.id = cj.article_id
+            WHERE cj.run_id IN (SELECT run_id FROM collector_feed_results r WHERE ${where})
+            GROUP BY cj.run_id, cj.feed_id
+        ) j ON j.run_id = r.run_id AND j.feed_id = r.feed_id
+        WHERE ${where}
+        ORDER BY r.run_id
+    `).all(...params, ...params);
+}
+
+/**
+ * Convert a row from queryCollectorFeedResults into a feed result
+ * @param {Object} row - Row
+ * @returns {Object} - Feed result
+ */
+function feedResultFromRow(row) {
+    return {
+        runId: row.run_id,
+        feedId: row.feed_id,
+        feedTitle: row.feed_title || row.xml_url,
+        fetchedAt: row.fetched_at,
+        status: row.status,
+        httpStatus: row.http_status,
+        durationMs: row.duration_ms,
+        items: row.item_count,
+        queued: row.queued_count,
+        known: row.known_count,
+        stored: row.stored_count,
+        duplicates: row.duplicate_count,
+        pending: row.pending_count,
+        fetchFailures: row.fetch_failure_count,
+        extractFailures: row.extract_failure_count,
+        storeFailures: row.store_failure_count,
+        keywordFailures: row.keyword_failure_count,
+        error: row.error
+    };
+}
+
+/**
+ * Get how each feed fared in a collector run
+ * @param {number} runId - Run ID
+ * @returns {Array} - Feed results with status, HTTP status, duration, item counts and article outcomes
+ */
+function getCollectorRunFeeds(runId) {
+    if (!db) initializeDatabase();
+    return queryCollectorFeedResults('r.run_id = ?', [runId]).map(feedResultFromRow);
+}
+
+/**
+ * Assess the health of every managed feed from its recent collector runs
+ * A feed is listed as broken when its fetches keep failing, it has not
+ * published for FEED_HEALTH_DEAD_DAYS, its fetches are slow on average, or
+ * too many of its articles fail in extraction or keyword extraction.
+ * @param {Object} [options] - runs: how many of the latest runs to include (default 20)
+ * @returns {Array} - Feeds with their state, per-run history (oldest first), totals and problems
+ */
+function getFeedHealth(options = {}) {
+    if (!db) initializeDatabase();
+
+    const runs = options.runs || 20;
+    const history = queryCollectorFeedResults(
+        'r.run_id IN (SELECT id FROM collector_runs ORDER BY id DESC LIMIT ?)',
+        [runs]
+    );
+    const historyByFeed = new Map();
+    history.forEach(result => {
+        if (!historyByFeed.has(result.feed_id)) historyByFeed.set(result.feed_id, []);
+        historyByFeed.get(result.feed_id).push(result);
+    });
+
+    const lastArticles = new Map(db.prepare(`
+        SELECT feed_url, MAX(published_at) AS last_article_at FROM articles GROUP BY feed_url
+    `).all().map(row => [row.feed_url, row.last_article_at]));
+
+    return db.prepare('SELECT * FROM feeds ORDER BY category, title').all().map(feed => {
+        const results = historyByFeed.get(feed.id) || [];
+        const sum = key => results.reduce((total, result) => total + result[key], 0);
+        const jobs = sum('queued_count');
+        const totals = {
+            fetches: results.length,
+            fetchErrors: results.filter(result => result.status === 'error').length,
+            avgDurationMs: results.length > 0 ? Math.round(sum('duration_ms') / results.length) : null,
+            queued: jobs,
+            stored: sum('stored_count'),
+            duplicates: sum('duplicate_count'),
+            fetchFailures: sum('fetch_failure_count'),
+            extractFailures: sum('extract_failure_count'),
+            storeFailures: sum('store_failure_count'),
+            keywordFailures: sum('keyword_failure_count')
+        };
+        const lastArticleAt = lastArticles.get(feed.xml_url) || null;
+
+        const problems = [];
+        if (feed.consecutive_failures >= FEED_HEALTH_MAX_FAILURES) {
+            problems.push({
+                kind: 'failing',
+                message: `${feed.consecutive_failures} failed fetches in a row` +
+                    (feed.last_status ? ` (HTTP ${feed.last_status})` : '') +
+                    (feed.last_error ? `: ${feed.last_error}` : '')
+            });
+        }
+        const idleDays = (Date.now() - new Date(lastArticleAt || feed.created_at || Date.now()).getTime()) / (1000 * 60 * 60 * 24);
+        if (feed.last_success_at && idleDays >= FEED_HEALTH_DEAD_DAYS) {
+            problems.push({
+                kind: 'dead',
+                message: lastArticleAt ? `No new articles for ${Math.floor(idleDays)} days` : 'No articles collected yet'
+            });
+        }
+        if (totals.avgDurationMs !== null && totals.avgDurationMs >= FEED_HEALTH_SLOW_MS) {
+            problems.push({ kind: 'slow', message: `Fetches take ${(totals.avgDurationMs / 1000).toFixed(1)}s on average` });
+        }
+        if (jobs >= FEED_HEALTH_MIN_JOBS) {
+            const articleFailures = totals.fetchFailures + totals.extractFailures;
+            if (articleFailures / jobs >= FEED_HEALTH_MAX_FAILURE_RATE) {
+                problems.push({ kind: 'extraction', message: `${articleFailures} of ${jobs} articles failed to download or extract` });
+            }
+            if (totals.stored > 0 && totals.keywordFailures / totals.stored >= FEED_HEALTH_MAX_FAILURE_RATE) {
+                problems.push({ kind: 'keywords', message: `Keyword extraction failed for ${totals.keywordFailures} of ${totals.stored} articles` });
+            }
+        }
+
+        return {
+            id: feed.id,
+            title: feed.title || feed.xml_url,
+            xmlUrl: feed.xml_url,
+            category: feed.category,
+            enabled: feed.enabled === 1,
+            lastStatus: feed.last_status,
+            lastFetchedAt: feed.last_fetched_at,
+            lastSuccessAt: feed.last_success_at,
+            lastError: feed.last_error,
+            consecutiveFailures: feed.consecutive_failures,
+            nextFetchAt: feed.next_fetch_at,
+            lastArticleAt,
+            history: results.map(feedResultFromRow),
+            totals,
+            problems
+        };
+    });
+}
+
+/**
+ * Count registered users
+ * @returns {number} - Number of users
+ */
+function countUsers() {
+    if (!db) initializeDatabase();
+    return db.prepare('SELECT COUNT(*) as count FROM users').get().count;
+}
+
+/**
+ * Create a user account
+ * The first account is an admin and adopts interactions and view counts
+ * recorded before accounts existed, so a single-user install keeps its profile.
+ * @param {string} username - Unique username (case-insensitive)
+ * @param {string} passwordHash - Hashed password
+ * @param {Object} [options] - isAdmin to make any account an admin, email for its digests
+ * @returns {Object} - Result with the new user, or conflict when the username is taken
+ */
+function createUser(username, passwordHash, { isAdmin = false, email = null } = {}) {
+    try {
+        if (!db) initializeDatabase();
+
+        const create = db.transaction(() => {
+            const isFirstUser = countUsers() === 0;
+            const result = db.prepare('INSERT INTO users (username, password_hash, is_admin, email) VALUES (?, ?, ?, ?)')
+                .run(username, passwordHash, isAdmin || isFirstUser ? 1 : 0, email);
+            const userId = result.lastInsertRowid;
+
+            if (isFirstUser) {
+                const adopted = db.prepare('UPDATE article_interactions SET user_id = ? WHERE user_id IS NULL').run(userId);
+                db.prepare(`
+                    INSERT INTO article_views (user_id, article_id, view_count)
+                    SELECT ?, id, view_count FROM articles WHERE view_count > 0
+                `).run(userId);
+                console.log(`First user "${username}" adopted ${adopted.changes} existing interactions`);
+            }
+
+            return getUser(userId);
+        });
+
+        return { success: true, user: create() };
+    } catch (error) {
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            return { success: false, conflict: true, error: 'Username is already taken' };
+        }
+        console.error('Error creating user:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Get a user by ID
+ * @param {number} id - User ID
+ * @returns {Object|null} - User without password hash, or null
+ */
+function getUser(id) {
+    if (!db) initializeDatabase();
+    return db.prepare('SELECT id, username, is_admin, email, created_at FROM users WHERE id = ?').get(id) || null;
+}
+
+/**
+ * List all users
+ * @returns {Array} - Users (without password hashes)
+ */
+function listUsers() {
+    if (!db) initializeDatabase();
+    return db.prepare('SELECT id, username, is_admin, email, created_at FROM users ORDER BY id').all();
+}
+
+/**
+ * Set or clear a user's email address, where their digests are sent
+ * @param {number} userId - User ID
+ * @param {string|null} email - Address, or null to stop digest emails
+ * @returns {Object} - Result with the updated user, or notFound
+ */
+function updateUserEmail(userId, email) {
+    try {
+        if (!db) initializeDatabase();
+
+        const result = db.prepare('UPDATE users SET email = ? WHERE id = ?').run(email, userId);
+        if (result.changes === 0) {
+            return { success: false, notFound: true, error: 'User not found' };
+        }
+        return { success: true, user: getUser(userId) };
+    } catch (error) {
+        console.error(`Error updating email of user ${userId}:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Get a user by username, including the password hash for login
+ * @param {string} username - Username (case-insensitive)
+ * @returns {Object|null} - User row or null
+ */
+function getUserByUsername(username) {
+    if (!db) initializeDatabase();
+    return db.prepare('SELECT * FROM users WHERE username = ?').get(username) || null;
+}
+
+/**
+ * Store a new session
+ * @param {number} userId - User ID
+ * @param {string} tokenHash - Hash of the session token
+ * @param {string} expiresAt - ISO date when the session expires
+ */
+function createSession(userId, tokenHash, expiresAt) {
+    if (!db) initializeDatabase();
+    db.prepare('INSERT INTO user_sessions (user_id, token_hash, expires_at) VALUES (?, ?, ?)').run(userId, tokenHash, expiresAt);
+}
+
+/**
+ * Resolve a session token hash to its user
+ * Expired sessions are deleted on lookup.
+ * @param {string} tokenHash - Hash of the session token
+ * @returns {Object|null} - User or null if the session is unknown or expired
+ */
+function getSessionUser(tokenHash) {
+    if (!db) initializeDatabase();
+
+    const session = db.prepare('SELECT id, user_id, expires_at FROM user_sessions WHERE token_hash = ?').get(tokenHash);
+    if (!session) return null;
+
+    if (new Date(session.expires_at) <= new Date()) {
+        db.prepare('DELETE FROM user_sessions WHERE id = ?').run(session.id);
+        return null;
+    }
+
+    db.prepare(`UPDATE user_sessions SET last_used_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now') WHERE id = ?`).run(session.id);
+    return getUser(session.user_id);
+}
+
+/**
+ * Delete a session (logout)
+ * @param {string} tokenHash - Hash of the session token
+ */
+function deleteSession(tokenHash) {
+    if (!db) initializeDatabase();
+    db.prepare('DELETE FROM user_sessions WHERE token_hash = ?').run(tokenHash);
+}
+
+/**
+ * Store a new API key
+ * @param {number} userId - User ID
+ * @param {string} name - Label for the key
+ * @param {string} keyHash - Hash of the key
+ * @param {string} keyPrefix - Leading characters of the key for display
+ * @returns {Object} - The stored key without its hash
+ */
+function createApiKey(userId, name, keyHash, keyPrefix) {
+    if (!db) initializeDatabase();
+    const result = db.prepare('INSERT INTO api_keys (user_id, name, key_hash, key_prefix) VALUES (?, ?, ?, ?)').run(userId, name, keyHash, keyPrefix);
+    return db.prepare('SELECT id, name, key_prefix, created_at, last_used_at FROM api_keys WHERE id = ?').get(result.lastInsertRowid);
+}
+
+/**
+ * Resolve an API key hash to its user
+ * @param {string} keyHash - Hash of the API key
+ * @returns {Object|null} - User or null if the key is unknown
+ */
+function getApiKeyUser(keyHash) {
+    if (!db) initializeDatabase();
+
+    const key = db.prepare('SELECT id, user_id FROM api_keys WHERE key_hash = ?').get(keyHash);
+    if (!key) return null;
+
+    db.prepare(`UPDATE api_keys SET last_used_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now') WHERE id = ?`).run(key.id);
+    return getUser(key.user_id);
+}
+
+/**
+ * List a user's API keys
+ * @param {number} userId - User ID
+ * @returns {Array} - Keys without their hashes
+ */
+function listApiKeys(userId) {
+    if (!db) initializeDatabase();
+    return db.prepare(`
+        SELECT id, name, key_prefix, created_at, last_used_at
+        FROM api_keys
+        WHERE user_id = ?
+        ORDER BY created_at DESC
+    `).all(userId);
+}
+
+/**
+ * Revoke one of a user's API keys
+ * @param {number} userId - User ID
+ * @param {number} id - API key ID
+ * @returns {boolean} - True if a key was deleted
+ */
+function deleteApiKey(userId, id) {
+    if (!db) initializeDatabase();
+    return db.prepare('DELETE FROM api_keys WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+}
+
+/**
+ * List a user's rules, including expired ones
+ * @param {number} userId - User ID
+ * @returns {Array} - Rules with an active flag, active rules first
+ */
+function listUserRules(userId) {
+    if (!db) initializeDatabase();
+    return db.prepare(`
+        SELECT id, kind, value, action, amount, expires_at, created_at, expires_at > ? as active
+        FROM user_rules
+        WHERE user_id = ?
+        ORDER BY active DESC, expires_at
+    `).all(new Date().toISOString(), userId).map(rule => ({ ...rule, active: rule.active === 1 }));
+}
+
+/**
+ * Get a user's rules that have not expired
+ * @param {number} userId - User ID
+ * @param {Date} [at] - Past time to get the rules that were in effect then, instead of now
+ * @returns {Array} - Rules with kind, value, action, amount and expires_at
+ */
+function getActiveUserRules(userId, at) {
+    if (!db) initializeDatabase();
+    const time = (at || new Date()).toISOString();
+    return db.prepare(`
+        SELECT id, kind, value, action, amount, expires_at
+        FROM user_rules
+        WHERE user_id = ? AND expires_at > ? AND (? IS NULL OR created_at <= ?)
+    `).all(userId, time, at ? time : null, time);
+}
+
+/**
+ * Create a rule, replacing the user's existing rule for the same target
+ * Keyword rules are lowercased to match stored keywords.
+ * @param {number} userId - User ID
+ * @param {Object} rule - Rule (kind, value, action, amount, expiresAt)
+ * @returns {Object} - Result with status and the stored rule
+ */
+function saveUserRule(userId, rule) {
+    try {
+        if (!db) initializeDatabase();
+
+        const value = rule.kind === 'keyword' ? rule.value.toLowerCase() : rule.value;
+        db.prepare(`
+            INSERT INTO user_rules (user_id, kind, value, action, amount, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(user_id, kind, value) DO UPDATE SET
+                action = excluded.action,
+                amount = excluded.amount,
+                expires_at = excluded.expires_at,
+                created_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now')
+        `).run(userId, rule.kind, value, rule.action, rule.action === 'boost' ? rule.amount : 0, rule.expiresAt);
+
+        const stored = db.prepare('SELECT id FROM user_rules WHERE user_id = ? AND kind = ? AND value = ?').get(userId, rule.kind, value);
+        return { success: true, rule: listUserRules(userId).find(r => r.id === stored.id) };
+    } catch (error) {
+        console.error(`Error saving ${rule.kind} rule for user ${userId}:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Change the action, boost amount or expiry of one of a user's rules
+ * @param {number} userId - User ID
+ * @param {number} id - Rule ID
+ * @param {Object} changes - Fields to change (action, amount, expiresAt)
+ * @returns {Object} - Result with status and the updated rule
+ */
+function updateUserRule(userId, id, changes) {
+    try {
+        if (!db) initializeDatabase();
+
+        const rule = db.prepare('SELECT action, amount, expires_at FROM user_rules WHERE id = ? AND user_id = ?').get(id, userId);
+        if (!rule) {
+            return { success: false, error: 'Rule not found', notFound: true };
+        }
+
+        const action = changes.action ?? rule.action;
+        const amount = action === 'boost' ? (changes.amount ?? rule.amount) : 0;
+        db.prepare('UPDATE user_rules SET action = ?, amount = ?, expires_at = ? WHERE id = ?')
+            .run(action, amount, changes.expiresAt ?? rule.expires_at, id);
+
+        return { success: true, rule: listUserRules(userId).find(r => r.id === id) };
+    } catch (error) {
+        console.error(`Error updating rule ${id}:`, error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Delete one of a user's rules
+ * @param {number} userId - User ID
+ * @param {number} id - Rule ID
+ * @returns {boolean} - True if a rule was deleted
+ */
+function deleteUserRule(userId, id) {
+    if (!db) initializeDatabase();
+    return db.prepare('DELETE FROM user_rules WHERE id = ? AND user_id = ?').run(id, userId).changes > 0;
+}
+
+/**
+ * Record that a user has seen an article
+ * Per-user counts drive "Just in" boosts and view fatigue; the global
+ * articles.view_count is kept as an overall popularity figure.
+ * @param {number} articleId - ID of the article
+ * @param {number} userId - User who saw the article
+ * @returns {Object} - Result with success status
+ */
+function recordArticleView(articleId, userId) {
+    try {
+        if (!db) initializeDatabase();
+
+        const record = db.transaction(() => {
+            const result = db.prepare('UPDATE articles SET view_count = view_count + 1 WHERE id = ?').run(articleId);
+            if (result.changes === 0) return false;
+
+            db.prepare(`
+                INSERT INTO article_views (user_id, article_id, view_count, last_viewed_at)
+                VALUES (?, ?, 1, strftime('%Y-%m-%dT%H:%M:%SZ', 'now'))
+                ON CONFLICT(user_id, article_id) DO UPDATE SET
+                    view_count = view_count + 1,
+                    last_viewed_at = excluded.last_viewed_at
+            `).run(userId, articleId);
+            return true;
+        });
+
+        return record() ? { success: true } : { success: false, notFound: true, error: 'Article not found' };
+    } catch (error) {
+        console.error('Error recording article view:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Turn dwell time and scroll depth into implicit feedback
+ * Leaving within QUICK_BOUNCE_MAX_SECONDS is a quick_bounce. Staying for at
+ * least READ_COMPLETE_MIN_TIME_FRACTION of the estimated reading time is a
+ * read_complete, provided the reader scrolled to READ_COMPLETE_MIN_SCROLL_DEPTH
+ * (scroll depth is unknown after following a link to the original page).
+ * Anything in between records nothing. Each signal is recorded once per user
+ * and article.
+ * @param {number} articleId - ID of the article
+ * @param {number} userId - User who read the article
+ * @param {Object} engagement - { dwellMs, scrollDepth (0-1, optional), source ('reader' or 'click') }
+ * @returns {Object} - Result with the recorded interaction type, or type null if none applied
+ */
+function recordEngagement(articleId, userId, engagement = {}) {
+    try {
+        if (!db) initializeDatabase();
+
+        const article = db.prepare('SELECT id, extracted_content, description FROM articles WHERE id = ?').get(articleId);
+        if (!article) return { success: false, notFound: true, error: 'Article not found' };
+
+        const dwellSeconds = Math.max(0, Number(engagement.dwellMs) || 0) / 1000;
+        const scrollDepth = engagement.scrollDepth == null ? null : Math.min(1, Math.max(0, Number(engagement.scrollDepth) || 0));
+        const words = (article.extracted_content || article.description || '').split(/\s+/).filter(Boolean).length;
+        const readingSeconds = Math.max(60, words / READING_WORDS_PER_MINUTE * 60);
+
+        let type = null;
+        if (dwellSeconds < QUICK_BOUNCE_MAX_SECONDS) {
+            type = 'quick_bounce';
+        } else if (dwellSeconds >= readingSeconds * READ_COMPLETE_MIN_TIME_FRACTION &&
+            (scrollDepth === null || scrollDepth >= READ_COMPLETE_MIN_SCROLL_DEPTH)) {
+            type = 'read_complete';
+        }
+
+        const details = {
+            source: engagement.source || null,
+            dwellSeconds: Math.round(dwellSeconds),
+            scrollDepth,
+            readingSeconds: Math.round(readingSeconds)
+        };
+        if (!type) return { success: true, type: null, ...details };
+
+        const existing = db.prepare(`
+            SELECT 1 FROM article_interactions
+            WHERE article_id = ? AND user_id = ? AND interaction_type = ?
+        `).get(articleId, userId, type);
+        if (existing) return { success: true, type, duplicate: true, ...details };
+
+        const result = trackInteraction(articleId, type, userId, details);
+        if (!result.success) return result;
+
+        console.log(`Recorded ${type} for article ${articleId} by user ${userId} (${details.dwellSeconds}s of ~${details.readingSeconds}s, scroll ${scrollDepth === null ? 'n/a' : Math.round(scrollDepth * 100) + '%'})`);
+        return { success: true, type, ...details };
+    } catch (error) {
+        console.error('Error recording engagement:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Get articles that have no embedding for a model yet, newest first
+ * @param {string} model - Embedding model ID
+ * @param {number} limit - Maximum number of articles
+ * @returns {Array} - Articles with id, title, description and extracted_content
+ */
+function getArticlesMissingEmbeddings(model, limit = 16) {
+    if (!db) initializeDatabase();
+    return db.prepare(`
+        SELECT a.id, a.title, a.description, a.extracted_content
+        FROM articles a
+        LEFT JOIN article_embeddings e ON e.article_id = a.id AND e.model = ?
+        WHERE e.article_id IS NULL
+        ORDER BY a.id DESC
+        LIMIT ?
+    `).all(model, limit);
+}
+
+/**
+ * Store article embeddings
+ * @param {string} model - Embedding model ID
+ * @param {Array<Object>} items - { articleId, vector } with unit-length Float32Array vectors
+ */
+function storeArticleEmbeddings(model, items) {
+    if (!db) initializeDatabase();
+
+    const upsert = db.prepare(`
+        INSERT INTO article_embeddings (article_id, model, dimensions, vector)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT(article_id, model) DO UPDATE SET
+            dimensions = excluded.dimensions,
+            vector = excluded.vector,
+            created_at = strftime('%Y-%m-%dT%H:%M:%SZ', 'now')
+    `);
+
+    db.transaction(() => {
+        items.forEach(({ articleId, vector }) => {
+            upsert.run(articleId, model, vector.length, vectorToBuffer(vector));
+        });
+    })();
+}
+
 /**
  * Close the database connection
  */
@@ -843,11 +3834,93 @@ export {
     storeArticle,
     createMetadata,
     getArticles,
+    getArticle,
+    searchArticles,
     closeDatabase,
     trackInteraction,
+    INTERACTION_TYPES,
+    SCORING_WEIGHTS,
+    RECOMMENDATION_WINDOW_DAYS,
+    interactionTypeWeight,
+    decayedInteractionWeight,
+    USER_RULE_KINDS,
+    USER_RULE_ACTIONS,
     getRecommendedArticles,
+    getStoredRecommendations,
+    explainArticleScore,
+    refreshRecommendationScores,
+    refreshAllRecommendationScores,
     checkUrlExists,
     buildKeywordProfile,
+    invalidateUserProfiles,
+    buildProfileEmbedding,
+    getArticleEmbeddings,
+    getReplayData,
+    getDigestData,
     scoreArticle,
-    getSimilarArticles
+    getSimilarArticles,
+    rebuildStoryClusters,
+    getFeedState,
+    saveFeedFetchResult,
+    listFeeds,
+    getFeed,
+    getFeedsForCollection,
+    claimFeedsForCollection,
+    renewFeedLocks,
+    releaseFeedLocks,
+    createFeed,
+    updateFeed,
+    deleteFeed,
+    importFeeds,
+    getSetting,
+    setSetting,
+    listExtractionRules,
+    getExtractionRule,
+    getExtractionRuleForUrl,
+    createExtractionRule,
+    updateExtractionRule,
+    deleteExtractionRule,
+    getExtractionStats,
+    getCorpusTexts,
+    releaseStaleKeywordJobs,
+    claimKeywordJobs,
+    completeKeywordJob,
+    failKeywordJob,
+    getKeywordQueueStats,
+    requeueKeywordJobs,
+    getCollectorRun,
+    listCollectorRuns,
+    startCollectorRun,
+    claimStaleCollectorRun,
+    requestCollectorRun,
+    claimQueuedCollectorRun,
+    cancelCollectorRun,
+    saveCollectorFeedResult,
+    getCollectorRunFeeds,
+    getFeedHealth,
+    addCollectorJobs,
+    getPendingCollectorJobs,
+    finishCollectorJob,
+    saveCollectorRun,
+    getArticlesMissingEmbeddings,
+    storeArticleEmbeddings,
+    countUsers,
+    createUser,
+    getUser,
+    listUsers,
+    getUserByUsername,
+    updateUserEmail,
+    createSession,
+    getSessionUser,
+    deleteSession,
+    createApiKey,
+    getApiKeyUser,
+    listApiKeys,
+    deleteApiKey,
+    listUserRules,
+    saveUserRule,
+    updateUserRule,
+    deleteUserRule,
+    recordArticleView,
+    recordEngagement
 };
@@ -0,0 +1,320 @@
+/**
+ * Digest Module
+ *
+ * Builds a per-user digest of a period: for each category, a summary of what
+ * was collected, the user's top recommended articles and the articles liked
+ * most. Digests are rendered as Markdown and email-friendly HTML, written to
+ * DIGEST_DIR and optionally sent over SMTP. nodemailer is an optional
+ * dependency and is loaded only when a digest is sent.
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import path from 'path';
+import { getDigestData, listUsers, getUser } from './database.js';
+import 'dotenv/config';
+
+const DIGEST_PERIODS = {
+  day: 1,
+  week: 7
+};
+
+const DIGEST_DIR = process.env.DIGEST_DIR || path.join(process.cwd(), 'storage', 'digests');
+const DIGEST_ARTICLES_PER_LIST = parseInt(process.env.DIGEST_ARTICLES_PER_LIST || 5);
+
+/**
+ * Build a user's digest
+ * @param {Object} user - User with id and username
+ * @param {Object} [options] - period ('day' or 'week', default 'week') and end (Date, default now)
+ * @returns {Object} - Digest with user, period, start, end and categories
+ */
+function buildDigest(user, options = {}) {
+  const period = options.period || 'week';
+  const days = DIGEST_PERIODS[period];
+  if (!days) {
+    throw new Error(`Unknown digest period "${period}"; expected one of ${Object.keys(DIGEST_PERIODS).join(', ')}`);
+  }
+
+  const end = options.end ? new Date(options.end) : new Date();
+  const start = new Date(end);
+  start.setDate(start.getDate() - days);
+
+  return {
+    user,
+    period,
+    start,
+    end,
+    categories: getDigestData(user.id, { start, days, limit: DIGEST_ARTICLES_PER_LIST })
+  };
+}
+
+/**
+ * Title of a digest
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {string} - Title
+ */
+function digestTitle(digest) {
+  const label = digest.period === 'day' ? 'Daily' : 'Weekly';
+  return `${label} news digest for ${digest.user.username}, ${formatDate(digest.end)}`;
+}
+
+/**
+ * Format a date for display
+ * @param {Date|string} date - Date
+ * @returns {string} - e.g. "Oct 19, 2026"
+ */
+function formatDate(date) {
+  return new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' }).format(new Date(date));
+}
+
+/**
+ * One-line summary of a category's collected articles
+ * @param {Object} metadata - Metadata from createMetadata
+ * @returns {string} - Summary
+ */
+function summaryLine(metadata) {
+  if (!metadata || metadata.totalArticles === 0) return 'No new articles';
+  const articles = `${metadata.totalArticles} new article${metadata.totalArticles === 1 ? '' : 's'}`;
+  const sources = `${metadata.sourceCount} source${metadata.sourceCount === 1 ? '' : 's'}`;
+  return `${articles} from ${sources}: ${metadata.sources.join(', ')}`;
+}
+
+/**
+ * Escape text for Markdown link labels
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeMarkdown(text) {
+  return String(text || '').replace(/([\\[\]*_`])/g, '\\$1');
+}
+
+/**
+ * Make a URL safe to use as a Markdown link target
+ * @param {string} url - URL
+ * @returns {string} - URL with spaces and parentheses percent-encoded
+ */
+function markdownUrl(url) {
+  return String(url || '').replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a digest as Markdown
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {string} - Markdown
+ */
+function renderDigestMarkdown(digest) {
+  const lines = [`# ${digestTitle(digest)}`, '', `${formatDate(digest.start)} – ${formatDate(digest.end)}`, ''];
+
+  if (digest.categories.length === 0) {
+    lines.push('Nothing new in this period.', '');
+  }
+
+  const list = (title, articles, detail) => {
+    if (articles.length === 0) return;
+    lines.push(`### ${title}`, '');
+    articles.forEach(article => {
+      lines.push(`- [${escapeMarkdown(article.title)}](${markdownUrl(article.link)}) — ${escapeMarkdown(article.feed_title)}${detail(article)}`);
+    });
+    lines.push('');
+  };
+
+  digest.categories.forEach(entry => {
+    lines.push(`## ${entry.category}`, '', summaryLine(entry.metadata), '');
+    list('Recommended for you', entry.topRecommended, () => '');
+    list('Most liked', entry.mostLiked, article => ` (${article.likes} like${article.likes === 1 ? '' : 's'})`);
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a digest as HTML for email clients (inline styles only)
+ * @param {Object} digest - Digest from buildDigest
+ * @returns {string} - HTML document
+ */
+function renderDigestHtml(digest) {
+  const title = escapeHtml(digestTitle(digest));
+  const parts = [];
+
+  const list = (heading, articles, detail) => {
+    if (articles.length === 0) return;
+    parts.push(`<h3 style="font-size:15px;color:#374151;margin:16px 0 8px">${escapeHtml(heading)}</h3>`);
+    parts.push('<ul style="padding-left:20px;margin:0">');
+    articles.forEach(article => {
+      parts.push(`<li style="margin-bottom:8px"><a href="${escapeHtml(article.link)}" style="color:#2563eb;text-decoration:none">${escapeHtml(article.title)}</a>` +
+        `<br><span style="color:#6b7280;font-size:13px">${escapeHtml(article.feed_title)}${escapeHtml(detail(article))}</span></li>`);
+    });
+    parts.push('</ul>');
+  };
+
+  if (digest.categories.length === 0) {
+    parts.push('<p>Nothing new in this period.</p>');
+  }
+
+  digest.categories.forEach(entry => {
+    parts.push(`<h2 style="font-size:18px;color:#111827;border-bottom:1px solid #e5e7eb;padding-bottom:4px;margin-top:24px">${escapeHtml(entry.category)}</h2>`);
+    parts.push(`<p style="color:#6b7280;font-size:13px;margin:4px 0">${escapeHtml(summaryLine(entry.metadata))}</p>`);
+    list('Recommended for you', entry.topRecommended, () => '');
+    list('Most liked', entry.mostLiked, article => ` · ${article.likes} like${article.likes === 1 ? '' : 's'}`);
+  });
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+</head>
+<body style="font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;max-width:640px;margin:0 auto;padding:16px;color:#111827">
+<h1 style="font-size:22px;margin-bottom:4px">${title}</h1>
+<p style="color:#6b7280;margin-top:0">${escapeHtml(`${formatDate(digest.start)} – ${formatDate(digest.end)}`)}</p>
+${parts.join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Write a digest's Markdown and HTML files
+ * @param {Object} digest - Digest from buildDigest
+ * @param {Object} rendered - { markdown, html }
+ * @returns {Object} - Paths of the written files
+ */
+function writeDigestFiles(digest, rendered) {
+  mkdirSync(DIGEST_DIR, { recursive: true });
+  const user = digest.user.username.toLowerCase().replace(/[^a-z0-9]/g, '-');
+  const base = path.join(DIGEST_DIR, `${user}-${digest.period}-${digest.end.toISOString().split('T')[0]}`);
+
+  writeFileSync(`${base}.md`, rendered.markdown);
+  writeFileSync(`${base}.html`, rendered.html);
+  return { markdown: `${base}.md`, html: `${base}.html` };
+}
+
+/**
+ * Whether digests can be sent by email
+ * @returns {boolean} - True if an SMTP server is configured
+ */
+function isEmailConfigured() {
+  return Boolean(process.env.SMTP_HOST);
+}
+
+/**
+ * Send a digest over SMTP
+ * Uses SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS and
+ * DIGEST_EMAIL_FROM from the environment.
+ * @param {Object} digest - Digest from buildDigest
+ * @param {Object} rendered - { markdown, html }; the Markdown is sent as the plain text part
+ * @param {string} to - Recipient address(es)
+ * @returns {Promise<Object>} - Result with success and messageId or error
+ */
+async function sendDigestEmail(digest, rendered, to) {
+  try {
+    let nodemailer;
+    try {
+      nodemailer = (await import('nodemailer')).default;
+    } catch (error) {
+      throw new Error('nodemailer is not installed');
+    }
+
+    const port = parseInt(process.env.SMTP_PORT || 587);
+    const transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+
+    const info = await transport.sendMail({
+      from: process.env.DIGEST_EMAIL_FROM || 'NewsFeedSolo <newsfeedsolo@localhost>',
+      to,
+      subject: digestTitle(digest),
+      text: rendered.markdown,
+      html: rendered.html
+    });
+
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error(`Error sending digest to ${to}:`, error.message);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Generate the digests of a period for every user (or one user)
+ * Each digest is written to DIGEST_DIR and, when SMTP is configured, sent to
+ * its user's email address; users without one only get the files. Digests
+ * are personal, so another recipient can only be given for a single user.
+ * @param {Object} [options] - period (default 'week'), userId, to (recipient(s) instead of the
+ *                             user's address, requires userId) and email (false to only write files)
+ * @returns {Promise<Object>} - Counts of digests written, sent and failed to send
+ */
+async function generateDigests(options = {}) {
+  const period = options.period || 'week';
+  if (!DIGEST_PERIODS[period]) {
+    throw new Error(`Unknown period "${period}"; expected one of ${Object.keys(DIGEST_PERIODS).join(', ')}`);
+  }
+  if (options.to && !options.userId) {
+    throw new Error('A recipient can only be given together with a user; digests go to each user\'s own address');
+  }
+  const summary = { written: 0, sent: 0, failed: 0 };
+
+  const users = options.userId ? [getUser(options.userId)].filter(Boolean) : listUsers();
+  if (users.length === 0) {
+    console.log(options.userId ? `User ${options.userId} not found` : 'No users to generate digests for');
+    return summary;
+  }
+
+  const recipientOf = user => options.to || user.email || '';
+  const wantEmail = options.email !== false && users.some(user => recipientOf(user));
+  if (wantEmail && !isEmailConfigured()) {
+    console.log('SMTP_HOST is not set, digests will only be written to files');
+  }
+
+  for (const user of users) {
+    const digest = buildDigest(user, { period });
+    const rendered = {
+      markdown: renderDigestMarkdown(digest),
+      html: renderDigestHtml(digest)
+    };
+    const files = writeDigestFiles(digest, rendered);
+    summary.written++;
+    console.log(`Wrote ${period} digest for ${user.username} (${digest.categories.length} categories): ${files.markdown}, ${files.html}`);
+
+    const to = recipientOf(user);
+    if (wantEmail && isEmailConfigured() && !to) {
+      console.log(`No email address for ${user.username}, skipping the email`);
+    } else if (wantEmail && isEmailConfigured()) {
+      const result = await sendDigestEmail(digest, rendered, to);
+      if (result.success) {
+        summary.sent++;
+        console.log(`Sent digest for ${user.username} to ${to} (${result.messageId})`);
+      } else {
+        summary.failed++;
+      }
+    }
+  }
+
+  return summary;
+}
+
+export {
+  DIGEST_PERIODS,
+  buildDigest,
+  renderDigestMarkdown,
+  renderDigestHtml,
+  writeDigestFiles,
+  isEmailConfigured,
+  sendDigestEmail,
+  generateDigests
+};
@@ -0,0 +1,41 @@
+/**
+ * Embedding Provider Registry
+ * 
+ * Every provider is an object with a `name`, a `model`, an `isConfigured()`
+ * check and an async `embed(texts)` that resolves to one numeric vector per
+ * input text or throws on failure.
+ */
+
+import { createOpenAIEmbeddingProvider } from './openai.js';
+import { createLocalEmbeddingProvider } from './local.js';
+
+const providerFactories = {
+  openai: () => createOpenAIEmbeddingProvider({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.EMBEDDING_MODEL || 'text-embedding-3-small'
+  }),
+  'openai-compatible': () => createOpenAIEmbeddingProvider({
+    name: 'openai-compatible',
+    // Local servers usually ignore the key, but the client requires one
+    apiKey: process.env.EMBEDDING_API_KEY || 'not-needed',
+    baseURL: process.env.EMBEDDING_API_BASE_URL,
+    model: process.env.EMBEDDING_MODEL
+  }),
+  local: () => createLocalEmbeddingProvider({
+    model: process.env.EMBEDDING_MODEL || undefined
+  })
+};
+
+/**
+ * Create an embedding provider by name
+ * @param {string} name - Provider name (openai, openai-compatible, local)
+ * @returns {Object} - Embedding provider
+ */
+export function createEmbeddingProvider(name) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown embedding provider "${name}" (available: ${Object.keys(providerFactories).join(', ')}, none)`);
+  }
+  return factory();
+}
@@ -0,0 +1,42 @@
+/**
+ * Local Embedding Provider
+ * 
+ * Runs a sentence-transformer model in-process with transformers.js, so
+ * embeddings work without any API. The library is an optional dependency and
+ * is loaded on first use; the model is downloaded once and cached.
+ */
+
+/**
+ * Create a local embedding provider
+ * @param {Object} options - Provider options
+ * @param {string} [options.model='Xenova/all-MiniLM-L6-v2'] - Hugging Face model ID
+ * @returns {Object} - Embedding provider
+ */
+export function createLocalEmbeddingProvider({ model = 'Xenova/all-MiniLM-L6-v2' } = {}) {
+  let extractor = null;
+
+  return {
+    name: 'local',
+    model,
+
+    isConfigured() {
+      return true;
+    },
+
+    async embed(texts) {
+      if (!extractor) {
+        let pipeline;
+        try {
+          ({ pipeline } = await import('@xenova/transformers'));
+        } catch (error) {
+          throw new Error('@xenova/transformers is not installed');
+        }
+        extractor = await pipeline('feature-extraction', model);
+      }
+
+      // Mean pooling gives one vector per text
+      const output = await extractor(texts, { pooling: 'mean', normalize: true });
+      return output.tolist();
+    }
+  };
+}
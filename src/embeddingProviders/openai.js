@@ -0,0 +1,44 @@
+/**
+ * OpenAI Embedding Provider
+ * 
+ * Embeds text with the embeddings endpoint of the hosted OpenAI API or any
+ * OpenAI-compatible server (Ollama, LM Studio, llama.cpp server, vLLM...).
+ */
+
+import OpenAI from 'openai';
+
+/**
+ * Create an OpenAI (or OpenAI-compatible) embedding provider
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name used in logs and model IDs
+ * @param {string} options.apiKey - API key (local endpoints usually accept any value)
+ * @param {string} [options.baseURL] - Base URL of an OpenAI-compatible endpoint
+ * @param {string} options.model - Embedding model name
+ * @returns {Object} - Embedding provider
+ */
+export function createOpenAIEmbeddingProvider({ name, apiKey, baseURL, model }) {
+  let client = null;
+
+  return {
+    name,
+    model,
+
+    isConfigured() {
+      return Boolean(apiKey) && Boolean(model);
+    },
+
+    async embed(texts) {
+      // Create the client lazily so a missing key doesn't crash on import
+      if (!client) {
+        client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+      }
+
+      const response = await client.embeddings.create({ model, input: texts });
+
+      // Results carry their input index; don't rely on the response order
+      return response.data
+        .sort((a, b) => a.index - b.index)
+        .map(item => item.embedding);
+    }
+  };
+}
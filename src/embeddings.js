@@ -0,0 +1,123 @@
+/**
+ * Embeddings
+ * 
+ * Turns articles into embedding vectors for semantic similarity through a
+ * pluggable provider (see src/embeddingProviders/), selected with
+ * EMBEDDING_PROVIDER. Vectors are normalized to unit length before they are
+ * stored, so cosine similarity is a plain dot product.
+ */
+
+import dotenv from 'dotenv';
+import { createEmbeddingProvider } from './embeddingProviders/index.js';
+import { cleanText } from './keywordExtractor.js';
+
+// Load environment variables
+dotenv.config();
+
+// Embedding inputs are cut off here to stay within model context limits
+const MAX_EMBEDDING_CHARS = parseInt(process.env.EMBEDDING_MAX_CHARS || 8000);
+
+// "none" turns embeddings off; similarity then falls back to keyword overlap
+const providerName = (process.env.EMBEDDING_PROVIDER || 'openai').trim().toLowerCase();
+const provider = (() => {
+    if (providerName === 'none') return null;
+    try {
+        return createEmbeddingProvider(providerName);
+    } catch (error) {
+        // A misconfigured provider must not stop every process that uses the database
+        console.error(`${error.message}; semantic similarity is disabled`);
+        return null;
+    }
+})();
+
+/**
+ * Whether an embedding provider is configured
+ * @returns {boolean} - True if articles can be embedded
+ */
+export function isEmbeddingEnabled() {
+    return provider !== null && provider.isConfigured();
+}
+
+/**
+ * Identify the configured provider and model
+ * Vectors are only ever compared with vectors from the same model.
+ * @returns {string|null} - Model ID like "openai:text-embedding-3-small", or null when disabled
+ */
+export function getEmbeddingModelId() {
+    return isEmbeddingEnabled() ? `${provider.name}:${provider.model}` : null;
+}
+
+/**
+ * Build the text that represents an article
+ * @param {Object} article - Article with title, description and extracted_content
+ * @returns {string} - Cleaned, truncated text
+ */
+export function articleEmbeddingText(article) {
+    const text = cleanText([article.title, article.description, article.extracted_content].filter(Boolean).join('\n\n'));
+    return text.slice(0, MAX_EMBEDDING_CHARS);
+}
+
+/**
+ * Scale a vector to unit length
+ * @param {Array<number>|Float32Array} values - Vector
+ * @returns {Float32Array} - Unit vector (all zeros stays all zeros)
+ */
+export function normalizeVector(values) {
+    const vector = Float32Array.from(values);
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    }
+    return vector;
+}
+
+/**
+ * Dot product of two vectors; the cosine similarity for unit vectors
+ * @param {Float32Array} a - First vector
+ * @param {Float32Array} b - Second vector
+ * @returns {number} - Dot product, 0 when the dimensions differ
+ */
+export function dotProduct(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+/**
+ * Serialize a vector for a SQLite BLOB column
+ * @param {Float32Array} vector - Vector
+ * @returns {Buffer} - Raw float32 bytes
+ */
+export function vectorToBuffer(vector) {
+    return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+}
+
+/**
+ * Deserialize a vector read from a SQLite BLOB column
+ * @param {Buffer} buffer - Raw float32 bytes
+ * @returns {Float32Array} - Vector
+ */
+export function bufferToVector(buffer) {
+    // Copy first: the Buffer may not be aligned to 4 bytes
+    return new Float32Array(new Uint8Array(buffer).buffer);
+}
+
+/**
+ * Embed a batch of articles
+ * @param {Array<Object>} articles - Articles with title, description and extracted_content
+ * @returns {Promise<Array<Float32Array>>} - One unit vector per article
+ */
+export async function embedArticles(articles) {
+    if (!isEmbeddingEnabled()) {
+        throw new Error('No embedding provider is configured');
+    }
+
+    const vectors = await provider.embed(articles.map(articleEmbeddingText));
+    if (vectors.length !== articles.length) {
+        throw new Error(`Expected ${articles.length} embeddings, got ${vectors.length}`);
+    }
+    return vectors.map(normalizeVector);
+}
@@ -0,0 +1,314 @@
+/**
+ * Offline Evaluation Module
+ *
+ * Replays the interaction log to measure how well a weight configuration
+ * would have ranked the articles users went on to engage with. Each
+ * evaluation point sits just before a positive interaction: the user's
+ * profile, direct interaction scores and fatigue are rebuilt from the
+ * interactions before it, the articles available at that time are scored
+ * with scoreArticle, collapsed to one per story and re-ranked for diversity,
+ * as the background refresh and "For You" snapshot do, and the ranking is
+ * compared with what the user engaged with during the following session.
+ * The exploration picks of the re-ranking are random and left out, so the
+ * metrics are reproducible; they measure the snapshot without its
+ * exploration place.
+ *
+ * Per-user view counts are not stored with timestamps, so the replay counts
+ * an article as seen once for every earlier interaction with it, for both
+ * fatigue and the category exposure the re-ranking uses.
+ */
+
+import {
+    buildKeywordProfile,
+    buildProfileEmbedding,
+    getArticleEmbeddings,
+    getReplayData,
+    scoreArticle,
+    interactionTypeWeight,
+    decayedInteractionWeight,
+    SCORING_WEIGHTS,
+    RECOMMENDATION_WINDOW_DAYS
+} from './database.js';
+import { getEmbeddingModelId } from './embeddings.js';
+import { rerankRecommendations } from './recommendationReranker.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Key identifying the story an article belongs to
+ * @param {Object} article - Article with id and cluster_id
+ * @returns {number} - Cluster ID, or the negated article ID for unclustered articles
+ */
+function storyKey(article) {
+    return article.cluster_id ?? -article.id;
+}
+
+/**
+ * Build the evaluation points for the interaction log
+ * @param {Object} [options] - userId, since (first point), sessionHours (how long after a point
+ *                             interactions count as its outcome, default 1) and maxPoints (keep the latest N)
+ * @returns {Array} - Points with userId, at, profile, exposure, candidates and relevance (story key -> gain)
+ */
+function buildEvaluationPoints(options = {}) {
+    const sessionMs = (options.sessionHours ?? 1) * 60 * 60 * 1000;
+    const since = options.since ? new Date(options.since) : null;
+    const { interactions, articles } = getReplayData({ userId: options.userId, since });
+
+    const articlesById = new Map(articles.map(article => [article.id, article]));
+    const model = getEmbeddingModelId();
+    const earliest = articles.reduce((min, article) => Math.min(min, new Date(article.published_at).getTime()), Infinity);
+    const embeddings = model && articles.length > 0 ? getArticleEmbeddings(model, new Date(earliest - 1)) : new Map();
+
+    const logs = new Map();
+    interactions.forEach(interaction => {
+        if (!logs.has(interaction.user_id)) logs.set(interaction.user_id, []);
+        logs.get(interaction.user_id).push(interaction);
+    });
+
+    // Pick the point times first so only the kept points are reconstructed
+    let specs = [];
+    for (const [userId, log] of logs) {
+        let nextStart = 0;
+        log.forEach(interaction => {
+            const time = new Date(interaction.created_at).getTime();
+            if (interactionTypeWeight(interaction.interaction_type) <= 0) return;
+            if (time < nextStart || (since && time < since.getTime())) return;
+
+            // The feed as it looked just before the interaction
+            const at = new Date(time - 1000);
+            nextStart = at.getTime() + sessionMs;
+            specs.push({ userId, log, at, end: nextStart });
+        });
+    }
+
+    specs.sort((a, b) => a.at - b.at);
+    if (options.maxPoints) specs = specs.slice(-options.maxPoints);
+
+    return specs
+        .map(({ userId, log, at, end }) => {
+            const timeOf = interaction => new Date(interaction.created_at).getTime();
+            const before = log.filter(interaction => timeOf(interaction) < at.getTime());
+            const session = log.filter(interaction => timeOf(interaction) >= at.getTime() && timeOf(interaction) < end);
+            return buildPoint(userId, at, before, session, articles, articlesById, model, embeddings);
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Reconstruct the feed state of one user at one point in time
+ * @param {number} userId - User ID
+ * @param {Date} at - Point in time
+ * @param {Array} before - The user's interactions before the point
+ * @param {Array} session - The user's interactions during the session that follows
+ * @param {Array} articles - All articles of the replay
+ * @param {Map} articlesById - Articles by ID
+ * @param {string|null} model - Embedding model ID
+ * @param {Map} embeddings - Article embeddings by article ID
+ * @returns {Object|null} - Evaluation point, or null if nothing engaged with was rankable
+ */
+function buildPoint(userId, at, before, session, articles, articlesById, model, embeddings) {
+    const windowStart = at.getTime() - RECOMMENDATION_WINDOW_DAYS * DAY_MS;
+    const candidates = articles.filter(article =>
+        new Date(article.stored_at).getTime() <= at.getTime() &&
+        new Date(article.published_at).getTime() > windowStart);
+    const candidateIds = new Set(candidates.map(article => article.id));
+
+    // What the user engaged with next; gains are summed per story since only one article of each is shown
+    const relevance = new Map();
+    session.forEach(interaction => {
+        const article = articlesById.get(interaction.article_id);
+        if (!article || !candidateIds.has(article.id)) return;
+        const key = storyKey(article);
+        relevance.set(key, (relevance.get(key) || 0) + interactionTypeWeight(interaction.interaction_type));
+    });
+    for (const [key, gain] of relevance) {
+        if (gain <= 0) relevance.delete(key);
+    }
+    if (relevance.size === 0) return null;
+
+    // Direct interaction scores, views and story activity as of the point
+    const directScores = new Map();
+    const interactionCounts = new Map();
+    const storyActivity = new Map();
+    // Category -> { views, positives }, as getCategoryExposure builds it for the snapshot
+    const exposure = new Map();
+    before.forEach(interaction => {
+        const id = interaction.article_id;
+        directScores.set(id, (directScores.get(id) || 0) + decayedInteractionWeight(interaction.interaction_type, interaction.created_at, at));
+        interactionCounts.set(id, (interactionCounts.get(id) || 0) + 1);
+        const article = articlesById.get(id);
+        if (article && article.cluster_id) {
+            // One view plus the interaction itself, as in refreshRecommendationScores
+            storyActivity.set(article.cluster_id, (storyActivity.get(article.cluster_id) || 0) + 2);
+        }
+        if (article && article.feed_category) {
+            const entry = exposure.get(article.feed_category) || { views: 0, positives: 0 };
+            entry.views++;
+            if (interactionTypeWeight(interaction.interaction_type) > 0) entry.positives++;
+            exposure.set(article.feed_category, entry);
+        }
+    });
+
+    const profile = buildKeywordProfile(userId, { asOf: at, quiet: true });
+    if (model) profile.embedding = buildProfileEmbedding(userId, model, at);
+
+    return {
+        userId,
+        at,
+        profile,
+        exposure,
+        relevance,
+        candidates: candidates.map(article => {
+            const count = interactionCounts.get(article.id) || 0;
+            return {
+                ...article,
+                direct_interaction_score: directScores.get(article.id) || 0,
+                view_count: count,
+                cluster_fatigue_count: article.cluster_id ? (storyActivity.get(article.cluster_id) || 0) - 2 * count : 0,
+                embedding: embeddings.get(article.id)
+            };
+        })
+    };
+}
+
+/**
+ * Rank a point's candidates the way the "For You" snapshot does, without its exploration pick
+ * @param {Object} point - Evaluation point
+ * @param {Object} weights - Scoring weights
+ * @param {number} k - Number of articles to return
+ * @returns {Array} - Top k { id, key, score }, best-scored article of each story only
+ */
+function rankPoint(point, weights, k) {
+    const best = new Map();
+    point.candidates.forEach(article => {
+        const scores = scoreArticle(article, point.profile, { weights, now: point.at, quiet: true });
+        if (scores.muted) return;
+
+        const key = storyKey(article);
+        const current = best.get(key);
+        if (!current || scores.totalScore > current.score || (scores.totalScore === current.score && article.id > current.article.id)) {
+            best.set(key, { article, key, score: scores.totalScore });
+        }
+    });
+
+    const ranked = [...best.values()]
+        .sort((a, b) => b.score - a.score || b.article.id - a.article.id)
+        .map(({ article, key, score }) => ({
+            article_id: article.id,
+            key,
+            final_score: score,
+            keywords: article.keywords,
+            feed_title: article.feed_title,
+            feed_category: article.feed_category
+        }));
+
+    return rerankRecommendations(ranked, { exposure: point.exposure, exploration: false })
+        .slice(0, k)
+        .map(item => ({ id: item.article_id, key: item.key, score: item.final_score }));
+}
+
+/**
+ * Discounted cumulative gain of a list of gains
+ * @param {Array<number>} gains - Gains in rank order
+ * @returns {number} - DCG
+ */
+function dcg(gains) {
+    return gains.reduce((sum, gain, index) => sum + gain / Math.log2(index + 2), 0);
+}
+
+/**
+ * Evaluate a weight configuration over the evaluation points
+ * @param {Array} points - Points from buildEvaluationPoints
+ * @param {Object} [weights] - Overrides for SCORING_WEIGHTS
+ * @param {number} [k=10] - Cutoff rank
+ * @returns {Object} - Mean precision@k and NDCG@k, and catalog coverage (share of candidate articles shown in any top k)
+ */
+function evaluateWeights(points, weights = {}, k = 10) {
+    const merged = { ...SCORING_WEIGHTS, ...weights };
+    let precisionSum = 0;
+    let ndcgSum = 0;
+    const shown = new Set();
+    const catalog = new Set();
+
+    points.forEach(point => {
+        const top = rankPoint(point, merged, k);
+        const gains = top.map(item => point.relevance.get(item.key) || 0);
+
+        precisionSum += gains.filter(gain => gain > 0).length / k;
+        const ideal = dcg([...point.relevance.values()].sort((a, b) => b - a).slice(0, k));
+        ndcgSum += dcg(gains) / ideal;
+
+        top.forEach(item => shown.add(item.id));
+        point.candidates.forEach(article => catalog.add(article.id));
+    });
+
+    return {
+        weights: merged,
+        points: points.length,
+        precisionAtK: points.length > 0 ? precisionSum / points.length : 0,
+        ndcgAtK: points.length > 0 ? ndcgSum / points.length : 0,
+        coverage: catalog.size > 0 ? shown.size / catalog.size : 0
+    };
+}
+
+/**
+ * Parse a range of weight values
+ * @param {string} spec - "start:end:step" or a comma-separated list of values
+ * @returns {Array<number>} - Values
+ */
+function parseRange(spec) {
+    const parts = String(spec).split(':').map(Number);
+    if (parts.length === 3) {
+        const [start, end, step] = parts;
+        if (![start, end, step].every(Number.isFinite) || step <= 0) {
+            throw new Error(`Invalid range "${spec}"`);
+        }
+        const values = [];
+        // Round to avoid floating point drift in the steps
+        for (let value = start; value <= end + step / 1e6; value += step) {
+            values.push(Math.round(value * 1e6) / 1e6);
+        }
+        return values;
+    }
+
+    const values = String(spec).split(',').map(Number);
+    if (values.some(value => !Number.isFinite(value))) {
+        throw new Error(`Invalid values "${spec}"`);
+    }
+    return values;
+}
+
+/**
+ * Every combination of the given weight values
+ * @param {Object} ranges - Weight name -> array of values
+ * @returns {Array<Object>} - Weight configurations
+ */
+function expandGrid(ranges) {
+    return Object.entries(ranges).reduce((configs, [name, values]) => {
+        if (!(name in SCORING_WEIGHTS)) {
+            throw new Error(`Unknown weight ${name}; expected one of ${Object.keys(SCORING_WEIGHTS).join(', ')}`);
+        }
+        return configs.flatMap(config => values.map(value => ({ ...config, [name]: value })));
+    }, [{}]);
+}
+
+/**
+ * Evaluate every combination of weight values
+ * @param {Array} points - Points from buildEvaluationPoints
+ * @param {Object} ranges - Weight name -> array of values
+ * @param {Object} [options] - base (fixed weight overrides) and k
+ * @returns {Array} - Results from evaluateWeights, best NDCG first
+ */
+function gridSearch(points, ranges, options = {}) {
+    return expandGrid(ranges)
+        .map(config => evaluateWeights(points, { ...options.base, ...config }, options.k))
+        .sort((a, b) => b.ndcgAtK - a.ndcgAtK || b.precisionAtK - a.precisionAtK);
+}
+
+export {
+    buildEvaluationPoints,
+    evaluateWeights,
+    parseRange,
+    expandGrid,
+    gridSearch
+};
@@ -0,0 +1,198 @@
+/**
+ * Feed Writer Module
+ *
+ * This module serializes article lists as RSS 2.0, Atom 1.0 or JSON Feed 1.1
+ * so rankings and filtered views can be followed from other feed readers.
+ * Extracted article Markdown is rendered to HTML for the item content.
+ */
+
+import xml2js from 'xml2js';
+import { marked } from 'marked';
+
+const FEED_FORMATS = {
+  xml: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+const GENERATOR = 'NewsFeedSolo';
+
+/**
+ * Render an article's content as HTML
+ * @param {Object} article - Article row (extracted_content holds Markdown)
+ * @returns {string} - HTML content
+ */
+function articleHtml(article) {
+  const markdown = article.extracted_content || article.description || '';
+  try {
+    return marked.parse(markdown);
+  } catch (error) {
+    console.error(`Error rendering Markdown for article ${article.id}:`, error.message);
+    return markdown;
+  }
+}
+
+/**
+ * Parse an article's stored keywords
+ * @param {Object} article - Article row
+ * @returns {Array<string>} - Keywords
+ */
+function articleKeywords(article) {
+  try {
+    return JSON.parse(article.keywords || '[]');
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Last time any article in the list changed, for the feed's updated date
+ * Derived from the articles rather than the clock so unchanged feeds serialize identically.
+ * @param {Array} articles - Article rows
+ * @returns {Date} - Newest published or stored date
+ */
+function feedUpdated(articles) {
+  const times = articles
+    .flatMap(article => [article.published_at, article.stored_at])
+    .map(date => new Date(date).getTime())
+    .filter(time => !isNaN(time));
+  return new Date(times.length > 0 ? Math.max(...times) : 0);
+}
+
+/**
+ * Stable URI identifying an article
+ * Atom requires ids to be URIs, and many feed guids are not.
+ * @param {Object} article - Article row
+ * @returns {string} - guid if it is a URI, otherwise the link or a tag URI
+ */
+function articleId(article) {
+  if (article.guid && /^[a-z][a-z0-9+.-]*:/i.test(article.guid)) return article.guid;
+  return article.link || `tag:newsfeedsolo,2024:article:${article.id}`;
+}
+
+/**
+ * Build an RSS 2.0 document
+ * @param {Object} feed - Feed metadata (title, description, homeUrl, feedUrl)
+ * @param {Array} articles - Article rows
+ * @returns {string} - RSS XML string
+ */
+function buildRss(feed, articles) {
+  const builder = new xml2js.Builder({
+    xmldec: { version: '1.0', encoding: 'UTF-8' }
+  });
+
+  return builder.buildObject({
+    rss: {
+      $: {
+        version: '2.0',
+        'xmlns:atom': 'http://www.w3.org/2005/Atom',
+        'xmlns:content': 'http://purl.org/rss/1.0/modules/content/'
+      },
+      channel: [{
+        title: [feed.title],
+        link: [feed.homeUrl],
+        description: [feed.description || feed.title],
+        'atom:link': [{ $: { href: feed.feedUrl, rel: 'self', type: 'application/rss+xml' } }],
+        generator: [GENERATOR],
+        lastBuildDate: [feedUpdated(articles).toUTCString()],
+        item: articles.map(article => ({
+          title: [article.title || ''],
+          ...(article.link ? { link: [article.link] } : {}),
+          guid: [{ _: articleId(article), $: { isPermaLink: 'false' } }],
+          ...(article.published_at ? { pubDate: [new Date(article.published_at).toUTCString()] } : {}),
+          ...(article.author ? { author: [article.author] } : {}),
+          source: [{ _: article.feed_title || '', $: { url: article.feed_url || feed.homeUrl } }],
+          category: articleKeywords(article),
+          description: [article.description || ''],
+          'content:encoded': [articleHtml(article)]
+        }))
+      }]
+    }
+  });
+}
+
+/**
+ * Build an Atom 1.0 document
+ * @param {Object} feed - Feed metadata (title, description, homeUrl, feedUrl)
+ * @param {Array} articles - Article rows
+ * @returns {string} - Atom XML string
+ */
+function buildAtom(feed, articles) {
+  const builder = new xml2js.Builder({
+    xmldec: { version: '1.0', encoding: 'UTF-8' }
+  });
+
+  return builder.buildObject({
+    feed: {
+      $: { xmlns: 'http://www.w3.org/2005/Atom' },
+      id: [feed.feedUrl],
+      title: [feed.title],
+      ...(feed.description ? { subtitle: [feed.description] } : {}),
+      updated: [feedUpdated(articles).toISOString()],
+      link: [
+        { $: { rel: 'self', href: feed.feedUrl } },
+        { $: { rel: 'alternate', href: feed.homeUrl } }
+      ],
+      generator: [GENERATOR],
+      entry: articles.map(article => ({
+        id: [articleId(article)],
+        title: [article.title || ''],
+        ...(article.link ? { link: [{ $: { rel: 'alternate', href: article.link } }] } : {}),
+        updated: [new Date(article.stored_at || article.published_at || 0).toISOString()],
+        ...(article.published_at ? { published: [new Date(article.published_at).toISOString()] } : {}),
+        author: [{ name: [article.author || article.feed_title || GENERATOR] }],
+        category: articleKeywords(article).map(term => ({ $: { term } })),
+        summary: [article.description || ''],
+        content: [{ _: articleHtml(article), $: { type: 'html' } }]
+      }))
+    }
+  });
+}
+
+/**
+ * Build a JSON Feed 1.1 document
+ * @param {Object} feed - Feed metadata (title, description, homeUrl, feedUrl)
+ * @param {Array} articles - Article rows
+ * @returns {string} - JSON string
+ */
+function buildJsonFeed(feed, articles) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    ...(feed.description ? { description: feed.description } : {}),
+    items: articles.map(article => ({
+      id: articleId(article),
+      ...(article.link ? { url: article.link } : {}),
+      title: article.title || '',
+      content_html: articleHtml(article),
+      ...(article.description ? { summary: article.description } : {}),
+      ...(article.image_url ? { image: article.image_url } : {}),
+      ...(article.published_at ? { date_published: new Date(article.published_at).toISOString() } : {}),
+      ...(article.stored_at ? { date_modified: new Date(article.stored_at).toISOString() } : {}),
+      authors: [{ name: article.author || article.feed_title || GENERATOR }],
+      tags: articleKeywords(article)
+    }))
+  }, null, 2);
+}
+
+/**
+ * Serialize articles as a feed
+ * @param {string} format - xml (RSS 2.0), atom (Atom 1.0) or json (JSON Feed 1.1)
+ * @param {Object} feed - Feed metadata (title, description, homeUrl, feedUrl)
+ * @param {Array} articles - Article rows
+ * @returns {Object} - { body, contentType }
+ */
+function buildFeed(format, feed, articles) {
+  const builders = { xml: buildRss, atom: buildAtom, json: buildJsonFeed };
+  if (!builders[format]) {
+    throw new Error(`Unknown feed format: ${format}`);
+  }
+  return { body: builders[format](feed, articles), contentType: FEED_FORMATS[format] };
+}
+
+export {
+  buildFeed,
+  FEED_FORMATS
+};
@@ -1,124 +1,46 @@
 /**
  * News Collector Application
  * 
- * This is the main entry point for the News Collector application.
+ * This is the command line entry point for the News Collector: it runs one
+ * collection of the due feeds and exits. The scheduler (src/scheduler.js)
+ * runs collections in-process on its own.
  */
 
-import { parseOpmlDirectory } from './opmlParser.js';
-import { fetchFeeds } from './rssFetcher.js';
-import { fetchContent } from './contentFetcher.js';
-import { extractArticleContent } from './articleExtractor.js';
-import { storeArticle } from './storage.js';
-import path from 'path';
-
-// Configuration
-const OPML_DIR = path.join(process.cwd(), 'opml');
-const CONCURRENCY = {
-  FEEDS: 3    // Number of feeds to process concurrently
-};
+import { runCollection, formatCollectorEvent } from './collector.js';
 
 /**
  * Main function to run the news collection process
+ * @param {Object} [options] - force: fetch every enabled feed, due or not
  */
-async function collectNews() {
+async function collectNews(options = {}) {
+  let exitCode = 0;
   try {
     console.log('Starting News Collector...');
-    console.log(`OPML Directory: ${OPML_DIR}`);
-    
-    // Step 1: Parse OPML files to get feed information
-    console.log('\n--- Parsing OPML files ---');
-    const feeds = await parseOpmlDirectory(OPML_DIR);
-    console.log(`Found ${feeds.length} feeds across all OPML files`);
-    
-    // Group feeds by category for processing and reporting
-    const feedsByCategory = feeds.reduce((acc, feed) => {
-      acc[feed.category] = acc[feed.category] || [];
-      acc[feed.category].push(feed);
-      return acc;
-    }, {});
-    
-    // Process each category
-    for (const [category, categoryFeeds] of Object.entries(feedsByCategory)) {
-      console.log(`\n--- Processing category: ${category} (${categoryFeeds.length} feeds) ---`);
-      
-      // Step 2: Fetch RSS feeds to get article metadata
-      console.log('\n--- Fetching RSS feeds ---');
-      const articles = await fetchFeeds(categoryFeeds, CONCURRENCY.FEEDS);
-      console.log(`Fetched ${articles.length} articles from ${categoryFeeds.length} feeds`);
-      
-      if (articles.length === 0) {
-        console.log(`No articles found for category: ${category}`);
-        continue;
-      }
-      
-      // Step 3: Process each article individually (fetch, extract, store)
-      console.log('\n--- Processing articles ---');
-      let processedCount = 0;
-      let successCount = 0;
-      let errorCount = 0;
-      
-      // Process articles one at a time to avoid race conditions
-      for (const article of articles) {
-        try {
-          // Step 3a: Fetch HTML content
-          console.log(`Fetching content for: ${article.title}`);
-          const content = await fetchContent(article.link);
-          
-          // Skip further processing if article was already in database
-          if (content.skipped) {
-            console.log(`Skipping article already in database: ${article.title}`);
-            processedCount++;
-            continue;
-          }
-          
-          // Skip further processing if fetch failed or content has an error
-          if (!content.html || content.error) {
-            console.log(`Skipping article due to fetch error: ${article.title}`);
-            processedCount++;
-            errorCount++;
-            continue;
-          }
-          
-          // Step 3b: Extract article content
-          console.log(`Extracting content for: ${article.title}`);
-          const extractedArticle = await extractArticleContent({...article, content});
-          
-          // Remove raw HTML before storage to save space
-          if (extractedArticle.content && extractedArticle.content.html) {
-            delete extractedArticle.content.html;
-          }
-          
-          // Step 3c: Store the article immediately
-          console.log(`Storing article: ${article.title}`);
-          const result = await storeArticle(extractedArticle);
-          
-          if (result.success) {
-            successCount++;
-            console.log(`Successfully stored: ${article.title}`);
-          } else {
-            errorCount++;
-            console.error(`Failed to store article: ${article.title}`, result.error);
-          }
-        } catch (error) {
-          errorCount++;
-          console.error(`Error processing article ${article.title}:`, error);
-        }
-        
-        processedCount++;
-      }
-      
-      console.log(`\nCategory ${category} complete!`);
-      console.log(`Processed ${processedCount} articles`);
-      console.log(`Stored ${successCount} articles successfully`);
-      if (errorCount > 0) {
-        console.log(`Failed to store ${errorCount} articles`);
+
+    // Ctrl+C stops the run cleanly; articles not stored yet stay pending
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort());
+
+    const run = await runCollection({
+      trigger: 'cli',
+      force: options.force,
+      signal: controller.signal,
+      onEvent: event => {
+        const line = formatCollectorEvent(event);
+        if (event.type === 'feed_fetched' && event.status === 'error') console.error(line);
+        else if (event.type === 'article_done' && event.status === 'failed') console.error(line);
+        else console.log(line);
       }
+    });
+
+    if (run.status === 'failed') {
+      exitCode = 1;
+    } else {
+      console.log('\n--- News collection completed successfully ---');
     }
-    
-    console.log('\n--- News collection completed successfully ---');
   } catch (error) {
     console.error('Error in news collection process:', error);
-    process.exit(1);
+    exitCode = 1;
   } finally {
     // Import the closeDatabase function if it's not already imported
     try {
@@ -131,7 +53,7 @@ async function collectNews() {
       // Force the process to exit after a short delay to ensure all resources are properly released
       setTimeout(() => {
         console.log('Forcing application exit...');
-        process.exit(0);
+        process.exit(exitCode);
       }, 500);
     } catch (error) {
       console.error('Error closing database connection:', error);
@@ -140,9 +62,9 @@ async function collectNews() {
   }
 }
 
-// Run the application if this file is executed directly
+// Run the application: npm run fetch [-- --force]
 try {
-  collectNews();
+  collectNews({ force: process.argv.includes('--force') });
 } catch (error) {
   console.error('Fatal error:', error);
   process.exit(1);
@@ -1,24 +1,25 @@
 /**
- * Keyword Extractor using OpenAI GPT-4o mini
+ * Keyword Extractor
  * 
- * This module extracts meaningful keywords from article content using
- * OpenAI's GPT-4o mini model with a prompt-based approach for tagging.
+ * This module extracts meaningful keywords from article content through a
+ * chain of pluggable providers (see src/keywordProviders/). Providers are
+ * tried in the order given by KEYWORD_PROVIDERS; when one is not configured,
+ * fails or returns no tags, the next one is used. The offline local provider
+ * always ends the chain, so every article gets tags even without network access.
  */
 
-import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { createProviderChain } from './keywordProviders/index.js';
 
 // Load environment variables
 dotenv.config();
 
-// Initialize the OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY
-});
-
 // Maximum number of keywords to extract per article
 const MAX_KEYWORDS = parseInt(process.env.MAX_KEYWORDS_PER_ARTICLE || 15);
 
+// Provider fallback chain, e.g. "openai,google" or "openai-compatible"
+const providers = createProviderChain(process.env.KEYWORD_PROVIDERS || 'openai');
+
 /**
  * Clean and normalize text for processing
  * @param {string} text - Text to clean
@@ -42,68 +43,48 @@ export function cleanText(text) {
 }
 
 /**
- * Extract keywords using OpenAI GPT-4o mini
+ * Extract keywords by trying each provider in the fallback chain
  * @param {string} text - Text to extract keywords from
- * @returns {Promise<Array<Object>>} - Array of keyword objects with name and salience
+ * @returns {Promise<Object>} - Keyword objects with name and salience, and the provider that produced them
  */
-async function extractKeywordsWithOpenAI(text) {
+export async function extractKeywordsWithFallback(text) {
     if (!text || typeof text !== 'string' || text.trim().length < 5) {
         console.warn('Text too short for keyword extraction');
-        return [];
+        return { keywords: [], provider: null };
     }
     
     // Clean and normalize the text
     const cleanedText = cleanText(text);
     if (!cleanedText) {
-        return [];
+        return { keywords: [], provider: null };
     }
     
-    try {
-        // Construct the prompt with the content
-        const prompt = `You are a bot in a read-it-later app and your responsibility is to help with automatic tagging.
-Please analyze the text between the sentences "CONTENT START HERE" and "CONTENT END HERE" and suggest relevant tags that describe its key themes, topics, and main ideas. The rules are:
-
-Aim for a variety of tags, including broad categories, specific keywords, and potential sub-genres.
-The tags language must be in english.
-If it's a famous website you may also include a tag for the website. If the tag is not generic enough, don't include it.
-The content can include text for cookie consent and privacy policy, ignore those while tagging.
-Aim for 4-7 tags.
-If there are no good tags, leave the array empty.
-CONTENT START HERE
-
-${cleanedText}
-CONTENT END HERE
-You must respond in JSON with the key "tags" and the value is an array of string tags.`;
-
-        // Call OpenAI API with GPT-4o mini model
-        const response = await openai.chat.completions.create({
-            model: "gpt-4o-mini",
-            messages: [
-                { role: "system", content: "You extract relevant tags from content." },
-                { role: "user", content: prompt }
-            ],
-            temperature: 0.5,
-            response_format: { type: "json_object" }
-        });
-
-        // Extract tags from the response
-        const responseContent = response.choices[0].message.content;
-        const parsedResponse = JSON.parse(responseContent);
-        const tags = parsedResponse.tags || [];
-
-        // Convert tags to the expected format with a dummy salience score for compatibility
-        const keywords = tags.map(tag => ({
-            name: tag.toLowerCase(),
-            salience: 1.0, // Using a default salience as OpenAI doesn't provide this
-            type: 'OTHER', // Default type as OpenAI doesn't provide entity types
-            mentions: 1 // Default mention count
-        }));
+    for (const provider of providers) {
+        if (!provider.isConfigured()) {
+            continue;
+        }
         
-        return keywords;
-    } catch (error) {
-        console.error('Error extracting keywords with OpenAI:', error);
-        return [];
+        try {
+            const keywords = await provider.extractKeywords(cleanedText);
+            
+            // Drop duplicates and empty names some providers return
+            const seen = new Set();
+            const uniqueKeywords = keywords.filter(kw => {
+                if (!kw.name || seen.has(kw.name)) return false;
+                seen.add(kw.name);
+                return true;
+            });
+            
+            if (uniqueKeywords.length > 0) {
+                return { keywords: uniqueKeywords, provider: provider.name };
+            }
+            console.warn(`Keyword provider "${provider.name}" returned no keywords, trying next provider`);
+        } catch (error) {
+            console.error(`Error extracting keywords with provider "${provider.name}":`, error.message);
+        }
     }
+    
+    return { keywords: [], provider: null };
 }
 
 /**
@@ -122,8 +103,8 @@ export async function extractArticleKeywords(article, maxKeywords = MAX_KEYWORDS
         (article.extracted_content || '') // Use full content for better analysis
     ].filter(Boolean).join(' ');
 
-    // Extract keywords with OpenAI
-    const keywords = await extractKeywordsWithOpenAI(textToAnalyze);
+    // Extract keywords with the first provider that succeeds
+    const { keywords } = await extractKeywordsWithFallback(textToAnalyze);
     
     // Return just the names for compatibility with existing code
     return keywords.map(kw => kw.name).slice(0, maxKeywords);
@@ -146,11 +127,13 @@ export async function extractDetailedKeywords(article, maxKeywords = MAX_KEYWORD
     ].filter(Boolean).join(' ');
 
     // Return full keyword objects
-    return (await extractKeywordsWithOpenAI(textToAnalyze)).slice(0, maxKeywords);
+    const { keywords } = await extractKeywordsWithFallback(textToAnalyze);
+    return keywords.slice(0, maxKeywords);
 }
 
 export default {
     extractArticleKeywords,
+    extractKeywordsWithFallback,
     extractDetailedKeywords,
     cleanText
 };
\ No newline at end of file
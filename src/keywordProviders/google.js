@@ -0,0 +1,59 @@
+/**
+ * Google Natural Language Keyword Provider
+ * 
+ * Uses entity analysis from the Google Cloud Natural Language API and keeps
+ * entities above a salience threshold. The client library is an optional
+ * dependency and is loaded on first use; credentials come from the standard
+ * GOOGLE_APPLICATION_CREDENTIALS environment variable.
+ */
+
+/**
+ * Create a Google Natural Language keyword provider
+ * @param {Object} options - Provider options
+ * @param {string} [options.credentials] - Path to the service account JSON file
+ * @param {number} [options.minSalience=0.01] - Minimum entity salience to keep
+ * @returns {Object} - Keyword provider
+ */
+export function createGoogleProvider({ credentials, minSalience = 0.01 }) {
+  let client = null;
+
+  return {
+    name: 'google',
+
+    isConfigured() {
+      return Boolean(credentials);
+    },
+
+    async extractKeywords(text) {
+      if (!client) {
+        let LanguageServiceClient;
+        try {
+          ({ LanguageServiceClient } = await import('@google-cloud/language'));
+        } catch (error) {
+          throw new Error('@google-cloud/language is not installed');
+        }
+        client = new LanguageServiceClient();
+      }
+
+      const [result] = await client.analyzeEntities({
+        document: {
+          content: text,
+          type: 'PLAIN_TEXT',
+          language: 'en' // Assuming English content
+        }
+      });
+
+      return result.entities
+        .filter(entity => entity.salience >= minSalience)
+        .map(entity => ({
+          name: entity.name.toLowerCase().trim(),
+          salience: entity.salience,
+          type: entity.type,
+          mentions: entity.mentions ? entity.mentions.length : 1
+        }))
+        .filter(keyword => keyword.name.length > 1 &&
+          !/^https?:\/\//.test(keyword.name) &&
+          !/^\d+$/.test(keyword.name));
+    }
+  };
+}
@@ -0,0 +1,57 @@
+/**
+ * Keyword Provider Registry
+ * 
+ * Every provider is an object with a `name`, an `isConfigured()` check and an
+ * async `extractKeywords(text)` that resolves to keyword objects
+ * ({ name, salience, type, mentions }) or throws on failure.
+ */
+
+import { createOpenAIProvider } from './openai.js';
+import { createGoogleProvider } from './google.js';
+import { createLocalProvider } from './local.js';
+
+const providerFactories = {
+  openai: () => createOpenAIProvider({
+    name: 'openai',
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_KEYWORD_MODEL || 'gpt-4o-mini'
+  }),
+  'openai-compatible': () => createOpenAIProvider({
+    name: 'openai-compatible',
+    // Local servers usually ignore the key, but the client requires one
+    apiKey: process.env.KEYWORD_API_KEY || 'not-needed',
+    baseURL: process.env.KEYWORD_API_BASE_URL,
+    model: process.env.KEYWORD_API_MODEL,
+    jsonMode: process.env.KEYWORD_API_JSON_MODE !== 'false'
+  }),
+  google: () => createGoogleProvider({
+    credentials: process.env.GOOGLE_APPLICATION_CREDENTIALS,
+    minSalience: parseFloat(process.env.LANGUAGE_API_MIN_SALIENCE || 0.01)
+  }),
+  local: () => createLocalProvider()
+};
+
+/**
+ * Create a keyword provider by name
+ * @param {string} name - Provider name (openai, openai-compatible, google, local)
+ * @returns {Object} - Keyword provider
+ */
+export function createProvider(name) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown keyword provider "${name}" (available: ${Object.keys(providerFactories).join(', ')})`);
+  }
+  return factory();
+}
+
+/**
+ * Build the provider fallback chain from a comma-separated list
+ * The local provider is always appended so extraction never depends on the network.
+ * @param {string} list - Comma-separated provider names, in order of preference
+ * @returns {Array<Object>} - Keyword providers
+ */
+export function createProviderChain(list) {
+  const names = list.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  if (!names.includes('local')) names.push('local');
+  return [...new Set(names)].map(createProvider);
+}
@@ -0,0 +1,203 @@
+/**
+ * Local Keyword Provider
+ * 
+ * Offline keyword extraction that needs no network access or API key.
+ * Candidate phrases are found the RAKE (Rapid Automatic Keyword Extraction)
+ * way: text is split into phrases at stopwords and punctuation. Words and
+ * word pairs from those phrases are then scored by TF-IDF, with document
+ * frequencies taken from the stored articles, so words that appear
+ * everywhere in the corpus ("new", "year", "people") sink to the bottom.
+ */
+
+// How many stored articles are sampled to build document frequencies
+const CORPUS_SAMPLE_SIZE = 2000;
+
+// Rebuild the document frequency table after this long
+const CORPUS_TTL_MS = 60 * 60 * 1000;
+
+const STOPWORDS = new Set(`
+a about above after again against all almost also although always am among an and another any anyone
+anything are around as at away back be became because become been before being below between both but
+by can cannot could did do does doing done down during each either else enough even ever every few
+first for from further get gets getting got had has have having he her here hers herself him himself
+his how however i if in into is it its itself just last least less let like likely made make makes
+many may me might more most much must my myself near need never new next no nor not now of off often
+on once one only or other others our ours ourselves out over own per perhaps put rather really said
+same say says see seen several she should since so some something still such take than that the their
+theirs them themselves then there these they thing things this those though through thus to together
+too toward towards under until up upon us use used using very via want was way we well were what
+whatever when where whether which while who whom whose why will with within without would yet you
+your yours yourself yourselves
+today yesterday tomorrow week weeks month months year years time times day days people person lot
+lots part parts read click subscribe newsletter cookie cookies privacy policy advertisement share
+`.split(/\s+/).filter(Boolean));
+
+let corpus = null;
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Tokens
+ */
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9][a-z0-9+#.'-]*[a-z0-9+#]|[a-z0-9]/g) || [])
+    .map(token => token.replace(/'s$/, ''));
+}
+
+/**
+ * Check whether a token can be part of a keyword phrase
+ * @param {string} token - Lowercase token
+ * @returns {boolean} - True if the token is a content word
+ */
+function isContentWord(token) {
+  return token.length > 2 && !STOPWORDS.has(token) && !/^\d+([.,]\d+)?$/.test(token);
+}
+
+/**
+ * Split text into RAKE candidate phrases
+ * @param {string} text - Cleaned text
+ * @returns {Array<Array<string>>} - Candidate phrases as word arrays
+ */
+function candidatePhrases(text) {
+  const phrases = [];
+
+  // Sentence and clause punctuation always ends a phrase
+  text.split(/[,;:!?()[\]{}"“”‘’|\/\\\n\r\t–—*_`#>]+|\.(?=\s|$)/).forEach(fragment => {
+    let current = [];
+    for (const token of tokenize(fragment)) {
+      if (isContentWord(token)) {
+        current.push(token);
+        continue;
+      }
+      if (current.length > 0) phrases.push(current);
+      current = [];
+    }
+    if (current.length > 0) phrases.push(current);
+  });
+
+  return phrases;
+}
+
+/**
+ * Load (or refresh) document frequencies from stored articles
+ * @returns {Promise<Object>} - Corpus stats with documentCount and df Map
+ */
+async function loadCorpus() {
+  if (corpus && Date.now() - corpus.loadedAt < CORPUS_TTL_MS) {
+    return corpus;
+  }
+
+  const df = new Map();
+  let documentCount = 0;
+
+  try {
+    // Imported lazily: database.js depends on the keyword extractor
+    const { getCorpusTexts } = await import('../database.js');
+    for (const text of getCorpusTexts(CORPUS_SAMPLE_SIZE)) {
+      addDocument(df, text);
+      documentCount++;
+    }
+  } catch (error) {
+    console.warn('Could not load corpus for local keyword extraction, using term frequencies only:', error.message);
+  }
+
+  corpus = { df, documentCount, loadedAt: Date.now() };
+  return corpus;
+}
+
+/**
+ * Count each distinct content word of a document once
+ * @param {Map} df - Document frequency map to update
+ * @param {string} text - Document text
+ */
+function addDocument(df, text) {
+  const seen = new Set(tokenize(text || '').filter(isContentWord));
+  seen.forEach(word => df.set(word, (df.get(word) || 0) + 1));
+}
+
+/**
+ * Extract keywords from text: RAKE phrase candidates scored by TF-IDF
+ * @param {string} text - Cleaned text
+ * @param {Object} stats - Corpus stats with documentCount and df Map
+ * @param {number} maxKeywords - Maximum number of keywords to return
+ * @param {string} [title] - Article title; candidates found in it get a boost
+ * @returns {Array<Object>} - Keyword objects with name and salience
+ */
+export function rankKeywords(text, stats, maxKeywords, title = '') {
+  const phrases = candidatePhrases(text);
+  if (phrases.length === 0) return [];
+
+  // Count every 1- and 2-word n-gram inside the RAKE phrases
+  const counts = new Map();
+  phrases.forEach(words => {
+    for (let n = 1; n <= 2; n++) {
+      for (let i = 0; i + n <= words.length; i++) {
+        const name = words.slice(i, i + n).join(' ');
+        counts.set(name, (counts.get(name) || 0) + 1);
+      }
+    }
+  });
+
+  const idf = word => Math.log((stats.documentCount + 1) / ((stats.df.get(word) || 0) + 1)) + 1;
+  const titleText = ` ${tokenize(title).join(' ')} `;
+
+  const ranked = [...counts.entries()]
+    // A two-word phrase only counts as a topic when it is repeated
+    .filter(([name, count]) => !name.includes(' ') || count >= 2)
+    .map(([name, count]) => {
+      const words = name.split(' ');
+      const idfScore = words.reduce((sum, word) => sum + idf(word), 0) / words.length;
+      let score = (1 + Math.log(count)) * idfScore * (words.length > 1 ? 1.5 : 1);
+      if (titleText.includes(` ${name} `)) score *= 2;
+      return { name, score, mentions: count };
+    })
+    .sort((a, b) => b.score - a.score);
+
+  // Skip phrases whose words are all covered by a better-ranked phrase
+  const selected = [];
+  const covered = new Set();
+  for (const phrase of ranked) {
+    const words = phrase.name.split(' ');
+    if (words.every(word => covered.has(word))) continue;
+    words.forEach(word => covered.add(word));
+    selected.push(phrase);
+    if (selected.length >= maxKeywords) break;
+  }
+
+  const topScore = selected.length > 0 ? selected[0].score : 1;
+  return selected.map(phrase => ({
+    name: phrase.name,
+    salience: phrase.score / topScore,
+    type: 'OTHER',
+    mentions: phrase.mentions
+  }));
+}
+
+/**
+ * Create the local offline keyword provider
+ * @param {Object} options - Provider options
+ * @param {number} [options.maxKeywords=7] - Number of tags to produce, in line with the LLM prompt
+ * @returns {Object} - Keyword provider
+ */
+export function createLocalProvider({ maxKeywords = 7 } = {}) {
+  return {
+    name: 'local',
+
+    isConfigured() {
+      return true;
+    },
+
+    async extractKeywords(text) {
+      const stats = await loadCorpus();
+      // The extractor puts the title first; use the first sentence as a stand-in
+      const title = text.split(/[.!?](?=\s)/)[0];
+      const keywords = rankKeywords(text, stats, maxKeywords, title);
+
+      // Let later documents in this process see this one as part of the corpus
+      addDocument(stats.df, text);
+      stats.documentCount++;
+
+      return keywords;
+    }
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * OpenAI Keyword Provider
+ * 
+ * Extracts tags with a chat completion prompt. Used both for the hosted
+ * OpenAI API and for any OpenAI-compatible endpoint (Ollama, LM Studio,
+ * llama.cpp server, vLLM...) by pointing the client at a different base URL.
+ */
+
+import OpenAI from 'openai';
+
+const TAGGING_PROMPT = `You are a bot in a read-it-later app and your responsibility is to help with automatic tagging.
+Please analyze the text between the sentences "CONTENT START HERE" and "CONTENT END HERE" and suggest relevant tags that describe its key themes, topics, and main ideas. The rules are:
+
+Aim for a variety of tags, including broad categories, specific keywords, and potential sub-genres.
+The tags language must be in english.
+If it's a famous website you may also include a tag for the website. If the tag is not generic enough, don't include it.
+The content can include text for cookie consent and privacy policy, ignore those while tagging.
+Aim for 4-7 tags.
+If there are no good tags, leave the array empty.
+CONTENT START HERE
+
+{{CONTENT}}
+CONTENT END HERE
+You must respond in JSON with the key "tags" and the value is an array of string tags.`;
+
+/**
+ * Parse the model response, tolerating prose or code fences around the JSON
+ * (common with local models that don't support JSON mode)
+ * @param {string} content - Raw message content
+ * @returns {Array<string>} - Tags
+ */
+function parseTags(content) {
+  const match = (content || '').match(/\{[\s\S]*\}/);
+  if (!match) {
+    throw new Error('Response did not contain a JSON object');
+  }
+  const parsed = JSON.parse(match[0]);
+  if (!Array.isArray(parsed.tags)) {
+    throw new Error('Response JSON has no "tags" array');
+  }
+  return parsed.tags.filter(tag => typeof tag === 'string' && tag.trim());
+}
+
+/**
+ * Create an OpenAI (or OpenAI-compatible) keyword provider
+ * @param {Object} options - Provider options
+ * @param {string} options.name - Provider name used in logs and config
+ * @param {string} options.apiKey - API key (local endpoints usually accept any value)
+ * @param {string} [options.baseURL] - Base URL of an OpenAI-compatible endpoint
+ * @param {string} options.model - Model name
+ * @param {boolean} [options.jsonMode=true] - Request response_format json_object
+ * @returns {Object} - Keyword provider
+ */
+export function createOpenAIProvider({ name, apiKey, baseURL, model, jsonMode = true }) {
+  let client = null;
+
+  return {
+    name,
+
+    isConfigured() {
+      return Boolean(apiKey) && Boolean(model);
+    },
+
+    async extractKeywords(text) {
+      // Create the client lazily so a missing key doesn't crash on import
+      if (!client) {
+        client = new OpenAI({ apiKey, ...(baseURL ? { baseURL } : {}) });
+      }
+
+      const response = await client.chat.completions.create({
+        model,
+        messages: [
+          { role: 'system', content: 'You extract relevant tags from content.' },
+          { role: 'user', content: TAGGING_PROMPT.replace('{{CONTENT}}', text) }
+        ],
+        temperature: 0.5,
+        ...(jsonMode ? { response_format: { type: 'json_object' } } : {})
+      });
+
+      const tags = parseTags(response.choices[0].message.content);
+
+      // Convert tags to the expected format with a dummy salience score for compatibility
+      return tags.map(tag => ({
+        name: tag.toLowerCase().trim(),
+        salience: 1.0, // Using a default salience as OpenAI doesn't provide this
+        type: 'OTHER', // Default type as OpenAI doesn't provide entity types
+        mentions: 1 // Default mention count
+      }));
+    }
+  };
+}
@@ -0,0 +1,200 @@
+/**
+ * Keyword Worker
+ *
+ * Background worker that processes the persistent keyword extraction queue.
+ * The collector stores articles immediately with keywords_status 'pending';
+ * this worker picks up their jobs, extracts keywords through the provider
+ * chain and retries failures with exponential backoff. Jobs that fail
+ * KEYWORD_MAX_ATTEMPTS times are dead-lettered and can be re-queued from the
+ * admin API.
+ *
+ * The worker also embeds articles that have no embedding for the configured
+ * EMBEDDING_PROVIDER model yet, newest first, for semantic similarity.
+ *
+ * Usage: node src/keywordWorker.js
+ */
+
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { extractArticleKeywords } from './keywordExtractor.js';
+import { embedArticles, getEmbeddingModelId } from './embeddings.js';
+import {
+  initializeDatabase,
+  releaseStaleKeywordJobs,
+  claimKeywordJobs,
+  completeKeywordJob,
+  failKeywordJob,
+  refreshAllRecommendationScores,
+  getArticlesMissingEmbeddings,
+  storeArticleEmbeddings
+} from './database.js';
+
+// Load environment variables
+dotenv.config();
+
+// Configuration
+const RATE_LIMIT_PER_MINUTE = parseFloat(process.env.KEYWORD_RATE_LIMIT_PER_MINUTE || 30);
+const MAX_ATTEMPTS = parseInt(process.env.KEYWORD_MAX_ATTEMPTS || 5);
+const BACKOFF_BASE_SECONDS = parseFloat(process.env.KEYWORD_BACKOFF_BASE_SECONDS || 60);
+const POLL_INTERVAL_SECONDS = parseFloat(process.env.KEYWORD_WORKER_POLL_SECONDS || 15);
+const BATCH_SIZE = 10;
+const EMBEDDING_BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE || 16);
+
+// Minimum time between two extraction calls
+const MIN_INTERVAL_MS = 60000 / RATE_LIMIT_PER_MINUTE;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Calculate when a failed job should be retried
+ * @param {number} attempts - Attempts made so far, including the one that just failed
+ * @returns {string|null} - ISO date of the next attempt, or null when the job is out of attempts
+ */
+function nextAttemptAt(attempts) {
+  if (attempts >= MAX_ATTEMPTS) return null;
+
+  // Exponential backoff with +/-20% jitter so retries don't line up
+  const delaySeconds = BACKOFF_BASE_SECONDS * Math.pow(2, attempts - 1);
+  const jitter = 0.8 + Math.random() * 0.4;
+  return new Date(Date.now() + delaySeconds * jitter * 1000).toISOString();
+}
+
+/**
+ * Process one keyword job
+ * @param {Object} job - Claimed job with article title, description and extracted_content
+ * @returns {Promise<boolean>} - True if keywords were stored
+ */
+async function processJob(job) {
+  try {
+    const keywords = await extractArticleKeywords(job);
+
+    // An empty result would make the article invisible to the recommender
+    if (keywords.length === 0) {
+      throw new Error('No keywords extracted');
+    }
+
+    completeKeywordJob(job, keywords);
+    console.log(`Stored ${keywords.length} keywords for article ${job.article_id}: ${job.title}`);
+    return true;
+  } catch (error) {
+    const attempts = job.attempts + 1;
+    const retryAt = nextAttemptAt(attempts);
+    failKeywordJob(job, error.message, retryAt);
+
+    if (retryAt) {
+      console.warn(`Keyword extraction failed for article ${job.article_id} (attempt ${attempts}/${MAX_ATTEMPTS}), retrying at ${retryAt}: ${error.message}`);
+    } else {
+      console.error(`Keyword extraction failed for article ${job.article_id} after ${attempts} attempts, moved to dead letter: ${error.message}`);
+    }
+    return false;
+  }
+}
+
+/**
+ * Process due keyword jobs until the queue has nothing due
+ * @param {Object} options - Options
+ * @param {number} [options.maxJobs=Infinity] - Stop after this many jobs
+ * @returns {Promise<Object>} - Counts of processed, succeeded and failed jobs
+ */
+async function processKeywordQueue({ maxJobs = Infinity } = {}) {
+  const stats = { processed: 0, succeeded: 0, failed: 0 };
+  let lastCallAt = 0;
+
+  while (stats.processed < maxJobs) {
+    const jobs = claimKeywordJobs(Math.min(BATCH_SIZE, maxJobs - stats.processed));
+    if (jobs.length === 0) break;
+
+    for (const job of jobs) {
+      // Rate limit calls to the keyword providers
+      const wait = lastCallAt + MIN_INTERVAL_MS - Date.now();
+      if (wait > 0) await sleep(wait);
+      lastCallAt = Date.now();
+
+      const success = await processJob(job);
+      stats.processed++;
+      success ? stats.succeeded++ : stats.failed++;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Embed articles that have no embedding for the configured model
+ * A failed batch stops the pass; it is retried on the next poll.
+ * @param {Object} options - Options
+ * @param {number} [options.maxArticles=Infinity] - Stop after this many articles
+ * @returns {Promise<number>} - Number of articles embedded
+ */
+async function processEmbeddingQueue({ maxArticles = Infinity } = {}) {
+  const model = getEmbeddingModelId();
+  if (!model) return 0;
+
+  let embedded = 0;
+  let lastCallAt = 0;
+
+  while (embedded < maxArticles) {
+    const articles = getArticlesMissingEmbeddings(model, Math.min(EMBEDDING_BATCH_SIZE, maxArticles - embedded));
+    if (articles.length === 0) break;
+
+    // Share the provider rate limit with keyword extraction
+    const wait = lastCallAt + MIN_INTERVAL_MS - Date.now();
+    if (wait > 0) await sleep(wait);
+    lastCallAt = Date.now();
+
+    try {
+      const vectors = await embedArticles(articles);
+      storeArticleEmbeddings(model, articles.map((article, index) => ({ articleId: article.id, vector: vectors[index] })));
+      embedded += articles.length;
+    } catch (error) {
+      console.error(`Embedding ${articles.length} articles with ${model} failed, retrying on the next poll: ${error.message}`);
+      break;
+    }
+  }
+
+  return embedded;
+}
+
+/**
+ * Run the worker loop forever, polling for due jobs
+ */
+async function runWorker() {
+  initializeDatabase();
+
+  const released = releaseStaleKeywordJobs();
+  if (released > 0) {
+    console.log(`Released ${released} stale keyword jobs`);
+  }
+
+  console.log(`Keyword worker running (${RATE_LIMIT_PER_MINUTE}/min, max ${MAX_ATTEMPTS} attempts)`);
+
+  while (true) {
+    try {
+      const stats = await processKeywordQueue();
+      if (stats.processed > 0) {
+        console.log(`Keyword batch complete: ${stats.succeeded} succeeded, ${stats.failed} failed`);
+      }
+      const embedded = await processEmbeddingQueue();
+      if (embedded > 0) {
+        console.log(`Embedded ${embedded} articles`);
+      }
+      // Freshly tagged and embedded articles can now match user profiles
+      if (stats.succeeded > 0 || embedded > 0) {
+        refreshAllRecommendationScores();
+      }
+    } catch (error) {
+      console.error('Error processing keyword queue:', error);
+    }
+    await sleep(POLL_INTERVAL_SECONDS * 1000);
+  }
+}
+
+// Run the worker if this file is executed directly
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  runWorker();
+}
+
+export {
+  processKeywordQueue,
+  processEmbeddingQueue
+};
@@ -0,0 +1,47 @@
+/**
+ * Migration 001: Initial schema
+ * 
+ * Creates the articles and article_interactions tables as they were
+ * originally defined in initializeDatabase(). Existing databases already
+ * have these tables, so every statement is guarded with IF NOT EXISTS.
+ */
+
+export const version = 1;
+export const name = 'initial_schema';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS articles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guid TEXT UNIQUE,
+            title TEXT NOT NULL,
+            link TEXT,
+            description TEXT,
+            content TEXT,
+            extracted_content TEXT,
+            image_url TEXT,
+            feed_title TEXT NOT NULL,
+            feed_url TEXT,
+            feed_category TEXT NOT NULL,
+            published_at TEXT,  -- Store in ISO 8601 format
+            author TEXT,
+            stored_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),  -- Store in ISO 8601 format
+            metadata JSON,
+            keywords JSON
+        );
+
+        CREATE TABLE IF NOT EXISTS article_interactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            article_id INTEGER NOT NULL,
+            interaction_type TEXT NOT NULL, -- 'click', 'thumbs_up', 'thumbs_down'
+            created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+            FOREIGN KEY(article_id) REFERENCES articles(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_articles_feed ON articles(feed_title, published_at);
+        CREATE INDEX IF NOT EXISTS idx_articles_category ON articles(feed_category, published_at);
+        CREATE INDEX IF NOT EXISTS idx_articles_stored ON articles(stored_at);
+        CREATE INDEX IF NOT EXISTS idx_article_interactions ON article_interactions(article_id, interaction_type);
+        CREATE INDEX IF NOT EXISTS idx_articles_keywords ON articles(keywords);
+    `);
+}
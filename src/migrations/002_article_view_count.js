@@ -0,0 +1,20 @@
+/**
+ * Migration 002: Article view counts
+ * 
+ * Adds the view_count column used by the "Just in" BOOST and view fatigue
+ * scoring. Older databases may have had it added by hand, so the column is
+ * only created when it is missing.
+ */
+
+import { hasColumn } from './helpers.js';
+
+export const version = 2;
+export const name = 'article_view_count';
+
+export function up(db) {
+    if (!hasColumn(db, 'articles', 'view_count')) {
+        db.exec('ALTER TABLE articles ADD COLUMN view_count INTEGER DEFAULT 0');
+    }
+
+    db.exec('UPDATE articles SET view_count = 0 WHERE view_count IS NULL');
+}
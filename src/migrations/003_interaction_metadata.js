@@ -0,0 +1,17 @@
+/**
+ * Migration 003: Interaction metadata
+ * 
+ * Adds the metadata column that trackInteraction() writes the boost
+ * multiplier and view count into.
+ */
+
+import { hasColumn } from './helpers.js';
+
+export const version = 3;
+export const name = 'interaction_metadata';
+
+export function up(db) {
+    if (!hasColumn(db, 'article_interactions', 'metadata')) {
+        db.exec('ALTER TABLE article_interactions ADD COLUMN metadata JSON');
+    }
+}
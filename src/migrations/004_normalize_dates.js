@@ -0,0 +1,41 @@
+/**
+ * Migration 004: Normalize dates
+ * 
+ * Converts published_at and stored_at values to ISO 8601. Replaces the
+ * one-off utils/migrate_dates.js script. Values that are already in
+ * ISO 8601 format are left untouched.
+ */
+
+export const version = 4;
+export const name = 'normalize_dates';
+
+export function up(db) {
+    // Update published_at dates that are not yet in ISO 8601 (e.g. RFC 822 from feeds)
+    const articles = db.prepare(`
+        SELECT id, published_at FROM articles
+        WHERE published_at IS NOT NULL AND published_at NOT LIKE '____-__-__T%'
+    `).all();
+    const updateStmt = db.prepare('UPDATE articles SET published_at = ? WHERE id = ?');
+
+    let updated = 0;
+    for (const article of articles) {
+        const date = new Date(article.published_at);
+        if (isNaN(date.getTime())) {
+            console.warn(`Could not parse published_at "${article.published_at}" for article ${article.id}`);
+            continue;
+        }
+        updateStmt.run(date.toISOString(), article.id);
+        updated++;
+    }
+
+    // Update stored_at dates written by SQLite's default datetime format
+    const { changes } = db.prepare(`
+        UPDATE articles 
+        SET stored_at = strftime('%Y-%m-%dT%H:%M:%SZ', stored_at)
+        WHERE stored_at IS NOT NULL 
+        AND stored_at NOT LIKE '%T%'
+        AND strftime('%Y-%m-%dT%H:%M:%SZ', stored_at) IS NOT NULL
+    `).run();
+
+    console.log(`Normalized published_at for ${updated} articles and stored_at for ${changes} articles`);
+}
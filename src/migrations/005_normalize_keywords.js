@@ -0,0 +1,35 @@
+/**
+ * Migration 005: Normalize keywords
+ * 
+ * Lowercases all stored keywords so profile matching is case-insensitive.
+ * Replaces the one-off utils/normalize_keywords.js script.
+ */
+
+export const version = 5;
+export const name = 'normalize_keywords';
+
+export function up(db) {
+    const articles = db.prepare('SELECT id, keywords FROM articles WHERE keywords IS NOT NULL').all();
+    const updateStmt = db.prepare('UPDATE articles SET keywords = ? WHERE id = ?');
+
+    let updated = 0;
+    for (const article of articles) {
+        let keywords;
+        try {
+            keywords = JSON.parse(article.keywords);
+        } catch (error) {
+            console.warn(`Skipping article ${article.id} with unparseable keywords:`, error.message);
+            continue;
+        }
+
+        if (!Array.isArray(keywords) || keywords.length === 0) continue;
+
+        const normalizedKeywords = keywords.map(keyword => String(keyword).toLowerCase());
+        if (JSON.stringify(keywords) === JSON.stringify(normalizedKeywords)) continue;
+
+        updateStmt.run(JSON.stringify(normalizedKeywords), article.id);
+        updated++;
+    }
+
+    console.log(`Normalized keywords for ${updated} articles`);
+}
@@ -0,0 +1,46 @@
+/**
+ * Migration 006: Full-text search
+ * 
+ * Creates an FTS5 index over article title, description, extracted content
+ * and keywords. The index uses articles as its external content table and is
+ * kept in sync by triggers, so storeArticle() needs no extra work.
+ */
+
+export const version = 6;
+export const name = 'articles_fts';
+
+export function up(db) {
+    db.exec(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS articles_fts USING fts5(
+            title,
+            description,
+            extracted_content,
+            keywords,
+            content='articles',
+            content_rowid='id',
+            tokenize='porter unicode61'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS articles_fts_insert AFTER INSERT ON articles BEGIN
+            INSERT INTO articles_fts (rowid, title, description, extracted_content, keywords)
+            VALUES (new.id, new.title, new.description, new.extracted_content, new.keywords);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS articles_fts_delete AFTER DELETE ON articles BEGIN
+            INSERT INTO articles_fts (articles_fts, rowid, title, description, extracted_content, keywords)
+            VALUES ('delete', old.id, old.title, old.description, old.extracted_content, old.keywords);
+        END;
+
+        -- Only re-index when searchable columns change, not on every view_count bump
+        CREATE TRIGGER IF NOT EXISTS articles_fts_update
+        AFTER UPDATE OF title, description, extracted_content, keywords ON articles BEGIN
+            INSERT INTO articles_fts (articles_fts, rowid, title, description, extracted_content, keywords)
+            VALUES ('delete', old.id, old.title, old.description, old.extracted_content, old.keywords);
+            INSERT INTO articles_fts (rowid, title, description, extracted_content, keywords)
+            VALUES (new.id, new.title, new.description, new.extracted_content, new.keywords);
+        END;
+    `);
+
+    // Index everything that was stored before the triggers existed
+    db.exec(`INSERT INTO articles_fts (articles_fts) VALUES ('rebuild')`);
+}
@@ -0,0 +1,34 @@
+/**
+ * Migration 007: Feed state
+ * 
+ * Adds the feeds table that persists per-feed fetch state between collector
+ * runs: HTTP validators for conditional GET, success/error bookkeeping and
+ * the average interval between items for feed health reporting.
+ */
+
+export const version = 7;
+export const name = 'feeds';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS feeds (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            xml_url TEXT NOT NULL UNIQUE,
+            title TEXT,
+            category TEXT,
+            html_url TEXT,
+            etag TEXT,
+            last_modified TEXT,
+            last_status INTEGER,              -- HTTP status of the last fetch (0 on network error)
+            last_fetched_at TEXT,
+            last_success_at TEXT,
+            last_error TEXT,
+            last_error_at TEXT,
+            consecutive_failures INTEGER NOT NULL DEFAULT 0,
+            avg_item_interval_minutes REAL,   -- Average time between items seen in the feed
+            created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now'))
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_feeds_category ON feeds(category);
+    `);
+}
@@ -0,0 +1,24 @@
+/**
+ * Migration 008: Feed management
+ * 
+ * Adds the columns needed to manage feeds from the API instead of OPML files:
+ * an enabled flag, an optional custom fetch interval and an update timestamp.
+ */
+
+import { hasColumn } from './helpers.js';
+
+export const version = 8;
+export const name = 'feed_management';
+
+export function up(db) {
+    if (!hasColumn(db, 'feeds', 'enabled')) {
+        db.exec('ALTER TABLE feeds ADD COLUMN enabled INTEGER NOT NULL DEFAULT 1');
+    }
+    if (!hasColumn(db, 'feeds', 'fetch_interval_minutes')) {
+        // NULL means the feed is fetched on every collector run
+        db.exec('ALTER TABLE feeds ADD COLUMN fetch_interval_minutes INTEGER');
+    }
+    if (!hasColumn(db, 'feeds', 'updated_at')) {
+        db.exec('ALTER TABLE feeds ADD COLUMN updated_at TEXT');
+    }
+}
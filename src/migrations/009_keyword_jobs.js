@@ -0,0 +1,46 @@
+/**
+ * Migration 009: Keyword extraction queue
+ * 
+ * Keyword extraction moves out of storeArticle() into a persistent job queue
+ * processed by the keyword worker. Articles get a keywords_status column and
+ * articles that were stored with an empty keyword list by earlier versions
+ * are queued so they finally get tags.
+ */
+
+import { hasColumn } from './helpers.js';
+
+export const version = 9;
+export const name = 'keyword_jobs';
+
+export function up(db) {
+    if (!hasColumn(db, 'articles', 'keywords_status')) {
+        // 'pending', 'done' or 'failed'
+        db.exec(`ALTER TABLE articles ADD COLUMN keywords_status TEXT NOT NULL DEFAULT 'done'`);
+    }
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS keyword_jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            article_id INTEGER NOT NULL UNIQUE,
+            status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'processing' or 'dead'
+            attempts INTEGER NOT NULL DEFAULT 0,
+            next_attempt_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+            locked_at TEXT,
+            last_error TEXT,
+            created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+            updated_at TEXT,
+            FOREIGN KEY(article_id) REFERENCES articles(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_keyword_jobs_due ON keyword_jobs(status, next_attempt_at);
+    `);
+
+    // Re-queue articles whose extraction silently failed in the past
+    db.exec(`
+        UPDATE articles SET keywords_status = 'pending'
+        WHERE keywords IS NULL OR keywords = '[]';
+
+        INSERT OR IGNORE INTO keyword_jobs (article_id)
+        SELECT id FROM articles WHERE keywords_status = 'pending';
+    `);
+}
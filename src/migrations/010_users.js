@@ -0,0 +1,63 @@
+/**
+ * Migration 010: User accounts
+ * 
+ * Adds local user accounts with session tokens and API keys, and scopes
+ * interactions and article views per user. Existing interactions keep a NULL
+ * user_id until the first account is created, which adopts them.
+ */
+
+import { hasColumn } from './helpers.js';
+
+export const version = 10;
+export const name = 'users';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            password_hash TEXT NOT NULL,  -- scrypt$<salt>$<hash>
+            created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS user_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            token_hash TEXT NOT NULL UNIQUE,  -- SHA-256 of the bearer token, the token itself is never stored
+            created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+            expires_at TEXT NOT NULL,
+            last_used_at TEXT,
+            FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            name TEXT NOT NULL,
+            key_hash TEXT NOT NULL UNIQUE,
+            key_prefix TEXT NOT NULL,  -- First characters of the key, to tell keys apart in the UI
+            created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+            last_used_at TEXT,
+            FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS article_views (
+            user_id INTEGER NOT NULL,
+            article_id INTEGER NOT NULL,
+            view_count INTEGER NOT NULL DEFAULT 0,
+            last_viewed_at TEXT,
+            PRIMARY KEY (user_id, article_id),
+            FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY(article_id) REFERENCES articles(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+        CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id);
+    `);
+
+    if (!hasColumn(db, 'article_interactions', 'user_id')) {
+        db.exec('ALTER TABLE article_interactions ADD COLUMN user_id INTEGER REFERENCES users(id)');
+    }
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_article_interactions_user ON article_interactions(user_id, article_id)');
+}
@@ -0,0 +1,34 @@
+/**
+ * Migration 011: Cached user profiles
+ * 
+ * Stores each user's keyword, source and category weights so profiles no
+ * longer have to be rebuilt from every interaction on each request. Weights
+ * are stored as of updated_at and decayed at read time. A stale profile is
+ * rebuilt from the interactions on its next read.
+ */
+
+export const version = 11;
+export const name = 'user_profiles';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS user_profiles (
+            user_id INTEGER PRIMARY KEY,
+            stale INTEGER NOT NULL DEFAULT 0,
+            interaction_count INTEGER NOT NULL DEFAULT 0,
+            built_at TEXT,
+            updated_at TEXT,
+            FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS user_profile_weights (
+            user_id INTEGER NOT NULL,
+            kind TEXT NOT NULL,  -- 'keyword', 'source' or 'category'
+            name TEXT NOT NULL,
+            weight REAL NOT NULL,  -- Weight as of updated_at, before decay
+            updated_at TEXT NOT NULL,
+            PRIMARY KEY (user_id, kind, name),
+            FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+    `);
+}
@@ -0,0 +1,55 @@
+/**
+ * Migration 012: Precomputed recommendations
+ * 
+ * Recommendation scores are computed in the background and stored per user.
+ * Each "For You" session pages through a snapshot of the ranking taken when
+ * the session started, so scores changing in between can't shift articles
+ * across page boundaries.
+ */
+
+export const version = 12;
+export const name = 'recommendation_scores';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS recommendation_scores (
+            user_id INTEGER NOT NULL,
+            article_id INTEGER NOT NULL,
+            final_score REAL NOT NULL,
+            scores JSON,  -- Component scores from scoreArticle()
+            computed_at TEXT NOT NULL,
+            PRIMARY KEY (user_id, article_id),
+            FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+            FOREIGN KEY(article_id) REFERENCES articles(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_recommendation_scores_rank ON recommendation_scores(user_id, final_score DESC);
+
+        CREATE TABLE IF NOT EXISTS recommendation_state (
+            user_id INTEGER PRIMARY KEY,
+            computed_at TEXT NOT NULL,
+            article_count INTEGER NOT NULL DEFAULT 0,
+            FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS recommendation_snapshots (
+            id TEXT PRIMARY KEY,
+            user_id INTEGER NOT NULL,
+            created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+            expires_at TEXT NOT NULL,
+            FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS recommendation_snapshot_items (
+            snapshot_id TEXT NOT NULL,
+            position INTEGER NOT NULL,
+            article_id INTEGER NOT NULL,
+            final_score REAL,
+            scores JSON,
+            PRIMARY KEY (snapshot_id, position),
+            FOREIGN KEY(snapshot_id) REFERENCES recommendation_snapshots(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_recommendation_snapshots_expires ON recommendation_snapshots(expires_at);
+    `);
+}
@@ -0,0 +1,25 @@
+/**
+ * Migration 013: Article embeddings
+ * 
+ * Stores one embedding vector per article and model as raw float32 bytes.
+ * Vectors are unit length, so cosine similarity is a dot product.
+ */
+
+export const version = 13;
+export const name = 'article_embeddings';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS article_embeddings (
+            article_id INTEGER NOT NULL,
+            model TEXT NOT NULL,  -- <provider>:<model>, vectors of different models are never compared
+            dimensions INTEGER NOT NULL,
+            vector BLOB NOT NULL,
+            created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+            PRIMARY KEY (article_id, model),
+            FOREIGN KEY(article_id) REFERENCES articles(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_article_embeddings_model ON article_embeddings(model);
+    `);
+}
@@ -0,0 +1,37 @@
+/**
+ * Migration 014: Story clusters
+ * 
+ * Groups near-duplicate coverage of the same story. Articles point to their
+ * cluster, and their MinHash signatures are kept in a separate table (out of
+ * `SELECT a.*`) so later articles can be compared against them. Existing
+ * articles are clustered by `npm run cluster`.
+ */
+
+import { hasColumn } from './helpers.js';
+
+export const version = 14;
+export const name = 'story_clusters';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS story_clusters (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            lead_article_id INTEGER NOT NULL,  -- First article of the story
+            article_count INTEGER NOT NULL DEFAULT 1,
+            created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+            updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now'))
+        );
+
+        CREATE TABLE IF NOT EXISTS article_signatures (
+            article_id INTEGER PRIMARY KEY,
+            minhash BLOB NOT NULL,
+            FOREIGN KEY(article_id) REFERENCES articles(id) ON DELETE CASCADE
+        );
+    `);
+
+    if (!hasColumn(db, 'articles', 'cluster_id')) {
+        db.exec('ALTER TABLE articles ADD COLUMN cluster_id INTEGER REFERENCES story_clusters(id) ON DELETE SET NULL');
+    }
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_articles_cluster ON articles(cluster_id)');
+}
@@ -0,0 +1,44 @@
+/**
+ * Migration 015: Canonical article URLs
+ * 
+ * Adds articles.canonical_url, the deduplication key for articles (see
+ * src/urlCanonicalizer.js), with a unique index. Existing articles are
+ * backfilled from their link; when several stored articles share a canonical
+ * URL only the oldest gets it, the later copies keep NULL.
+ */
+
+import { hasColumn } from './helpers.js';
+import { canonicalizeUrl } from '../urlCanonicalizer.js';
+
+export const version = 15;
+export const name = 'canonical_urls';
+
+export function up(db) {
+    if (!hasColumn(db, 'articles', 'canonical_url')) {
+        db.exec('ALTER TABLE articles ADD COLUMN canonical_url TEXT');
+    }
+
+    const articles = db.prepare('SELECT id, link, guid FROM articles WHERE canonical_url IS NULL ORDER BY id').all();
+    const taken = new Set(
+        db.prepare('SELECT canonical_url FROM articles WHERE canonical_url IS NOT NULL').all().map(row => row.canonical_url)
+    );
+    const update = db.prepare('UPDATE articles SET canonical_url = ? WHERE id = ?');
+
+    let backfilled = 0;
+    let duplicates = 0;
+    articles.forEach(article => {
+        const canonicalUrl = canonicalizeUrl(article.link) || canonicalizeUrl(article.guid);
+        if (!canonicalUrl) return;
+        if (taken.has(canonicalUrl)) {
+            duplicates++;
+            return;
+        }
+        taken.add(canonicalUrl);
+        update.run(canonicalUrl, article.id);
+        backfilled++;
+    });
+
+    db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_articles_canonical_url ON articles(canonical_url)');
+
+    console.log(`Backfilled canonical URLs for ${backfilled} articles (${duplicates} duplicates left without one)`);
+}
@@ -0,0 +1,29 @@
+/**
+ * Migration 016: User rules
+ *
+ * Explicit, expiring rules that mute or boost a keyword, source or category
+ * for one user, on top of the profile learned from interactions. There is at
+ * most one rule per user and target; setting a new one replaces it.
+ */
+
+export const version = 16;
+export const name = 'user_rules';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS user_rules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id INTEGER NOT NULL,
+            kind TEXT NOT NULL CHECK (kind IN ('keyword', 'source', 'category')),
+            value TEXT NOT NULL,
+            action TEXT NOT NULL CHECK (action IN ('mute', 'boost')),
+            amount REAL NOT NULL DEFAULT 0,  -- Score added by boost rules
+            expires_at TEXT NOT NULL,
+            created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+            UNIQUE(user_id, kind, value),
+            FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_user_rules_expires ON user_rules(user_id, expires_at);
+    `);
+}
@@ -0,0 +1,18 @@
+/**
+ * Migration 017: Exploration picks in recommendation snapshots
+ *
+ * Snapshot items record whether the re-ranking stage placed them as an
+ * exploration pick from a category the user has seen little of, so the
+ * "For You" feed can label them.
+ */
+
+import { hasColumn } from './helpers.js';
+
+export const version = 17;
+export const name = 'snapshot_exploration';
+
+export function up(db) {
+    if (!hasColumn(db, 'recommendation_snapshot_items', 'exploration')) {
+        db.exec('ALTER TABLE recommendation_snapshot_items ADD COLUMN exploration INTEGER NOT NULL DEFAULT 0');
+    }
+}
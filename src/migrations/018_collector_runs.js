@@ -0,0 +1,52 @@
+/**
+ * Migration 018: Collector runs
+ *
+ * Each collection run gets a summary record (counts, per-stage durations and
+ * the latest errors), and every new article it finds becomes a job that is
+ * marked done as it leaves the pipeline. A run that stops without finishing
+ * keeps status 'running' and the next collector resumes its pending jobs.
+ */
+
+export const version = 18;
+export const name = 'collector_runs';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS collector_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            status TEXT NOT NULL DEFAULT 'running',  -- 'running', 'completed' or 'failed'
+            started_at TEXT NOT NULL,
+            finished_at TEXT,
+            heartbeat_at TEXT,                       -- Last progress; stale running runs are resumed
+            resumed_count INTEGER NOT NULL DEFAULT 0,
+            feed_count INTEGER NOT NULL DEFAULT 0,
+            feed_error_count INTEGER NOT NULL DEFAULT 0,
+            article_count INTEGER NOT NULL DEFAULT 0, -- Jobs queued (new articles found in feeds)
+            known_count INTEGER NOT NULL DEFAULT 0,   -- Feed items already stored, not queued
+            stored_count INTEGER NOT NULL DEFAULT 0,
+            duplicate_count INTEGER NOT NULL DEFAULT 0,
+            error_count INTEGER NOT NULL DEFAULT 0,
+            feeds_ms INTEGER NOT NULL DEFAULT 0,      -- Time spent in each stage, summed over jobs
+            fetch_ms INTEGER NOT NULL DEFAULT 0,
+            extract_ms INTEGER NOT NULL DEFAULT 0,
+            store_ms INTEGER NOT NULL DEFAULT 0,
+            errors JSON                               -- Latest errors: [{ stage, url, error }]
+        );
+
+        CREATE TABLE IF NOT EXISTS collector_jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            run_id INTEGER NOT NULL,
+            link TEXT NOT NULL,
+            article JSON NOT NULL,                    -- Feed item as returned by the RSS fetcher
+            status TEXT NOT NULL DEFAULT 'pending',   -- 'pending', 'stored', 'duplicate', 'skipped' or 'failed'
+            stage TEXT,                               -- Stage that failed, for 'failed' jobs
+            error TEXT,
+            updated_at TEXT,
+            UNIQUE(run_id, link),
+            FOREIGN KEY(run_id) REFERENCES collector_runs(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_collector_runs_status ON collector_runs(status);
+        CREATE INDEX IF NOT EXISTS idx_collector_jobs_pending ON collector_jobs(run_id, status);
+    `);
+}
@@ -0,0 +1,39 @@
+/**
+ * Migration 019: In-process collector scheduling
+ *
+ * Feeds get the time they are next due, computed from their own posting
+ * frequency, and a lease that locks them to the collector run fetching them.
+ * Runs record what started them and can be queued or cancelled from the API;
+ * the scheduler picks up queued runs and honours cancel requests.
+ */
+
+import { hasColumn } from './helpers.js';
+
+export const version = 19;
+export const name = 'collector_scheduling';
+
+export function up(db) {
+    // Feeds without a next fetch time are due right away
+    if (!hasColumn(db, 'feeds', 'next_fetch_at')) {
+        db.exec('ALTER TABLE feeds ADD COLUMN next_fetch_at TEXT');
+    }
+    if (!hasColumn(db, 'feeds', 'locked_by_run')) {
+        db.exec('ALTER TABLE feeds ADD COLUMN locked_by_run INTEGER');
+    }
+    if (!hasColumn(db, 'feeds', 'locked_until')) {
+        db.exec('ALTER TABLE feeds ADD COLUMN locked_until TEXT');
+    }
+
+    // Statuses now also include 'queued' (requested, not picked up yet) and 'cancelled'
+    if (!hasColumn(db, 'collector_runs', 'triggered_by')) {
+        db.exec(`ALTER TABLE collector_runs ADD COLUMN triggered_by TEXT NOT NULL DEFAULT 'cli'`); // 'cli', 'scheduled' or 'manual'
+    }
+    if (!hasColumn(db, 'collector_runs', 'force_all')) {
+        db.exec('ALTER TABLE collector_runs ADD COLUMN force_all INTEGER NOT NULL DEFAULT 0'); // Fetch every enabled feed, due or not
+    }
+    if (!hasColumn(db, 'collector_runs', 'cancel_requested')) {
+        db.exec('ALTER TABLE collector_runs ADD COLUMN cancel_requested INTEGER NOT NULL DEFAULT 0');
+    }
+
+    db.exec('CREATE INDEX IF NOT EXISTS idx_feeds_next_fetch ON feeds(enabled, next_fetch_at)');
+}
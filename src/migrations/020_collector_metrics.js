@@ -0,0 +1,50 @@
+/**
+ * Migration 020: Per-feed collector metrics
+ *
+ * Each feed fetch of a collector run is recorded with its outcome, HTTP
+ * status, duration and item counts. Jobs remember their feed, the HTTP
+ * status of the article page, the stored article (to follow its keyword
+ * extraction) and whether content extraction failed, so article outcomes
+ * can be counted per feed and per run.
+ */
+
+import { hasColumn } from './helpers.js';
+
+export const version = 20;
+export const name = 'collector_metrics';
+
+export function up(db) {
+    const jobColumns = {
+        feed_id: 'INTEGER',
+        article_id: 'INTEGER',
+        http_status: 'INTEGER',
+        extract_error: 'TEXT' // Set when the article was stored without extracted content
+    };
+    Object.entries(jobColumns).forEach(([column, type]) => {
+        if (!hasColumn(db, 'collector_jobs', column)) {
+            db.exec(`ALTER TABLE collector_jobs ADD COLUMN ${column} ${type}`);
+        }
+    });
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS collector_feed_results (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            run_id INTEGER NOT NULL,
+            feed_id INTEGER NOT NULL,
+            status TEXT NOT NULL,                     -- 'ok', 'not_modified' or 'error'
+            http_status INTEGER,                      -- 0 on network errors
+            duration_ms INTEGER NOT NULL DEFAULT 0,
+            item_count INTEGER NOT NULL DEFAULT 0,    -- Items listed in the feed
+            queued_count INTEGER NOT NULL DEFAULT 0,  -- New items queued as jobs
+            known_count INTEGER NOT NULL DEFAULT 0,   -- Items already stored
+            error TEXT,
+            fetched_at TEXT NOT NULL,
+            UNIQUE(run_id, feed_id),
+            FOREIGN KEY(run_id) REFERENCES collector_runs(id) ON DELETE CASCADE,
+            FOREIGN KEY(feed_id) REFERENCES feeds(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_collector_feed_results_feed ON collector_feed_results(feed_id, run_id);
+        CREATE INDEX IF NOT EXISTS idx_collector_jobs_feed ON collector_jobs(run_id, feed_id);
+    `);
+}
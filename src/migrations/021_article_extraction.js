@@ -0,0 +1,34 @@
+/**
+ * Migration 021: Article extraction strategies
+ *
+ * Articles record which extraction strategy produced their content and a
+ * quality score for it. Extraction rules give CSS selectors for the article
+ * body of a domain (and its subdomains), used when the generic strategies
+ * don't find it.
+ */
+
+import { hasColumn } from './helpers.js';
+
+export const version = 21;
+export const name = 'article_extraction';
+
+export function up(db) {
+    if (!hasColumn(db, 'articles', 'extraction_strategy')) {
+        db.exec('ALTER TABLE articles ADD COLUMN extraction_strategy TEXT');
+    }
+    if (!hasColumn(db, 'articles', 'extraction_quality')) {
+        db.exec('ALTER TABLE articles ADD COLUMN extraction_quality REAL'); // 0 to 1
+    }
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS extraction_rules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            domain TEXT NOT NULL UNIQUE,           -- Lowercase host name, without "www."
+            content_selector TEXT NOT NULL,        -- Elements holding the article body
+            remove_selector TEXT,                  -- Elements to drop from it (ads, related links)
+            enabled INTEGER NOT NULL DEFAULT 1,
+            created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+            updated_at TEXT
+        );
+    `);
+}
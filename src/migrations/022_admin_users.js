@@ -0,0 +1,24 @@
+/**
+ * Migration 022: Admin users
+ *
+ * Only admins may manage feeds, collector runs, extraction rules and the
+ * keyword queue. The oldest existing account becomes the admin, matching
+ * new installs where the first registered account is one.
+ */
+
+import { hasColumn } from './helpers.js';
+
+export const version = 22;
+export const name = 'admin_users';
+
+export function up(db) {
+    if (!hasColumn(db, 'users', 'is_admin')) {
+        db.exec('ALTER TABLE users ADD COLUMN is_admin INTEGER NOT NULL DEFAULT 0');
+    }
+
+    db.exec(`
+        UPDATE users SET is_admin = 1
+        WHERE id = (SELECT MIN(id) FROM users)
+          AND NOT EXISTS (SELECT 1 FROM users WHERE is_admin = 1)
+    `);
+}
@@ -0,0 +1,25 @@
+/**
+ * Migration 023: Application settings
+ *
+ * A key-value table for state the application keeps about itself, such as
+ * when the feed list was seeded from the OPML files. Installs that already
+ * manage feeds count as seeded, so deleting all feeds doesn't bring the OPML
+ * feeds back.
+ */
+
+export const version = 23;
+export const name = 'app_settings';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS app_settings (
+            key TEXT PRIMARY KEY,
+            value TEXT,
+            updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now'))
+        );
+
+        INSERT OR IGNORE INTO app_settings (key, value)
+        SELECT 'feeds_seeded_at', strftime('%Y-%m-%dT%H:%M:%SZ', 'now')
+        WHERE EXISTS (SELECT 1 FROM feeds);
+    `);
+}
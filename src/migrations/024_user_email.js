@@ -0,0 +1,17 @@
+/**
+ * Migration 024: User email addresses
+ *
+ * Digests are personal, so each one is emailed to its user's own address.
+ * Users without an address get no digest emails.
+ */
+
+import { hasColumn } from './helpers.js';
+
+export const version = 24;
+export const name = 'user_email';
+
+export function up(db) {
+    if (!hasColumn(db, 'users', 'email')) {
+        db.exec('ALTER TABLE users ADD COLUMN email TEXT');
+    }
+}
@@ -0,0 +1,49 @@
+/**
+ * Migration 025: Story cluster index
+ *
+ * Indexes articles for story clustering so a new article is only compared
+ * with likely duplicates: the LSH band hashes of each MinHash signature and
+ * the significant words of each title (see src/storyClustering.js). Existing
+ * signatures and titles are backfilled.
+ */
+
+import { signatureBands, titleWords, bufferToSignature } from '../storyClustering.js';
+
+export const version = 25;
+export const name = 'story_cluster_index';
+
+export function up(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS article_signature_bands (
+            band INTEGER NOT NULL,
+            hash INTEGER NOT NULL,
+            article_id INTEGER NOT NULL,
+            PRIMARY KEY (band, hash, article_id),
+            FOREIGN KEY(article_id) REFERENCES articles(id) ON DELETE CASCADE
+        ) WITHOUT ROWID;
+
+        CREATE TABLE IF NOT EXISTS article_title_words (
+            word TEXT NOT NULL,
+            article_id INTEGER NOT NULL,
+            PRIMARY KEY (word, article_id),
+            FOREIGN KEY(article_id) REFERENCES articles(id) ON DELETE CASCADE
+        ) WITHOUT ROWID;
+
+        CREATE INDEX IF NOT EXISTS idx_article_signature_bands_article ON article_signature_bands(article_id);
+        CREATE INDEX IF NOT EXISTS idx_article_title_words_article ON article_title_words(article_id);
+    `);
+
+    const insertBand = db.prepare('INSERT OR IGNORE INTO article_signature_bands (band, hash, article_id) VALUES (?, ?, ?)');
+    const signatures = db.prepare('SELECT article_id, minhash FROM article_signatures').all();
+    signatures.forEach(row => {
+        signatureBands(bufferToSignature(row.minhash)).forEach((hash, band) => insertBand.run(band, hash, row.article_id));
+    });
+
+    const insertWord = db.prepare('INSERT OR IGNORE INTO article_title_words (word, article_id) VALUES (?, ?)');
+    const articles = db.prepare('SELECT id, title FROM articles').all();
+    articles.forEach(article => {
+        titleWords(article.title).forEach(word => insertWord.run(word, article.id));
+    });
+
+    console.log(`Indexed ${signatures.length} signatures and ${articles.length} titles for story clustering`);
+}
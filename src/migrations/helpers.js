@@ -0,0 +1,27 @@
+/**
+ * Migration helpers
+ * 
+ * Small schema introspection utilities shared by migration modules so they
+ * can stay idempotent against databases that were patched by hand.
+ */
+
+/**
+ * Check whether a table has a given column
+ * @param {Database} db - better-sqlite3 database instance
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {boolean} - True if the column exists
+ */
+export function hasColumn(db, table, column) {
+    return db.prepare(`PRAGMA table_info(${table})`).all().some(col => col.name === column);
+}
+
+/**
+ * Check whether a table exists
+ * @param {Database} db - better-sqlite3 database instance
+ * @param {string} table - Table name
+ * @returns {boolean} - True if the table exists
+ */
+export function hasTable(db, table) {
+    return !!db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`).get(table);
+}
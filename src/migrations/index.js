@@ -0,0 +1,61 @@
+/**
+ * Migration registry
+ * 
+ * Every schema change is a module in this directory exporting `version`,
+ * `name` and a synchronous `up(db)` function. Register new migrations here
+ * in ascending version order; the migrator refuses gaps and duplicates.
+ */
+
+import * as initialSchema from './001_initial_schema.js';
+import * as articleViewCount from './002_article_view_count.js';
+import * as interactionMetadata from './003_interaction_metadata.js';
+import * as normalizeDates from './004_normalize_dates.js';
+import * as normalizeKeywords from './005_normalize_keywords.js';
+import * as articlesFts from './006_articles_fts.js';
+import * as feeds from './007_feeds.js';
+import * as feedManagement from './008_feed_management.js';
+import * as keywordJobs from './009_keyword_jobs.js';
+import * as users from './010_users.js';
+import * as userProfiles from './011_user_profiles.js';
+import * as recommendationScores from './012_recommendation_scores.js';
+import * as articleEmbeddings from './013_article_embeddings.js';
+import * as storyClusters from './014_story_clusters.js';
+import * as canonicalUrls from './015_canonical_urls.js';
+import * as userRules from './016_user_rules.js';
+import * as snapshotExploration from './017_snapshot_exploration.js';
+import * as collectorRuns from './018_collector_runs.js';
+import * as collectorScheduling from './019_collector_scheduling.js';
+import * as collectorMetrics from './020_collector_metrics.js';
+import * as articleExtraction from './021_article_extraction.js';
+import * as adminUsers from './022_admin_users.js';
+import * as appSettings from './023_app_settings.js';
+import * as userEmail from './024_user_email.js';
+import * as storyClusterIndex from './025_story_cluster_index.js';
+
+export const migrations = [
+    initialSchema,
+    articleViewCount,
+    interactionMetadata,
+    normalizeDates,
+    normalizeKeywords,
+    articlesFts,
+    feeds,
+    feedManagement,
+    keywordJobs,
+    users,
+    userProfiles,
+    recommendationScores,
+    articleEmbeddings,
+    storyClusters,
+    canonicalUrls,
+    userRules,
+    snapshotExploration,
+    collectorRuns,
+    collectorScheduling,
+    collectorMetrics,
+    articleExtraction,
+    adminUsers,
+    appSettings,
+    userEmail,
+    storyClusterIndex
+];
@@ -0,0 +1,84 @@
+/**
+ * Migrator Module
+ * 
+ * This module applies versioned schema migrations to the SQLite database.
+ * Applied versions are recorded in the schema_version table, so running the
+ * migrator repeatedly only applies migrations that are still pending.
+ */
+
+import { migrations as registeredMigrations } from './migrations/index.js';
+
+/**
+ * Make sure the schema_version bookkeeping table exists
+ * @param {Database} db - better-sqlite3 database instance
+ */
+function ensureVersionTable(db) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_version (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now'))
+        );
+    `);
+}
+
+/**
+ * Validate that migrations are ordered and have unique, gapless versions
+ * @param {Array} migrations - Migration modules
+ */
+function validateMigrations(migrations) {
+    migrations.forEach((migration, index) => {
+        if (migration.version !== index + 1) {
+            throw new Error(`Migration "${migration.name}" has version ${migration.version}, expected ${index + 1}`);
+        }
+        if (typeof migration.up !== 'function') {
+            throw new Error(`Migration ${migration.version} "${migration.name}" has no up() function`);
+        }
+    });
+}
+
+/**
+ * Get the current schema version of the database
+ * @param {Database} db - better-sqlite3 database instance
+ * @returns {number} - Highest applied migration version (0 if none)
+ */
+function getSchemaVersion(db) {
+    ensureVersionTable(db);
+    return db.prepare('SELECT COALESCE(MAX(version), 0) as version FROM schema_version').get().version;
+}
+
+/**
+ * Apply all pending migrations, each in its own transaction
+ * @param {Database} db - better-sqlite3 database instance
+ * @param {Array} migrations - Migration modules (defaults to the registry)
+ * @returns {Array<Object>} - The migrations that were applied in this run
+ */
+function runMigrations(db, migrations = registeredMigrations) {
+    validateMigrations(migrations);
+
+    const currentVersion = getSchemaVersion(db);
+    const pending = migrations.filter(migration => migration.version > currentVersion);
+    const recordStmt = db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)');
+
+    const applied = [];
+    for (const migration of pending) {
+        console.log(`Applying migration ${migration.version}: ${migration.name}`);
+        try {
+            db.transaction(() => {
+                migration.up(db);
+                recordStmt.run(migration.version, migration.name);
+            })();
+        } catch (error) {
+            console.error(`Migration ${migration.version} "${migration.name}" failed:`, error);
+            throw error;
+        }
+        applied.push({ version: migration.version, name: migration.name });
+    }
+
+    return applied;
+}
+
+export {
+    getSchemaVersion,
+    runMigrations
+};
@@ -10,53 +10,62 @@ import { promises as fs } from 'fs';
 import path from 'path';
 import xml2js from 'xml2js';
 
+/**
+ * Parse OPML content and extract feed information
+ * @param {string} content - OPML XML content
+ * @param {string|null} category - Category for all feeds; when null, each feed
+ *   uses the title of its parent outline (or 'uncategorized')
+ * @returns {Promise<Array>} - Array of feed objects with category, title, url, etc.
+ */
+async function parseOpmlContent(content, category = null) {
+  // Parse the XML content
+  const parser = new xml2js.Parser();
+  const result = await parser.parseStringPromise(content);
+  
+  // Extract feeds from the parsed content
+  const feeds = [];
+  
+  // Process outlines in the OPML body
+  if (result.opml && result.opml.body && result.opml.body[0].outline) {
+    // Handle nested outlines (common in OPML files)
+    const processOutlines = (outlines, parentTitle = null) => {
+      outlines.forEach(outline => {
+        // Check if this is a feed outline (has xmlUrl)
+        if (outline.$ && outline.$.xmlUrl) {
+          feeds.push({
+            category: category || parentTitle || 'uncategorized',
+            title: outline.$.title || outline.$.text || 'Untitled Feed',
+            xmlUrl: outline.$.xmlUrl,
+            htmlUrl: outline.$.htmlUrl || null,
+            parentTitle
+          });
+        }
+        
+        // Process nested outlines if they exist
+        if (outline.outline) {
+          processOutlines(outline.outline, outline.$ ? outline.$.title || outline.$.text : parentTitle);
+        }
+      });
+    };
+    
+    processOutlines(result.opml.body[0].outline);
+  }
+  
+  return feeds;
+}
+
 /**
  * Parse an OPML file and extract feed information
  * @param {string} filePath - Path to the OPML file
+ * @param {string} [category] - Category for all feeds (defaults to the filename without extension)
  * @returns {Promise<Array>} - Array of feed objects with category, title, url, etc.
  */
-async function parseOpmlFile(filePath) {
+async function parseOpmlFile(filePath, category = path.basename(filePath, path.extname(filePath))) {
   try {
     // Read the OPML file
     const fileContent = await fs.readFile(filePath, 'utf-8');
     
-    // Get the category from the filename (without extension)
-    const category = path.basename(filePath, path.extname(filePath));
-    
-    // Parse the XML content
-    const parser = new xml2js.Parser();
-    const result = await parser.parseStringPromise(fileContent);
-    
-    // Extract feeds from the parsed content
-    const feeds = [];
-    
-    // Process outlines in the OPML body
-    if (result.opml && result.opml.body && result.opml.body[0].outline) {
-      // Handle nested outlines (common in OPML files)
-      const processOutlines = (outlines, parentTitle = null) => {
-        outlines.forEach(outline => {
-          // Check if this is a feed outline (has xmlUrl)
-          if (outline.$ && outline.$.xmlUrl) {
-            feeds.push({
-              category,
-              title: outline.$.title || outline.$.text || 'Untitled Feed',
-              xmlUrl: outline.$.xmlUrl,
-              htmlUrl: outline.$.htmlUrl || null,
-              parentTitle
-            });
-          }
-          
-          // Process nested outlines if they exist
-          if (outline.outline) {
-            processOutlines(outline.outline, outline.$.title || outline.$.text);
-          }
-        });
-      };
-      
-      processOutlines(result.opml.body[0].outline);
-    }
-    
-    return feeds;
+    return await parseOpmlContent(fileContent, category);
   } catch (error) {
     console.error(`Error parsing OPML file ${filePath}:`, error);
     throw error;
@@ -89,6 +98,7 @@ async function parseOpmlDirectory(opmlDir) {
 }
 
 export {
+  parseOpmlContent,
   parseOpmlFile,
   parseOpmlDirectory
 };
@@ -0,0 +1,58 @@
+/**
+ * OPML Writer Module
+ * 
+ * This module serializes managed feeds back to OPML so they can be exported
+ * to other readers or re-imported later. Feeds are grouped into one outline
+ * per category, which parseOpmlContent() maps back to categories on import.
+ */
+
+import xml2js from 'xml2js';
+
+/**
+ * Build an OPML document from a list of feeds
+ * @param {Array} feeds - Array of feed rows (xml_url, title, category, html_url)
+ * @param {Object} options - Document options
+ * @param {string} options.title - Title of the OPML document
+ * @returns {string} - OPML XML string
+ */
+function buildOpml(feeds, { title = 'NewsFeedSolo feeds' } = {}) {
+  // Group feeds by category, preserving the order they were passed in
+  const feedsByCategory = feeds.reduce((acc, feed) => {
+    const category = feed.category || 'uncategorized';
+    acc[category] = acc[category] || [];
+    acc[category].push(feed);
+    return acc;
+  }, {});
+  
+  const outlines = Object.entries(feedsByCategory).map(([category, categoryFeeds]) => ({
+    $: { text: category, title: category },
+    outline: categoryFeeds.map(feed => ({
+      $: {
+        type: 'rss',
+        text: feed.title || feed.xml_url,
+        title: feed.title || feed.xml_url,
+        xmlUrl: feed.xml_url,
+        ...(feed.html_url ? { htmlUrl: feed.html_url } : {})
+      }
+    }))
+  }));
+  
+  const builder = new xml2js.Builder({
+    xmldec: { version: '1.0', encoding: 'UTF-8' }
+  });
+  
+  return builder.buildObject({
+    opml: {
+      $: { version: '2.0' },
+      head: [{
+        title: [title],
+        dateCreated: [new Date().toUTCString()]
+      }],
+      body: [{ outline: outlines }]
+    }
+  });
+}
+
+export {
+  buildOpml
+};
@@ -0,0 +1,193 @@
+/**
+ * Polite Fetcher Module
+ *
+ * The HTTP layer shared by the feed and content fetchers. Every request
+ * identifies itself with COLLECTOR_USER_AGENT and waits for a token from
+ * its host's token bucket, slowed further by a robots.txt Crawl-delay.
+ * Article pages are only fetched when the host's robots.txt (cached per
+ * origin) allows it. 429 and 503 responses hold all requests to the host
+ * for the Retry-After time; those and other transient failures are retried
+ * with jittered exponential backoff.
+ */
+
+import axios from 'axios';
+import { sleep, createTokenBucket } from './concurrency.js';
+import { parseRobotsTxt, isAllowed, crawlDelay } from './robotsTxt.js';
+import 'dotenv/config';
+
+const USER_AGENT = process.env.COLLECTOR_USER_AGENT || 'NewsFeedSolo/1.0 (self-hosted news reader)';
+// robots.txt groups are matched against the product token, e.g. "newsfeedsolo"
+const ROBOTS_AGENT = USER_AGENT.split('/')[0].trim().toLowerCase();
+const RESPECT_ROBOTS_TXT = process.env.COLLECTOR_RESPECT_ROBOTS_TXT !== 'false';
+const ROBOTS_CACHE_MINUTES = parseFloat(process.env.ROBOTS_CACHE_MINUTES || 1440);
+// An unreachable robots.txt blocks its host for a short while only
+const ROBOTS_ERROR_CACHE_MINUTES = 10;
+
+const HOST_RATE_PER_MINUTE = parseFloat(process.env.COLLECTOR_HOST_RATE_PER_MINUTE || 30);
+const HOST_BURST = parseInt(process.env.COLLECTOR_HOST_BURST || 3);
+
+const FETCH_RETRIES = parseInt(process.env.COLLECTOR_FETCH_RETRIES || 2);
+const RETRY_BASE_MS = parseInt(process.env.COLLECTOR_RETRY_BASE_MS || 1000);
+const RETRY_MAX_MS = 30000;
+// A longer Retry-After fails the request instead of holding up the run
+const MAX_RETRY_AFTER_SECONDS = parseInt(process.env.COLLECTOR_MAX_RETRY_AFTER_SECONDS || 120);
+
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_ERROR_CODES = new Set(['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']);
+
+const httpClient = axios.create({
+  headers: { 'User-Agent': USER_AGENT },
+  maxRedirects: 5
+});
+
+// Token bucket per host
+const buckets = new Map();
+// robots.txt per origin: { groups, disallowAll, expiresAt } or a pending load
+const robotsCache = new Map();
+
+/**
+ * Token bucket of a host
+ * @param {string} host - Host name
+ * @returns {Object} - Bucket from createTokenBucket
+ */
+function bucketFor(host) {
+  if (!buckets.has(host)) {
+    buckets.set(host, createTokenBucket(HOST_RATE_PER_MINUTE / 60, HOST_BURST));
+  }
+  return buckets.get(host);
+}
+
+/**
+ * Parse a Retry-After header
+ * @param {string} value - Seconds or an HTTP date
+ * @returns {number|null} - Milliseconds to wait, or null if missing or invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value) * 1000;
+  // Date.parse also accepts bare numbers such as "-5"; HTTP dates name the day and month
+  if (!/[a-z]/i.test(value)) return null;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Delay before a retry: exponential, with half of it random so clients
+ * that failed together don't retry together
+ * @param {number} attempt - Retry number, from 0
+ * @returns {number} - Milliseconds
+ */
+function backoffDelay(attempt) {
+  const ceiling = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, attempt));
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+/**
+ * Load and cache the robots.txt of an origin
+ * 4xx answers mean there are no rules; server errors and unreachable hosts
+ * disallow everything until the short error cache expires (RFC 9309).
+ * @param {string} origin - Origin, e.g. https://example.com
+ * @returns {Promise<Object>} - { groups, disallowAll, expiresAt }
+ */
+async function loadRobots(origin) {
+  const cached = robotsCache.get(origin);
+  if (cached && (cached.then || cached.expiresAt > Date.now())) return cached;
+
+  const load = (async () => {
+    const host = new URL(origin).hostname;
+    let entry;
+    try {
+      await bucketFor(host).take();
+      const response = await httpClient.get(`${origin}/robots.txt`, {
+        timeout: 10000,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300) {
+        const groups = parseRobotsTxt(response.data);
+        entry = { groups, disallowAll: false, expiresAt: Date.now() + ROBOTS_CACHE_MINUTES * 60 * 1000 };
+        const delay = crawlDelay(groups, ROBOTS_AGENT);
+        if (delay) {
+          bucketFor(host).setRate(Math.min(HOST_RATE_PER_MINUTE / 60, 1 / delay));
+        }
+      } else if (response.status >= 400 && response.status < 500 && response.status !== 429) {
+        entry = { groups: [], disallowAll: false, expiresAt: Date.now() + ROBOTS_CACHE_MINUTES * 60 * 1000 };
+      } else {
+        console.warn(`robots.txt of ${origin} answered ${response.status}, not fetching from it for now`);
+        entry = { groups: [], disallowAll: true, expiresAt: Date.now() + ROBOTS_ERROR_CACHE_MINUTES * 60 * 1000 };
+      }
+    } catch (error) {
+      console.warn(`Could not load robots.txt of ${origin}: ${error.message}`);
+      entry = { groups: [], disallowAll: true, expiresAt: Date.now() + ROBOTS_ERROR_CACHE_MINUTES * 60 * 1000 };
+    }
+    robotsCache.set(origin, entry);
+    return entry;
+  })();
+
+  // Concurrent requests to the origin wait for the same load
+  robotsCache.set(origin, load);
+  return load;
+}
+
+/**
+ * Whether robots.txt allows fetching a URL
+ * @param {string} url - URL
+ * @returns {Promise<boolean>} - True if allowed (always, when COLLECTOR_RESPECT_ROBOTS_TXT is false)
+ */
+async function isAllowedByRobots(url) {
+  if (!RESPECT_ROBOTS_TXT) return true;
+  const { origin, pathname, search } = new URL(url);
+  const robots = await loadRobots(origin);
+  return !robots.disallowAll && isAllowed(robots.groups, ROBOTS_AGENT, pathname + search);
+}
+
+/**
+ * GET a URL politely
+ * @param {string} url - URL
+ * @param {Object} [config] - axios request config (headers, timeout, responseType, validateStatus...)
+ * @param {Object} [options] - robots (false to skip the robots.txt check, e.g. for feeds the user
+ *                             subscribed to) and retries (default COLLECTOR_FETCH_RETRIES)
+ * @returns {Promise<Object>} - axios response; errors are axios errors, or an error with
+ *                              code 'ROBOTS_DISALLOWED' when robots.txt forbids the URL
+ */
+async function politeGet(url, config = {}, options = {}) {
+  if (options.robots !== false && !(await isAllowedByRobots(url))) {
+    const error = new Error(`Disallowed by robots.txt: ${url}`);
+    error.code = 'ROBOTS_DISALLOWED';
+    throw error;
+  }
+
+  const bucket = bucketFor(new URL(url).hostname);
+  const retries = options.retries ?? FETCH_RETRIES;
+
+  for (let attempt = 0; ; attempt++) {
+    await bucket.take();
+    try {
+      return await httpClient.get(url, config);
+    } catch (error) {
+      const status = error.response ? error.response.status : null;
+      const retryAfterMs = status ? parseRetryAfter(error.response.headers['retry-after']) : null;
+
+      // The host asked us to slow down: hold every request to it, not just this one
+      if (status === 429 || status === 503) {
+        bucket.pauseUntil(Date.now() + Math.min(retryAfterMs ?? backoffDelay(attempt), MAX_RETRY_AFTER_SECONDS * 1000));
+      }
+
+      const retryable = status ? RETRYABLE_STATUSES.has(status) : RETRYABLE_ERROR_CODES.has(error.code);
+      if (!retryable || attempt >= retries) throw error;
+      if (retryAfterMs !== null && retryAfterMs > MAX_RETRY_AFTER_SECONDS * 1000) throw error;
+
+      const delay = retryAfterMs ?? backoffDelay(attempt);
+      console.warn(`Retrying ${url} in ${(delay / 1000).toFixed(1)}s (${status || error.code}), ${retries - attempt} attempts remaining`);
+      await sleep(delay);
+    }
+  }
+}
+
+export {
+  USER_AGENT,
+  politeGet,
+  isAllowedByRobots,
+  parseRetryAfter
+};
@@ -0,0 +1,55 @@
+/**
+ * Recommendation Refresher
+ *
+ * Batches interactions in the API server and recomputes a user's stored
+ * recommendation scores once RECOMMENDATION_REFRESH_BATCH_SIZE interactions
+ * have come in, or RECOMMENDATION_REFRESH_DELAY_SECONDS after the first one,
+ * whichever happens first.
+ */
+
+import 'dotenv/config';
+import { refreshRecommendationScores } from './database.js';
+
+const REFRESH_BATCH_SIZE = parseInt(process.env.RECOMMENDATION_REFRESH_BATCH_SIZE || 10);
+const REFRESH_DELAY_SECONDS = parseFloat(process.env.RECOMMENDATION_REFRESH_DELAY_SECONDS || 30);
+
+// userId -> { count, timer }
+const pending = new Map();
+
+/**
+ * Refresh a user's scores now and clear their pending batch
+ * @param {number} userId - User ID
+ */
+function flush(userId) {
+  const batch = pending.get(userId);
+  if (!batch) return;
+
+  clearTimeout(batch.timer);
+  pending.delete(userId);
+
+  refreshRecommendationScores(userId);
+}
+
+/**
+ * Record an interaction and schedule a score refresh for its user
+ * @param {number} userId - User ID
+ */
+function noteInteraction(userId) {
+  let batch = pending.get(userId);
+  if (!batch) {
+    batch = { count: 0, timer: setTimeout(() => flush(userId), REFRESH_DELAY_SECONDS * 1000) };
+    // Don't keep the process alive just for a pending refresh
+    batch.timer.unref();
+    pending.set(userId, batch);
+  }
+
+  batch.count++;
+  if (batch.count === REFRESH_BATCH_SIZE) {
+    // Run after the current response has been sent
+    setImmediate(() => flush(userId));
+  }
+}
+
+export {
+  noteInteraction
+};
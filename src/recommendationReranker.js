@@ -0,0 +1,238 @@
+/**
+ * Recommendation Re-ranking
+ *
+ * Reorders the scored "For You" ranking before it is snapshotted, so a few
+ * strong interests can't fill every page. Each page is built greedily with
+ * maximal marginal relevance (MMR): the next article is the one whose score
+ * best outweighs its similarity to the articles already on the page, where
+ * similarity is keyword overlap plus a penalty for sharing a source. A
+ * source may fill at most DIVERSITY_MAX_PER_SOURCE places per page. One
+ * place per page can go to an exploration pick from a category the user has
+ * seen little of, chosen epsilon-greedy or by Thompson sampling.
+ */
+
+import 'dotenv/config';
+
+// Trade-off between score (1) and novelty on the page (0)
+const DIVERSITY_LAMBDA = parseFloat(process.env.DIVERSITY_LAMBDA || 0.7);
+const DIVERSITY_MAX_PER_SOURCE = parseInt(process.env.DIVERSITY_MAX_PER_SOURCE || 3);
+const DIVERSITY_PAGE_SIZE = parseInt(process.env.DIVERSITY_PAGE_SIZE || 30);
+// Only the top of the ranking is re-ranked; the rest keeps score order
+const DIVERSITY_RERANK_LIMIT = parseInt(process.env.DIVERSITY_RERANK_LIMIT || 300);
+
+// 'epsilon', 'thompson' or 'none'
+const EXPLORATION_STRATEGY = (process.env.EXPLORATION_STRATEGY || 'epsilon').toLowerCase();
+const EXPLORATION_EPSILON = parseFloat(process.env.EXPLORATION_EPSILON || 0.3);
+// Categories below this share of the user's views and interactions count as low-exposure
+const EXPLORATION_MAX_EXPOSURE_SHARE = parseFloat(process.env.EXPLORATION_MAX_EXPOSURE_SHARE || 0.05);
+
+// Similarity added when two articles come from the same source
+const SAME_SOURCE_SIMILARITY = 0.5;
+// Page position of the exploration pick, after the strongest few recommendations
+const EXPLORATION_POSITION = 4;
+
+/**
+ * Parse an article's keywords into a lowercase set
+ * @param {string|Array} keywords - JSON array or array of keywords
+ * @returns {Set<string>} - Keywords
+ */
+function keywordSet(keywords) {
+    let list = keywords;
+    if (typeof keywords === 'string') {
+        try {
+            list = JSON.parse(keywords);
+        } catch {
+            list = [];
+        }
+    }
+    return new Set((Array.isArray(list) ? list : []).map(keyword => String(keyword).toLowerCase()));
+}
+
+/**
+ * Similarity of two candidates for MMR
+ * @param {Object} a - Candidate
+ * @param {Object} b - Candidate
+ * @returns {number} - Keyword Jaccard similarity plus the same-source penalty, at most 1
+ */
+function similarity(a, b) {
+    let shared = 0;
+    a.keywordSet.forEach(keyword => {
+        if (b.keywordSet.has(keyword)) shared++;
+    });
+    const union = a.keywordSet.size + b.keywordSet.size - shared;
+    const jaccard = union > 0 ? shared / union : 0;
+    return Math.min(1, jaccard + (a.feed_title === b.feed_title ? SAME_SOURCE_SIMILARITY : 0));
+}
+
+/**
+ * Sample a standard normal variable (Box-Muller)
+ * @returns {number} - Sample
+ */
+function sampleNormal() {
+    const u = 1 - Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * Math.random());
+}
+
+/**
+ * Sample a gamma variable with shape >= 1 (Marsaglia and Tsang)
+ * @param {number} shape - Shape parameter
+ * @returns {number} - Sample
+ */
+function sampleGamma(shape) {
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+        const x = sampleNormal();
+        const v = Math.pow(1 + c * x, 3);
+        if (v <= 0) continue;
+        if (Math.log(1 - Math.random()) < 0.5 * x * x + d - d * v + d * Math.log(v)) {
+            return d * v;
+        }
+    }
+}
+
+/**
+ * Sample a beta variable
+ * @param {number} alpha - Alpha parameter (>= 1)
+ * @param {number} beta - Beta parameter (>= 1)
+ * @returns {number} - Sample in [0, 1]
+ */
+function sampleBeta(alpha, beta) {
+    const x = sampleGamma(alpha);
+    return x / (x + sampleGamma(beta));
+}
+
+/**
+ * Choose the category of a page's exploration pick
+ * @param {Array<string>} categories - Low-exposure categories with candidates left
+ * @param {Map} exposure - Category -> { views, positives }
+ * @returns {string|null} - Category, or null to fill the place normally
+ */
+function chooseExplorationCategory(categories, exposure) {
+    if (categories.length === 0) return null;
+
+    if (EXPLORATION_STRATEGY === 'thompson') {
+        // Sample each category's engagement rate from its Beta posterior and explore the most promising
+        let best = null;
+        let bestSample = -1;
+        categories.forEach(category => {
+            const { views = 0, positives = 0 } = exposure.get(category) || {};
+            const sample = sampleBeta(1 + positives, 1 + Math.max(0, views - positives));
+            if (sample > bestSample) {
+                best = category;
+                bestSample = sample;
+            }
+        });
+        return best;
+    }
+
+    if (EXPLORATION_STRATEGY === 'epsilon' && Math.random() < EXPLORATION_EPSILON) {
+        return categories[Math.floor(Math.random() * categories.length)];
+    }
+    return null;
+}
+
+/**
+ * Re-rank scored recommendations for diversity and exploration
+ * @param {Array} candidates - Candidates sorted best first, with keywords, feed_title and feed_category
+ * @param {Object} [options] - exposure: category -> { views, positives } for the user, and
+ *                             exploration: false to leave out the random exploration picks
+ * @returns {Array} - The candidates in their new order, each with an exploration flag
+ */
+export function rerankRecommendations(candidates, options = {}) {
+    const exposure = options.exposure || new Map();
+    const explore = options.exploration !== false && EXPLORATION_STRATEGY !== 'none';
+    const pageSize = Math.max(1, DIVERSITY_PAGE_SIZE);
+
+    const items = candidates.map(candidate => ({ ...candidate, keywordSet: keywordSet(candidate.keywords), exploration: false }));
+    const pool = items.slice(0, DIVERSITY_RERANK_LIMIT);
+    const taken = new Set();
+
+    // Scores normalized over the re-ranked pool so lambda weighs comparable quantities
+    const scores = pool.map(item => item.final_score || 0);
+    const maxScore = scores.reduce((max, score) => Math.max(max, score), -Infinity);
+    const minScore = scores.reduce((min, score) => Math.min(min, score), Infinity);
+    const range = maxScore - minScore;
+    const relevance = item => range > 0 ? ((item.final_score || 0) - minScore) / range : 1;
+
+    const totalExposure = [...exposure.values()].reduce((sum, entry) => sum + entry.views + entry.positives, 0);
+    const isLowExposure = category => {
+        if (!category) return false;
+        // Everything is unexplored for a user with no history yet
+        if (totalExposure === 0) return true;
+        const entry = exposure.get(category);
+        return (entry ? entry.views + entry.positives : 0) / totalExposure < EXPLORATION_MAX_EXPOSURE_SHARE;
+    };
+    const lowExposureCategories = new Set(items.map(item => item.feed_category).filter(isLowExposure));
+
+    const result = [];
+    while (pool.some(item => !taken.has(item.article_id))) {
+        const page = [];
+        const pageSources = new Map();
+        const pageCategories = new Set();
+        // Highest similarity of each candidate considered to the page so far
+        const pageSimilarity = new Map();
+
+        const place = (item, exploration = false) => {
+            item.exploration = exploration;
+            taken.add(item.article_id);
+            page.push(item);
+            result.push(item);
+            pageSources.set(item.feed_title, (pageSources.get(item.feed_title) || 0) + 1);
+            pageCategories.add(item.feed_category);
+            pageSimilarity.forEach((value, other) => {
+                pageSimilarity.set(other, Math.max(value, similarity(other, item)));
+            });
+        };
+
+        while (page.length < pageSize) {
+            const remaining = pool.filter(item => !taken.has(item.article_id));
+            if (remaining.length === 0) break;
+
+            if (page.length === Math.min(EXPLORATION_POSITION, pageSize - 1) && explore) {
+                // Best-scored article of each low-exposure category not yet on the page
+                const picks = new Map();
+                items.forEach(item => {
+                    if (taken.has(item.article_id) || !lowExposureCategories.has(item.feed_category)) return;
+                    if (pageCategories.has(item.feed_category) || picks.has(item.feed_category)) return;
+                    picks.set(item.feed_category, item);
+                });
+                const category = chooseExplorationCategory([...picks.keys()], exposure);
+                if (category) {
+                    place(picks.get(category), true);
+                    continue;
+                }
+            }
+
+            let best = null;
+            let bestValue = -Infinity;
+            let bestCapped = null;
+            let bestCappedValue = -Infinity;
+            remaining.forEach(item => {
+                if (!pageSimilarity.has(item)) {
+                    pageSimilarity.set(item, page.reduce((max, other) => Math.max(max, similarity(item, other)), 0));
+                }
+                const value = DIVERSITY_LAMBDA * relevance(item) - (1 - DIVERSITY_LAMBDA) * pageSimilarity.get(item);
+                const capped = DIVERSITY_MAX_PER_SOURCE > 0 && (pageSources.get(item.feed_title) || 0) >= DIVERSITY_MAX_PER_SOURCE;
+                if (capped) {
+                    if (value > bestCappedValue) {
+                        bestCapped = item;
+                        bestCappedValue = value;
+                    }
+                } else if (value > bestValue) {
+                    best = item;
+                    bestValue = value;
+                }
+            });
+            // Only over-represented sources left; fill the page rather than end it early
+            place(best || bestCapped);
+        }
+    }
+
+    // Below the re-ranked pool articles keep their score order
+    items.forEach(item => {
+        if (!taken.has(item.article_id)) result.push(item);
+    });
+
+    return result.map(({ keywordSet: _keywords, ...item }) => item);
+}
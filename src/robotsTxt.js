@@ -0,0 +1,117 @@
+/**
+ * robots.txt Module
+ *
+ * Parses robots.txt files (RFC 9309) and answers whether a path may be
+ * fetched by a user agent. The group of the most specific matching
+ * user-agent line applies, falling back to "*"; within it the longest
+ * matching rule wins and Allow wins ties. Crawl-delay is read as well,
+ * although it isn't part of the RFC, since many sites still use it.
+ */
+
+/**
+ * Parse a robots.txt file
+ * @param {string} text - File contents
+ * @returns {Array} - Groups of { agents, rules: [{ allow, pattern }], crawlDelay }
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  // Consecutive user-agent lines share the group that follows them
+  let collectingAgents = false;
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!collectingAgents) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+        collectingAgents = true;
+      }
+      current.agents.push(value.toLowerCase());
+      return;
+    }
+
+    collectingAgents = false;
+    if (!current) return;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything and adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', pattern: value });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * Pick the groups that apply to a user agent
+ * @param {Array} groups - Groups from parseRobotsTxt
+ * @param {string} agent - Product token of the user agent, e.g. "newsfeedsolo"
+ * @returns {Array} - Groups naming the agent, or the "*" groups if none does
+ */
+function groupsFor(groups, agent) {
+  const token = agent.toLowerCase();
+  const named = groups.filter(group => group.agents.some(name => name !== '*' && token.includes(name)));
+  return named.length > 0 ? named : groups.filter(group => group.agents.includes('*'));
+}
+
+/**
+ * Convert a robots.txt path pattern into a regular expression
+ * @param {string} pattern - Pattern with * wildcards and an optional $ end anchor
+ * @returns {RegExp} - Expression matching paths from their start
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Whether a user agent may fetch a path
+ * @param {Array} groups - Groups from parseRobotsTxt
+ * @param {string} agent - Product token of the user agent
+ * @param {string} path - Path and query of the URL
+ * @returns {boolean} - True if allowed
+ */
+function isAllowed(groups, agent, path) {
+  let best = null;
+  groupsFor(groups, agent).forEach(group => {
+    group.rules.forEach(rule => {
+      if (!patternToRegExp(rule.pattern).test(path)) return;
+      const length = rule.pattern.length;
+      if (!best || length > best.length || (length === best.length && rule.allow && !best.allow)) {
+        best = { length, allow: rule.allow };
+      }
+    });
+  });
+  return best ? best.allow : true;
+}
+
+/**
+ * Crawl-delay that applies to a user agent
+ * @param {Array} groups - Groups from parseRobotsTxt
+ * @param {string} agent - Product token of the user agent
+ * @returns {number|null} - Seconds between requests, or null if not set
+ */
+function crawlDelay(groups, agent) {
+  const delays = groupsFor(groups, agent).map(group => group.crawlDelay).filter(delay => delay !== null);
+  return delays.length > 0 ? Math.max(...delays) : null;
+}
+
+export {
+  parseRobotsTxt,
+  isAllowed,
+  crawlDelay
+};
@@ -8,6 +8,8 @@
 
 import Parser from 'rss-parser';
 import dotenv from 'dotenv';
+import { getFeedState, saveFeedFetchResult } from './database.js';
+import { politeGet } from './politeFetcher.js';
 
 // Load environment variables
 dotenv.config();
@@ -15,24 +17,81 @@ dotenv.config();
 // Get max articles per feed from environment or use default
 const MAX_ARTICLES_PER_FEED = parseInt(process.env.MAX_ARTICLES_PER_FEED || 50);
 
-const parser = new Parser({
+const parser = new Parser();
+
+// Feeds are downloaded through the polite fetch layer so we can send conditional
+// GET headers and read the response validators, then parsed with rss-parser
+const REQUEST_CONFIG = {
   timeout: 10000, // 10 seconds timeout
   headers: {
-    'User-Agent': 'NewsCollector/1.0.0 (https://github.com/yourusername/news-collector)'
-  }
-});
+    'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8, */*;q=0.5'
+  },
+  responseType: 'text',
+  // 304 Not Modified is an expected outcome, not an error
+  validateStatus: status => (status >= 200 && status < 300) || status === 304
+};
 
 /**
- * Fetch and parse an RSS feed
+ * Calculate the average interval between items in a feed
+ * @param {Array} items - Parsed feed items
+ * @returns {number|null} - Average interval in minutes, or null if it can't be determined
+ */
+function averageItemInterval(items) {
+  const timestamps = items
+    .map(item => new Date(item.isoDate || item.pubDate).getTime())
+    .filter(time => !isNaN(time))
+    .sort((a, b) => a - b);
+
+  if (timestamps.length < 2) return null;
+
+  const spanMs = timestamps[timestamps.length - 1] - timestamps[0];
+  return spanMs / (timestamps.length - 1) / (1000 * 60);
+}
+
+/**
+ * Fetch and parse an RSS feed, reporting how the fetch went
+ * Sends If-None-Match / If-Modified-Since based on the stored feed state and
+ * returns no articles when the server answers 304 Not Modified.
  * @param {Object} feed - Feed object with xmlUrl, title, category, etc.
- * @returns {Promise<Array>} - Array of article objects from the feed
+ * @returns {Promise<Object>} - { status: 'ok', 'not_modified' or 'error', httpStatus, articles, error }
  */
-async function fetchFeed(feed) {
+async function fetchFeedResult(feed) {
   try {
     console.log(`Fetching feed: ${feed.title} (${feed.xmlUrl})`);
     
+    // Add conditional GET headers from the previous successful fetch
+    const state = getFeedState(feed.xmlUrl);
+    const headers = {};
+    if (state?.etag) headers['If-None-Match'] = state.etag;
+    if (state?.last_modified) headers['If-Modified-Since'] = state.last_modified;
+    
+    // Feeds were subscribed to explicitly, so robots.txt isn't consulted for them
+    const response = await politeGet(feed.xmlUrl, {
+      ...REQUEST_CONFIG,
+      headers: { ...REQUEST_CONFIG.headers, ...headers }
+    }, { robots: false });
+    
+    if (response.status === 304) {
+      console.log(`Feed not modified since last fetch: ${feed.title}`);
+      saveFeedFetchResult(feed, {
+        status: 'not_modified',
+        httpStatus: 304,
+        etag: response.headers.etag,
+        lastModified: response.headers['last-modified']
+      });
+      return { status: 'not_modified', httpStatus: 304, articles: [] };
+    }
+    
     // Parse the feed
-    const feedContent = await parser.parseURL(feed.xmlUrl);
+    const feedContent = await parser.parseString(response.data);
+    
+    saveFeedFetchResult(feed, {
+      status: 'ok',
+      httpStatus: response.status,
+      etag: response.headers.etag,
+      lastModified: response.headers['last-modified'],
+      avgItemIntervalMinutes: averageItemInterval(feedContent.items)
+    });
     
     // Extract and normalize articles, limiting to MAX_ARTICLES_PER_FEED
     const articles = feedContent.items
@@ -43,7 +102,8 @@ async function fetchFeed(feed) {
           link: item.link || '',
           pubDate: item.pubDate || item.isoDate || new Date().toISOString(),
           author: item.creator || item.author || feedContent.title || 'Unknown',
-          content: item.content || item.contentSnippet || '',
+          // Full content:encoded when the feed has it, otherwise the description
+          content: item['content:encoded'] || item.content || item.contentSnippet || '',
           guid: item.guid || item.id || item.link || '',
           categories: item.categories || [],
           // Add feed metadata to each article
@@ -54,14 +114,28 @@ async function fetchFeed(feed) {
       });
     
     console.log(`Fetched ${articles.length} articles from ${feed.title} (limited to ${MAX_ARTICLES_PER_FEED})`);
-    return articles;
+    return { status: 'ok', httpStatus: response.status, articles };
   } catch (error) {
     console.error(`Error fetching feed ${feed.xmlUrl}:`, error.message);
-    // Return empty array on error to continue processing other feeds
-    return [];
+    saveFeedFetchResult(feed, {
+      status: 'error',
+      httpStatus: error.response ? error.response.status : 0,
+      error: error.message
+    });
+    // Return no articles on error to continue processing other feeds
+    return { status: 'error', httpStatus: error.response ? error.response.status : 0, articles: [], error: error.message };
   }
 }
 
+/**
+ * Fetch and parse an RSS feed
+ * @param {Object} feed - Feed object with xmlUrl, title, category, etc.
+ * @returns {Promise<Array>} - Array of article objects from the feed (empty on errors)
+ */
+async function fetchFeed(feed) {
+  return (await fetchFeedResult(feed)).articles;
+}
+
 /**
  * Fetch multiple feeds in parallel with rate limiting
  * @param {Array} feeds - Array of feed objects
@@ -92,6 +166,7 @@ async function fetchFeeds(feeds, concurrency = 3) {
 }
 
 export {
+  fetchFeedResult,
   fetchFeed,
   fetchFeeds
 };
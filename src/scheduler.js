@@ -1,42 +1,139 @@
+/**
+ * Scheduler
+ *
+ * Runs collections in-process. Every SCHEDULER_POLL_SECONDS it picks up,
+ * in order: a run queued through the admin API, a run that stopped making
+ * progress, or a new run if any feed is due. Feeds fall due on their own
+ * adaptive intervals (see FEED_POLL_* in .env.example). One run is active
+ * at a time; its progress events are logged as JSON lines. Digests run on
+ * their own cron schedule.
+ */
+
 import cron from 'node-cron';
-import { exec } from 'child_process';
-import path from 'path';
-import { fileURLToPath } from 'url';
-import { dirname } from 'path';
+import {
+  initializeDatabase,
+  closeDatabase,
+  getFeedsForCollection,
+  claimQueuedCollectorRun,
+  claimStaleCollectorRun,
+  startCollectorRun
+} from './database.js';
+import { runCollection, seedFeedsFromOpml, STALE_RUN_MINUTES } from './collector.js';
+import { generateDigests } from './digest.js';
+import 'dotenv/config';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = dirname(__filename);
-const projectRoot = path.resolve(__dirname, '..');
+const SCHEDULER_POLL_SECONDS = parseFloat(process.env.SCHEDULER_POLL_SECONDS || 15);
 
-console.log('📅 Starting scheduler');
-console.log('🔄 Fetch will run every 2 hours');
+// Digests run on their own cron schedule; an empty DIGEST_SCHEDULE disables them
+const DIGEST_SCHEDULE = process.env.DIGEST_SCHEDULE ?? '0 7 * * 1';
+const DIGEST_PERIOD = process.env.DIGEST_PERIOD || 'week';
+
+// The run in progress: { runId, controller, promise }
+let active = null;
+let stopping = false;
+
+/**
+ * Log a collector progress event as one JSON line
+ * @param {Object} event - Event from runCollection
+ */
+function logEvent(event) {
+  console.log(JSON.stringify({ source: 'collector', ...event }));
+}
+
+/**
+ * Pick the next run to execute
+ * @returns {Object|null} - Claimed or started run, or null if there is nothing to do
+ */
+function nextRun() {
+  const queued = claimQueuedCollectorRun();
+  if (queued) return queued;
 
-// Run fetch immediately on startup
-console.log('🚀 Running initial fetch...');
-exec('node src/index.js', { cwd: projectRoot }, (error, stdout, stderr) => {
-  if (error) {
-    console.error(`Error running fetch: ${error.message}`);
+  const stale = claimStaleCollectorRun(STALE_RUN_MINUTES);
+  if (stale) return stale;
+
+  if (getFeedsForCollection().length > 0) {
+    return startCollectorRun({ trigger: 'scheduled' });
+  }
+  return null;
+}
+
+/**
+ * Start the next run unless one is already active
+ */
+function tick() {
+  if (active || stopping) return;
+
+  let run;
+  try {
+    run = nextRun();
+  } catch (error) {
+    console.error('Error picking the next collector run:', error);
     return;
   }
-  if (stderr) {
-    console.error(`Fetch stderr: ${stderr}`);
+  if (!run) return;
+
+  const controller = new AbortController();
+  active = {
+    runId: run.id,
+    controller,
+    promise: runCollection({ run, signal: controller.signal, onEvent: logEvent })
+      .catch(error => console.error(`Error in collector run ${run.id}:`, error))
+      .finally(() => {
+        active = null;
+        // Queued runs and feeds that fell due meanwhile shouldn't wait for the next poll
+        setImmediate(tick);
+      })
+  };
+}
+
+/**
+ * Cancel the active run and exit
+ * @param {string} signal - Signal received
+ */
+async function shutdown(signal) {
+  if (stopping) return;
+  stopping = true;
+  console.log(`🛑 Received ${signal}, stopping scheduler...`);
+  if (active) {
+    active.controller.abort();
+    await active.promise;
+  }
+  closeDatabase();
+  process.exit(0);
+}
+
+initializeDatabase();
+
+console.log('📅 Starting scheduler');
+console.log(`🔄 Checking for queued runs and due feeds every ${SCHEDULER_POLL_SECONDS}s`);
+
+// Seed the feed list from the OPML files on the first start
+const seeded = await seedFeedsFromOpml();
+if (seeded > 0) {
+  console.log(`📥 Imported ${seeded} feeds from OPML files`);
+}
+
+tick();
+setInterval(tick, SCHEDULER_POLL_SECONDS * 1000);
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+if (DIGEST_SCHEDULE) {
+  if (!cron.validate(DIGEST_SCHEDULE)) {
+    console.error(`Invalid DIGEST_SCHEDULE "${DIGEST_SCHEDULE}", digests are disabled`);
+  } else {
+    console.log(`📰 ${DIGEST_PERIOD} digest will run on "${DIGEST_SCHEDULE}"`);
+    cron.schedule(DIGEST_SCHEDULE, async () => {
+      console.log(`📰 Generating ${DIGEST_PERIOD} digests...`);
+      try {
+        const { written, sent, failed } = await generateDigests({ period: DIGEST_PERIOD });
+        console.log(`Digests completed: ${written} written, ${sent} sent, ${failed} failed to send`);
+      } catch (error) {
+        console.error(`Error generating digests: ${error.message}`);
+      }
+    });
   }
-  console.log(`Initial fetch completed: ${stdout}`);
-});
-
-// Schedule fetch to run every 2 hours
-cron.schedule('0 */2 * * *', () => {
-  console.log('🔄 Running scheduled fetch...');
-  exec('node src/index.js', { cwd: projectRoot }, (error, stdout, stderr) => {
-    if (error) {
-      console.error(`Error running fetch: ${error.message}`);
-      return;
-    }
-    if (stderr) {
-      console.error(`Fetch stderr: ${stderr}`);
-    }
-    console.log(`Scheduled fetch completed: ${stdout}`);
-  });
-});
-
-console.log('⏱️ Scheduler is running...');
\ No newline at end of file
+}
+
+console.log('⏱️ Scheduler is running...');
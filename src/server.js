@@ -6,29 +6,238 @@
 
 import express from 'express';
 import cors from 'cors';
+import crypto from 'crypto';
 import { 
+    initializeDatabase,
     getArticles, 
+    getArticle,
+    searchArticles,
     getRecommendedArticles, 
+    getStoredRecommendations,
+    explainArticleScore,
     trackInteraction, 
+    INTERACTION_TYPES,
+    USER_RULE_KINDS,
+    USER_RULE_ACTIONS,
+    refreshRecommendationScores,
     buildKeywordProfile,
-    getSimilarArticles 
+    getSimilarArticles,
+    listFeeds,
+    getFeed,
+    createFeed,
+    updateFeed,
+    deleteFeed,
+    importFeeds,
+    getKeywordQueueStats,
+    requeueKeywordJobs,
+    listCollectorRuns,
+    requestCollectorRun,
+    cancelCollectorRun,
+    getCollectorRun,
+    getCollectorRunFeeds,
+    getFeedHealth,
+    listExtractionRules,
+    createExtractionRule,
+    updateExtractionRule,
+    deleteExtractionRule,
+    getExtractionStats,
+    createUser,
+    getUserByUsername,
+    updateUserEmail,
+    createSession,
+    deleteSession,
+    createApiKey,
+    listApiKeys,
+    deleteApiKey,
+    listUserRules,
+    saveUserRule,
+    updateUserRule,
+    deleteUserRule,
+    recordArticleView,
+    recordEngagement
 } from './database.js';
-import Database from 'better-sqlite3';
-import path from 'path';
+import {
+    hashPassword,
+    verifyPassword,
+    hashToken,
+    generateSessionToken,
+    generateApiKey,
+    registrationOpen,
+    isValidEmail,
+    authenticate,
+    requireAdmin
+} from './auth.js';
+import { noteInteraction } from './recommendationRefresher.js';
+import { parseOpmlContent } from './opmlParser.js';
+import { buildOpml } from './opmlWriter.js';
+import { buildFeed, FEED_FORMATS } from './feedWriter.js';
+import { EXTRACTION_MIN_QUALITY, isValidSelector } from './articleExtractor.js';
 
 const app = express();
 const port = process.env.PORT || 3000;
-const DB_FILE = path.join(process.cwd(), 'storage', 'news.db');
-const db = new Database(DB_FILE);
+// Open the shared connection; this also applies any pending migrations
+const db = initializeDatabase();
 
 // Enable CORS and JSON parsing
 app.use(cors());
 app.use(express.json());
 
+/**
+ * Start a session for a user and build the login response
+ * @param {Object} user - User without password hash
+ * @returns {Object} - { token, expiresAt, user }
+ */
+function startSession(user) {
+    const { token, tokenHash, expiresAt } = generateSessionToken();
+    createSession(user.id, tokenHash, expiresAt);
+    return { token, expiresAt, user: { id: user.id, username: user.username, is_admin: user.is_admin } };
+}
+
+// Whether the login page should offer registration
+app.get('/api/auth/status', (req, res) => {
+    try {
+        res.json({ registrationOpen: registrationOpen() });
+    } catch (error) {
+        console.error('Error fetching auth status:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create an account (the first account, or any when ALLOW_REGISTRATION=true)
+app.post('/api/auth/register', (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        const name = typeof username === 'string' ? username.trim() : '';
+
+        if (!registrationOpen()) {
+            return res.status(403).json({ error: 'Registration is closed' });
+        }
+        if (!/^[\w.-]{3,32}$/.test(name)) {
+            return res.status(400).json({ error: 'username must be 3-32 letters, digits, dots, dashes or underscores' });
+        }
+        if (typeof password !== 'string' || password.length < 8) {
+            return res.status(400).json({ error: 'password must be at least 8 characters' });
+        }
+
+        const result = createUser(name, hashPassword(password));
+        if (!result.success) {
+            return res.status(result.conflict ? 409 : 500).json({ error: result.error });
+        }
+
+        res.status(201).json(startSession(result.user));
+    } catch (error) {
+        console.error('Error registering user:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Log in with username and password
+app.post('/api/auth/login', (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        if (typeof username !== 'string' || typeof password !== 'string') {
+            return res.status(400).json({ error: 'username and password are required' });
+        }
+
+        const user = getUserByUsername(username.trim());
+        if (!user || !verifyPassword(password, user.password_hash)) {
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+
+        res.json(startSession(user));
+    } catch (error) {
+        console.error('Error logging in:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Everything below requires a session token or API key
+app.use('/api', authenticate);
+
+// Log out the current session
+app.post('/api/auth/logout', (req, res) => {
+    try {
+        deleteSession(hashToken(req.authToken));
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error logging out:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the current user
+app.get('/api/auth/me', (req, res) => {
+    res.json(req.user);
+});
+
+// Set or clear the current user's email address, where their digests are sent
+app.patch('/api/auth/me', (req, res) => {
+    try {
+        const { email } = req.body || {};
+        if (email === undefined) {
+            return res.status(400).json({ error: 'email is required (null to remove it)' });
+        }
+        const address = email === null || email === '' ? null : String(email).trim();
+        if (address !== null && !isValidEmail(address)) {
+            return res.status(400).json({ error: 'email must be a valid email address' });
+        }
+
+        const result = updateUserEmail(req.user.id, address);
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+        }
+
+        res.json(result.user);
+    } catch (error) {
+        console.error('Error updating user:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// List the current user's API keys
+app.get('/api/auth/api-keys', (req, res) => {
+    try {
+        res.json(listApiKeys(req.user.id));
+    } catch (error) {
+        console.error('Error listing API keys:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Create an API key; the key itself is only returned once
+app.post('/api/auth/api-keys', (req, res) => {
+    try {
+        const name = String((req.body || {}).name || '').trim();
+        if (!name) {
+            return res.status(400).json({ error: 'name is required' });
+        }
+
+        const { key, keyHash, keyPrefix } = generateApiKey();
+        const apiKey = createApiKey(req.user.id, name, keyHash, keyPrefix);
+        res.status(201).json({ ...apiKey, key });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Revoke an API key
+app.delete('/api/auth/api-keys/:id', (req, res) => {
+    try {
+        if (!deleteApiKey(req.user.id, parseInt(req.params.id))) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting API key:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get articles with optional filtering
 app.get('/api/articles', async (req, res) => {
     try {
-        const { category, feedTitle, dateFrom, dateTo, limit = 50, offset = 0, sort = 'stored_at' } = req.query;
+        const { category, feedTitle, dateFrom, dateTo, limit = 50, offset = 0, sort = 'stored_at', collapse } = req.query;
         const articles = await getArticles({ 
             category, 
             feedTitle, 
@@ -36,7 +245,9 @@ app.get('/api/articles', async (req, res) => {
             dateTo, 
             limit: parseInt(limit), 
             offset: parseInt(offset),
-            sort
+            sort,
+            userId: req.user.id,
+            collapseClusters: collapse !== 'false'
         });
         // No longer update view counts automatically - this happens via Intersection Observer
         res.json(articles);
@@ -46,13 +257,64 @@ app.get('/api/articles', async (req, res) => {
     }
 });
 
+/**
+ * Escape article text and turn FTS highlight markers into <mark> tags
+ * @param {string} text - Text with \u0002/\u0003 highlight markers
+ * @returns {string} - HTML-safe string
+ */
+function highlightToHtml(text) {
+    if (!text) return '';
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\u0002/g, '<mark>')
+        .replace(/\u0003/g, '</mark>');
+}
+
+// Full-text search over articles with the same filters as /api/articles
+app.get('/api/search', (req, res) => {
+    try {
+        const { q, category, feedTitle, dateFrom, dateTo, limit = 50, offset = 0 } = req.query;
+        
+        // Repeated parameters arrive as arrays
+        if (typeof q !== 'string' || !q.trim()) {
+            return res.status(400).json({ error: 'Missing search query' });
+        }
+        if ([category, feedTitle, dateFrom, dateTo].some(value => value !== undefined && typeof value !== 'string')) {
+            return res.status(400).json({ error: 'Filters can only be given once' });
+        }
+        
+        const results = searchArticles({
+            q,
+            category,
+            feedTitle,
+            dateFrom,
+            dateTo,
+            limit: parseInt(limit),
+            offset: parseInt(offset),
+            userId: req.user.id
+        });
+        
+        res.json(results.map(article => ({
+            ...article,
+            search_title: highlightToHtml(article.search_title),
+            search_snippet: highlightToHtml(article.search_snippet)
+        })));
+    } catch (error) {
+        console.error('Error searching articles:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get a specific article by ID
 app.get('/api/articles/:id', async (req, res) => {
     try {
         const { id } = req.params;
         
-        // Get the article
-        const article = db.prepare('SELECT * FROM articles WHERE id = ?').get(id);
+        // Get the article with the user's view count and rating
+        const article = getArticle(parseInt(id), req.user.id);
         
         if (!article) {
             return res.status(404).json({ error: 'Article not found' });
@@ -74,9 +336,12 @@ app.get('/api/categories', async (req, res) => {
         const articles = await getArticles();
         const categoriesFromArticles = [...new Set(articles.map(article => article.feed_category))];
         
+        // Include categories of managed feeds that have no articles yet
+        const categoriesFromFeeds = listFeeds({ enabled: true }).map(feed => feed.category).filter(Boolean);
+        
         // Ensure both 'diy' and 'development' categories are always included
         const requiredCategories = ['diy', 'development'];
-        const categories = [...new Set([...requiredCategories, ...categoriesFromArticles])];
+        const categories = [...new Set([...requiredCategories, ...categoriesFromArticles, ...categoriesFromFeeds])];
         
         console.log('Available categories:', categories);
         res.json(categories);
@@ -86,17 +351,22 @@ app.get('/api/categories', async (req, res) => {
     }
 });
 
-// Get personalized article recommendations
+// Get personalized article recommendations, paged with the returned nextCursor
 app.get('/api/recommendations', async (req, res) => {
     try {
-        const { limit = 30, offset = 0 } = req.query;
-        const articles = await getRecommendedArticles({
+        const { limit = 30, cursor } = req.query;
+        const result = getRecommendedArticles({
             limit: parseInt(limit),
-            offset: parseInt(offset)
+            cursor,
+            userId: req.user.id
         });
         
+        if (result.expired) {
+            return res.status(410).json({ error: 'Recommendation cursor has expired, start again without a cursor' });
+        }
+        
         // No longer update view counts automatically - this happens via Intersection Observer
-        res.json(articles);
+        res.json(result);
     } catch (error) {
         console.error('Error fetching recommendations:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -111,7 +381,8 @@ app.get('/api/articles/:id/similar', async (req, res) => {
         
         const similarArticles = await getSimilarArticles(
             parseInt(id),
-            parseInt(limit)
+            parseInt(limit),
+            req.user.id
         );
         
         // No longer update view counts automatically - this happens via Intersection Observer
@@ -122,22 +393,39 @@ app.get('/api/articles/:id/similar', async (req, res) => {
     }
 });
 
+// Explain an article's recommendation score: components, matched keywords and contributing interactions
+app.get('/api/articles/:id/explain', (req, res) => {
+    try {
+        const explanation = explainArticleScore(parseInt(req.params.id), req.user.id);
+        if (!explanation) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+        res.json(explanation);
+    } catch (error) {
+        console.error('Error explaining article score:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Track article interaction
 app.post('/api/articles/:id/interaction', async (req, res) => {
     try {
         const { id } = req.params;
         const { type } = req.body;
         
-        if (!['click', 'thumbs_up', 'thumbs_down'].includes(type)) {
+        if (!INTERACTION_TYPES.includes(type)) {
             return res.status(400).json({ error: 'Invalid interaction type' });
         }
         
-        const result = await trackInteraction(parseInt(id), type);
+        const result = await trackInteraction(parseInt(id), type, req.user.id);
         
         if (!result.success) {
             return res.status(500).json({ error: result.error });
         }
         
+        // Rescore recommendations in the background once a batch of interactions is in
+        noteInteraction(req.user.id);
+        
         res.json({ success: true });
     } catch (error) {
         console.error('Error tracking interaction:', error);
@@ -145,13 +433,45 @@ app.post('/api/articles/:id/interaction', async (req, res) => {
     }
 });
 
+// Report dwell time and scroll depth; recorded as read_complete or quick_bounce when they apply
+app.post('/api/articles/:id/engagement', (req, res) => {
+    try {
+        const { id } = req.params;
+        const { dwellMs, scrollDepth, source } = req.body || {};
+        
+        if (!Number.isFinite(Number(dwellMs)) || Number(dwellMs) < 0) {
+            return res.status(400).json({ error: 'dwellMs must be a non-negative number' });
+        }
+        if (!['reader', 'click'].includes(source)) {
+            return res.status(400).json({ error: 'source must be reader or click' });
+        }
+        
+        const result = recordEngagement(parseInt(id), req.user.id, { dwellMs, scrollDepth, source });
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+        }
+        
+        if (result.type && !result.duplicate) {
+            noteInteraction(req.user.id);
+        }
+        
+        res.json(result);
+    } catch (error) {
+        console.error('Error recording engagement:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Update article view count
 app.post('/api/articles/:id/view', async (req, res) => {
     try {
         const { id } = req.params;
         
-        // Increment the view count
-        db.prepare('UPDATE articles SET view_count = COALESCE(view_count, 0) + 1 WHERE id = ?').run(id);
+        // Increment the user's and the global view count
+        const result = recordArticleView(parseInt(id), req.user.id);
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+        }
         
         res.json({ success: true });
     } catch (error) {
@@ -160,10 +480,10 @@ app.post('/api/articles/:id/view', async (req, res) => {
     }
 });
 
-// Get user preference profile
+// Get the current user's preference profile
 app.get('/api/profile', (req, res) => {
     try {
-        const profile = buildKeywordProfile();
+        const profile = buildKeywordProfile(req.user.id);
         res.json(profile);
     } catch (error) {
         console.error('Error building user profile:', error);
@@ -171,7 +491,302 @@ app.get('/api/profile', (req, res) => {
     }
 });
 
-// Admin: Get system stats
+/**
+ * Validate and normalize rule fields from a request body
+ * The expiry is given either as an expiresAt date or as a number of days from now.
+ * @param {Object} body - Request body
+ * @param {boolean} isNew - Whether this creates a rule (kind, value, action and expiry are required)
+ * @returns {Object} - { rule } with normalized fields or { error }
+ */
+function parseRuleBody(body = {}, isNew = false) {
+    const rule = {};
+
+    if (isNew) {
+        if (!USER_RULE_KINDS.includes(body.kind)) {
+            return { error: `kind must be one of ${USER_RULE_KINDS.join(', ')}` };
+        }
+        rule.kind = body.kind;
+        rule.value = String(body.value ?? '').trim();
+        if (!rule.value) return { error: 'value is required' };
+    }
+
+    if (body.action !== undefined || isNew) {
+        if (!USER_RULE_ACTIONS.includes(body.action)) {
+            return { error: `action must be one of ${USER_RULE_ACTIONS.join(', ')}` };
+        }
+        rule.action = body.action;
+    }
+
+    if (body.amount !== undefined || (isNew && rule.action === 'boost')) {
+        const amount = Number(body.amount);
+        if (body.amount === null || body.amount === '' || !Number.isFinite(amount) || amount === 0) {
+            return { error: 'amount must be a non-zero number' };
+        }
+        rule.amount = amount;
+    }
+
+    if (body.expiresAt !== undefined) {
+        const expiresAt = new Date(body.expiresAt);
+        if (isNaN(expiresAt)) return { error: 'expiresAt must be a valid date' };
+        rule.expiresAt = expiresAt.toISOString();
+    } else if (body.days !== undefined) {
+        const days = Number(body.days);
+        if (!Number.isFinite(days) || days <= 0) return { error: 'days must be a positive number' };
+        rule.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+    } else if (isNew) {
+        return { error: 'expiresAt or days is required' };
+    }
+
+    if (rule.expiresAt && rule.expiresAt <= new Date().toISOString()) {
+        return { error: 'The expiry must be in the future' };
+    }
+
+    return { rule };
+}
+
+// List the current user's rules, including expired ones
+app.get('/api/rules', (req, res) => {
+    try {
+        res.json(listUserRules(req.user.id));
+    } catch (error) {
+        console.error('Error listing rules:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Mute or boost a keyword, source or category until the rule expires
+app.post('/api/rules', (req, res) => {
+    try {
+        const { rule, error } = parseRuleBody(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const result = saveUserRule(req.user.id, rule);
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        // Rules are explicit, so the ranking should reflect them right away
+        refreshRecommendationScores(req.user.id);
+        res.status(201).json(result.rule);
+    } catch (error) {
+        console.error('Error creating rule:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Change a rule's action, boost amount or expiry
+app.patch('/api/rules/:id', (req, res) => {
+    try {
+        const { rule, error } = parseRuleBody(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const result = updateUserRule(req.user.id, parseInt(req.params.id), rule);
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+        }
+
+        refreshRecommendationScores(req.user.id);
+        res.json(result.rule);
+    } catch (error) {
+        console.error('Error updating rule:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete a rule
+app.delete('/api/rules/:id', (req, res) => {
+    try {
+        if (!deleteUserRule(req.user.id, parseInt(req.params.id))) {
+            return res.status(404).json({ error: 'Rule not found' });
+        }
+
+        refreshRecommendationScores(req.user.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting rule:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Validate and normalize feed fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} requireUrl - Whether xmlUrl is required
+ * @returns {Object} - { feed } with normalized fields or { error }
+ */
+function parseFeedBody(body = {}, requireUrl = false) {
+    const feed = {};
+
+    if (body.xmlUrl !== undefined || requireUrl) {
+        try {
+            const url = new URL(body.xmlUrl);
+            if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+            feed.xmlUrl = url.toString();
+        } catch (e) {
+            return { error: 'xmlUrl must be a valid http(s) URL' };
+        }
+    }
+
+    if (body.title !== undefined) feed.title = String(body.title).trim() || null;
+    if (body.category !== undefined) {
+        feed.category = String(body.category).trim().toLowerCase();
+        if (!feed.category) return { error: 'category must not be empty' };
+    }
+    if (body.htmlUrl !== undefined) feed.htmlUrl = body.htmlUrl || null;
+    if (body.enabled !== undefined) feed.enabled = Boolean(body.enabled);
+
+    if (body.fetchIntervalMinutes !== undefined && body.fetchIntervalMinutes !== null && body.fetchIntervalMinutes !== '') {
+        const interval = parseInt(body.fetchIntervalMinutes);
+        if (isNaN(interval) || interval < 0) {
+            return { error: 'fetchIntervalMinutes must be a non-negative integer' };
+        }
+        feed.fetchIntervalMinutes = interval;
+    } else if (body.fetchIntervalMinutes !== undefined) {
+        feed.fetchIntervalMinutes = null;
+    }
+
+    return { feed };
+}
+
+// Feed management and the admin endpoints are for admin accounts only
+app.use('/api/feeds', requireAdmin);
+app.use('/api/admin', requireAdmin);
+
+// List managed feeds
+app.get('/api/feeds', (req, res) => {
+    try {
+        const { category, enabled } = req.query;
+        const feeds = listFeeds({
+            category,
+            enabled: enabled === undefined ? undefined : enabled === 'true' || enabled === '1'
+        });
+        res.json(feeds);
+    } catch (error) {
+        console.error('Error listing feeds:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Export managed feeds as OPML
+app.get('/api/feeds/export', (req, res) => {
+    try {
+        const { category } = req.query;
+        const opml = buildOpml(listFeeds({ category }), {
+            title: category ? `NewsFeedSolo feeds: ${category}` : 'NewsFeedSolo feeds'
+        });
+        res.set('Content-Type', 'text/x-opml; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${category || 'feeds'}.opml"`);
+        res.send(opml);
+    } catch (error) {
+        console.error('Error exporting feeds:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Import feeds from an uploaded OPML document (sent as the raw request body)
+app.post('/api/feeds/import', express.text({ type: () => true, limit: '5mb' }), async (req, res) => {
+    try {
+        if (!req.body || typeof req.body !== 'string') {
+            return res.status(400).json({ error: 'Request body must be an OPML document' });
+        }
+
+        const category = req.query.category ? String(req.query.category).trim().toLowerCase() : null;
+        let feeds;
+        try {
+            feeds = await parseOpmlContent(req.body, category);
+        } catch (error) {
+            return res.status(400).json({ error: `Invalid OPML: ${error.message}` });
+        }
+
+        const result = importFeeds(feeds);
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+
+        res.json({ success: true, found: feeds.length, added: result.added, skipped: result.skipped });
+    } catch (error) {
+        console.error('Error importing feeds:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get a managed feed
+app.get('/api/feeds/:id', (req, res) => {
+    try {
+        const feed = getFeed(parseInt(req.params.id));
+        if (!feed) {
+            return res.status(404).json({ error: 'Feed not found' });
+        }
+        res.json(feed);
+    } catch (error) {
+        console.error(`Error fetching feed ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Add a feed
+app.post('/api/feeds', (req, res) => {
+    try {
+        const { feed, error } = parseFeedBody(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const result = createFeed(feed);
+        if (!result.success) {
+            return res.status(result.conflict ? 409 : 500).json({ error: result.error });
+        }
+
+        res.status(201).json(result.feed);
+    } catch (error) {
+        console.error('Error creating feed:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update a feed (title, category, enabled flag, fetch interval)
+app.patch('/api/feeds/:id', (req, res) => {
+    try {
+        const { feed, error } = parseFeedBody(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (feed.xmlUrl) {
+            return res.status(400).json({ error: 'xmlUrl cannot be changed; add a new feed instead' });
+        }
+
+        const result = updateFeed(parseInt(req.params.id), feed);
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+        }
+
+        res.json(result.feed);
+    } catch (error) {
+        console.error(`Error updating feed ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete a feed (already collected articles are kept)
+app.delete('/api/feeds/:id', (req, res) => {
+    try {
+        const result = deleteFeed(parseInt(req.params.id));
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error(`Error deleting feed ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: Get system stats and the current user's recent interactions
 app.get('/api/admin/stats', async (req, res) => {
     try {
         const threeDaysAgo = new Date();
@@ -187,11 +802,11 @@ app.get('/api/admin/stats', async (req, res) => {
                 COUNT(*) as count,
                 COUNT(DISTINCT article_id) as unique_articles
             FROM article_interactions
-            WHERE created_at >= ?
+            WHERE user_id = ? AND created_at >= ?
             GROUP BY interaction_type
-        `).all(threeDaysAgo.toISOString());
+        `).all(req.user.id, threeDaysAgo.toISOString());
 
-        const profile = buildKeywordProfile();
+        const profile = buildKeywordProfile(req.user.id);
 
         res.json({
             recentArticlesCount: recentArticles.length,
@@ -208,6 +823,318 @@ app.get('/api/admin/stats', async (req, res) => {
     }
 });
 
+// Admin: Keyword extraction queue backlog and dead-lettered jobs
+app.get('/api/admin/keyword-queue', (req, res) => {
+    try {
+        res.json(getKeywordQueueStats());
+    } catch (error) {
+        console.error('Error fetching keyword queue stats:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: Re-queue dead-lettered keyword jobs (all, or the given jobIds)
+app.post('/api/admin/keyword-queue/retry', (req, res) => {
+    try {
+        const { jobIds } = req.body || {};
+        const result = requeueKeywordJobs(Array.isArray(jobIds) ? jobIds.map(id => parseInt(id)) : undefined);
+        
+        if (!result.success) {
+            return res.status(500).json({ error: result.error });
+        }
+        
+        res.json(result);
+    } catch (error) {
+        console.error('Error re-queuing keyword jobs:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: Recent collector runs, newest first
+app.get('/api/admin/collector/runs', (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        res.json({ runs: listCollectorRuns({ limit }) });
+    } catch (error) {
+        console.error('Error listing collector runs:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: One collector run with how each of its feeds fared
+app.get('/api/admin/collector/runs/:id', (req, res) => {
+    try {
+        const run = getCollectorRun(parseInt(req.params.id));
+        if (!run) {
+            return res.status(404).json({ error: 'Collector run not found' });
+        }
+        res.json({ run, feeds: getCollectorRunFeeds(run.id) });
+    } catch (error) {
+        console.error(`Error fetching collector run ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: Health of every feed over the latest collector runs, with the broken ones listed separately
+app.get('/api/admin/feed-health', (req, res) => {
+    try {
+        const runs = Math.min(parseInt(req.query.runs) || 20, 100);
+        const feeds = getFeedHealth({ runs });
+        res.json({
+            runs: listCollectorRuns({ limit: runs }).reverse(),
+            broken: feeds.filter(feed => feed.enabled && feed.problems.length > 0),
+            feeds
+        });
+    } catch (error) {
+        console.error('Error fetching feed health:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: Queue a collector run; the scheduler picks it up on its next poll
+app.post('/api/admin/collector/runs', (req, res) => {
+    try {
+        const { force } = req.body || {};
+        res.status(202).json({ run: requestCollectorRun({ force: Boolean(force) }) });
+    } catch (error) {
+        console.error('Error requesting collector run:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: Cancel a queued or running collector run
+app.post('/api/admin/collector/runs/:id/cancel', (req, res) => {
+    try {
+        const result = cancelCollectorRun(parseInt(req.params.id));
+
+        if (!result.success) {
+            const status = result.notFound ? 404 : result.conflict ? 409 : 500;
+            return res.status(status).json({ error: result.error });
+        }
+
+        res.json({ run: result.run });
+    } catch (error) {
+        console.error(`Error cancelling collector run ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Validate and normalize extraction rule fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} isNew - Whether domain and contentSelector are required
+ * @returns {Object} - { rule } with normalized fields or { error }
+ */
+function parseExtractionRuleBody(body = {}, isNew = false) {
+    const rule = {};
+
+    if (body.domain !== undefined || isNew) {
+        // Accept a bare domain or any URL on it
+        const value = String(body.domain || '').trim().toLowerCase();
+        let domain;
+        try {
+            domain = new URL(value.includes('://') ? value : `http://${value}`).hostname.replace(/^www\./, '');
+        } catch (e) {
+            domain = null;
+        }
+        if (!domain) return { error: 'domain must be a host name such as example.com' };
+        rule.domain = domain;
+    }
+
+    for (const key of ['contentSelector', 'removeSelector']) {
+        if (body[key] === undefined && !(isNew && key === 'contentSelector')) continue;
+        const selector = String(body[key] || '').trim();
+        if (!selector && key === 'removeSelector') {
+            rule.removeSelector = null;
+            continue;
+        }
+        if (!selector || !isValidSelector(selector)) {
+            return { error: `${key} must be a valid CSS selector` };
+        }
+        rule[key] = selector;
+    }
+
+    if (body.enabled !== undefined) rule.enabled = Boolean(body.enabled);
+
+    return { rule };
+}
+
+// Admin: Site-specific extraction rules
+app.get('/api/admin/extraction-rules', (req, res) => {
+    try {
+        res.json(listExtractionRules());
+    } catch (error) {
+        console.error('Error listing extraction rules:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: Add an extraction rule for a domain
+app.post('/api/admin/extraction-rules', (req, res) => {
+    try {
+        const { rule, error } = parseExtractionRuleBody(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const result = createExtractionRule(rule);
+        if (!result.success) {
+            return res.status(result.conflict ? 409 : 500).json({ error: result.error });
+        }
+
+        res.status(201).json(result.rule);
+    } catch (error) {
+        console.error('Error creating extraction rule:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: Update an extraction rule (selectors, enabled flag)
+app.patch('/api/admin/extraction-rules/:id', (req, res) => {
+    try {
+        const { rule, error } = parseExtractionRuleBody(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (rule.domain) {
+            return res.status(400).json({ error: 'domain cannot be changed; add a new rule instead' });
+        }
+
+        const result = updateExtractionRule(parseInt(req.params.id), rule);
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+        }
+
+        res.json(result.rule);
+    } catch (error) {
+        console.error(`Error updating extraction rule ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: Delete an extraction rule
+app.delete('/api/admin/extraction-rules/:id', (req, res) => {
+    try {
+        const result = deleteExtractionRule(parseInt(req.params.id));
+        if (!result.success) {
+            return res.status(result.notFound ? 404 : 500).json({ error: result.error });
+        }
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error(`Error deleting extraction rule ${req.params.id}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Admin: Which extraction strategies produced recently stored articles, and how well
+app.get('/api/admin/extraction-stats', (req, res) => {
+    try {
+        const days = Math.min(parseInt(req.query.days) || 7, 90);
+        res.json({
+            days,
+            minQuality: EXTRACTION_MIN_QUALITY,
+            strategies: getExtractionStats({ days, minQuality: EXTRACTION_MIN_QUALITY })
+        });
+    } catch (error) {
+        console.error('Error fetching extraction stats:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Syndication feeds for other readers; authenticate with an API key (?api_key=)
+app.use('/feeds', authenticate);
+
+const FEED_MAX_ITEMS = 200;
+
+/**
+ * Serialize articles as a feed and send it with an ETag
+ * Unchanged feeds produce identical output, so conditional requests get a 304.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} feed - Feed metadata (title, description)
+ * @param {Array} articles - Articles to include
+ * @param {string} [version] - Changes whenever the articles do; the ETag is derived from it
+ *                             instead of the serialized feed
+ */
+function sendFeed(req, res, feed, articles, version) {
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const { body, contentType } = buildFeed(req.params.format, {
+        ...feed,
+        homeUrl: `${baseUrl}/`,
+        // Without the query string so API keys don't end up in the document
+        feedUrl: `${baseUrl}${req.path}`
+    }, articles);
+
+    const etagSource = version ? `${version}\n${req.params.format}\n${articles.length}` : body;
+    const etag = `"${crypto.createHash('sha1').update(etagSource).digest('base64url')}"`;
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'private, max-age=300');
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+
+    res.set('Content-Type', contentType);
+    res.send(body);
+}
+
+/**
+ * Parse the feed request's format and item limit
+ * @param {Object} req - Express request
+ * @returns {Object|null} - { limit }, or null for an unknown format
+ */
+function parseFeedRequest(req) {
+    if (!FEED_FORMATS[req.params.format]) return null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, FEED_MAX_ITEMS);
+    return { limit };
+}
+
+// "For You" ranking as a feed, in stored score order: readers poll it, so it takes no
+// snapshot and skips the randomized re-ranking, and only changes when scores are recomputed
+app.get('/feeds/for-you.:format', (req, res) => {
+    try {
+        const request = parseFeedRequest(req);
+        if (!request) return res.status(404).json({ error: 'Unknown feed format' });
+
+        const { articles, computedAt } = getStoredRecommendations(req.user.id, request.limit);
+        sendFeed(req, res, {
+            title: `NewsFeedSolo: For You (${req.user.username})`,
+            description: 'Personalized article recommendations'
+        }, articles, computedAt);
+    } catch (error) {
+        console.error('Error generating recommendations feed:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Latest articles of a category, source or keyword as a feed
+const FEED_FILTERS = {
+    category: { option: 'category', label: 'Category' },
+    source: { option: 'feedTitle', label: 'Source' },
+    keyword: { option: 'keyword', label: 'Keyword' }
+};
+
+app.get('/feeds/:filter(category|source|keyword)/:name.:format', async (req, res) => {
+    try {
+        const request = parseFeedRequest(req);
+        if (!request) return res.status(404).json({ error: 'Unknown feed format' });
+
+        const { option, label } = FEED_FILTERS[req.params.filter];
+        const articles = await getArticles({
+            [option]: req.params.name,
+            limit: request.limit,
+            userId: req.user.id
+        });
+        sendFeed(req, res, {
+            title: `NewsFeedSolo: ${label} ${req.params.name}`,
+            description: `Latest articles for ${label.toLowerCase()} "${req.params.name}"`
+        }, articles);
+    } catch (error) {
+        console.error('Error generating article feed:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Start the server
 app.listen(port, () => {
     console.log(`API server running at http://localhost:${port}`);
@@ -0,0 +1,197 @@
+/**
+ * Story Clustering
+ *
+ * Detects near-duplicate coverage of the same story across feeds. Article
+ * text is reduced to a MinHash signature over word shingles, which estimates
+ * the Jaccard similarity of two texts from 64 integers; syndicated and lightly
+ * edited copies score high. Rewritten coverage of the same event is caught by
+ * comparing the significant words of the titles.
+ *
+ * So a new article isn't compared with every recent one, signatures are
+ * indexed by locality-sensitive hashing (LSH): the signature is cut into
+ * bands and only articles with an identical band are compared. With 32 bands
+ * of 2 hashes, two texts at similarity 0.5 share a band with probability
+ * 1 - (1 - 0.5^2)^32 > 0.9999, while unrelated texts rarely do. Title matches
+ * are found through the articles sharing MIN_SHARED_TITLE_WORDS title words.
+ */
+
+import 'dotenv/config';
+
+const NUM_HASHES = 64;
+const SHINGLE_SIZE = 3;
+
+// Texts with fewer shingles than this give unreliable similarity estimates
+const MIN_SHINGLES = 5;
+
+const CONTENT_THRESHOLD = parseFloat(process.env.CLUSTER_CONTENT_THRESHOLD || 0.5);
+const TITLE_THRESHOLD = parseFloat(process.env.CLUSTER_TITLE_THRESHOLD || 0.5);
+export const MIN_SHARED_TITLE_WORDS = 3;
+
+// Signature hashes per LSH band
+const BAND_ROWS = 2;
+
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'with', 'that', 'this', 'from', 'are', 'was', 'were', 'has', 'have',
+    'had', 'not', 'but', 'its', 'his', 'her', 'their', 'they', 'you', 'your', 'our', 'will',
+    'would', 'can', 'could', 'about', 'after', 'over', 'into', 'out', 'new', 'how', 'why',
+    'what', 'who', 'when', 'says', 'said', 'than', 'more', 'just', 'now', 'here'
+]);
+
+// Fixed seeds so signatures stay comparable across runs
+const SEEDS = (() => {
+    const seeds = new Uint32Array(NUM_HASHES);
+    let state = 0x9e3779b9;
+    for (let i = 0; i < NUM_HASHES; i++) {
+        state = (Math.imul(state, 1664525) + 1013904223) >>> 0;
+        seeds[i] = state;
+    }
+    return seeds;
+})();
+
+/**
+ * 32-bit FNV-1a hash of a string
+ * @param {string} text - Input
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function fnv1a(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * MurmurHash3 finalizer, mixes the bits of a 32-bit value
+ * @param {number} value - Input
+ * @returns {number} - Unsigned 32-bit hash
+ */
+function fmix32(value) {
+    let h = value;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+/**
+ * Lowercase words of a text, without punctuation and markdown
+ * @param {string} text - Input text
+ * @returns {Array<string>} - Words
+ */
+function words(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/https?:\/\/\S+/g, ' ')
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(Boolean);
+}
+
+/**
+ * Compute the MinHash signature of a text
+ * @param {string} text - Article text
+ * @returns {Uint32Array|null} - Signature, or null when the text is too short
+ */
+export function computeMinHash(text) {
+    const tokens = words(text);
+    const shingles = new Set();
+    for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+        shingles.add(tokens.slice(i, i + SHINGLE_SIZE).join(' '));
+    }
+    if (shingles.size < MIN_SHINGLES) return null;
+
+    const signature = new Uint32Array(NUM_HASHES).fill(0xffffffff);
+    for (const shingle of shingles) {
+        const base = fnv1a(shingle);
+        for (let i = 0; i < NUM_HASHES; i++) {
+            const hash = fmix32(base ^ SEEDS[i]);
+            if (hash < signature[i]) signature[i] = hash;
+        }
+    }
+    return signature;
+}
+
+/**
+ * Hash each LSH band of a signature
+ * @param {Uint32Array} signature - Signature
+ * @returns {Array<number>} - One unsigned 32-bit hash per band, indexed by band
+ */
+export function signatureBands(signature) {
+    const bands = [];
+    for (let start = 0; start + BAND_ROWS <= signature.length; start += BAND_ROWS) {
+        let hash = 0x811c9dc5;
+        for (let i = start; i < start + BAND_ROWS; i++) {
+            hash = fmix32(hash ^ signature[i]);
+        }
+        bands.push(hash);
+    }
+    return bands;
+}
+
+/**
+ * Estimate the Jaccard similarity of two texts from their signatures
+ * @param {Uint32Array|null} a - First signature
+ * @param {Uint32Array|null} b - Second signature
+ * @returns {number} - Fraction of matching hashes (0-1)
+ */
+export function minHashSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let matches = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) matches++;
+    }
+    return matches / a.length;
+}
+
+/**
+ * Significant words of a title
+ * @param {string} title - Article title
+ * @returns {Set<string>} - Words without stopwords and very short tokens
+ */
+export function titleWords(title) {
+    return new Set(words(title).filter(word => word.length > 2 && !STOPWORDS.has(word)));
+}
+
+/**
+ * Compare two articles
+ * @param {Object} a - { signature, titleWords }
+ * @param {Object} b - { signature, titleWords }
+ * @returns {Object} - { similarity, duplicate } where duplicate means same story
+ */
+export function compareStories(a, b) {
+    const contentSimilarity = minHashSimilarity(a.signature, b.signature);
+
+    let shared = 0;
+    for (const word of a.titleWords) {
+        if (b.titleWords.has(word)) shared++;
+    }
+    const union = a.titleWords.size + b.titleWords.size - shared;
+    const titleSimilarity = union > 0 ? shared / union : 0;
+
+    const duplicate = contentSimilarity >= CONTENT_THRESHOLD ||
+        (titleSimilarity >= TITLE_THRESHOLD && shared >= MIN_SHARED_TITLE_WORDS);
+
+    return { similarity: Math.max(contentSimilarity, titleSimilarity), duplicate };
+}
+
+/**
+ * Serialize a signature for a SQLite BLOB column
+ * @param {Uint32Array} signature - Signature
+ * @returns {Buffer} - Raw bytes
+ */
+export function signatureToBuffer(signature) {
+    return Buffer.from(signature.buffer, signature.byteOffset, signature.byteLength);
+}
+
+/**
+ * Deserialize a signature read from a SQLite BLOB column
+ * @param {Buffer|null} buffer - Raw bytes
+ * @returns {Uint32Array|null} - Signature
+ */
+export function bufferToSignature(buffer) {
+    // Copy first: the Buffer may not be aligned to 4 bytes
+    return buffer ? new Uint32Array(new Uint8Array(buffer).buffer) : null;
+}
@@ -0,0 +1,148 @@
+/**
+ * URL Canonicalizer Module
+ *
+ * Reduces article URLs to a canonical form used as the deduplication key, so
+ * the same article reached through tracking links, AMP pages or redirecting
+ * feed proxies is only stored once.
+ */
+
+// Query parameters that only track where a click came from
+const TRACKING_PARAMS = new Set([
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid', 'twclid', 'mc_cid', 'mc_eid',
+  '_hsenc', '_hsmi', 'mkt_tok', 'ref', 'ref_src', 'ref_url', 'referrer', 'cmpid', 'ncid',
+  'ocid', 'sr_share', 'smid', 'soc_src', 'soc_trk', 'at_medium', 'at_campaign', 'wt_mc',
+  'amp', 'outputtype'
+]);
+const TRACKING_PARAM_PREFIXES = ['utm_', 'pk_', 'mtm_', 'hmb_', '__'];
+// Second-level labels under country TLDs that are registered below, as in example.co.uk
+const SECOND_LEVEL_LABELS = new Set(['co', 'com', 'net', 'org', 'gov', 'edu', 'ac', 'or', 'ne', 'go', 'gv']);
+
+/**
+ * Whether a query parameter is a tracking parameter
+ * @param {string} name - Parameter name
+ * @returns {boolean} - True if the parameter should be dropped
+ */
+function isTrackingParam(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMS.has(lower) || TRACKING_PARAM_PREFIXES.some(prefix => lower.startsWith(prefix));
+}
+
+/**
+ * Canonicalize an article URL
+ * Lowercases the host, drops "www." and "amp." prefixes, the fragment, default
+ * ports and tracking parameters, removes AMP path suffixes and trailing
+ * slashes, sorts the remaining parameters and always uses https.
+ * @param {string} url - URL to canonicalize
+ * @param {string} [base] - Base URL for relative URLs
+ * @returns {string|null} - Canonical URL, or null if the input is not an http(s) URL
+ */
+function canonicalizeUrl(url, base) {
+  if (!url || typeof url !== 'string') return null;
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim(), base);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+  // Drop default ports, which would otherwise survive the switch to https
+  const port = parsed.port === '80' || parsed.port === '443' ? '' : parsed.port;
+  parsed.protocol = 'https:';
+  parsed.port = port;
+  parsed.hostname = parsed.hostname.toLowerCase().replace(/^(www|amp)\./, '');
+  parsed.hash = '';
+  parsed.username = '';
+  parsed.password = '';
+
+  const params = [...parsed.searchParams.entries()]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  parsed.search = new URLSearchParams(params).toString();
+
+  let pathname = parsed.pathname
+    .replace(/\/amp\/?$/i, '/')
+    .replace(/\.amp(\.html?)?$/i, '$1')
+    .replace(/\/{2,}/g, '/');
+  if (pathname.length > 1) pathname = pathname.replace(/\/+$/, '');
+  parsed.pathname = pathname;
+
+  return parsed.toString();
+}
+
+/**
+ * Find the <link rel="canonical"> URL declared by an HTML page
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - URL the page was fetched from, to resolve relative links
+ * @returns {string|null} - Absolute canonical URL, or null if none is declared
+ */
+function extractCanonicalLink(html, baseUrl) {
+  if (!html || typeof html !== 'string') return null;
+
+  // Only look at the head; pages may link to other articles' canonical URLs in the body
+  const headEnd = html.search(/<\/head>/i);
+  const head = headEnd === -1 ? html.slice(0, 100000) : html.slice(0, headEnd);
+
+  for (const [tag] of head.matchAll(/<link\b[^>]*>/gi)) {
+    const rel = tag.match(/\brel\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    const relValue = rel && (rel[1] ?? rel[2] ?? rel[3]);
+    if (!relValue || !relValue.toLowerCase().split(/\s+/).includes('canonical')) continue;
+
+    const href = tag.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+    const hrefValue = href && (href[1] ?? href[2] ?? href[3]);
+    if (!hrefValue) continue;
+
+    try {
+      return new URL(hrefValue.replace(/&amp;/g, '&').trim(), baseUrl).toString();
+    } catch {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Registrable domain of a host name, e.g. example.co.uk for news.example.co.uk
+ * A heuristic without the public suffix list, good enough to tell sites apart.
+ * @param {string} hostname - Lowercase host name
+ * @returns {string} - Registrable domain, or the host name itself for IP addresses
+ */
+function registrableDomain(hostname) {
+  if (/^[\d.]+$/.test(hostname) || hostname.includes(':')) return hostname;
+  const labels = hostname.split('.');
+  const length = labels.length >= 3 && labels[labels.length - 1].length === 2
+    && SECOND_LEVEL_LABELS.has(labels[labels.length - 2]) ? 3 : 2;
+  return labels.slice(-length).join('.');
+}
+
+/**
+ * Canonical URL of a fetched page
+ * The declared canonical link wins over the final URL (e.g. an AMP page),
+ * unless it looks misconfigured: pointing at the home page, at another site,
+ * or at a shorter path than the article's, as templates that declare the same
+ * canonical link on every page do.
+ * @param {string} html - Page HTML
+ * @param {string} finalUrl - URL the page was fetched from, after redirects
+ * @returns {string|null} - Canonical URL
+ */
+function resolveCanonicalUrl(html, finalUrl) {
+  const fetched = canonicalizeUrl(finalUrl);
+  const declared = canonicalizeUrl(extractCanonicalLink(html, finalUrl));
+  if (!declared || !fetched) return fetched || declared;
+
+  const declaredUrl = new URL(declared);
+  const fetchedUrl = new URL(fetched);
+  if (declaredUrl.pathname === '/') return fetched;
+  if (registrableDomain(declaredUrl.hostname) !== registrableDomain(fetchedUrl.hostname)) return fetched;
+  if (declaredUrl.pathname.length < fetchedUrl.pathname.length) return fetched;
+
+  return declared;
+}
+
+export {
+  canonicalizeUrl,
+  extractCanonicalLink,
+  resolveCanonicalUrl
+};
@@ -0,0 +1,69 @@
+/**
+ * auth tests: admin accounts and the requireAdmin middleware
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage } from './helpers.js';
+
+const cleanup = useTempStorage();
+const database = await import('../src/database.js');
+const { requireAdmin, isValidEmail } = await import('../src/auth.js');
+
+after(() => {
+    database.closeDatabase();
+    cleanup();
+});
+
+/**
+ * Run requireAdmin for a user
+ * @param {Object} user - req.user
+ * @returns {Object} - { nextCalled, status, body }
+ */
+function runRequireAdmin(user) {
+    const outcome = { nextCalled: false, status: null, body: null };
+    const res = {
+        status(code) {
+            outcome.status = code;
+            return this;
+        },
+        json(body) {
+            outcome.body = body;
+            return this;
+        }
+    };
+    requireAdmin({ user }, res, () => { outcome.nextCalled = true; });
+    return outcome;
+}
+
+test('the first account and accounts created as admins are admins, others are not', () => {
+    const first = database.createUser('owner', 'hash').user;
+    const second = database.createUser('reader', 'hash').user;
+    const third = database.createUser('helper', 'hash', { isAdmin: true }).user;
+
+    assert.equal(first.is_admin, 1);
+    assert.equal(second.is_admin, 0);
+    assert.equal(third.is_admin, 1);
+});
+
+test('requireAdmin lets admins through and answers 403 to other users', () => {
+    const admin = database.getUserByUsername('owner');
+    const reader = database.getUserByUsername('reader');
+
+    assert.deepEqual(runRequireAdmin(admin), { nextCalled: true, status: null, body: null });
+    assert.deepEqual(runRequireAdmin(reader), { nextCalled: false, status: 403, body: { error: 'Admin access required' } });
+});
+
+test('a user\'s digest email address can be set and removed', () => {
+    const reader = database.getUserByUsername('reader');
+
+    assert.equal(database.updateUserEmail(reader.id, 'reader@example.com').user.email, 'reader@example.com');
+    assert.equal(database.getUser(reader.id).email, 'reader@example.com');
+    assert.equal(database.updateUserEmail(reader.id, null).user.email, null);
+    assert.equal(database.updateUserEmail(9999, 'x@example.com').notFound, true);
+
+    assert.equal(isValidEmail('reader@example.com'), true);
+    assert.equal(isValidEmail('reader@localhost'), true);
+    assert.equal(isValidEmail('not an address'), false);
+    assert.equal(isValidEmail(['reader@example.com']), false);
+});
@@ -0,0 +1,38 @@
+/**
+ * collector tests: seeding the feed list from the OPML files
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdirSync, writeFileSync } from 'fs';
+import { useTempStorage } from './helpers.js';
+
+const cleanup = useTempStorage();
+mkdirSync('opml');
+writeFileSync('opml/news.opml', `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="1.0">
+    <head><title>News</title></head>
+    <body>
+        <outline text="Example News" title="Example News" type="rss" xmlUrl="https://example.com/feed.xml" htmlUrl="https://example.com" />
+    </body>
+</opml>`);
+
+const database = await import('../src/database.js');
+const { seedFeedsFromOpml } = await import('../src/collector.js');
+
+after(() => {
+    database.closeDatabase();
+    cleanup();
+});
+
+test('seeds the feed list from the OPML files only once', async () => {
+    assert.equal(await seedFeedsFromOpml(), 1);
+    const [feed] = database.listFeeds();
+    assert.equal(feed.xml_url, 'https://example.com/feed.xml');
+    assert.ok(database.getSetting('feeds_seeded_at'));
+
+    // Deleting every feed must not bring the OPML feeds back
+    database.deleteFeed(feed.id);
+    assert.equal(await seedFeedsFromOpml(), 0);
+    assert.deepEqual(database.listFeeds(), []);
+});
@@ -0,0 +1,154 @@
+/**
+ * Digest tests: delivery to a local SMTP stub, and the files-only path
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { readdirSync, readFileSync } from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { useTempStorage } from './helpers.js';
+
+const cleanup = useTempStorage();
+const database = await import('../src/database.js');
+const { generateDigests } = await import('../src/digest.js');
+
+let server;
+let port;
+const messages = [];
+let connections = 0;
+
+/**
+ * Minimal SMTP server that accepts every message and records its envelope and data
+ * @param {net.Socket} socket - Client connection
+ */
+function handleSmtp(socket) {
+    connections++;
+    const message = { from: null, to: [], data: '' };
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 stub ESMTP\r\n');
+    socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = inData ? buffer.indexOf('\r\n.\r\n') : buffer.indexOf('\r\n')) !== -1) {
+            if (inData) {
+                message.data = buffer.slice(0, index);
+                buffer = buffer.slice(index + 5);
+                inData = false;
+                messages.push({ ...message });
+                socket.write('250 OK queued\r\n');
+                continue;
+            }
+
+            const line = buffer.slice(0, index);
+            buffer = buffer.slice(index + 2);
+            const command = line.slice(0, 4).toUpperCase();
+            if (command === 'EHLO' || command === 'HELO') {
+                socket.write('250 stub\r\n');
+            } else if (command === 'MAIL') {
+                message.from = line.match(/<(.*)>/)[1];
+                socket.write('250 OK\r\n');
+            } else if (command === 'RCPT') {
+                message.to.push(line.match(/<(.*)>/)[1]);
+                socket.write('250 OK\r\n');
+            } else if (command === 'DATA') {
+                inData = true;
+                socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+            } else if (command === 'QUIT') {
+                socket.end('221 Bye\r\n');
+            } else {
+                socket.write('250 OK\r\n');
+            }
+        }
+    });
+}
+
+/**
+ * Decode a quoted-printable message body
+ * @param {string} text - Encoded text
+ * @returns {string} - Decoded text
+ */
+function decodeQuotedPrintable(text) {
+    const bytes = text
+        .replace(/=\r\n/g, '')
+        .replace(/=([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+    return Buffer.from(bytes, 'latin1').toString('utf8');
+}
+
+before(async () => {
+    server = net.createServer(handleSmtp);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+
+    database.createUser('reader', 'not-a-real-hash', { email: 'reader@example.com' });
+    database.createUser('nomail', 'not-a-real-hash');
+    await database.storeArticle({
+        guid: 'budget',
+        title: 'Council approves budget',
+        link: 'https://example.com/budget',
+        pubDate: new Date().toISOString(),
+        feedTitle: 'Example News',
+        feedCategory: 'news'
+    });
+
+    // An hour old, so it falls inside the period whichever second the digest runs
+    const db = new Database(path.join(process.cwd(), 'storage', 'news.db'));
+    db.prepare('UPDATE articles SET stored_at = ?').run(new Date(Date.now() - 60 * 60 * 1000).toISOString());
+    db.close();
+});
+
+after(() => {
+    server.close();
+    database.closeDatabase();
+    cleanup();
+});
+
+test('sends each digest to its own user through the SMTP server, skipping users without an address', async () => {
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(port);
+    process.env.DIGEST_EMAIL_FROM = 'Digest <digest@example.com>';
+
+    const summary = await generateDigests({ period: 'week' });
+
+    assert.deepEqual(summary, { written: 2, sent: 1, failed: 0 });
+    assert.equal(messages.length, 1);
+    const [message] = messages;
+    assert.equal(message.from, 'digest@example.com');
+    assert.deepEqual(message.to, ['reader@example.com']);
+
+    const data = decodeQuotedPrintable(message.data);
+    assert.match(data, /^Subject: Weekly news digest for reader, /m);
+    assert.match(data, /Content-Type: text\/html/);
+    assert.match(data, /<html[\s>]/);
+    assert.match(data, /Council approves budget/);
+});
+
+test('only writes files when SMTP is not configured', async () => {
+    delete process.env.SMTP_HOST;
+    const connectionsBefore = connections;
+
+    const summary = await generateDigests({ period: 'day' });
+
+    assert.deepEqual(summary, { written: 2, sent: 0, failed: 0 });
+    assert.equal(connections, connectionsBefore);
+
+    const dir = path.join(process.cwd(), 'storage', 'digests');
+    const files = readdirSync(dir).filter(file => file.startsWith('reader-day-'));
+    assert.deepEqual(files.map(file => path.extname(file)).sort(), ['.html', '.md']);
+    const markdown = readFileSync(path.join(dir, files.find(file => file.endsWith('.md'))), 'utf8');
+    assert.match(markdown, /Council approves budget/);
+});
+
+test('sends to another recipient only for a single user', async () => {
+    process.env.SMTP_HOST = '127.0.0.1';
+    const reader = database.getUserByUsername('reader');
+
+    await assert.rejects(generateDigests({ period: 'week', to: 'someone@example.com' }), /only be given together with a user/);
+
+    const summary = await generateDigests({ period: 'week', userId: reader.id, to: 'someone@example.com' });
+    assert.deepEqual(summary, { written: 1, sent: 1, failed: 0 });
+    assert.deepEqual(messages[messages.length - 1].to, ['someone@example.com']);
+});
@@ -0,0 +1,16 @@
+/**
+ * Embeddings tests: an unknown provider disables embeddings instead of failing
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when the module loads
+process.env.EMBEDDING_PROVIDER = 'no-such-provider';
+
+const { isEmbeddingEnabled, getEmbeddingModelId } = await import('../src/embeddings.js');
+
+test('an unknown EMBEDDING_PROVIDER falls back to keyword similarity', () => {
+    assert.equal(isEmbeddingEnabled(), false);
+    assert.equal(getEmbeddingModelId(), null);
+});
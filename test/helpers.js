@@ -0,0 +1,23 @@
+/**
+ * Test helpers
+ */
+
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+
+/**
+ * Run the test file in a fresh temporary directory
+ * src/database.js keeps storage/news.db under the working directory, so this
+ * must be called before the database module is imported (use dynamic imports).
+ * @returns {Function} - Cleanup: returns to the original directory and removes the temporary one
+ */
+export function useTempStorage() {
+    const originalDir = process.cwd();
+    const dir = mkdtempSync(path.join(tmpdir(), 'newsfeedsolo-test-'));
+    process.chdir(dir);
+    return () => {
+        process.chdir(originalDir);
+        rmSync(dir, { recursive: true, force: true });
+    };
+}
@@ -0,0 +1,101 @@
+/**
+ * Keyword queue tests: claiming due jobs, retries with backoff and dead-lettering
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage } from './helpers.js';
+
+const cleanup = useTempStorage();
+const database = await import('../src/database.js');
+
+let db;
+
+before(async () => {
+    db = database.initializeDatabase();
+    for (const guid of ['first', 'second']) {
+        await database.storeArticle({
+            guid,
+            title: `Story ${guid}`,
+            link: `https://example.com/${guid}`,
+            pubDate: new Date().toISOString(),
+            feedTitle: 'Example News',
+            feedCategory: 'news'
+        });
+    }
+    // Stored jobs are due from their creation second on
+    db.prepare('UPDATE keyword_jobs SET next_attempt_at = ?').run(new Date(Date.now() - 1000).toISOString());
+});
+
+after(() => {
+    database.closeDatabase();
+    cleanup();
+});
+
+/**
+ * Current row of a job
+ * @param {number} id - Job ID
+ * @returns {Object} - keyword_jobs row
+ */
+function jobRow(id) {
+    return db.prepare('SELECT * FROM keyword_jobs WHERE id = ?').get(id);
+}
+
+test('claimKeywordJobs claims due jobs once, with the article text', () => {
+    const jobs = database.claimKeywordJobs(10);
+
+    assert.equal(jobs.length, 2);
+    assert.equal(jobs[0].title, 'Story first');
+    assert.equal(jobs[0].attempts, 0);
+    assert.ok(jobs.every(job => jobRow(job.id).status === 'processing'));
+    // Locked jobs are not handed out again
+    assert.deepEqual(database.claimKeywordJobs(10), []);
+
+    jobs.forEach(job => database.failKeywordJob(job, 'reset', new Date(Date.now() - 1000).toISOString()));
+});
+
+test('a failed job waits for its backoff before it is claimed again', () => {
+    const [job] = database.claimKeywordJobs(1);
+    const retryAt = new Date(Date.now() + 60 * 1000).toISOString();
+    database.failKeywordJob(job, 'Provider timed out', retryAt);
+
+    const row = jobRow(job.id);
+    assert.equal(row.status, 'pending');
+    assert.equal(row.attempts, 2);
+    assert.equal(row.next_attempt_at, retryAt);
+    assert.equal(row.last_error, 'Provider timed out');
+    assert.ok(database.claimKeywordJobs(10).every(claimed => claimed.id !== job.id));
+
+    // Once the backoff has passed the job is due again, with its attempts so far
+    db.prepare('UPDATE keyword_jobs SET next_attempt_at = ? WHERE id = ?').run(new Date(Date.now() - 1000).toISOString(), job.id);
+    const [retried] = database.claimKeywordJobs(10);
+    assert.equal(retried.id, job.id);
+    assert.equal(retried.attempts, 2);
+});
+
+test('a job out of attempts is dead-lettered until re-queued', () => {
+    const job = db.prepare(`SELECT * FROM keyword_jobs WHERE status = 'processing'`).get();
+    database.failKeywordJob(job, 'No keywords extracted', null);
+
+    assert.equal(jobRow(job.id).status, 'dead');
+    assert.equal(db.prepare('SELECT keywords_status FROM articles WHERE id = ?').get(job.article_id).keywords_status, 'failed');
+    assert.equal(database.getKeywordQueueStats().counts.dead, 1);
+    assert.deepEqual(database.claimKeywordJobs(10), []);
+
+    assert.equal(database.requeueKeywordJobs().requeued, 1);
+    const [requeued] = database.claimKeywordJobs(10);
+    assert.equal(requeued.id, job.id);
+    assert.equal(requeued.attempts, 0);
+});
+
+test('releaseStaleKeywordJobs returns jobs locked by a crashed worker to the queue', () => {
+    const locked = db.prepare(`
+        UPDATE keyword_jobs SET locked_at = ? WHERE status = 'processing'
+    `).run(new Date(Date.now() - 60 * 60 * 1000).toISOString()).changes;
+    assert.ok(locked > 0);
+
+    assert.equal(database.releaseStaleKeywordJobs(10), locked);
+    assert.equal(database.claimKeywordJobs(10).length, locked);
+    // Freshly claimed jobs are not stale
+    assert.equal(database.releaseStaleKeywordJobs(10), 0);
+});
@@ -0,0 +1,111 @@
+/**
+ * Migration tests
+ *
+ * Runs the migration series against an empty database and against one
+ * shaped like the schema initializeDatabase() created before migrations
+ * existed, twice each, to check the series is complete and idempotent.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { runMigrations, getSchemaVersion } from '../src/migrator.js';
+import { migrations } from '../src/migrations/index.js';
+import { hasColumn } from '../src/migrations/helpers.js';
+
+/**
+ * Open a database in a fresh temporary directory
+ * @param {Function} t - Test context, used to clean up afterwards
+ * @returns {Database} - better-sqlite3 database instance
+ */
+function openTempDatabase(t) {
+    const dir = mkdtempSync(path.join(tmpdir(), 'newsfeedsolo-migrations-'));
+    const db = new Database(path.join(dir, 'news.db'));
+    db.pragma('foreign_keys = ON');
+    t.after(() => {
+        db.close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+    return db;
+}
+
+/**
+ * Check the schema every later migration builds on
+ * @param {Database} db - Migrated database
+ */
+function assertMigrated(db) {
+    assert.equal(getSchemaVersion(db), migrations.length);
+    const versions = db.prepare('SELECT version FROM schema_version ORDER BY version').all().map(row => row.version);
+    assert.deepEqual(versions, migrations.map(migration => migration.version));
+    assert.ok(hasColumn(db, 'articles', 'view_count'));
+    assert.ok(hasColumn(db, 'article_interactions', 'metadata'));
+}
+
+test('migrates an empty database, and a second run applies nothing', t => {
+    const db = openTempDatabase(t);
+
+    const applied = runMigrations(db);
+    assert.equal(applied.length, migrations.length);
+    assertMigrated(db);
+
+    assert.deepEqual(runMigrations(db), []);
+    assertMigrated(db);
+});
+
+test('migrates a database created by the pre-migration schema and keeps its rows', t => {
+    const db = openTempDatabase(t);
+
+    // The tables as the original initializeDatabase() created them
+    db.exec(`
+        CREATE TABLE articles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            guid TEXT UNIQUE,
+            title TEXT NOT NULL,
+            link TEXT,
+            description TEXT,
+            content TEXT,
+            extracted_content TEXT,
+            image_url TEXT,
+            feed_title TEXT NOT NULL,
+            feed_url TEXT,
+            feed_category TEXT NOT NULL,
+            published_at TEXT,
+            author TEXT,
+            stored_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+            metadata JSON,
+            keywords JSON
+        );
+
+        CREATE TABLE article_interactions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            article_id INTEGER NOT NULL,
+            interaction_type TEXT NOT NULL,
+            created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%SZ', 'now')),
+            FOREIGN KEY(article_id) REFERENCES articles(id)
+        );
+    `);
+    db.prepare(`
+        INSERT INTO articles (guid, title, link, feed_title, feed_category, published_at, keywords)
+        VALUES ('g1', 'Council approves budget', 'https://example.com/budget', 'Example', 'news',
+                'Mon, 06 May 2024 10:00:00 GMT', '["budget", "Council"]')
+    `).run();
+    db.prepare("INSERT INTO article_interactions (article_id, interaction_type) VALUES (1, 'click')").run();
+
+    runMigrations(db);
+    assertMigrated(db);
+
+    const article = db.prepare('SELECT * FROM articles WHERE id = 1').get();
+    assert.equal(article.title, 'Council approves budget');
+    assert.equal(article.view_count, 0);
+    assert.equal(article.published_at, '2024-05-06T10:00:00.000Z');
+    const interaction = db.prepare('SELECT * FROM article_interactions WHERE id = 1').get();
+    assert.equal(interaction.interaction_type, 'click');
+    assert.equal(interaction.metadata, null);
+
+    assert.deepEqual(runMigrations(db), []);
+    assertMigrated(db);
+    assert.equal(db.prepare('SELECT COUNT(*) as count FROM articles').get().count, 1);
+});
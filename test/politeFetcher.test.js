@@ -0,0 +1,116 @@
+/**
+ * politeFetcher tests: the token bucket, per-host rate limits and Retry-After handling
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createTokenBucket } from '../src/concurrency.js';
+
+// Read when the module loads: one request per 500ms and host, no bursts, no backoff waits
+process.env.COLLECTOR_HOST_RATE_PER_MINUTE = '120';
+process.env.COLLECTOR_HOST_BURST = '1';
+process.env.COLLECTOR_RETRY_BASE_MS = '10';
+process.env.COLLECTOR_MAX_RETRY_AFTER_SECONDS = '5';
+
+const { politeGet, parseRetryAfter } = await import('../src/politeFetcher.js');
+
+let server;
+let port;
+const requests = [];
+// Path -> number of 429 answers to give before a 200
+const throttled = new Map();
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push({ host: req.headers.host, url: req.url, at: Date.now() });
+        const remaining = throttled.get(req.url) || 0;
+        if (remaining > 0) {
+            throttled.set(req.url, remaining - 1);
+            res.writeHead(429, { 'Retry-After': req.url === '/too-long' ? '3600' : '1' });
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end('ok');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+});
+
+after(() => {
+    server.close();
+});
+
+/**
+ * Time a promise
+ * @param {Promise} promise - Promise
+ * @returns {Promise<number>} - Milliseconds until it settled
+ */
+async function elapsed(promise) {
+    const startedAt = Date.now();
+    await promise;
+    return Date.now() - startedAt;
+}
+
+test('parseRetryAfter reads seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('120'), 120000);
+    assert.equal(parseRetryAfter(' 0 '), 0);
+
+    const inOneMinute = parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+    assert.ok(inOneMinute > 58000 && inOneMinute <= 60000);
+    assert.equal(parseRetryAfter('Mon, 06 May 2024 10:00:00 GMT'), 0);
+});
+
+test('parseRetryAfter returns null for missing or invalid values', () => {
+    assert.equal(parseRetryAfter(undefined), null);
+    assert.equal(parseRetryAfter(''), null);
+    assert.equal(parseRetryAfter('soon'), null);
+    assert.equal(parseRetryAfter('-5'), null);
+});
+
+test('a token bucket allows a burst, then the sustained rate', async () => {
+    const bucket = createTokenBucket(5, 2);
+
+    assert.ok(await elapsed(Promise.all([bucket.take(), bucket.take()])) < 100);
+    assert.ok(await elapsed(bucket.take()) >= 150);
+});
+
+test('a paused token bucket holds requests until the pause ends, then allows one', async () => {
+    const bucket = createTokenBucket(10, 5);
+    bucket.pauseUntil(Date.now() + 150);
+
+    assert.ok(await elapsed(bucket.take()) >= 140);
+    // The burst is not refilled by the pause
+    assert.ok(await elapsed(bucket.take()) >= 80);
+});
+
+test('requests to one host wait for its bucket, other hosts do not', async () => {
+    await politeGet(`http://127.0.0.1:${port}/a`, {}, { robots: false });
+    const sameHost = elapsed(politeGet(`http://127.0.0.1:${port}/b`, {}, { robots: false }));
+    const otherHost = elapsed(politeGet(`http://localhost:${port}/c`, { family: 4 }, { robots: false }));
+
+    assert.ok(await sameHost >= 400);
+    assert.ok(await otherHost < 300);
+});
+
+test('a 429 is retried after its Retry-After time', async () => {
+    throttled.set('/limited', 1);
+
+    const startedAt = Date.now();
+    const response = await politeGet(`http://127.0.0.1:${port}/limited`, {}, { robots: false });
+
+    assert.equal(response.status, 200);
+    assert.ok(Date.now() - startedAt >= 1000);
+    assert.equal(requests.filter(request => request.url === '/limited').length, 2);
+});
+
+test('a Retry-After longer than the maximum fails the request without waiting', async () => {
+    throttled.set('/too-long', 1);
+
+    await assert.rejects(
+        politeGet(`http://127.0.0.1:${port}/too-long`, {}, { robots: false }),
+        error => error.response?.status === 429
+    );
+    assert.equal(requests.filter(request => request.url === '/too-long').length, 1);
+});
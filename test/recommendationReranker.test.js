@@ -0,0 +1,76 @@
+/**
+ * recommendationReranker tests: per-source cap and deterministic re-ranking without exploration
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Read when the module loads
+process.env.EXPLORATION_STRATEGY = 'none';
+process.env.DIVERSITY_MAX_PER_SOURCE = '2';
+process.env.DIVERSITY_PAGE_SIZE = '5';
+process.env.DIVERSITY_RERANK_LIMIT = '10';
+
+const { rerankRecommendations } = await import('../src/recommendationReranker.js');
+
+/**
+ * Scored candidate
+ * @param {number} id - Article ID
+ * @param {string} source - Feed title
+ * @param {number} score - Final score
+ * @param {Array<string>} [keywords] - Keywords
+ * @returns {Object} - Candidate
+ */
+function candidate(id, source, score, keywords = []) {
+    return { article_id: id, final_score: score, feed_title: source, feed_category: 'news', keywords: JSON.stringify(keywords) };
+}
+
+// The six best-scored articles all come from one source
+const CANDIDATES = [
+    candidate(1, 'Daily', 10, ['budget']),
+    candidate(2, 'Daily', 9.5, ['council']),
+    candidate(3, 'Daily', 9, ['schools']),
+    candidate(4, 'Daily', 8.5, ['roads']),
+    candidate(5, 'Daily', 8, ['library']),
+    candidate(6, 'Daily', 7.5, ['taxes']),
+    candidate(7, 'Weekly', 5, ['weather']),
+    candidate(8, 'Herald', 4, ['sports']),
+    candidate(9, 'Gazette', 3, ['music']),
+    candidate(10, 'Times', 2, ['science']),
+    candidate(11, 'Daily', 1, ['archive']),
+    candidate(12, 'Daily', 0.5, ['archive'])
+];
+
+test('a source fills at most DIVERSITY_MAX_PER_SOURCE places of a page while others are left', () => {
+    const ranked = rerankRecommendations(CANDIDATES);
+    const firstPage = ranked.slice(0, 5);
+
+    assert.equal(firstPage.filter(item => item.feed_title === 'Daily').length, 2);
+    assert.deepEqual(firstPage.slice(0, 2).map(item => item.article_id), [1, 2]);
+    assert.equal(ranked.length, CANDIDATES.length);
+    assert.deepEqual(ranked.map(item => item.article_id).sort((a, b) => a - b), CANDIDATES.map(item => item.article_id));
+});
+
+test('a page is filled from a capped source when no other source is left', () => {
+    const ranked = rerankRecommendations(CANDIDATES.slice(0, 6));
+
+    assert.deepEqual(ranked.slice(0, 5).map(item => item.article_id), [1, 2, 3, 4, 5]);
+});
+
+test('articles below DIVERSITY_RERANK_LIMIT keep their score order at the end', () => {
+    const ranked = rerankRecommendations(CANDIDATES);
+
+    assert.deepEqual(ranked.slice(-2).map(item => item.article_id), [11, 12]);
+});
+
+test('with EXPLORATION_STRATEGY=none re-ranking is deterministic and places no exploration picks', t => {
+    t.mock.method(Math, 'random', () => {
+        throw new Error('Math.random must not be used');
+    });
+
+    const first = rerankRecommendations(CANDIDATES, { exposure: new Map() });
+    const second = rerankRecommendations(CANDIDATES, { exposure: new Map() });
+
+    assert.deepEqual(second, first);
+    assert.ok(first.every(item => item.exploration === false));
+});
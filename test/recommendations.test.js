@@ -0,0 +1,55 @@
+/**
+ * Recommendation tests: the stored ranking served to feed readers
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage } from './helpers.js';
+
+const cleanup = useTempStorage();
+const database = await import('../src/database.js');
+
+let db;
+let userId;
+
+before(async () => {
+    db = database.initializeDatabase();
+    userId = database.createUser('reader', 'hash').user.id;
+    const now = Date.now();
+    for (let i = 0; i < 5; i++) {
+        await database.storeArticle({
+            guid: `story-${i}`,
+            title: `Story ${i}`,
+            link: `https://example.com/story-${i}`,
+            pubDate: new Date(now - i * 60 * 60 * 1000).toISOString(),
+            feedTitle: i % 2 ? 'Example News' : 'Other News',
+            feedCategory: 'news'
+        });
+    }
+});
+
+after(() => {
+    database.closeDatabase();
+    cleanup();
+});
+
+test('getStoredRecommendations serves the stored order without taking snapshots', () => {
+    const first = database.getStoredRecommendations(userId, 3);
+    const second = database.getStoredRecommendations(userId, 3);
+
+    assert.ok(first.computedAt);
+    assert.equal(second.computedAt, first.computedAt);
+    assert.equal(first.articles.length, 3);
+    assert.deepEqual(second.articles.map(a => a.id), first.articles.map(a => a.id));
+    const scores = first.articles.map(a => a.final_score);
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+    assert.equal(db.prepare('SELECT COUNT(*) as count FROM recommendation_snapshots').get().count, 0);
+});
+
+test('getStoredRecommendations changes version when the scores are recomputed', async () => {
+    const { computedAt } = database.getStoredRecommendations(userId, 3);
+    await new Promise(resolve => setTimeout(resolve, 5));
+    database.refreshRecommendationScores(userId);
+
+    assert.notEqual(database.getStoredRecommendations(userId, 3).computedAt, computedAt);
+});
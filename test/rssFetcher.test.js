@@ -0,0 +1,81 @@
+/**
+ * rssFetcher tests: conditional GET against a local HTTP stub
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { useTempStorage } from './helpers.js';
+
+const cleanup = useTempStorage();
+const database = await import('../src/database.js');
+const { fetchFeedResult } = await import('../src/rssFetcher.js');
+
+const ETAG = '"feed-v1"';
+const LAST_MODIFIED = 'Mon, 06 May 2024 10:00:00 GMT';
+
+let server;
+let baseUrl;
+const requests = [];
+
+before(async () => {
+    server = http.createServer((req, res) => {
+        requests.push({ url: req.url, headers: req.headers });
+        if (req.headers['if-none-match'] === ETAG) {
+            res.writeHead(304, { ETag: ETAG });
+            res.end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: ETAG, 'Last-Modified': LAST_MODIFIED });
+        res.end('<?xml version="1.0"?><rss version="2.0"><channel><title>Stub</title>'
+            + '<item><title>Story</title><link>http://127.0.0.1/story</link><guid>story</guid></item>'
+            + '</channel></rss>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.close();
+    database.closeDatabase();
+    cleanup();
+});
+
+test('sends the stored validators and returns no items on 304 Not Modified', async () => {
+    const feed = { xmlUrl: `${baseUrl}/feed.xml`, title: 'Stub', category: 'news' };
+    database.saveFeedFetchResult(feed, {
+        status: 'ok',
+        httpStatus: 200,
+        etag: ETAG,
+        lastModified: LAST_MODIFIED,
+        avgItemIntervalMinutes: 90
+    });
+
+    const result = await fetchFeedResult(feed);
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].headers['if-none-match'], ETAG);
+    assert.equal(requests[0].headers['if-modified-since'], LAST_MODIFIED);
+    assert.deepEqual(result, { status: 'not_modified', httpStatus: 304, articles: [] });
+
+    // The stored state is kept, and nothing was parsed into articles
+    const state = database.getFeedState(feed.xmlUrl);
+    assert.equal(state.last_status, 304);
+    assert.equal(state.etag, ETAG);
+    assert.equal(state.last_modified, LAST_MODIFIED);
+    assert.equal(state.avg_item_interval_minutes, 90);
+    assert.equal(state.consecutive_failures, 0);
+});
+
+test('fetches and parses the feed when nothing is stored for it', async () => {
+    const feed = { xmlUrl: `${baseUrl}/other.xml`, title: 'Other', category: 'news' };
+
+    const result = await fetchFeedResult(feed);
+
+    const request = requests[requests.length - 1];
+    assert.equal(request.headers['if-none-match'], undefined);
+    assert.equal(request.headers['if-modified-since'], undefined);
+    assert.equal(result.status, 'ok');
+    assert.equal(result.articles.length, 1);
+    assert.equal(database.getFeedState(feed.xmlUrl).etag, ETAG);
+});
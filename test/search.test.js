@@ -0,0 +1,40 @@
+/**
+ * Search tests: full-text search respects the user's mute rules
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage } from './helpers.js';
+
+const cleanup = useTempStorage();
+const database = await import('../src/database.js');
+
+let userId;
+
+before(async () => {
+    userId = database.createUser('reader', 'hash').user.id;
+    const pubDate = new Date().toISOString();
+    await database.storeArticle({
+        guid: 'budget', title: 'Council approves budget', link: 'https://example.com/budget',
+        pubDate, feedTitle: 'Example News', feedCategory: 'news'
+    });
+    await database.storeArticle({
+        guid: 'budget-gossip', title: 'Budget gossip roundup', link: 'https://gossip.example/budget',
+        pubDate, feedTitle: 'Gossip Daily', feedCategory: 'news'
+    });
+});
+
+after(() => {
+    database.closeDatabase();
+    cleanup();
+});
+
+test('searchArticles leaves out articles muted by the user', () => {
+    const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    database.saveUserRule(userId, { kind: 'source', value: 'Gossip Daily', action: 'mute', expiresAt });
+
+    const titles = results => results.map(article => article.title).sort();
+    assert.deepEqual(titles(database.searchArticles({ q: 'budget', userId })), ['Council approves budget']);
+    // Without a user there are no rules to apply
+    assert.deepEqual(titles(database.searchArticles({ q: 'budget' })), ['Budget gossip roundup', 'Council approves budget']);
+});
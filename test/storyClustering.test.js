@@ -0,0 +1,147 @@
+/**
+ * storyClustering tests: MinHash signatures, story comparison, LSH bands and
+ * clustering of stored articles
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage } from './helpers.js';
+import {
+    computeMinHash,
+    minHashSimilarity,
+    titleWords,
+    compareStories,
+    signatureBands,
+    signatureToBuffer,
+    bufferToSignature
+} from '../src/storyClustering.js';
+
+const cleanup = useTempStorage();
+const database = await import('../src/database.js');
+
+after(() => {
+    database.closeDatabase();
+    cleanup();
+});
+
+const STORY = 'The city council approved the new budget on Tuesday after a long debate about '
+    + 'school funding, road repairs and the future of the public library in the old town centre. '
+    + 'The mayor said the plan balances the books without raising local taxes next year.';
+const OTHER_STORY = 'Astronomers have observed a rare double eclipse from the southern observatory, '
+    + 'where clear skies allowed researchers to record both events within a single night of work '
+    + 'using the recently upgraded telescope array and its new cameras.';
+
+/**
+ * Story as compared by compareStories
+ * @param {string} title - Title
+ * @param {string} text - Text
+ * @returns {Object} - { signature, titleWords }
+ */
+function story(title, text) {
+    return { signature: computeMinHash(text), titleWords: titleWords(title) };
+}
+
+test('computeMinHash is deterministic and ignores case, punctuation and links', () => {
+    const signature = computeMinHash(STORY);
+
+    assert.equal(signature.length, 64);
+    assert.deepEqual(computeMinHash(STORY), signature);
+    assert.deepEqual(computeMinHash(`${STORY.toUpperCase().replace(/,/g, ' ;')} https://example.com/budget`), signature);
+});
+
+test('computeMinHash returns null for texts too short to compare', () => {
+    assert.equal(computeMinHash('Council approves budget'), null);
+    assert.equal(computeMinHash(''), null);
+    assert.equal(minHashSimilarity(null, computeMinHash(STORY)), 0);
+});
+
+test('minHashSimilarity is high for lightly edited copies and low for other stories', () => {
+    const signature = computeMinHash(STORY);
+    const edited = computeMinHash(STORY.replace('on Tuesday', 'on Tuesday evening') + ' Reporting by a staff writer.');
+
+    assert.equal(minHashSimilarity(signature, signature), 1);
+    assert.ok(minHashSimilarity(signature, edited) >= 0.5);
+    assert.ok(minHashSimilarity(signature, computeMinHash(OTHER_STORY)) < 0.2);
+});
+
+test('compareStories matches syndicated copies by content', () => {
+    const result = compareStories(
+        story('Council approves budget', STORY),
+        story('Budget passes after long debate', `${STORY} Copyright Example Wire.`)
+    );
+
+    assert.equal(result.duplicate, true);
+    assert.ok(result.similarity >= 0.5);
+});
+
+test('compareStories matches rewritten coverage by its title words', () => {
+    const result = compareStories(
+        story('City council approves library budget plan', STORY),
+        story('Library budget plan approved by city council', OTHER_STORY)
+    );
+
+    assert.equal(result.duplicate, true);
+});
+
+test('compareStories needs enough shared title words', () => {
+    // Two of two significant words shared, below the minimum of three
+    const result = compareStories(
+        story('Budget approved', STORY),
+        story('Approved budget', OTHER_STORY)
+    );
+
+    assert.equal(result.duplicate, false);
+    assert.equal(compareStories(story('Council approves budget', STORY), story('Rare double eclipse observed', OTHER_STORY)).duplicate, false);
+});
+
+test('signatures survive the round trip through a BLOB', () => {
+    const signature = computeMinHash(STORY);
+    // Copy into an odd offset, as SQLite may hand back unaligned buffers
+    const stored = Buffer.concat([Buffer.alloc(1), signatureToBuffer(signature)]).subarray(1);
+
+    assert.deepEqual(bufferToSignature(stored), signature);
+    assert.equal(bufferToSignature(null), null);
+});
+
+test('signatureBands gives identical bands for identical texts and few shared bands for other stories', () => {
+    const bands = signatureBands(computeMinHash(STORY));
+
+    assert.equal(bands.length, 32);
+    assert.deepEqual(signatureBands(computeMinHash(STORY)), bands);
+    const shared = signatureBands(computeMinHash(OTHER_STORY)).filter((hash, band) => hash === bands[band]);
+    assert.ok(shared.length <= 1);
+});
+
+/**
+ * Store an article the way the collector does
+ * @param {string} slug - Unique part of the link
+ * @param {string} title - Title
+ * @param {string} text - Extracted content
+ * @returns {Promise<Object>} - storeArticle result
+ */
+function store(slug, title, text) {
+    return database.storeArticle({
+        guid: slug, title, link: `https://${slug}.example/story`, pubDate: new Date().toISOString(),
+        feedTitle: slug, feedCategory: 'news', extracted: { markdown: text }
+    });
+}
+
+test('storeArticle joins a syndicated copy to the cluster of the original', async () => {
+    const original = await store('original', 'Council approves budget', STORY);
+    const other = await store('other', 'Rare double eclipse observed', OTHER_STORY);
+    const copy = await store('wire', 'Budget passes after long debate', `${STORY} Copyright Example Wire.`);
+
+    assert.equal(original.article.clusterId, null);
+    assert.equal(other.article.clusterId, null);
+    assert.ok(copy.article.clusterId);
+    assert.equal(database.getArticle(original.id).cluster_id, copy.article.clusterId);
+    assert.equal(database.getArticle(other.id).cluster_id, null);
+});
+
+test('storeArticle joins rewritten coverage through its title words', async () => {
+    const first = await store('first', 'Harbour bridge reopens after storm repairs', 'Traffic is back.');
+    const rewrite = await store('rewrite', 'Storm repairs done, harbour bridge reopens', 'Short report.');
+
+    assert.ok(rewrite.article.clusterId);
+    assert.equal(database.getArticle(first.id).cluster_id, rewrite.article.clusterId);
+});
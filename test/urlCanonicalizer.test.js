@@ -0,0 +1,69 @@
+/**
+ * urlCanonicalizer tests: canonical forms and which declared canonical links are trusted
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalizeUrl, resolveCanonicalUrl } from '../src/urlCanonicalizer.js';
+
+/**
+ * A page declaring a canonical link
+ * @param {string} href - Canonical link
+ * @returns {string} - HTML
+ */
+function pageWithCanonical(href) {
+    return `<html><head><link rel="canonical" href="${href}"></head><body><a rel="canonical" href="/elsewhere">x</a></body></html>`;
+}
+
+test('canonicalizeUrl drops tracking parameters, fragments, www, default ports and trailing slashes', () => {
+    assert.equal(
+        canonicalizeUrl('http://WWW.Example.com:80/news/story/?utm_source=rss&b=2&fbclid=x&a=1#comments'),
+        'https://example.com/news/story?a=1&b=2'
+    );
+    assert.equal(canonicalizeUrl('https://example.com/'), 'https://example.com/');
+    assert.equal(canonicalizeUrl('https://example.com:8443/story'), 'https://example.com:8443/story');
+});
+
+test('canonicalizeUrl maps AMP variants to the article URL', () => {
+    assert.equal(canonicalizeUrl('https://amp.example.com/news/story'), 'https://example.com/news/story');
+    assert.equal(canonicalizeUrl('https://example.com/news/story/amp/'), 'https://example.com/news/story');
+    assert.equal(canonicalizeUrl('https://example.com/news/story.amp.html'), 'https://example.com/news/story.html');
+    assert.equal(canonicalizeUrl('https://example.com/news/story?amp=1'), 'https://example.com/news/story');
+});
+
+test('canonicalizeUrl resolves relative URLs and rejects other schemes', () => {
+    assert.equal(canonicalizeUrl('/news/story', 'https://example.com/feed.xml'), 'https://example.com/news/story');
+    assert.equal(canonicalizeUrl('mailto:editor@example.com'), null);
+    assert.equal(canonicalizeUrl('not a url'), null);
+    assert.equal(canonicalizeUrl(''), null);
+});
+
+test('resolveCanonicalUrl uses the declared canonical link of an AMP page or another subdomain', () => {
+    assert.equal(
+        resolveCanonicalUrl(pageWithCanonical('https://www.example.com/news/story'), 'https://example.com/news/story/amp'),
+        'https://example.com/news/story'
+    );
+    assert.equal(
+        resolveCanonicalUrl(pageWithCanonical('https://news.example.co.uk/2024/05/story'), 'https://m.example.co.uk/2024/05/story'),
+        'https://news.example.co.uk/2024/05/story'
+    );
+});
+
+test('resolveCanonicalUrl falls back to the final URL for implausible canonical links', () => {
+    const finalUrl = 'https://example.com/2024/05/council-approves-budget?utm_source=rss';
+    const fallback = 'https://example.com/2024/05/council-approves-budget';
+
+    // Home page
+    assert.equal(resolveCanonicalUrl(pageWithCanonical('https://example.com/'), finalUrl), fallback);
+    assert.equal(resolveCanonicalUrl(pageWithCanonical('/'), finalUrl), fallback);
+    // Another site, including one sharing only the public suffix
+    assert.equal(resolveCanonicalUrl(pageWithCanonical('https://aggregator.net/2024/05/council-approves-budget'), finalUrl), fallback);
+    assert.equal(
+        resolveCanonicalUrl(pageWithCanonical('https://other.co.uk/2024/05/story'), 'https://example.co.uk/2024/05/story'),
+        'https://example.co.uk/2024/05/story'
+    );
+    // A shorter path, such as the section page
+    assert.equal(resolveCanonicalUrl(pageWithCanonical('https://example.com/2024/05'), finalUrl), fallback);
+    // No canonical link at all
+    assert.equal(resolveCanonicalUrl('<html><head></head></html>', finalUrl), fallback);
+});
@@ -0,0 +1,29 @@
+/**
+ * Rebuild Story Clusters
+ * 
+ * Recomputes near-duplicate story clusters for every stored article, in the
+ * order they were stored. New articles are clustered as they are stored, so
+ * this is only needed to backfill older articles or after changing
+ * CLUSTER_WINDOW_DAYS, CLUSTER_CONTENT_THRESHOLD or CLUSTER_TITLE_THRESHOLD.
+ * 
+ * Usage: npm run cluster
+ */
+
+import { initializeDatabase, rebuildStoryClusters, refreshAllRecommendationScores, closeDatabase } from '../src/database.js';
+
+try {
+    initializeDatabase();
+
+    console.log('Rebuilding story clusters...');
+    const startedAt = Date.now();
+    const { processed, clusters } = rebuildStoryClusters();
+    console.log(`Clustered ${processed} articles into ${clusters} multi-source stories in ${Date.now() - startedAt}ms`);
+
+    // Cluster fatigue and collapsing depend on the new clusters
+    refreshAllRecommendationScores();
+
+    closeDatabase();
+} catch (error) {
+    console.error('Fatal error:', error);
+    process.exit(1);
+}
@@ -0,0 +1,73 @@
+/**
+ * Create a User
+ *
+ * Creates an admin account from the command line, e.g. when registration is
+ * closed or to give another person access to feed management. The password
+ * is read from the NEWSFEEDSOLO_PASSWORD environment variable or prompted for.
+ *
+ * Usage: npm run create-user -- <username> [options]
+ *
+ * Options:
+ *   --email=ADDRESS       Where the user's digests are emailed
+ */
+
+import readline from 'readline';
+import { initializeDatabase, closeDatabase, createUser } from '../src/database.js';
+import { hashPassword, isValidEmail } from '../src/auth.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2).reduce((acc, arg) => {
+    if (!arg.startsWith('--')) {
+        acc.username = arg.trim();
+        return acc;
+    }
+    const [name, ...rest] = arg.replace(/^--/, '').split('=');
+    if (name === 'email') acc.email = rest.join('=').trim();
+    return acc;
+}, { username: '', email: null });
+
+/**
+ * Read the password from the environment or the terminal
+ * @returns {Promise<string>} - Password
+ */
+async function readPassword() {
+    if (process.env.NEWSFEEDSOLO_PASSWORD) return process.env.NEWSFEEDSOLO_PASSWORD;
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    const password = await new Promise(resolve => rl.question('Password: ', resolve));
+    rl.close();
+    return password;
+}
+
+async function main() {
+    const { username, email } = args;
+    if (!/^[\w.-]{3,32}$/.test(username)) {
+        console.error('Usage: npm run create-user -- <username> [--email=ADDRESS] (3-32 letters, digits, dots, dashes or underscores)');
+        process.exit(1);
+    }
+    if (email !== null && !isValidEmail(email)) {
+        console.error(`Invalid email address: ${email}`);
+        process.exit(1);
+    }
+
+    const password = await readPassword();
+    if (password.length < 8) {
+        console.error('The password must be at least 8 characters');
+        process.exit(1);
+    }
+
+    initializeDatabase();
+    const result = createUser(username, hashPassword(password), { isAdmin: true, email });
+    closeDatabase();
+
+    if (!result.success) {
+        console.error(`Could not create user: ${result.error}`);
+        process.exit(1);
+    }
+    console.log(`Created admin user "${result.user.username}" (ID ${result.user.id})`);
+}
+
+main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
@@ -0,0 +1,95 @@
+/**
+ * Evaluate Recommendation Weights
+ *
+ * Replays the interaction log and reports precision@k, NDCG@k and catalog
+ * coverage for the current scoring weights, or for every combination of the
+ * given weight ranges. Weights not overridden come from the environment, as
+ * in production; profile parameters (interaction weights, INTERACTION_DECAY_DAYS,
+ * KEYWORD_PROFILE_MIN_WEIGHT) can be varied by setting them for the run.
+ *
+ * Usage: npm run evaluate -- [options]
+ *
+ * Options:
+ *   --k=N                 Cutoff rank (default: 10)
+ *   --user=ID             Only replay this user's interactions (default: all users)
+ *   --since=DATE          Only evaluate from this date on
+ *   --session-hours=N     Interactions within N hours after a point count as its outcome (default: 1)
+ *   --max-points=N        Evaluate only the latest N points (default: 200, 0 for all)
+ *   --set=NAME=VALUE      Override a weight, e.g. --set=SEMANTIC_WEIGHT=0
+ *   --grid=NAME=RANGE     Search over a weight; RANGE is start:end:step or a comma-separated list,
+ *                         e.g. --grid=KEYWORD_MATCH_WEIGHT=0.2:0.8:0.2 --grid=JUST_IN_BOOST_WEIGHT=0,2.5,5
+ *   --top=N               Number of grid search results to print (default: 10)
+ *   --json                Print results as JSON
+ */
+
+import { initializeDatabase, closeDatabase } from '../src/database.js';
+import { buildEvaluationPoints, evaluateWeights, parseRange, gridSearch } from '../src/evaluation.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2).reduce((acc, arg) => {
+    const [name, ...rest] = arg.replace(/^--/, '').split('=');
+    const value = rest.join('=');
+    if (name === 'k') acc.k = parseInt(value);
+    if (name === 'user') acc.userId = parseInt(value);
+    if (name === 'since') acc.since = value;
+    if (name === 'session-hours') acc.sessionHours = parseFloat(value);
+    if (name === 'max-points') acc.maxPoints = parseInt(value);
+    if (name === 'top') acc.top = parseInt(value);
+    if (name === 'json') acc.json = true;
+    if (name === 'set' || name === 'grid') {
+        const [weight, ...spec] = value.split('=');
+        if (name === 'set') acc.set[weight] = parseFloat(spec.join('='));
+        else acc.grid[weight] = parseRange(spec.join('='));
+    }
+    return acc;
+}, { k: 10, sessionHours: 1, maxPoints: 200, top: 10, json: false, set: {}, grid: {} });
+
+/**
+ * Format one evaluation result as a table row
+ * @param {Object} result - Result from evaluateWeights
+ * @param {Array<string>} names - Weights to show
+ * @returns {string} - Row
+ */
+function formatRow(result, names) {
+    const weights = names.map(name => `${name}=${result.weights[name]}`).join(' ');
+    return `P@${args.k} ${result.precisionAtK.toFixed(4)}  NDCG@${args.k} ${result.ndcgAtK.toFixed(4)}  coverage ${result.coverage.toFixed(4)}  ${weights}`;
+}
+
+try {
+    initializeDatabase();
+
+    const startedAt = Date.now();
+    const points = buildEvaluationPoints({
+        userId: args.userId,
+        since: args.since,
+        sessionHours: args.sessionHours,
+        maxPoints: args.maxPoints || null
+    });
+    if (!args.json) {
+        console.log(`Built ${points.length} evaluation points in ${Date.now() - startedAt}ms`);
+    }
+
+    if (points.length === 0) {
+        console.log('No positive interactions with rankable articles to evaluate');
+    } else if (Object.keys(args.grid).length === 0) {
+        const result = evaluateWeights(points, args.set, args.k);
+        if (args.json) {
+            console.log(JSON.stringify(result, null, 2));
+        } else {
+            console.log(formatRow(result, Object.keys(result.weights)));
+        }
+    } else {
+        const results = gridSearch(points, args.grid, { base: args.set, k: args.k });
+        if (args.json) {
+            console.log(JSON.stringify(results.slice(0, args.top), null, 2));
+        } else {
+            console.log(`Evaluated ${results.length} configurations in ${Date.now() - startedAt}ms, best first:`);
+            results.slice(0, args.top).forEach(result => console.log(formatRow(result, Object.keys(args.grid))));
+        }
+    }
+
+    closeDatabase();
+} catch (error) {
+    console.error('Fatal error:', error);
+    process.exit(1);
+}
@@ -0,0 +1,42 @@
+/**
+ * Generate Digests
+ *
+ * Writes a Markdown and an HTML digest of the period for every user (or one
+ * user) to DIGEST_DIR, and emails each one to its user's address when
+ * SMTP_HOST is configured. The scheduler generates the same digests on
+ * DIGEST_SCHEDULE.
+ *
+ * Usage: npm run digest -- [options]
+ *
+ * Options:
+ *   --period=day|week     Period covered by the digest, ending now (default: week)
+ *   --user=ID             Only generate the digest of this user (default: all users)
+ *   --to=ADDRESS          Email recipient(s) instead of the user's address, comma-separated (needs --user)
+ *   --no-email            Only write the files
+ */
+
+import { initializeDatabase, closeDatabase } from '../src/database.js';
+import { generateDigests } from '../src/digest.js';
+
+// Parse command line arguments
+const args = process.argv.slice(2).reduce((acc, arg) => {
+    const [name, ...rest] = arg.replace(/^--/, '').split('=');
+    const value = rest.join('=');
+    if (name === 'period') acc.period = value;
+    if (name === 'user') acc.userId = parseInt(value);
+    if (name === 'to') acc.to = value;
+    if (name === 'no-email') acc.email = false;
+    return acc;
+}, { period: 'week', userId: null, to: '', email: true });
+
+async function main() {
+    initializeDatabase();
+    const { failed } = await generateDigests(args);
+    closeDatabase();
+    if (failed > 0) process.exit(1);
+}
+
+main().catch(error => {
+    console.error('Fatal error:', error);
+    process.exit(1);
+});
@@ -1,22 +1,26 @@
 /**
- * This migration script is no longer needed as file system storage has been removed.
- * It is kept as a placeholder for compatibility.
- * All article data is now stored directly in the SQLite database.
+ * Apply Database Migrations
+ * 
+ * Brings storage/news.db up to the latest schema version by applying any
+ * pending migrations from src/migrations/. Safe to run repeatedly; the
+ * collector and API server also run pending migrations on startup.
+ * 
+ * Usage: npm run migrate
  */
-import { initializeDatabase } from '../src/database.js';
 
-async function checkDatabase() {
-    console.log('File system storage has been removed. This migration script is no longer needed.');
-    console.log('All article data is now stored exclusively in the SQLite database.');
-    
-    // Just initialize the database to ensure it exists
-    console.log('Checking database initialization...');
-    await initializeDatabase();
-    console.log('Database is ready.');
-}
+import { initializeDatabase, closeDatabase } from '../src/database.js';
+import { migrations } from '../src/migrations/index.js';
+
+try {
+    console.log('Applying pending migrations...');
+    const db = initializeDatabase();
 
-// Run the database check
-checkDatabase().catch(error => {
+    const applied = db.prepare('SELECT version, name, applied_at FROM schema_version ORDER BY version').all();
+    console.log(`Schema is at version ${applied.length ? applied[applied.length - 1].version : 0} (latest: ${migrations.length})`);
+    applied.forEach(m => console.log(`  ${m.version} ${m.name} (applied ${m.applied_at})`));
+
+    closeDatabase();
+} catch (error) {
     console.error('Fatal error:', error);
     process.exit(1);
-});
\ No newline at end of file
+}
@@ -1,8 +1,10 @@
 /**
- * Rebuild Keywords with OpenAI GPT-4o mini
+ * Rebuild Keywords
  * 
  * This script processes all articles in the database and rebuilds their keywords
- * using OpenAI's GPT-4o mini model for high-quality tag extraction.
+ * using the configured keyword provider chain (KEYWORD_PROVIDERS). To rebuild
+ * with a specific provider, override it for the run, e.g.
+ * KEYWORD_PROVIDERS=google node utils/rebuild_keywords.js
  * 
  * Usage: node utils/rebuild_keywords.js [--limit=100] [--batch=10]
  * 
@@ -72,7 +74,7 @@ async function main() {
     // Prepare update statement
     const updateStmt = db.prepare(`
       UPDATE articles
-      SET keywords = ?
+      SET keywords = ?, keywords_status = 'done'
       WHERE id = ?
     `);
     
@@ -104,7 +106,7 @@ async function main() {
           processedCount++;
           console.log(`[${processedCount}/${limit}] Processing article: ${article.id} - ${article.title}`);
           
-          // Extract detailed keywords with OpenAI
+          // Extract detailed keywords with the provider chain
           const detailedKeywords = await extractDetailedKeywords({
             title: article.title,
             description: article.description,
@@ -149,11 +151,17 @@ async function main() {
       
       // Small delay to prevent API rate limits
       if (i + args.batchSize < articleIds.length) {
-        console.log('Waiting 5 seconds before next batch to avoid OpenAI API rate limits...');
+        console.log('Waiting 5 seconds before next batch to avoid API rate limits...');
         await new Promise(resolve => setTimeout(resolve, 5000));
       }
     }
 
+    // Cached user profiles were built from the old keywords
+    if (updatedCount > 0) {
+      db.prepare('UPDATE user_profiles SET stale = 1').run();
+      console.log('Marked cached user profiles for rebuild');
+    }
+
     console.log('\nKeyword extraction complete!');
     console.log(`Total articles processed: ${processedCount}`);
     console.log(`Articles updated with new keywords: ${updatedCount}`);